@@ -82,3 +82,53 @@ self.addEventListener("fetch", (event) => {
       })
   );
 });
+
+// Push event - show the notification sent for a new match, join request or
+// ride reminder. Payload: { title, body, url, tag }
+self.addEventListener("push", (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    payload = { body: event.data ? event.data.text() : "" };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || "RidePartner", {
+      body: payload.body || "",
+      icon: "/logo192.png",
+      badge: "/logo192.png",
+      tag: payload.tag,
+      data: { url: payload.url || "/find" },
+    })
+  );
+});
+
+// Notification click - focus an open tab on the linked ride, or open one
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(
+    (event.notification.data && event.notification.data.url) || "/find",
+    self.location.origin
+  ).href;
+
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((clientList) => {
+        const client = clientList.find((c) =>
+          c.url.startsWith(self.location.origin)
+        );
+        if (client) {
+          return (
+            client
+              .navigate(url)
+              .then((navigated) => (navigated || client).focus())
+              // Tabs the worker doesn't control yet can't be navigated
+              .catch(() => self.clients.openWindow(url))
+          );
+        }
+        return self.clients.openWindow(url);
+      })
+  );
+});
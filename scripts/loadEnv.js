@@ -0,0 +1,18 @@
+// Minimal .env reader so the keys only live in one place. Variables already
+// set in the environment win.
+
+const fs = require("fs");
+const path = require("path");
+
+module.exports = function loadEnv() {
+  const file = path.join(__dirname, "..", ".env");
+  if (!fs.existsSync(file)) return;
+  fs.readFileSync(file, "utf8")
+    .split("\n")
+    .forEach((line) => {
+      const match = line.match(/^\s*([\w.]+)\s*=\s*(.*)\s*$/);
+      if (match && process.env[match[1]] === undefined) {
+        process.env[match[1]] = match[2].replace(/^["']|["']$/g, "");
+      }
+    });
+};
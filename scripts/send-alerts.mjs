@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+// Sends the alerts that need a server. Run it every few minutes from cron
+// or any other scheduler:
+//
+//   npm run alerts:send
+//
+// Each run:
+// - queues ride reminders and pushes every queued notification to the
+//   riders' devices (src/services/notificationJobs);
+// - alerts the trusted contacts of riders who haven't checked in after a
+//   shared trip (src/services/checkInAlerts), by SMS to contacts with a
+//   phone number and by email to the rest.
+//
+// Set in .env:
+//
+//   REACT_APP_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY
+//   REACT_APP_VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY        for push
+//   APP_URL                  where the app is served, for trip links
+//   TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM    for SMS
+//   SMTP_URL, ALERT_EMAIL_FROM                           for email
+//
+// and TZ to the riders' time zone (e.g. Asia/Dhaka) so times in messages
+// read right.
+
+import { createRequire, register } from "node:module";
+
+register("./src-loader.mjs", import.meta.url);
+
+const require = createRequire(import.meta.url);
+const { createClient } = require("@supabase/supabase-js");
+const nodemailer = require("nodemailer");
+const webpush = require("web-push");
+const loadEnv = require("./loadEnv");
+
+const { sendCheckInAlerts } = await import("../src/services/checkInAlerts.js");
+const { deliverNotifications, queueRideReminders } = await import(
+  "../src/services/notificationJobs.js"
+);
+
+const requireEnv = (...names) => {
+  const missing = names.filter((name) => !process.env[name]);
+  if (missing.length) {
+    console.error(`Set ${missing.join(", ")} in .env`);
+    process.exit(1);
+  }
+};
+
+const sendSms = async (to, body) => {
+  const { TWILIO_ACCOUNT_SID: sid, TWILIO_AUTH_TOKEN: token } = process.env;
+  const response = await fetch(
+    `https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${sid}:${token}`).toString(
+          "base64"
+        )}`,
+      },
+      body: new URLSearchParams({
+        From: process.env.TWILIO_FROM,
+        To: to,
+        Body: body,
+      }),
+    }
+  );
+  if (!response.ok) {
+    throw new Error(
+      `SMS failed (${response.status}): ${await response.text()}`
+    );
+  }
+};
+
+let mailer = null;
+const sendEmail = (to, subject, text) => {
+  mailer = mailer || nodemailer.createTransport(process.env.SMTP_URL);
+  return mailer.sendMail({
+    from: process.env.ALERT_EMAIL_FROM,
+    to,
+    subject,
+    text,
+  });
+};
+
+const pushToDevice = (subscription, payload) =>
+  webpush.sendNotification(
+    {
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.p256dh, auth: subscription.auth },
+    },
+    JSON.stringify(payload)
+  );
+
+// One message per contact: SMS when we have a number and can send SMS
+const deliverToContact = async (contact, text) => {
+  const digits = (contact.phone || "").replace(/\D/g, "");
+  if (digits && process.env.TWILIO_ACCOUNT_SID) {
+    return sendSms(`+${digits}`, text);
+  }
+  if (contact.email && process.env.SMTP_URL) {
+    return sendEmail(contact.email, "Trip check-in missed", text);
+  }
+  throw new Error(`No way to reach contact ${contact.id}`);
+};
+
+const main = async () => {
+  loadEnv();
+  requireEnv(
+    "REACT_APP_SUPABASE_URL",
+    "SUPABASE_SERVICE_ROLE_KEY",
+    "REACT_APP_VAPID_PUBLIC_KEY",
+    "VAPID_PRIVATE_KEY",
+    "APP_URL"
+  );
+
+  const client = createClient(
+    process.env.REACT_APP_SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY,
+    { auth: { persistSession: false } }
+  );
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || "mailto:admin@example.com",
+    process.env.REACT_APP_VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  );
+
+  // Each job runs even if an earlier one failed
+  const jobs = [
+    async () => {
+      const queued = await queueRideReminders({ client });
+      return `Queued ${queued} ride reminders`;
+    },
+    async () => {
+      const sent = await deliverNotifications({ client, push: pushToDevice });
+      return `Sent ${sent} notifications`;
+    },
+    async () => {
+      const alerted = await sendCheckInAlerts({
+        client,
+        deliver: deliverToContact,
+        origin: process.env.APP_URL.replace(/\/$/, ""),
+      });
+      return `Alerted contacts for ${alerted} missed check-ins`;
+    },
+  ];
+
+  let failed = false;
+  for (const job of jobs) {
+    try {
+      console.log(await job());
+    } catch (error) {
+      failed = true;
+      console.error("Job failed:", error.message);
+    }
+  }
+  if (failed) process.exit(1);
+};
+
+main().catch((error) => {
+  console.error("Sending alerts failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Send a push notification to one browser so the service worker's push and
+// notificationclick handlers can be tried locally without a backend.
+//
+//   npm run push:keys            # once; put the keys in .env
+//   npm run push:test -- subscription.json [type] [url]
+//
+// subscription.json is either the browser's PushSubscription JSON
+// ({ endpoint, keys: { p256dh, auth } }) or a `push_subscriptions` row
+// ({ endpoint, p256dh, auth }). `type` is new_match, join_request or
+// ride_reminder.
+
+const fs = require("fs");
+const webpush = require("web-push");
+const loadEnv = require("./loadEnv");
+
+const SAMPLES = {
+  new_match: {
+    title: "New ride match",
+    body: "Someone is going Campus → Kuril around 8:30 AM",
+    url: "/find",
+  },
+  join_request: {
+    title: "New join request",
+    body: "Someone wants to join your ride Campus → Kuril",
+    url: "/myposts",
+  },
+  ride_reminder: {
+    title: "Ride reminder",
+    body: "Your ride Campus → Kuril leaves at 8:30 AM",
+    url: "/myposts",
+  },
+};
+
+const main = async () => {
+  loadEnv();
+  const [subscriptionFile, type = "new_match", url] = process.argv.slice(2);
+  const publicKey = process.env.REACT_APP_VAPID_PUBLIC_KEY;
+  const privateKey = process.env.VAPID_PRIVATE_KEY;
+
+  if (!subscriptionFile || !SAMPLES[type]) {
+    console.error(
+      "Usage: npm run push:test -- <subscription.json> [new_match|join_request|ride_reminder] [url]"
+    );
+    process.exit(1);
+  }
+  if (!publicKey || !privateKey) {
+    console.error(
+      "Set REACT_APP_VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY (npm run push:keys)"
+    );
+    process.exit(1);
+  }
+
+  const saved = JSON.parse(fs.readFileSync(subscriptionFile, "utf8"));
+  const subscription = {
+    endpoint: saved.endpoint,
+    keys: saved.keys || { p256dh: saved.p256dh, auth: saved.auth },
+  };
+
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || "mailto:admin@example.com",
+    publicKey,
+    privateKey
+  );
+
+  const payload = { ...SAMPLES[type], tag: `${type}-test` };
+  if (url) payload.url = url;
+
+  const { statusCode } = await webpush.sendNotification(
+    subscription,
+    JSON.stringify(payload)
+  );
+  console.log(`Sent ${type} notification (status ${statusCode})`);
+};
+
+main().catch((error) => {
+  console.error("Push failed:", error.body || error.message);
+  process.exit(1);
+});
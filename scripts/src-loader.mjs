@@ -0,0 +1,31 @@
+// Lets the scheduled scripts import the app's own modules from src/, which
+// are ES modules written for the bundler: imports leave off ".js" and
+// package.json doesn't mark them as modules.
+//
+//   import { register } from "node:module";
+//   register("./src-loader.mjs", import.meta.url);
+
+import { existsSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const isSrcFile = (url) => url.includes("/src/");
+
+export async function resolve(specifier, context, nextResolve) {
+  const relative = /^\.{1,2}\//.test(specifier);
+  if (
+    relative &&
+    isSrcFile(context.parentURL || "") &&
+    !/\.\w+$/.test(specifier)
+  ) {
+    const url = new URL(`${specifier}.js`, context.parentURL);
+    if (existsSync(fileURLToPath(url))) return nextResolve(url.href, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (isSrcFile(url) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
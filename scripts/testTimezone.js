@@ -0,0 +1,6 @@
+// Jest global setup: tests run in Dhaka time (UTC+6), where riders are, so
+// date handling is checked away from UTC.
+
+module.exports = () => {
+  process.env.TZ = "Asia/Dhaka";
+};
@@ -7,12 +7,19 @@ import {
   useNavigate,
 } from "react-router-dom";
 import { AuthProvider, useAuth } from "./contexts/AuthContext";
+import { ChatProvider } from "./contexts/ChatContext";
+import { DataProvider } from "./contexts/DataContext";
 import AuthForm from "./components/Auth/AuthForm";
 import ProfileSetup from "./components/Profile/ProfileSetup";
 import PostRide from "./components/Ride/PostRide";
+import EditRide from "./components/Ride/EditRide";
+import RideDetail from "./components/Ride/RideDetail";
+import SharedTrip from "./components/Ride/SharedTrip";
 import RideList from "./components/Ride/RideList";
 import MyPosts from "./components/Ride/MyPosts";
 import AdminDashboard from "./components/Admin/AdminDashboard";
+import Messages from "./components/Chat/Messages";
+import ChatThread from "./components/Chat/ChatThread";
 import Navbar from "./components/Navigation/Navbar";
 import ErrorBoundary from "./components/ErrorBoundary/ErrorBoundary";
 
@@ -54,6 +61,23 @@ function AppContent() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/edit/:rideId"
+            element={
+              <ProtectedRoute>
+                <EditRide onSaved={() => handleRedirect("/myposts")} />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/ride/:id"
+            element={
+              <ProtectedRoute>
+                <RideDetail />
+              </ProtectedRoute>
+            }
+          />
+          <Route path="/trip/:token" element={<SharedTrip />} />
           <Route
             path="/find"
             element={
@@ -70,6 +94,22 @@ function AppContent() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/messages"
+            element={
+              <ProtectedRoute>
+                <Messages />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/chat/:rideId/:userId"
+            element={
+              <ProtectedRoute>
+                <ChatThread />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/admin"
             element={
@@ -112,9 +152,13 @@ export default function App() {
   return (
     <ErrorBoundary>
       <Suspense fallback={<LoadingSpinner />}>
-        <AuthProvider>
-          <AppRoutes />
-        </AuthProvider>
+        <DataProvider>
+          <AuthProvider>
+            <ChatProvider>
+              <AppRoutes />
+            </ChatProvider>
+          </AuthProvider>
+        </DataProvider>
       </Suspense>
     </ErrorBoundary>
   );
@@ -1,6 +1,40 @@
-import React, { useEffect, useState, useCallback } from "react";
-import { supabase } from "../../services/supabaseClient";
+import React, { useEffect, useState, useCallback, useMemo } from "react";
+import { Link } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
+import { useData } from "../../contexts/DataContext";
+import {
+  DEFAULT_RADIUS_KM,
+  countMatchesByRide,
+} from "../../utils/rideMatching";
+import { describeRecurrence } from "../../utils/recurrence";
+import {
+  RIDE_STATUS,
+  getEffectiveStatus,
+  getMatchableOccurrences,
+} from "../../utils/rideStatus";
+import RideStatusBadge from "../Ride/RideStatusBadge";
+import ReputationBadge from "../Ride/ReputationBadge";
+import {
+  NO_SHOW_THRESHOLD,
+  countNoShows,
+  hasRepeatedNoShows,
+  indexReputation,
+} from "../../utils/ratings";
+import { getRidePath } from "../../utils/rideLinks";
+import {
+  createLocationLocator,
+  createLocationResolver,
+} from "../../utils/locations";
+import LocationsTab from "./LocationsTab";
+import FaresTab from "./FaresTab";
+import { TRANSPORT_LABELS, formatTaka } from "../../utils/fares";
+import ReportsTab from "./ReportsTab";
+import {
+  REPORT_REASON_LABELS,
+  REPORT_STATUS,
+  canChangeReportStatus,
+  countOpenReports,
+} from "../../utils/reports";
 
 // Helper function to generate consistent class names for tabs
 const getTabClassName = (activeTab, tabName) =>
@@ -12,88 +46,74 @@ const getTabClassName = (activeTab, tabName) =>
 
 export default function AdminDashboard() {
   const { user } = useAuth();
+  const backend = useData();
   const [users, setUsers] = useState([]);
   const [rides, setRides] = useState([]);
   const [auditLogs, setAuditLogs] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [ratings, setRatings] = useState([]);
+  const [reports, setReports] = useState([]);
+  const [fares, setFares] = useState([]);
   const [myProfile, setMyProfile] = useState(null);
   const [activeTab, setActiveTab] = useState("users");
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
   const [userStatus, setUserStatus] = useState("all");
+  const [rideStatus, setRideStatus] = useState("all");
   const [startDate, setStartDate] = useState("");
   const [endDate, setEndDate] = useState("");
 
+  // Date filters, applied to every listing and the audit log
+  const range = useMemo(
+    () => ({ since: startDate || undefined, until: endDate || undefined }),
+    [startDate, endDate]
+  );
+
   const fetchData = async () => {
     setLoading(true);
+    setError(null);
     try {
-      const { data: profile } = await supabase
-        .from("profiles")
-        .select("*")
-        .eq("user_id", user.id)
-        .single();
+      const profile = await backend.profiles.get(user.id);
 
       setMyProfile(profile);
 
       if (profile?.role === "admin") {
-        let usersQuery = supabase
-          .from("profiles")
-          .select("*, rides(count)")
-          .order("created_at", { ascending: false });
-
-        let ridesQuery = supabase
-          .from("rides")
-          .select("*, profiles(name, email, gender, phone)")
-          .order("created_at", { ascending: false });
-
-        let logsQuery = supabase
-          .from("audit_logs")
-          .select(
-            `
-            *,
-            profiles:user_id(
-              name,
-              email
-            ),
-            target_profiles:target_user_id(
-              name,
-              email
-            )
-          `
-          )
-          .order("created_at", { ascending: false })
-          .limit(100);
-
-        // Apply date filters if set
-        if (startDate) {
-          usersQuery = usersQuery.gte("created_at", startDate);
-          ridesQuery = ridesQuery.gte("created_at", startDate);
-          logsQuery = logsQuery.gte("created_at", startDate);
-        }
-        if (endDate) {
-          usersQuery = usersQuery.lte("created_at", endDate);
-          ridesQuery = ridesQuery.lte("created_at", endDate);
-          logsQuery = logsQuery.lte("created_at", endDate);
-        }
-
-        const [{ data: usersData }, { data: ridesData }, { data: logsData }] =
-          await Promise.all([usersQuery, ridesQuery, logsQuery]);
-
-        setUsers(usersData || []);
-        setRides(ridesData || []);
-        setAuditLogs(logsData || []);
+        const [
+          usersData,
+          ridesData,
+          logsData,
+          locationsData,
+          ratingsData,
+          reportsData,
+          faresData,
+        ] = await Promise.all([
+          backend.profiles.list(range),
+          backend.rides.listAll(range),
+          backend.auditLogs.list(range),
+          backend.locations.list({ includeHidden: true }),
+          backend.ratings.listAll(),
+          backend.reports.listAll(),
+          backend.fares.list(),
+        ]);
+
+        setUsers(usersData);
+        setRides(ridesData);
+        setAuditLogs(logsData);
+        setLocations(locationsData);
+        setRatings(ratingsData);
+        setReports(reportsData);
+        setFares(faresData);
       }
     } catch (error) {
+      setError("Failed to load dashboard data. Please try again.");
       console.error("Error fetching data:", error);
     } finally {
       setLoading(false);
     }
   };
 
-  const fetchDataCallback = useCallback(fetchData, [
-    user?.id,
-    startDate,
-    endDate,
-  ]);
+  const fetchDataCallback = useCallback(fetchData, [user?.id, backend, range]);
 
   useEffect(() => {
     fetchDataCallback();
@@ -101,7 +121,7 @@ export default function AdminDashboard() {
 
   const addAuditLog = async (action, details, targetUserId = null) => {
     try {
-      const { error } = await supabase.from("audit_logs").insert({
+      await backend.auditLogs.add({
         user_id: user.id,
         target_user_id: targetUserId,
         action,
@@ -111,24 +131,8 @@ export default function AdminDashboard() {
         user_agent: navigator.userAgent,
       });
 
-      if (error) {
-        throw error;
-      }
-
       // Refresh audit logs after adding new entry
-      const { data: logsData } = await supabase
-        .from("audit_logs")
-        .select(
-          `
-          *,
-          profiles:user_id(name, email),
-          target_profiles:target_user_id(name, email)
-        `
-        )
-        .order("created_at", { ascending: false })
-        .limit(100);
-
-      setAuditLogs(logsData || []);
+      setAuditLogs(await backend.auditLogs.list(range));
     } catch (error) {
       console.error("Error adding audit log:", error);
       // Optionally show error to user
@@ -139,12 +143,7 @@ export default function AdminDashboard() {
   const deleteUser = async (userId) => {
     try {
       const userToDelete = users.find((u) => u.user_id === userId);
-      const { error } = await supabase
-        .from("profiles")
-        .delete()
-        .eq("user_id", userId);
-
-      if (error) throw error;
+      await backend.profiles.remove(userId);
 
       setUsers(users.filter((u) => u.user_id !== userId));
       await addAuditLog(
@@ -160,16 +159,7 @@ export default function AdminDashboard() {
   const deleteRide = async (id) => {
     try {
       const rideToDelete = rides.find((r) => r.id === id);
-      // Get the profile first to ensure we have the correct user_id
-      const { data: rideProfile } = await supabase
-        .from("profiles")
-        .select("user_id")
-        .eq("user_id", rideToDelete?.user_id)
-        .single();
-
-      const { error } = await supabase.from("rides").delete().eq("id", id);
-
-      if (error) throw error;
+      await backend.rides.remove(id);
 
       setRides(rides.filter((r) => r.id !== id));
       await addAuditLog(
@@ -177,22 +167,22 @@ export default function AdminDashboard() {
         `Deleted ride from ${rideToDelete?.from || ""} to ${
           rideToDelete?.to || ""
         } (ID: ${id})`,
-        rideProfile?.user_id
+        rideToDelete?.user_id
       );
+      return true;
     } catch (error) {
       console.error("Error deleting ride:", error);
+      return false;
     }
   };
 
   const blockUser = async (userId) => {
     try {
       const userToBlock = users.find((u) => u.user_id === userId);
-      const { error } = await supabase
-        .from("profiles")
-        .update({ status: "blocked", updated_at: new Date().toISOString() })
-        .eq("user_id", userId);
-
-      if (error) throw error;
+      await backend.profiles.update(userId, {
+        status: "blocked",
+        updated_at: new Date().toISOString(),
+      });
 
       setUsers(
         users.map((u) =>
@@ -204,20 +194,65 @@ export default function AdminDashboard() {
         `Admin ${user.email} blocked user ${userToBlock?.email || userId}`,
         userId
       );
+      return true;
     } catch (error) {
       console.error("Error blocking user:", error);
+      return false;
+    }
+  };
+
+  const updateReportStatus = async (report, status, outcome = "") => {
+    if (!canChangeReportStatus(report.status, status)) return;
+    try {
+      await backend.reports.updateStatus(report.id, status);
+
+      setReports((current) =>
+        current.map((r) => (r.id === report.id ? { ...r, status } : r))
+      );
+      await addAuditLog(
+        "update_report",
+        `Admin ${user.email} marked report of ${
+          REPORT_REASON_LABELS[report.reason] || report.reason
+        } against ${
+          report.reported?.email || report.reported_user_id
+        } as ${status}${outcome ? ` (${outcome})` : ""}`,
+        report.reported_user_id
+      );
+    } catch (error) {
+      console.error("Error updating report:", error);
     }
   };
 
+  // Acting on a report resolves it
+  const blockReportedUser = async (report) => {
+    if (!(await blockUser(report.reported_user_id))) return;
+    setReports((current) =>
+      current.map((r) =>
+        r.reported_user_id === report.reported_user_id
+          ? { ...r, reported: { ...r.reported, status: "blocked" } }
+          : r
+      )
+    );
+    await updateReportStatus(report, REPORT_STATUS.RESOLVED, "user blocked");
+  };
+
+  const deleteReportedRide = async (report) => {
+    if (!(await deleteRide(report.ride_id))) return;
+    setReports((current) =>
+      current.map((r) =>
+        r.ride_id === report.ride_id ? { ...r, rides: null } : r
+      )
+    );
+    await updateReportStatus(report, REPORT_STATUS.RESOLVED, "ride deleted");
+  };
+
   const unblockUser = async (userId) => {
     try {
       const userToUnblock = users.find((u) => u.user_id === userId);
-      const { error } = await supabase
-        .from("profiles")
-        .update({ status: "active", updated_at: new Date().toISOString() })
-        .eq("user_id", userId);
-
-      if (error) throw error;
+      await backend.profiles.update(userId, {
+        status: "active",
+        updated_at: new Date().toISOString(),
+      });
 
       setUsers(
         users.map((u) =>
@@ -234,8 +269,119 @@ export default function AdminDashboard() {
     }
   };
 
+  const saveLocation = async ({ id, ...location }) => {
+    try {
+      const data = id
+        ? await backend.locations.update(id, location)
+        : await backend.locations.create({ ...location, active: true });
+
+      setLocations(
+        (id
+          ? locations.map((l) => (l.id === id ? data : l))
+          : [...locations, data]
+        ).sort((a, b) => a.name.localeCompare(b.name))
+      );
+      await addAuditLog(
+        id ? "update_location" : "add_location",
+        `Admin ${user.email} ${id ? "updated" : "added"} location ${data.name}`
+      );
+      return true;
+    } catch (error) {
+      console.error("Error saving location:", error);
+      return false;
+    }
+  };
+
+  const toggleLocation = async (location) => {
+    try {
+      await backend.locations.update(location.id, {
+        active: !location.active,
+      });
+
+      setLocations(
+        locations.map((l) =>
+          l.id === location.id ? { ...l, active: !location.active } : l
+        )
+      );
+      await addAuditLog(
+        location.active ? "hide_location" : "show_location",
+        `Admin ${user.email} ${location.active ? "hid" : "restored"} location ${
+          location.name
+        }`
+      );
+    } catch (error) {
+      console.error("Error updating location:", error);
+    }
+  };
+
+  const deleteLocation = async (location) => {
+    try {
+      await backend.locations.remove(location.id);
+
+      setLocations(locations.filter((l) => l.id !== location.id));
+      await addAuditLog(
+        "delete_location",
+        `Admin ${user.email} deleted location ${location.name}`
+      );
+    } catch (error) {
+      console.error("Error deleting location:", error);
+    }
+  };
+
+  const saveFare = async ({ id, ...fare }) => {
+    try {
+      const data = id
+        ? await backend.fares.update(id, fare)
+        : await backend.fares.create(fare);
+
+      setFares(
+        id ? fares.map((f) => (f.id === id ? data : f)) : [...fares, data]
+      );
+      await addAuditLog(
+        id ? "update_fare" : "add_fare",
+        `Admin ${user.email} set the ${
+          TRANSPORT_LABELS[data.transport]
+        } fare for ${data.from} ↔ ${data.to} to ${formatTaka(data.amount)}`
+      );
+      return true;
+    } catch (error) {
+      console.error("Error saving fare:", error);
+      return false;
+    }
+  };
+
+  const deleteFare = async (fare) => {
+    try {
+      await backend.fares.remove(fare.id);
+
+      setFares(fares.filter((f) => f.id !== fare.id));
+      await addAuditLog(
+        "delete_fare",
+        `Admin ${user.email} deleted the ${
+          TRANSPORT_LABELS[fare.transport]
+        } fare for ${fare.from} ↔ ${fare.to}`
+      );
+    } catch (error) {
+      console.error("Error deleting fare:", error);
+    }
+  };
+
+  const resolveLocation = useMemo(
+    () => createLocationResolver(locations),
+    [locations]
+  );
+
+  const reputations = useMemo(() => indexReputation(ratings), [ratings]);
+  const noShowCount = users.filter((u) =>
+    hasRepeatedNoShows(reputations[u.user_id])
+  ).length;
+
   const filteredUsers = users.filter((user) => {
-    if (userStatus !== "all" && user.status !== userStatus) return false;
+    if (userStatus === "no_shows") {
+      if (!hasRepeatedNoShows(reputations[user.user_id])) return false;
+    } else if (userStatus !== "all" && user.status !== userStatus) {
+      return false;
+    }
     if (searchTerm) {
       const searchLower = searchTerm.toLowerCase();
       return (
@@ -246,7 +392,19 @@ export default function AdminDashboard() {
     return true;
   });
 
+  const rideMatchCounts = useMemo(() => {
+    const occurrences = getMatchableOccurrences(rides);
+    return countMatchesByRide(occurrences, occurrences, {
+      resolveLocation: createLocationResolver(locations),
+      locateLocation: createLocationLocator(locations),
+      radiusKm: DEFAULT_RADIUS_KM,
+    });
+  }, [rides, locations]);
+
   const filteredRides = rides.filter((ride) => {
+    if (rideStatus !== "all" && getEffectiveStatus(ride) !== rideStatus) {
+      return false;
+    }
     if (searchTerm) {
       const searchLower = searchTerm.toLowerCase();
       return (
@@ -262,7 +420,7 @@ export default function AdminDashboard() {
     return (
       <div className="flex items-center justify-center min-h-screen">
         <div className="bg-red-50 text-red-800 px-4 py-3 rounded-lg">
-          Not authorized to access admin dashboard
+          {error || "Not authorized to access admin dashboard"}
         </div>
       </div>
     );
@@ -318,11 +476,32 @@ export default function AdminDashboard() {
               <option value="all">All Status</option>
               <option value="active">Active</option>
               <option value="blocked">Blocked</option>
+              <option value="no_shows">Repeated no-shows</option>
+            </select>
+          )}
+          {activeTab === "rides" && (
+            <select
+              value={rideStatus}
+              onChange={(e) => setRideStatus(e.target.value)}
+              className="px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="all">All Status</option>
+              {Object.values(RIDE_STATUS).map((status) => (
+                <option key={status} value={status}>
+                  {status.charAt(0).toUpperCase() + status.slice(1)}
+                </option>
+              ))}
             </select>
           )}
         </div>
       </div>
 
+      {error && (
+        <div className="mb-4 bg-red-50 text-red-800 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
       <div className="bg-white shadow overflow-hidden rounded-lg">
         <div className="border-b border-gray-200">
           <nav className="-mb-px flex">
@@ -338,16 +517,43 @@ export default function AdminDashboard() {
             >
               Rides ({rides.length})
             </button>
+            <button
+              onClick={() => setActiveTab("reports")}
+              className={getTabClassName(activeTab, "reports")}
+            >
+              Reports ({countOpenReports(reports)})
+            </button>
             <button
               onClick={() => setActiveTab("audit")}
               className={getTabClassName(activeTab, "audit")}
             >
               Audit Log ({auditLogs.length})
             </button>
+            <button
+              onClick={() => setActiveTab("locations")}
+              className={getTabClassName(activeTab, "locations")}
+            >
+              Locations ({locations.length})
+            </button>
+            <button
+              onClick={() => setActiveTab("fares")}
+              className={getTabClassName(activeTab, "fares")}
+            >
+              Fares ({fares.length})
+            </button>
           </nav>
         </div>
 
         <div className="p-6">
+          {activeTab === "users" && noShowCount > 0 && (
+            <button
+              onClick={() => setUserStatus("no_shows")}
+              className="mb-4 w-full text-left rounded-md bg-red-50 px-4 py-3 text-sm text-red-700 hover:bg-red-100"
+            >
+              {noShowCount} {noShowCount === 1 ? "user has" : "users have"} been
+              reported as a no-show {NO_SHOW_THRESHOLD} or more times. Show them
+            </button>
+          )}
           {activeTab === "users" && (
             <div className="overflow-x-auto">
               <table className="min-w-full divide-y divide-gray-200">
@@ -362,6 +568,9 @@ export default function AdminDashboard() {
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Rides
                     </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Reputation
+                    </th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Joined
                     </th>
@@ -398,6 +607,14 @@ export default function AdminDashboard() {
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {u.rides ? u.rides.length : 0} rides
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <ReputationBadge reputation={reputations[u.user_id]} />
+                        {hasRepeatedNoShows(reputations[u.user_id]) && (
+                          <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
+                            {countNoShows(reputations[u.user_id])} no-shows
+                          </span>
+                        )}
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {new Date(u.created_at).toLocaleDateString()}
                       </td>
@@ -457,9 +674,13 @@ export default function AdminDashboard() {
                             d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"
                           />
                         </svg>
-                        <span className="text-lg font-medium">
+                        <Link
+                          to={getRidePath(r)}
+                          className="text-lg font-medium hover:text-blue-600"
+                        >
                           {r.from} → {r.to}
-                        </span>
+                        </Link>
+                        <RideStatusBadge status={getEffectiveStatus(r)} />
                       </div>
                       <div className="flex items-center space-x-3">
                         <svg
@@ -488,6 +709,11 @@ export default function AdminDashboard() {
                               })
                             : "Time not set"}
                         </span>
+                        {r.recurrence && (
+                          <span className="text-sm text-gray-500">
+                            {describeRecurrence(r.recurrence)}
+                          </span>
+                        )}
                       </div>
                       <div className="flex items-center space-x-3">
                         <svg
@@ -507,6 +733,10 @@ export default function AdminDashboard() {
                           Posted by: {r.profiles?.name || "Unknown"}
                         </span>
                       </div>
+                      <div className="text-sm text-gray-500">
+                        {rideMatchCounts[r.id] || 0} potential{" "}
+                        {rideMatchCounts[r.id] === 1 ? "match" : "matches"}
+                      </div>
                     </div>
                     <button
                       onClick={() => deleteRide(r.id)}
@@ -533,6 +763,34 @@ export default function AdminDashboard() {
             </div>
           )}
 
+          {activeTab === "reports" && (
+            <ReportsTab
+              reports={reports}
+              onChangeStatus={updateReportStatus}
+              onBlockUser={blockReportedUser}
+              onDeleteRide={deleteReportedRide}
+            />
+          )}
+
+          {activeTab === "locations" && (
+            <LocationsTab
+              locations={locations}
+              onSave={saveLocation}
+              onToggle={toggleLocation}
+              onDelete={deleteLocation}
+            />
+          )}
+
+          {activeTab === "fares" && (
+            <FaresTab
+              fares={fares}
+              locations={locations}
+              resolveLocation={resolveLocation}
+              onSave={saveFare}
+              onDelete={deleteFare}
+            />
+          )}
+
           {activeTab === "audit" && (
             <div className="overflow-x-auto">
               <table className="min-w-full divide-y divide-gray-200">
@@ -0,0 +1,172 @@
+import React, { useState } from "react";
+import { TRANSPORT_LABELS, formatTaka, validateFare } from "../../utils/fares";
+
+const EMPTY_FORM = {
+  id: null,
+  transport: "",
+  from: "",
+  to: "",
+  amount: "",
+};
+
+const INPUT_CLASS_NAME =
+  "px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm";
+
+// Tariff table for fare estimates: the full fare per transport type and
+// route. Saving and deleting are handled by AdminDashboard so every change
+// ends up in the audit log.
+export default function FaresTab({
+  fares,
+  locations,
+  resolveLocation,
+  onSave,
+  onDelete,
+}) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState("");
+
+  const updateField = (name) => (e) =>
+    setForm({ ...form, [name]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = validateFare(form, fares, resolveLocation);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setError("");
+    const saved = await onSave({ ...form, amount: Number(form.amount) });
+    if (saved) setForm(EMPTY_FORM);
+  };
+
+  const startEdit = (fare) =>
+    setForm({
+      id: fare.id,
+      transport: fare.transport,
+      from: fare.from,
+      to: fare.to,
+      amount: fare.amount,
+    });
+
+  const locationOptions = locations.filter((location) => location.active);
+
+  return (
+    <div className="space-y-6">
+      <form
+        onSubmit={handleSubmit}
+        className="grid grid-cols-1 sm:grid-cols-5 gap-3 items-start"
+      >
+        <select
+          value={form.transport}
+          onChange={updateField("transport")}
+          className={INPUT_CLASS_NAME}
+        >
+          <option value="">Transport</option>
+          {Object.entries(TRANSPORT_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {["from", "to"].map((field) => (
+          <select
+            key={field}
+            value={form[field]}
+            onChange={updateField(field)}
+            className={INPUT_CLASS_NAME}
+          >
+            <option value="">{field === "from" ? "From" : "To"}</option>
+            {locationOptions.map((location) => (
+              <option key={location.id} value={location.name}>
+                {location.name}
+              </option>
+            ))}
+          </select>
+        ))}
+        <input
+          type="number"
+          min="1"
+          placeholder="Full fare (৳)"
+          value={form.amount}
+          onChange={updateField("amount")}
+          className={INPUT_CLASS_NAME}
+        />
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            className="flex-1 px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            {form.id ? "Save" : "Add"}
+          </button>
+          {form.id && (
+            <button
+              type="button"
+              onClick={() => setForm(EMPTY_FORM)}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {error && (
+        <div className="rounded-md bg-red-50 p-3 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Route
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Transport
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Full fare
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {fares.map((fare) => (
+              <tr key={fare.id}>
+                <td className="px-6 py-4 text-sm font-medium text-gray-900">
+                  {fare.from} ↔ {fare.to}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {TRANSPORT_LABELS[fare.transport] || fare.transport}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {formatTaka(fare.amount)}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                  <button
+                    onClick={() => startEdit(fare)}
+                    className="text-blue-600 hover:text-blue-900 mr-4"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => onDelete(fare)}
+                    className="text-red-600 hover:text-red-900"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,200 @@
+import React, { useState } from "react";
+import { parseAliases, validateLocation } from "../../utils/locations";
+
+const EMPTY_FORM = {
+  id: null,
+  name: "",
+  aliases: "",
+  latitude: "",
+  longitude: "",
+};
+
+const INPUT_CLASS_NAME =
+  "px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm";
+
+// Catalog of pickup/drop points. Saving, toggling and deleting are handled
+// by AdminDashboard so every change ends up in the audit log.
+export default function LocationsTab({
+  locations,
+  onSave,
+  onToggle,
+  onDelete,
+}) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState("");
+
+  const updateField = (name) => (e) =>
+    setForm({ ...form, [name]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    // Keep the old name as an alias on rename so existing rides still match
+    const original = locations.find((l) => l.id === form.id);
+    const renamedFrom =
+      original && original.name !== form.name.trim() ? original.name : "";
+    const location = {
+      id: form.id,
+      name: form.name.trim(),
+      aliases: parseAliases(`${form.aliases},${renamedFrom}`),
+      latitude: form.latitude === "" ? null : Number(form.latitude),
+      longitude: form.longitude === "" ? null : Number(form.longitude),
+    };
+    const validationError = validateLocation(
+      { ...location, latitude: form.latitude, longitude: form.longitude },
+      locations
+    );
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setError("");
+    const saved = await onSave(location);
+    if (saved) setForm(EMPTY_FORM);
+  };
+
+  const startEdit = (location) =>
+    setForm({
+      id: location.id,
+      name: location.name,
+      aliases: (location.aliases || []).join(", "),
+      latitude: location.latitude ?? "",
+      longitude: location.longitude ?? "",
+    });
+
+  return (
+    <div className="space-y-6">
+      <form
+        onSubmit={handleSubmit}
+        className="grid grid-cols-1 sm:grid-cols-5 gap-3 items-start"
+      >
+        <input
+          type="text"
+          placeholder="Name (e.g. Bashundhara)"
+          value={form.name}
+          onChange={updateField("name")}
+          className={INPUT_CLASS_NAME}
+        />
+        <input
+          type="text"
+          placeholder="Aliases, comma separated"
+          value={form.aliases}
+          onChange={updateField("aliases")}
+          className={INPUT_CLASS_NAME}
+        />
+        <input
+          type="number"
+          step="any"
+          placeholder="Latitude"
+          value={form.latitude}
+          onChange={updateField("latitude")}
+          className={INPUT_CLASS_NAME}
+        />
+        <input
+          type="number"
+          step="any"
+          placeholder="Longitude"
+          value={form.longitude}
+          onChange={updateField("longitude")}
+          className={INPUT_CLASS_NAME}
+        />
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            className="flex-1 px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            {form.id ? "Save" : "Add"}
+          </button>
+          {form.id && (
+            <button
+              type="button"
+              onClick={() => setForm(EMPTY_FORM)}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {error && (
+        <div className="rounded-md bg-red-50 p-3 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Location
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Coordinates
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Status
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {locations.map((location) => (
+              <tr key={location.id}>
+                <td className="px-6 py-4">
+                  <div className="text-sm font-medium text-gray-900">
+                    {location.name}
+                  </div>
+                  {location.aliases?.length > 0 && (
+                    <div className="text-sm text-gray-500">
+                      Also: {location.aliases.join(", ")}
+                    </div>
+                  )}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {location.latitude != null && location.longitude != null
+                    ? `${location.latitude}, ${location.longitude}`
+                    : "Not set"}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <span
+                    className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                      location.active
+                        ? "bg-green-100 text-green-800"
+                        : "bg-gray-100 text-gray-800"
+                    }`}
+                  >
+                    {location.active ? "active" : "hidden"}
+                  </span>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                  <button
+                    onClick={() => startEdit(location)}
+                    className="text-blue-600 hover:text-blue-900 mr-4"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => onToggle(location)}
+                    className="text-yellow-600 hover:text-yellow-900 mr-4"
+                  >
+                    {location.active ? "Hide" : "Show"}
+                  </button>
+                  <button
+                    onClick={() => onDelete(location)}
+                    className="text-red-600 hover:text-red-900"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import {
+  REPORT_REASON_LABELS,
+  REPORT_STATUS,
+  REPORT_STATUS_LABELS,
+  canChangeReportStatus,
+  sortReports,
+} from "../../utils/reports";
+import { getRidePath } from "../../utils/rideLinks";
+
+const STATUS_CLASS_NAMES = {
+  [REPORT_STATUS.OPEN]: "bg-red-100 text-red-800",
+  [REPORT_STATUS.INVESTIGATING]: "bg-yellow-100 text-yellow-800",
+  [REPORT_STATUS.RESOLVED]: "bg-green-100 text-green-800",
+};
+
+// Moderation queue. Status changes and the block/delete actions are handled
+// by AdminDashboard so every decision ends up in the audit log.
+export default function ReportsTab({
+  reports,
+  onChangeStatus,
+  onBlockUser,
+  onDeleteRide,
+}) {
+  if (reports.length === 0) {
+    return <p className="text-sm text-gray-500">No reports yet.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {sortReports(reports).map((report) => (
+        <div
+          key={report.id}
+          className="border border-gray-200 rounded-lg p-4 space-y-2"
+        >
+          <div className="flex items-start justify-between">
+            <div>
+              <div className="flex items-center space-x-2">
+                <span className="text-sm font-medium text-gray-900">
+                  {REPORT_REASON_LABELS[report.reason] || report.reason}
+                </span>
+                <span
+                  className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                    STATUS_CLASS_NAMES[report.status] || ""
+                  }`}
+                >
+                  {REPORT_STATUS_LABELS[report.status] || report.status}
+                </span>
+              </div>
+              <p className="text-sm text-gray-500">
+                Against {report.reported?.name || "unknown user"} (
+                {report.reported?.email}){" "}
+                {report.reported?.status === "blocked" && (
+                  <span className="text-red-600">· blocked</span>
+                )}
+              </p>
+              <p className="text-xs text-gray-400">
+                From {report.reporter?.name || "unknown user"} ·{" "}
+                {new Date(report.created_at).toLocaleString()}
+              </p>
+            </div>
+            <select
+              value={report.status}
+              onChange={(e) => onChangeStatus(report, e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+            >
+              {Object.values(REPORT_STATUS)
+                .filter(
+                  (status) =>
+                    status === report.status ||
+                    canChangeReportStatus(report.status, status)
+                )
+                .map((status) => (
+                  <option key={status} value={status}>
+                    {REPORT_STATUS_LABELS[status]}
+                  </option>
+                ))}
+            </select>
+          </div>
+
+          {report.details && (
+            <p className="text-sm text-gray-700 whitespace-pre-wrap">
+              {report.details}
+            </p>
+          )}
+
+          {report.rides && (
+            <p className="text-sm text-gray-500">
+              Ride:{" "}
+              <Link
+                to={getRidePath({ id: report.ride_id })}
+                className="text-blue-600 hover:text-blue-800"
+              >
+                {report.rides.from} → {report.rides.to}
+              </Link>{" "}
+              ({new Date(report.rides.time).toLocaleDateString()})
+            </p>
+          )}
+
+          <div className="flex space-x-4 text-sm font-medium">
+            {report.reported?.status !== "blocked" && (
+              <button
+                onClick={() => onBlockUser(report)}
+                className="text-yellow-600 hover:text-yellow-900"
+              >
+                Block user
+              </button>
+            )}
+            {report.rides && (
+              <button
+                onClick={() => onDeleteRide(report)}
+                className="text-red-600 hover:text-red-900"
+              >
+                Delete ride
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
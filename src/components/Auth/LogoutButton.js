@@ -1,5 +1,6 @@
 import React, { useState } from "react";
 import { supabase } from "../../services/supabaseClient";
+import { offlineCache } from "../../services/offlineCache";
 import { useNavigate } from "react-router-dom";
 
 export default function LogoutButton({
@@ -11,6 +12,8 @@ export default function LogoutButton({
   const handleLogout = async () => {
     try {
       setIsLoading(true);
+      // Cleared first so cached rides don't outlive a failed sign-out
+      await offlineCache.clear();
       const { error } = await supabase.auth.signOut();
       if (error) throw error;
       navigate("/login");
@@ -0,0 +1,261 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useAuth } from "../../contexts/AuthContext";
+import { useData } from "../../contexts/DataContext";
+import { useChat } from "../../contexts/ChatContext";
+import { revealContact } from "../../services/contacts";
+import ReportButton from "../Report/ReportButton";
+import {
+  MESSAGE_KIND,
+  MAX_MESSAGE_LENGTH,
+  canRevealContact,
+  getThreadMessages,
+  hasSharedContact,
+  isUnread,
+} from "../../utils/chat";
+import { isMatchAccepted } from "../../utils/contactPrivacy";
+
+const formatTime = (value) =>
+  new Date(value).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+
+// One conversation about a ride. Moving to WhatsApp or email is offered
+// once the riders have accepted each other on the ride, and contact details
+// are shown only after both agree (see utils/contactPrivacy).
+export default function ChatThread() {
+  const { rideId, userId: otherUserId } = useParams();
+  const { user } = useAuth();
+  const { messages, sendMessage, shareContact, markThreadRead } = useChat();
+  const backend = useData();
+  const [ride, setRide] = useState(null);
+  const [other, setOther] = useState(null);
+  const [matchAccepted, setMatchAccepted] = useState(false);
+  const [contact, setContact] = useState(null);
+  const [body, setBody] = useState("");
+  const [error, setError] = useState("");
+  const bottomRef = useRef(null);
+
+  const threadMessages = useMemo(
+    () => getThreadMessages(messages, rideId, user.id, otherUserId),
+    [messages, rideId, user.id, otherUserId]
+  );
+  const contactRevealed = canRevealContact(
+    threadMessages,
+    user.id,
+    otherUserId
+  );
+  const hasUnread = threadMessages.some((m) => isUnread(m, user.id));
+
+  useEffect(() => {
+    async function fetchDetails() {
+      try {
+        const [rideData, [profile], requests] = await Promise.all([
+          backend.rides.get(rideId),
+          backend.profiles.listByIds([otherUserId]),
+          backend.rideRequests.listForRides([rideId]),
+        ]);
+        setRide(rideData);
+        setOther(profile || null);
+        setMatchAccepted(
+          isMatchAccepted(rideData, requests, user.id, otherUserId)
+        );
+      } catch (err) {
+        console.error("Error loading the conversation:", err);
+      }
+    }
+
+    fetchDetails();
+  }, [rideId, otherUserId, user.id, backend]);
+
+  // Details are only loaded once both sides have opted in; every load is
+  // logged for the other rider to see
+  useEffect(() => {
+    if (!matchAccepted || !contactRevealed) return;
+    revealContact(rideId, otherUserId)
+      .then(setContact)
+      .catch((err) => console.error("Error loading contact details:", err));
+  }, [matchAccepted, contactRevealed, rideId, otherUserId]);
+
+  useEffect(() => {
+    if (hasUnread) {
+      markThreadRead(rideId, otherUserId).catch((err) =>
+        console.error("Error marking messages read:", err)
+      );
+    }
+  }, [hasUnread, markThreadRead, rideId, otherUserId]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView?.({ behavior: "smooth" });
+  }, [threadMessages.length]);
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    try {
+      setError("");
+      await sendMessage(rideId, otherUserId, body);
+      setBody("");
+    } catch (err) {
+      setError(err.message || "Failed to send the message. Please try again.");
+    }
+  };
+
+  const handleShareContact = async () => {
+    try {
+      setError("");
+      await shareContact(rideId, otherUserId);
+    } catch (err) {
+      setError("Failed to share your contact. Please try again.");
+      console.error("Error:", err);
+    }
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-8">
+      <div className="mb-4">
+        <Link
+          to="/messages"
+          className="text-sm font-medium text-blue-600 hover:text-blue-800"
+        >
+          ← All messages
+        </Link>
+        <div className="mt-2 flex items-center justify-between">
+          <h2 className="text-xl sm:text-2xl font-bold text-gray-900">
+            {other?.name || "Conversation"}
+          </h2>
+          <ReportButton reportedUserId={otherUserId} />
+        </div>
+        {ride && (
+          <p className="text-sm text-gray-500">
+            {ride.from} → {ride.to} · {formatTime(ride.time)}
+          </p>
+        )}
+      </div>
+
+      <div className="bg-white shadow-sm rounded-lg border border-gray-100">
+        <div className="h-96 overflow-y-auto p-4 space-y-3">
+          {threadMessages.length === 0 && (
+            <p className="text-center text-sm text-gray-500">
+              Say hello and agree on the details of the ride.
+            </p>
+          )}
+          {threadMessages.map((message) =>
+            message.kind === MESSAGE_KIND.CONTACT_OPT_IN ? (
+              <p key={message.id} className="text-center text-xs text-gray-500">
+                {message.sender_id === user.id
+                  ? "You agreed to share contact details"
+                  : `${other?.name || "They"} agreed to share contact details`}
+              </p>
+            ) : (
+              <div
+                key={message.id}
+                className={`flex ${
+                  message.sender_id === user.id
+                    ? "justify-end"
+                    : "justify-start"
+                }`}
+              >
+                <div
+                  className={`max-w-xs sm:max-w-md rounded-lg px-3 py-2 ${
+                    message.sender_id === user.id
+                      ? "bg-blue-600 text-white"
+                      : "bg-gray-100 text-gray-900"
+                  }`}
+                >
+                  <p className="text-sm whitespace-pre-wrap break-words">
+                    {message.body}
+                  </p>
+                  <p
+                    className={`mt-1 text-xs ${
+                      message.sender_id === user.id
+                        ? "text-blue-100"
+                        : "text-gray-500"
+                    }`}
+                  >
+                    {formatTime(message.created_at)}
+                  </p>
+                </div>
+              </div>
+            )
+          )}
+          <div ref={bottomRef} />
+        </div>
+
+        <div className="border-t border-gray-100 p-4 space-y-3">
+          {!matchAccepted ? (
+            <p className="text-xs text-gray-500">
+              Contact details can be shared once you've accepted each other on
+              this ride.
+            </p>
+          ) : contactRevealed ? (
+            contact &&
+            (contact.whatsapp || contact.email ? (
+              <div className="flex space-x-2">
+                {contact.whatsapp && (
+                  <a
+                    href={`https://wa.me/${contact.whatsapp.replace(
+                      /\D/g,
+                      ""
+                    )}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex-1 inline-flex items-center justify-center bg-green-500 hover:bg-green-600 text-white py-2 px-4 rounded-md text-sm font-medium transition-colors duration-200"
+                  >
+                    Continue on WhatsApp
+                  </a>
+                )}
+                {contact.email && (
+                  <a
+                    href={`mailto:${contact.email}`}
+                    className="flex-1 inline-flex items-center justify-center border border-gray-300 text-gray-700 hover:bg-gray-50 py-2 px-4 rounded-md text-sm font-medium transition-colors duration-200"
+                  >
+                    Email {other?.name || "them"}
+                  </a>
+                )}
+              </div>
+            ) : (
+              <p className="text-xs text-gray-500">
+                {other?.name || "They"} prefer to keep talking here.
+              </p>
+            ))
+          ) : hasSharedContact(threadMessages, user.id) ? (
+            <p className="text-xs text-gray-500">
+              Contact details show once {other?.name || "they"} agree too.
+            </p>
+          ) : (
+            <button
+              onClick={handleShareContact}
+              className="w-full inline-flex items-center justify-center border border-green-500 text-green-600 hover:bg-green-50 py-2 px-4 rounded-md text-sm font-medium transition-colors duration-200"
+            >
+              Offer to share contact details
+            </button>
+          )}
+
+          {error && <p className="text-sm text-red-700">{error}</p>}
+
+          <form onSubmit={handleSend} className="flex space-x-2">
+            <input
+              type="text"
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              maxLength={MAX_MESSAGE_LENGTH}
+              placeholder="Write a message"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            />
+            <button
+              type="submit"
+              disabled={!body.trim()}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              Send
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useChat } from "../../contexts/ChatContext";
+import { useData } from "../../contexts/DataContext";
+import { MESSAGE_KIND } from "../../utils/chat";
+
+// All of my conversations, most recent first
+export default function Messages() {
+  const { threads } = useChat();
+  const backend = useData();
+  const [names, setNames] = useState({});
+  const [rides, setRides] = useState({});
+
+  const userIds = [...new Set(threads.map((t) => t.otherUserId))].join(",");
+  const rideIds = [...new Set(threads.map((t) => t.rideId))].join(",");
+
+  useEffect(() => {
+    if (!userIds) return;
+    backend.profiles
+      .listByIds(userIds.split(","))
+      .then((data) =>
+        setNames(Object.fromEntries(data.map((p) => [p.user_id, p.name])))
+      )
+      .catch((error) => console.error("Error fetching profiles:", error));
+  }, [userIds, backend]);
+
+  useEffect(() => {
+    if (!rideIds) return;
+    backend.rides
+      .listByIds(rideIds.split(","))
+      .then((data) => setRides(Object.fromEntries(data.map((r) => [r.id, r]))))
+      .catch((error) => console.error("Error fetching rides:", error));
+  }, [rideIds, backend]);
+
+  return (
+    <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-8">
+      <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-6">
+        Messages
+      </h2>
+
+      {threads.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow-sm">
+          <p className="text-gray-500">
+            No conversations yet. Message a match to plan your ride.
+          </p>
+        </div>
+      ) : (
+        <ul className="bg-white shadow-sm rounded-lg divide-y divide-gray-100">
+          {threads.map((thread) => {
+            const ride = rides[thread.rideId];
+            return (
+              <li key={thread.key}>
+                <Link
+                  to={`/chat/${thread.rideId}/${thread.otherUserId}`}
+                  className="flex items-center justify-between px-4 py-3 hover:bg-gray-50"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      {names[thread.otherUserId] || "Rider"}
+                      {ride && (
+                        <span className="ml-2 text-gray-500 font-normal">
+                          {ride.from} → {ride.to}
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500 truncate">
+                      {thread.lastMessage.kind === MESSAGE_KIND.CONTACT_OPT_IN
+                        ? "Offered to share contact details"
+                        : thread.lastMessage.body}
+                    </p>
+                  </div>
+                  {thread.unread > 0 && (
+                    <span className="ml-3 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-blue-600 text-white">
+                      {thread.unread}
+                    </span>
+                  )}
+                </Link>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,12 @@
 import React, { useState } from "react";
 import { Link, useLocation } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
+import { useChat } from "../../contexts/ChatContext";
 import LogoutButton from "../Auth/LogoutButton";
 
 export default function Navbar() {
   const { user } = useAuth();
+  const { unreadCount } = useChat();
   const location = useLocation();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
 
@@ -14,6 +16,7 @@ export default function Navbar() {
     { name: "Find Partner", href: "/find" },
     { name: "Post Ride", href: "/post" },
     { name: "My Posts", href: "/myposts" },
+    { name: "Messages", href: "/messages", badge: unreadCount },
     { name: "Profile", href: "/profile" },
     { name: "Admin", href: "/admin" },
   ];
@@ -44,6 +47,11 @@ export default function Navbar() {
                   } inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium`}
                 >
                   {item.name}
+                  {item.badge > 0 && (
+                    <span className="ml-1 px-1.5 text-xs leading-5 font-semibold rounded-full bg-blue-600 text-white">
+                      {item.badge}
+                    </span>
+                  )}
                 </Link>
               ))}
             </div>
@@ -113,6 +121,11 @@ export default function Navbar() {
                 onClick={() => setIsMobileMenuOpen(false)}
               >
                 {item.name}
+                {item.badge > 0 && (
+                  <span className="ml-2 px-1.5 text-xs leading-5 font-semibold rounded-full bg-blue-600 text-white">
+                    {item.badge}
+                  </span>
+                )}
               </Link>
             ))}
             <div className="mt-4 px-4">
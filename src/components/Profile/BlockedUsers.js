@@ -0,0 +1,46 @@
+import React from "react";
+import { useBlockedUsers } from "../../hooks/useBlockedUsers";
+
+// People I've blocked. They can't see my rides and I don't see theirs; they
+// aren't told they were blocked.
+export default function BlockedUsers() {
+  const { blocks, loading, unblock } = useBlockedUsers();
+
+  return (
+    <div className="mt-6 bg-white rounded-xl shadow-lg p-8 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">Blocked users</h3>
+        <p className="mt-1 text-sm text-gray-600">
+          Blocked users don't see your rides and you don't see theirs. They
+          aren't notified. Block someone from their ride card.
+        </p>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : blocks.length === 0 ? (
+        <p className="text-sm text-gray-500">You haven't blocked anyone.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {blocks.map((block) => (
+            <li
+              key={block.blocked_id}
+              className="flex items-center justify-between py-2"
+            >
+              <span className="text-sm text-gray-900">
+                {block.profiles?.name || "Unknown user"}
+              </span>
+              <button
+                type="button"
+                onClick={() => unblock(block.blocked_id)}
+                className="text-sm font-medium text-blue-600 hover:text-blue-500"
+              >
+                Unblock
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
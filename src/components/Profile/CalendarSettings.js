@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import {
+  disableCalendarFeed,
+  enableCalendarFeed,
+  getCalendarFeedUrl,
+} from "../../services/calendar";
+
+// A private iCalendar link to subscribe to from Google Calendar, Apple
+// Calendar or Outlook
+export default function CalendarSettings() {
+  const { user } = useAuth();
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    getCalendarFeedUrl(user.id)
+      .then(setFeedUrl)
+      .catch((err) => console.error("Error loading calendar feed:", err));
+  }, [user]);
+
+  const run = async (action) => {
+    try {
+      setBusy(true);
+      setError("");
+      setCopied(false);
+      setFeedUrl(await action());
+    } catch (err) {
+      console.error("Calendar feed error:", err);
+      setError("Could not update your calendar link. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copyUrl = async () => {
+    await navigator.clipboard.writeText(feedUrl);
+    setCopied(true);
+  };
+
+  return (
+    <div className="mt-6 bg-white rounded-xl shadow-lg p-8 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">Calendar</h3>
+        <p className="mt-1 text-sm text-gray-600">
+          Subscribe to your upcoming rides and accepted matches. Changes and
+          cancellations show up in your calendar automatically.
+        </p>
+      </div>
+
+      {feedUrl ? (
+        <>
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              readOnly
+              value={feedUrl}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-gray-50"
+            />
+            <button
+              type="button"
+              onClick={copyUrl}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              {copied ? "Copied" : "Copy"}
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">
+            Anyone with this link can see your rides. Reset it if it was shared
+            by mistake.
+          </p>
+          <div className="flex space-x-2">
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() =>
+                run(() => enableCalendarFeed(user.id, { reset: true }))
+              }
+              className="flex-1 py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              Reset link
+            </button>
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() =>
+                run(async () => {
+                  await disableCalendarFeed(user.id);
+                  return null;
+                })
+              }
+              className="flex-1 py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-red-600 bg-white hover:bg-red-50 disabled:opacity-50"
+            >
+              Turn off
+            </button>
+          </div>
+        </>
+      ) : (
+        <button
+          type="button"
+          disabled={busy}
+          onClick={() => run(() => enableCalendarFeed(user.id))}
+          className="w-full flex justify-center py-2 px-4 rounded-md text-sm font-medium border border-transparent text-white bg-green-600 hover:bg-green-700 transition-colors duration-200 disabled:opacity-50"
+        >
+          Create calendar link
+        </button>
+      )}
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../../contexts/AuthContext";
+import { useData } from "../../contexts/DataContext";
+import { getContactViews } from "../../services/contacts";
+import {
+  CONTACT_VISIBILITY_LABELS,
+  DEFAULT_CONTACT_VISIBILITY,
+  getContactVisibility,
+} from "../../utils/contactPrivacy";
+import { getRidePath } from "../../utils/rideLinks";
+
+// What accepted partners may see, and who has looked
+export default function ContactPrivacySettings() {
+  const { user } = useAuth();
+  const { profiles } = useData();
+  const [visibility, setVisibility] = useState(DEFAULT_CONTACT_VISIBILITY);
+  const [views, setViews] = useState([]);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    async function load() {
+      try {
+        setVisibility(getContactVisibility(await profiles.get(user.id)));
+      } catch (err) {
+        console.error("Error loading contact visibility:", err);
+      }
+
+      try {
+        setViews(await getContactViews(user.id));
+      } catch (err) {
+        console.error("Error loading contact views:", err);
+      }
+    }
+    load();
+  }, [user, profiles]);
+
+  const handleChange = async (e) => {
+    const next = e.target.value;
+    const previous = visibility;
+    setVisibility(next);
+    setError("");
+    try {
+      await profiles.update(user.id, { contact_visibility: next });
+    } catch (err) {
+      console.error("Error saving contact visibility:", err);
+      setError("Could not save your setting. Please try again.");
+      setVisibility(previous);
+    }
+  };
+
+  return (
+    <div className="mt-6 bg-white rounded-xl shadow-lg p-8 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">Contact details</h3>
+        <p className="mt-1 text-sm text-gray-600">
+          Your number and email are never shown in ride listings. A partner only
+          sees them after you've accepted each other on a ride and both agreed
+          to move off the app.
+        </p>
+      </div>
+
+      <label className="block text-sm font-medium text-gray-700">
+        <span className="block mb-1">Share with accepted partners</span>
+        <select
+          value={visibility}
+          onChange={handleChange}
+          className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 sm:text-sm"
+        >
+          {Object.entries(CONTACT_VISIBILITY_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div>
+        <h4 className="text-sm font-medium text-gray-700">
+          Who viewed your contact details
+        </h4>
+        {views.length === 0 ? (
+          <p className="mt-1 text-sm text-gray-500">Nobody yet.</p>
+        ) : (
+          <ul className="mt-1 space-y-1">
+            {views.map((view) => (
+              <li
+                key={`${view.ride_id}-${view.created_at}`}
+                className="text-sm text-gray-600"
+              >
+                {view.viewer?.name || "Someone"} on{" "}
+                {new Date(view.created_at).toLocaleDateString()} for{" "}
+                <Link
+                  to={getRidePath({ id: view.ride_id })}
+                  className="text-blue-600 hover:text-blue-500"
+                >
+                  this ride
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+    </div>
+  );
+}
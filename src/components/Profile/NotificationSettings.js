@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { useData } from "../../contexts/DataContext";
+import {
+  getPushSubscription,
+  isPushSupported,
+  subscribeToPush,
+  unsubscribeFromPush,
+} from "../../services/push";
+import {
+  NOTIFICATION_LABELS,
+  normalizePreferences,
+} from "../../utils/notifications";
+
+// Push notifications for this device, and which kinds to receive at all
+export default function NotificationSettings() {
+  const { user } = useAuth();
+  const { profiles } = useData();
+  const [preferences, setPreferences] = useState(normalizePreferences());
+  const [subscribed, setSubscribed] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const supported = isPushSupported();
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const profile = await profiles.get(user.id);
+        setPreferences(normalizePreferences(profile?.notification_preferences));
+      } catch (err) {
+        console.error("Error loading notification preferences:", err);
+      }
+
+      if (supported) {
+        setSubscribed(Boolean(await getPushSubscription()));
+      }
+    }
+    load();
+  }, [user, supported, profiles]);
+
+  const togglePush = async () => {
+    try {
+      setBusy(true);
+      setError("");
+      if (subscribed) {
+        await unsubscribeFromPush();
+        setSubscribed(false);
+      } else {
+        await subscribeToPush(user.id);
+        setSubscribed(true);
+      }
+    } catch (err) {
+      console.error("Push subscription error:", err);
+      setError(err.message || "Could not update notifications.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const togglePreference = async (type) => {
+    const next = { ...preferences, [type]: !preferences[type] };
+    setPreferences(next);
+    try {
+      await profiles.update(user.id, { notification_preferences: next });
+    } catch (err) {
+      console.error("Error saving notification preferences:", err);
+      setError("Could not save your preferences. Please try again.");
+      setPreferences(preferences);
+    }
+  };
+
+  return (
+    <div className="mt-6 bg-white rounded-xl shadow-lg p-8 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">Notifications</h3>
+        <p className="mt-1 text-sm text-gray-600">
+          Get a push notification instead of checking back for matches.
+        </p>
+      </div>
+
+      {supported ? (
+        <button
+          type="button"
+          onClick={togglePush}
+          disabled={busy}
+          className={`w-full flex justify-center py-2 px-4 rounded-md text-sm font-medium transition-colors duration-200 disabled:opacity-50 ${
+            subscribed
+              ? "border border-gray-300 text-gray-700 bg-white hover:bg-gray-50"
+              : "border border-transparent text-white bg-green-600 hover:bg-green-700"
+          }`}
+        >
+          {subscribed
+            ? "Turn off notifications on this device"
+            : "Turn on notifications on this device"}
+        </button>
+      ) : (
+        <p className="text-sm text-gray-500">
+          This browser doesn't support push notifications.
+        </p>
+      )}
+
+      <div className="space-y-2">
+        {Object.entries(NOTIFICATION_LABELS).map(([type, label]) => (
+          <label
+            key={type}
+            className="flex items-center text-sm font-medium text-gray-700"
+          >
+            <input
+              type="checkbox"
+              checked={preferences[type]}
+              onChange={() => togglePreference(type)}
+              className="h-4 w-4 mr-2 text-green-600 border-gray-300 rounded focus:ring-green-500"
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+    </div>
+  );
+}
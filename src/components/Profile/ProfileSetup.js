@@ -1,11 +1,26 @@
 import React, { useState } from "react";
-import { supabase } from "../../services/supabaseClient";
 import { useAuth } from "../../contexts/AuthContext";
+import { useData } from "../../contexts/DataContext";
+import { CACHE_COLLECTIONS, offlineCache } from "../../services/offlineCache";
+import NotificationSettings from "./NotificationSettings";
+import CalendarSettings from "./CalendarSettings";
+import BlockedUsers from "./BlockedUsers";
+import ContactPrivacySettings from "./ContactPrivacySettings";
+import TrustedContacts from "./TrustedContacts";
+import {
+  DEFAULT_PARTNER_PREFERENCE,
+  PARTNER_PREFERENCE_LABELS,
+  getPartnerPreference,
+} from "../../utils/partnerPreference";
 
 export default function ProfileSetup({ onDone }) {
   const { user } = useAuth();
+  const { profiles, storage } = useData();
   const [name, setName] = useState("");
   const [gender, setGender] = useState("");
+  const [partnerPreference, setPartnerPreference] = useState(
+    DEFAULT_PARTNER_PREFERENCE
+  );
   const [whatsapp, setWhatsapp] = useState("");
   const [avatar, setAvatar] = useState(null);
   const [error, setError] = useState("");
@@ -14,21 +29,31 @@ export default function ProfileSetup({ onDone }) {
   React.useEffect(() => {
     async function loadProfile() {
       if (user) {
-        const { data, error } = await supabase
-          .from("profiles")
-          .select("*")
-          .eq("user_id", user.id)
-          .single();
-
-        if (data && !error) {
+        const fill = (data) => {
           setName(data.name || "");
           setGender(data.gender || "");
+          setPartnerPreference(getPartnerPreference(data));
           setWhatsapp(data.whatsapp || "");
+        };
+
+        // Fill in the cached profile first; refetch it once it is stale
+        const cached = await offlineCache.read(
+          user.id,
+          CACHE_COLLECTIONS.PROFILE
+        );
+        if (cached) fill(cached.value);
+        if (cached && !cached.stale) return;
+
+        const data = await profiles.get(user.id).catch(() => null);
+
+        if (data) {
+          fill(data);
+          offlineCache.write(user.id, CACHE_COLLECTIONS.PROFILE, data);
         }
       }
     }
     loadProfile();
-  }, [user]);
+  }, [user, profiles]);
 
   const handleSave = async (e) => {
     e.preventDefault();
@@ -54,49 +79,25 @@ export default function ProfileSetup({ onDone }) {
           return;
         }
 
-        const fileExt = avatar.name.split(".").pop();
-        const fileName = `${user.id}-${Date.now()}.${fileExt}`;
-
-        // Upload to avatars bucket
-        const { error: uploadError } = await supabase.storage
-          .from("avatars")
-          .upload(fileName, avatar, {
-            upsert: true,
-            contentType: avatar.type,
-          });
-
-        if (uploadError) {
+        try {
+          avatar_url = await storage.uploadAvatar(user.id, avatar);
+        } catch (uploadError) {
           console.error("Upload error:", uploadError);
           setError("Error uploading image. Please try again.");
           return;
         }
-
-        // Get public URL
-        const { data } = supabase.storage
-          .from("avatars")
-          .getPublicUrl(fileName);
-
-        avatar_url = data.publicUrl;
       }
 
-      const { error: profileError } = await supabase.from("profiles").upsert(
-        {
-          user_id: user.id,
-          name,
-          gender,
-          whatsapp,
-          avatar_url,
-          updated_at: new Date().toISOString(),
-        },
-        {
-          onConflict: "user_id",
-          ignoreDuplicates: false,
-        }
-      );
-
-      if (profileError) {
-        throw profileError;
-      }
+      const saved = await profiles.save({
+        user_id: user.id,
+        name,
+        gender,
+        partner_preference: partnerPreference,
+        whatsapp,
+        avatar_url,
+        updated_at: new Date().toISOString(),
+      });
+      await offlineCache.write(user.id, CACHE_COLLECTIONS.PROFILE, saved);
 
       onDone();
     } catch (error) {
@@ -160,6 +161,34 @@ export default function ProfileSetup({ onDone }) {
               </select>
             </div>
 
+            <div>
+              <label
+                htmlFor="partnerPreference"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Ride With
+              </label>
+              <select
+                id="partnerPreference"
+                value={partnerPreference}
+                onChange={(e) => setPartnerPreference(e.target.value)}
+                className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm 
+                         focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 sm:text-sm"
+              >
+                {Object.entries(PARTNER_PREFERENCE_LABELS).map(
+                  ([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  )
+                )}
+              </select>
+              <p className="mt-1 text-xs text-gray-500">
+                The default for new rides. Riders of another gender only see
+                rides where both of you chose "anyone".
+              </p>
+            </div>
+
             <div>
               <label
                 htmlFor="whatsapp"
@@ -256,6 +285,11 @@ export default function ProfileSetup({ onDone }) {
             Save Profile
           </button>
         </form>
+        <NotificationSettings />
+        <CalendarSettings />
+        <ContactPrivacySettings />
+        <TrustedContacts />
+        <BlockedUsers />
       </div>
     </div>
   );
@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import {
+  addTrustedContact,
+  getTrustedContacts,
+  removeTrustedContact,
+} from "../../services/tripShare";
+import { validateTrustedContact } from "../../utils/tripShare";
+
+const EMPTY_CONTACT = { name: "", phone: "", email: "" };
+
+// People I can send my trip to from a ride's page
+export default function TrustedContacts() {
+  const { user } = useAuth();
+  const [contacts, setContacts] = useState([]);
+  const [form, setForm] = useState(EMPTY_CONTACT);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    async function load() {
+      try {
+        setContacts(await getTrustedContacts(user.id));
+      } catch (err) {
+        console.error("Error loading trusted contacts:", err);
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+  }, [user]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((current) => ({ ...current, [name]: value }));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const validationError = validateTrustedContact(form);
+    setError(validationError);
+    if (validationError) return;
+
+    try {
+      setSaving(true);
+      const contact = await addTrustedContact(user.id, form);
+      setContacts((current) => [...current, contact]);
+      setForm(EMPTY_CONTACT);
+    } catch (err) {
+      console.error("Error adding trusted contact:", err);
+      setError("Could not add this contact. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (contactId) => {
+    try {
+      await removeTrustedContact(contactId);
+      setContacts((current) => current.filter((c) => c.id !== contactId));
+    } catch (err) {
+      console.error("Error removing trusted contact:", err);
+      setError("Could not remove this contact. Please try again.");
+    }
+  };
+
+  const inputClass =
+    "appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 sm:text-sm";
+
+  return (
+    <div className="mt-6 bg-white rounded-xl shadow-lg p-8 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">
+          Trusted contacts
+        </h3>
+        <p className="mt-1 text-sm text-gray-600">
+          Send a trusted contact a link to your ride from the ride's page. They
+          see who you're riding with, the route and when you leave, and are
+          alerted if you don't check in after arriving.
+        </p>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : contacts.length === 0 ? (
+        <p className="text-sm text-gray-500">No trusted contacts yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {contacts.map((contact) => (
+            <li
+              key={contact.id}
+              className="flex items-center justify-between py-2"
+            >
+              <div>
+                <p className="text-sm text-gray-900">{contact.name}</p>
+                <p className="text-xs text-gray-500">
+                  {[contact.phone, contact.email].filter(Boolean).join(" · ")}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRemove(contact.id)}
+                className="text-sm font-medium text-blue-600 hover:text-blue-500"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form
+        onSubmit={handleAdd}
+        className="grid grid-cols-1 sm:grid-cols-3 gap-2"
+      >
+        <input
+          name="name"
+          value={form.name}
+          onChange={handleChange}
+          placeholder="Name"
+          className={inputClass}
+        />
+        <input
+          name="phone"
+          type="tel"
+          value={form.phone}
+          onChange={handleChange}
+          placeholder="Phone"
+          className={inputClass}
+        />
+        <input
+          name="email"
+          type="email"
+          value={form.email}
+          onChange={handleChange}
+          placeholder="Email"
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          disabled={saving}
+          className="sm:col-span-3 inline-flex items-center justify-center border border-gray-300 text-gray-700 hover:bg-gray-50 py-2 px-4 rounded-md text-sm font-medium transition-colors duration-200 disabled:opacity-50"
+        >
+          Add contact
+        </button>
+      </form>
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import React, { useState } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+
+// "Block" link with an inline confirmation. `onBlock(userId)` does the work
+// and resolves to true once the block is saved.
+export default function BlockButton({ userId, name, onBlock }) {
+  const { user } = useAuth();
+  const [confirming, setConfirming] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  if (!userId || userId === user.id) return null;
+
+  const handleBlock = async () => {
+    setBusy(true);
+    const blocked = await onBlock(userId);
+    setBusy(false);
+    if (!blocked) setConfirming(false);
+  };
+
+  if (!confirming) {
+    return (
+      <button
+        type="button"
+        onClick={() => setConfirming(true)}
+        className="text-sm font-medium text-gray-500 hover:text-red-600"
+      >
+        Block
+      </button>
+    );
+  }
+
+  return (
+    <span className="text-sm">
+      <span className="text-gray-700">
+        Hide {name || "this user"} and their rides?
+      </span>{" "}
+      <button
+        type="button"
+        disabled={busy}
+        onClick={handleBlock}
+        className="font-medium text-red-600 hover:text-red-800 disabled:opacity-50"
+      >
+        Block
+      </button>{" "}
+      <button
+        type="button"
+        onClick={() => setConfirming(false)}
+        className="font-medium text-gray-500 hover:text-gray-700"
+      >
+        Cancel
+      </button>
+    </span>
+  );
+}
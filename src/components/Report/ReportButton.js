@@ -0,0 +1,135 @@
+import React, { useState } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { useData } from "../../contexts/DataContext";
+import {
+  MAX_REPORT_DETAILS,
+  REPORT_REASON_LABELS,
+  REPORT_STATUS,
+  validateReport,
+} from "../../utils/reports";
+
+// "Report" link that opens a small form for flagging a user, or one of
+// their rides when `rideId` is given. Reports go to the admin queue.
+export default function ReportButton({
+  reportedUserId,
+  rideId = null,
+  className = "text-gray-500 hover:text-red-600",
+}) {
+  const { user } = useAuth();
+  const backend = useData();
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState("");
+  const [details, setDetails] = useState("");
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState("");
+
+  if (!reportedUserId || reportedUserId === user.id) return null;
+
+  const close = () => {
+    setOpen(false);
+    setReason("");
+    setDetails("");
+    setError("");
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = validateReport({ reason, details });
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSending(true);
+    try {
+      await backend.reports.create({
+        reporter_id: user.id,
+        reported_user_id: reportedUserId,
+        ride_id: rideId,
+        reason,
+        details: details.trim(),
+        status: REPORT_STATUS.OPEN,
+      });
+    } catch (err) {
+      console.error("Error sending report:", err);
+      setError("Could not send your report. Please try again.");
+      return;
+    } finally {
+      setSending(false);
+    }
+    close();
+    setSent(true);
+  };
+
+  if (sent) {
+    return <span className="text-sm text-gray-500">Reported, thank you</span>;
+  }
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className={`text-sm font-medium ${className}`}
+      >
+        Report
+      </button>
+      {open && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 px-4">
+          <form
+            onSubmit={handleSubmit}
+            className="w-full max-w-sm bg-white rounded-lg shadow-lg p-6 space-y-4"
+          >
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">
+                {rideId ? "Report this ride" : "Report this user"}
+              </h3>
+              <p className="mt-1 text-sm text-gray-600">
+                Admins review every report. The person you report isn't told who
+                sent it.
+              </p>
+            </div>
+            <select
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-red-500 sm:text-sm"
+            >
+              <option value="">Select a reason</option>
+              {Object.entries(REPORT_REASON_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <textarea
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              maxLength={MAX_REPORT_DETAILS}
+              rows={3}
+              placeholder="What happened? (optional)"
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-red-500 sm:text-sm"
+            />
+            {error && <p className="text-sm text-red-700">{error}</p>}
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={close}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={sending}
+                className="px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+              >
+                Send report
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </>
+  );
+}
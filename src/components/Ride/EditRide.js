@@ -0,0 +1,54 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useAuth } from "../../contexts/AuthContext";
+import { useData } from "../../contexts/DataContext";
+import PostRide from "./PostRide";
+import { isEditable } from "../../utils/rideStatus";
+
+// Loads one of the user's own rides into the post form
+export default function EditRide({ onSaved }) {
+  const { rideId } = useParams();
+  const { user } = useAuth();
+  const { rides } = useData();
+  const [ride, setRide] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function fetchRide() {
+      try {
+        const data = await rides.get(rideId);
+        setRide(data?.user_id === user.id ? data : null);
+      } catch (err) {
+        console.error("Error fetching ride:", err);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchRide();
+  }, [rideId, user.id, rides]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-500"></div>
+      </div>
+    );
+  }
+
+  if (!ride || !isEditable(ride)) {
+    return (
+      <div className="max-w-md mx-auto mt-12 text-center space-y-4">
+        <p className="text-gray-600">This ride can no longer be edited.</p>
+        <Link
+          to="/myposts"
+          className="text-sm font-medium text-blue-600 hover:text-blue-500"
+        >
+          Back to My Posts
+        </Link>
+      </div>
+    );
+  }
+
+  return <PostRide ride={ride} onPosted={onSaved} />;
+}
@@ -0,0 +1,38 @@
+import React from "react";
+import { TRANSPORT_LABELS, formatTaka } from "../../utils/fares";
+
+// Each rider's share of the fare, per transport type, from `estimateFares`
+export default function FareEstimate({ estimates, riders, className = "" }) {
+  if (!estimates?.length) return null;
+
+  return (
+    <div className={`flex items-center text-sm text-gray-500 ${className}`}>
+      <svg
+        className="w-5 h-5 mr-2 text-blue-500"
+        fill="none"
+        stroke="currentColor"
+        viewBox="0 0 24 24"
+      >
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeWidth="2"
+          d="M17 9V7a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-6a2 2 0 00-2-2H9a2 2 0 00-2 2v6a2 2 0 002 2zm7-5a2 2 0 11-4 0 2 2 0 014 0z"
+        />
+      </svg>
+      <span>
+        {estimates
+          .map(
+            ({ transport, perPerson }) =>
+              `${TRANSPORT_LABELS[transport]} ${formatTaka(perPerson)}`
+          )
+          .join(" · ")}{" "}
+        each
+        <span className="text-gray-400">
+          {" "}
+          (split {riders} {riders === 1 ? "way" : "ways"})
+        </span>
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import RequestStatusBadge from "./RequestStatusBadge";
+import { REQUEST_STATUS, sortRequestsForInbox } from "../../utils/rideRequests";
+import { hasFreeSeat } from "../../utils/seats";
+
+// Inbox of join requests for one of my rides. Accepting and declining are
+// handled by MyPosts through `onRespond(request, status)`.
+export default function JoinRequests({ ride, requests, onRespond }) {
+  if (!requests?.length) return null;
+
+  // Pending requests can still be declined once the ride is full
+  const canAccept = hasFreeSeat(ride);
+
+  return (
+    <div className="mt-3 ml-9">
+      <h4 className="text-sm font-medium text-gray-700 mb-2">Join requests</h4>
+      <ul className="divide-y divide-gray-100 rounded-md border border-gray-100">
+        {sortRequestsForInbox(requests).map((request) => (
+          <li
+            key={request.id}
+            className="flex items-center justify-between px-3 py-2"
+          >
+            <div className="flex items-center space-x-2">
+              <span className="text-sm text-gray-900">
+                {request.profiles?.name || "A rider"}
+              </span>
+              <RequestStatusBadge status={request.status} />
+              <Link
+                to={`/chat/${request.ride_id}/${request.requester_id}`}
+                className="text-sm font-medium text-blue-600 hover:text-blue-800"
+              >
+                Message
+              </Link>
+            </div>
+            {request.status === REQUEST_STATUS.PENDING && (
+              <div className="flex items-center space-x-3">
+                <button
+                  onClick={() => onRespond(request, REQUEST_STATUS.ACCEPTED)}
+                  disabled={!canAccept}
+                  title={canAccept ? undefined : "No seats left"}
+                  className="text-sm font-medium text-green-600 hover:text-green-800 disabled:text-gray-400 disabled:cursor-not-allowed"
+                >
+                  Accept
+                </button>
+                <button
+                  onClick={() => onRespond(request, REQUEST_STATUS.DECLINED)}
+                  className="text-sm font-medium text-red-600 hover:text-red-800"
+                >
+                  Decline
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
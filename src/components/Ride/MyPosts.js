@@ -1,29 +1,160 @@
-import React, { useEffect, useState } from "react";
-import { supabase } from "../../services/supabaseClient";
+import React, { useEffect, useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
+import { useData } from "../../contexts/DataContext";
+import { isConflict } from "../../services/errors";
+import { CACHE_COLLECTIONS, offlineCache } from "../../services/offlineCache";
+import {
+  DEFAULT_RADIUS_KM,
+  countMatchesByRide,
+} from "../../utils/rideMatching";
+import { isRecurring } from "../../utils/recurrence";
+import RideSeries from "./RideSeries";
+import JoinRequests from "./JoinRequests";
+import { useLocations } from "../../hooks/useLocations";
+import { useFares } from "../../hooks/useFares";
+import { useRideChanges } from "../../hooks/useRideChanges";
+import { applyRideChange } from "../../utils/rideChanges";
+import { REQUEST_STATUS, canRespond } from "../../utils/rideRequests";
+import {
+  RIDE_STATUS,
+  canChangeStatus,
+  getEffectiveStatus,
+  getMatchableOccurrences,
+  getStatusUpdates,
+  isEditable,
+  isUpcoming,
+} from "../../utils/rideStatus";
+import { countConfirmedRiders, describeSeats } from "../../utils/seats";
+import { estimateFares } from "../../utils/fares";
+import FareEstimate from "./FareEstimate";
+import RidePreferenceBadges from "./RidePreferenceBadges";
+import {
+  DEFAULT_PARTNER_PREFERENCE,
+  PARTNER_PREFERENCES,
+  isOpenToAnyone,
+} from "../../utils/partnerPreference";
+import RideStatusBadge from "./RideStatusBadge";
+import PendingRatings from "./PendingRatings";
+import { getRidePath } from "../../utils/rideLinks";
+import { nextCalendarSequence } from "../../utils/ical";
+import {
+  downloadRideCalendar,
+  refreshCalendarFeed,
+} from "../../services/calendar";
+
+// Helper function to generate consistent class names for the tabs
+const getTabClassName = (tab, tabName) =>
+  `px-4 py-2 text-sm font-medium rounded-md transition-colors duration-200 ${
+    tab === tabName
+      ? "bg-blue-600 text-white"
+      : "text-gray-600 hover:bg-gray-100"
+  }`;
+
+// Save the statuses of rides that expired or completed since last time
+const syncStatuses = async (rideStore, rides) => {
+  const updates = getStatusUpdates(rides);
+  await Promise.all(
+    updates.map(({ id, status }) =>
+      rideStore
+        .update(id, { status })
+        .catch((error) => console.error("Error updating ride status:", error))
+    )
+  );
+  return rides.map((ride) => {
+    const update = updates.find((u) => u.id === ride.id);
+    return update ? { ...ride, status: update.status } : ride;
+  });
+};
 
 export default function MyPosts() {
   const { user } = useAuth();
+  const backend = useData();
   const [myRides, setMyRides] = useState([]);
+  const [candidates, setCandidates] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const { resolveLocation, locateLocation } = useLocations();
+  const { fares } = useFares();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [deleteId, setDeleteId] = useState(null);
+  const [cancelId, setCancelId] = useState(null);
+  const [tab, setTab] = useState("upcoming");
+  // Set when arriving from a push notification about one of my rides
+  const [searchParams] = useSearchParams();
+  const linkedRideId = searchParams.get("ride");
 
   useEffect(() => {
     async function fetchMyRides() {
+      let cached = [];
       try {
         setLoading(true);
         setError(null);
-        const { data, error } = await supabase
-          .from("rides")
-          .select("*")
-          .eq("user_id", user.id)
-          .order("created_at", { ascending: false });
-
-        if (error) throw error;
-        setMyRides(data || []);
+
+        // Show my cached rides straight away, then refetch unless they are
+        // all still fresh
+        cached = await Promise.all(
+          [
+            CACHE_COLLECTIONS.MY_RIDES,
+            CACHE_COLLECTIONS.MY_RIDE_REQUESTS,
+            CACHE_COLLECTIONS.CANDIDATES,
+          ].map((collection) => offlineCache.read(user.id, collection))
+        );
+        const [cachedRides, cachedRequests, cachedCandidates] = cached;
+        if (cachedRides) {
+          setMyRides(cachedRides.value);
+          setRequests(cachedRequests?.value || []);
+          setCandidates(cachedCandidates?.value || []);
+          setLoading(false);
+          if (cached.every((entry) => entry && !entry.stale)) return;
+        }
+
+        const data = await syncStatuses(
+          backend.rides,
+          await backend.rides.listByUser(user.id)
+        );
+        setMyRides(data);
+        offlineCache.write(user.id, CACHE_COLLECTIONS.MY_RIDES, data);
+        refreshCalendarFeed(user.id);
+
+        const rideRequests = data.length
+          ? await backend.rideRequests.listForRides(data.map((ride) => ride.id))
+          : [];
+        setRequests(rideRequests);
+        offlineCache.write(
+          user.id,
+          CACHE_COLLECTIONS.MY_RIDE_REQUESTS,
+          rideRequests
+        );
+
+        // Count potential partners for each ride; failures here are not fatal.
+        // Only rides my rides could be matched with are loaded.
+        try {
+          const candidateRides = data.length
+            ? await backend.rides.listCandidates(
+                {
+                  gender: data[0].gender,
+                  partner_preference: data.some(isOpenToAnyone)
+                    ? PARTNER_PREFERENCES.ANYONE
+                    : DEFAULT_PARTNER_PREFERENCE,
+                },
+                user.id
+              )
+            : [];
+          setCandidates(candidateRides);
+          offlineCache.write(
+            user.id,
+            CACHE_COLLECTIONS.CANDIDATES,
+            candidateRides
+          );
+        } catch (candidatesError) {
+          console.error("Error fetching candidate rides:", candidatesError);
+        }
       } catch (err) {
-        setError("Failed to load your rides. Please try again.");
+        // Cached rides stay on screen when refetching fails
+        if (!cached[0]) {
+          setError("Failed to load your rides. Please try again.");
+        }
         console.error("Error:", err);
       } finally {
         setLoading(false);
@@ -31,20 +162,125 @@ export default function MyPosts() {
     }
 
     fetchMyRides();
-  }, [user]);
+  }, [user, backend]);
+
+  // Keep the offline cache in step with my changes and realtime updates
+  useEffect(() => {
+    if (loading) return;
+    offlineCache.update(user.id, CACHE_COLLECTIONS.MY_RIDES, myRides);
+    offlineCache.update(user.id, CACHE_COLLECTIONS.MY_RIDE_REQUESTS, requests);
+    offlineCache.update(user.id, CACHE_COLLECTIONS.CANDIDATES, candidates);
+  }, [user, myRides, requests, candidates, loading]);
+
+  // Keep my rides and the partner counts live
+  useRideChanges(`rides-myposts-${user.id}`, (payload) => {
+    const row = payload.eventType === "DELETE" ? payload.old : payload.new;
+    if (payload.eventType === "DELETE" || row.user_id !== user.id) {
+      setCandidates((current) => applyRideChange(current, payload));
+    }
+    if (payload.eventType === "DELETE" || row.user_id === user.id) {
+      setMyRides((current) => applyRideChange(current, payload));
+    }
+  });
+
+  const matchCounts = useMemo(
+    () =>
+      countMatchesByRide(
+        getMatchableOccurrences(myRides),
+        getMatchableOccurrences(candidates),
+        {
+          resolveLocation,
+          locateLocation,
+          radiusKm: DEFAULT_RADIUS_KM,
+        }
+      ),
+    [myRides, candidates, resolveLocation, locateLocation]
+  );
+
+  const handleRespond = async (request, status) => {
+    const ride = myRides.find((r) => r.id === request.ride_id);
+    if (!canRespond(ride, request, status)) {
+      if (status === REQUEST_STATUS.ACCEPTED) {
+        setError("This ride has no seats left.");
+      }
+      return;
+    }
+    try {
+      if (status === REQUEST_STATUS.ACCEPTED) {
+        // Taking the seat happens in the same step on the server, so quick
+        // accepts from two tabs can't overbook the ride
+        const updated = await backend.rideRequests.accept(request.id);
+        setMyRides((current) =>
+          current.map((r) => (r.id === updated.id ? { ...r, ...updated } : r))
+        );
+      } else {
+        await backend.rideRequests.updateStatus(request.id, status);
+      }
+
+      setRequests((current) =>
+        current.map((r) => (r.id === request.id ? { ...r, status } : r))
+      );
+    } catch (err) {
+      setError(
+        isConflict(err)
+          ? "Couldn't accept: the ride is full or the request was withdrawn."
+          : "Failed to update the join request. Please try again."
+      );
+      console.error("Error:", err);
+    }
+  };
 
   const handleDelete = async (id) => {
     try {
-      const { error } = await supabase.from("rides").delete().eq("id", id);
-      if (error) throw error;
+      await backend.rides.remove(id);
       setMyRides(myRides.filter((ride) => ride.id !== id));
       setDeleteId(null);
+      refreshCalendarFeed(user.id);
     } catch (err) {
       setError("Failed to delete the ride. Please try again.");
       console.error("Error:", err);
     }
   };
 
+  const handleCancelRide = async (ride) => {
+    if (!canChangeStatus(getEffectiveStatus(ride), RIDE_STATUS.CANCELLED)) {
+      return;
+    }
+    try {
+      const changes = {
+        status: RIDE_STATUS.CANCELLED,
+        ...nextCalendarSequence(ride),
+      };
+      await backend.rides.update(ride.id, changes);
+      setMyRides((current) =>
+        current.map((r) => (r.id === ride.id ? { ...r, ...changes } : r))
+      );
+      setCancelId(null);
+      refreshCalendarFeed(user.id);
+    } catch (err) {
+      setError("Failed to cancel the ride. Please try again.");
+      console.error("Error:", err);
+    }
+  };
+
+  const upcomingRides = myRides.filter((ride) => isUpcoming(ride));
+  const pastRides = myRides.filter((ride) => !isUpcoming(ride));
+  const visibleRides = tab === "upcoming" ? upcomingRides : pastRides;
+
+  const handleUpdateRecurrence = async (ride, recurrence) => {
+    try {
+      const changes = { recurrence, ...nextCalendarSequence(ride) };
+      await backend.rides.update(ride.id, changes);
+      setMyRides(
+        myRides.map((r) => (r.id === ride.id ? { ...r, ...changes } : r))
+      );
+      refreshCalendarFeed(user.id);
+    } catch (err) {
+      setError("Failed to update the ride schedule. Please try again.");
+      console.error("Error:", err);
+    }
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -89,6 +325,8 @@ export default function MyPosts() {
         </div>
       )}
 
+      <PendingRatings myRides={myRides} requests={requests} />
+
       {myRides.length === 0 ? (
         <div className="bg-white shadow sm:rounded-lg">
           <div className="px-4 py-5 sm:p-6">
@@ -117,9 +355,35 @@ export default function MyPosts() {
         </div>
       ) : (
         <div className="bg-white shadow overflow-hidden sm:rounded-md">
+          <div className="flex space-x-2 p-4 border-b border-gray-200">
+            <button
+              onClick={() => setTab("upcoming")}
+              className={getTabClassName(tab, "upcoming")}
+            >
+              Upcoming ({upcomingRides.length})
+            </button>
+            <button
+              onClick={() => setTab("past")}
+              className={getTabClassName(tab, "past")}
+            >
+              Past ({pastRides.length})
+            </button>
+          </div>
+          {visibleRides.length === 0 && (
+            <p className="px-4 py-6 text-center text-sm text-gray-500">
+              {tab === "upcoming"
+                ? "No upcoming rides."
+                : "Past, cancelled and expired rides will show up here."}
+            </p>
+          )}
           <ul className="divide-y divide-gray-200">
-            {myRides.map((ride) => (
-              <li key={ride.id}>
+            {visibleRides.map((ride) => (
+              <li
+                key={ride.id}
+                className={
+                  String(ride.id) === linkedRideId ? "bg-blue-50" : undefined
+                }
+              >
                 <div className="px-4 py-4 sm:px-6">
                   <div className="flex items-center justify-between">
                     <div className="sm:flex sm:items-center sm:justify-between flex-1 mr-4">
@@ -146,11 +410,14 @@ export default function MyPosts() {
                           </svg>
                         </div>
                         <div className="ml-3">
-                          <p className="text-sm font-medium text-gray-900">
+                          <Link
+                            to={getRidePath(ride)}
+                            className="text-sm font-medium text-gray-900 hover:text-blue-600"
+                          >
                             {ride.from} → {ride.to}
-                          </p>
+                          </Link>
                           <p className="text-sm text-gray-500">
-                            Time:{" "}
+                            {isRecurring(ride) ? "Starts" : "Time"}:{" "}
                             {ride.time
                               ? new Date(ride.time).toLocaleString("en-US", {
                                   month: "short",
@@ -161,11 +428,82 @@ export default function MyPosts() {
                                 })
                               : "Time not specified"}
                           </p>
+                          <div className="mt-1 flex flex-wrap items-center gap-2">
+                            <RideStatusBadge
+                              status={getEffectiveStatus(ride)}
+                            />
+                            {getEffectiveStatus(ride) === RIDE_STATUS.OPEN && (
+                              <span className="text-xs text-gray-500">
+                                {describeSeats(ride)}
+                              </span>
+                            )}
+                          </div>
+                          <RidePreferenceBadges ride={ride} className="mt-1" />
+                          {matchCounts[ride.id] > 0 && (
+                            <p className="mt-1 inline-flex px-2 text-xs leading-5 font-semibold rounded-full bg-blue-100 text-blue-800">
+                              {matchCounts[ride.id]} potential{" "}
+                              {matchCounts[ride.id] === 1
+                                ? "partner"
+                                : "partners"}
+                            </p>
+                          )}
+                          <FareEstimate
+                            estimates={estimateFares(
+                              fares,
+                              ride,
+                              countConfirmedRiders(ride),
+                              resolveLocation
+                            )}
+                            riders={countConfirmedRiders(ride)}
+                            className="mt-1"
+                          />
                         </div>
                       </div>
                     </div>
                     <div className="flex items-center space-x-2">
-                      {deleteId === ride.id ? (
+                      <button
+                        onClick={() => downloadRideCalendar(ride)}
+                        title="Download as a calendar event"
+                        className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                      >
+                        Calendar
+                      </button>
+                      {isEditable(ride) &&
+                        cancelId !== ride.id &&
+                        deleteId !== ride.id && (
+                          <Link
+                            to={`/edit/${ride.id}`}
+                            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                          >
+                            Edit
+                          </Link>
+                        )}
+                      {tab === "upcoming" &&
+                        deleteId !== ride.id &&
+                        (cancelId === ride.id ? (
+                          <div className="flex items-center space-x-2">
+                            <button
+                              onClick={() => handleCancelRide(ride)}
+                              className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-yellow-600 hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-yellow-500"
+                            >
+                              Confirm
+                            </button>
+                            <button
+                              onClick={() => setCancelId(null)}
+                              className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                            >
+                              Keep
+                            </button>
+                          </div>
+                        ) : (
+                          <button
+                            onClick={() => setCancelId(ride.id)}
+                            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                          >
+                            Cancel ride
+                          </button>
+                        ))}
+                      {cancelId === ride.id ? null : deleteId === ride.id ? (
                         <div className="flex items-center space-x-2">
                           <button
                             onClick={() => handleDelete(ride.id)}
@@ -185,11 +523,26 @@ export default function MyPosts() {
                           onClick={() => setDeleteId(ride.id)}
                           className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
                         >
-                          Delete
+                          {isRecurring(ride) ? "Delete series" : "Delete"}
                         </button>
                       )}
                     </div>
                   </div>
+                  {tab === "upcoming" && (
+                    <JoinRequests
+                      ride={ride}
+                      requests={requests.filter((r) => r.ride_id === ride.id)}
+                      onRespond={handleRespond}
+                    />
+                  )}
+                  {tab === "upcoming" && isRecurring(ride) && (
+                    <RideSeries
+                      ride={ride}
+                      onUpdate={(recurrence) =>
+                        handleUpdateRecurrence(ride, recurrence)
+                      }
+                    />
+                  )}
                 </div>
               </li>
             ))}
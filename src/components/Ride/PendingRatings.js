@@ -0,0 +1,79 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../../contexts/AuthContext";
+import { useData } from "../../contexts/DataContext";
+import { REQUEST_STATUS } from "../../utils/rideRequests";
+import { getPendingRatings } from "../../utils/ratings";
+import { getRidePath } from "../../utils/rideLinks";
+
+// Reminds me to rate partners on rides that have finished: rides I posted
+// (`myRides`, with their `requests`) and rides I was accepted on
+export default function PendingRatings({ myRides, requests }) {
+  const { user } = useAuth();
+  const backend = useData();
+  const [joinedRides, setJoinedRides] = useState([]);
+  const [myRatings, setMyRatings] = useState([]);
+
+  useEffect(() => {
+    async function fetchRatingData() {
+      try {
+        const [myRequests, ratings] = await Promise.all([
+          backend.rideRequests.listByRequester(user.id),
+          backend.ratings.listByRater(user.id),
+        ]);
+        setMyRatings(ratings);
+
+        const ids = myRequests
+          .filter((request) => request.status === REQUEST_STATUS.ACCEPTED)
+          .map((request) => request.ride_id);
+        setJoinedRides(await backend.rides.listByIds(ids));
+      } catch (error) {
+        console.error("Error fetching joined rides:", error);
+      }
+    }
+
+    fetchRatingData();
+  }, [user, backend]);
+
+  const pending = useMemo(
+    () =>
+      getPendingRatings(
+        [...myRides, ...joinedRides],
+        [
+          ...requests,
+          ...joinedRides.map((ride) => ({
+            ride_id: ride.id,
+            requester_id: user.id,
+            status: REQUEST_STATUS.ACCEPTED,
+          })),
+        ],
+        myRatings,
+        user.id
+      ),
+    [myRides, joinedRides, requests, myRatings, user.id]
+  );
+
+  if (pending.length === 0) return null;
+
+  return (
+    <div className="mb-6 rounded-md bg-yellow-50 border border-yellow-200 px-4 py-3">
+      <h3 className="text-sm font-medium text-yellow-800">
+        Rate your recent rides
+      </h3>
+      <ul className="mt-1 space-y-1">
+        {pending.map(({ ride, partnerIds }) => (
+          <li key={ride.id} className="text-sm text-yellow-700">
+            <Link
+              to={getRidePath(ride)}
+              className="font-medium underline hover:text-yellow-900"
+            >
+              {ride.from} → {ride.to}
+            </Link>{" "}
+            ({partnerIds.length}{" "}
+            {partnerIds.length === 1 ? "partner" : "partners"} to rate)
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -1,39 +1,93 @@
-import React, { useState } from "react";
-import { supabase } from "../../services/supabaseClient";
+import React, { useEffect, useState } from "react";
 import { useAuth } from "../../contexts/AuthContext";
+import { useData } from "../../contexts/DataContext";
+import RecurrenceFields from "./RecurrenceFields";
+import { useLocations } from "../../hooks/useLocations";
+import { RIDE_STATUS, getMatchableOccurrences } from "../../utils/rideStatus";
+import { DEFAULT_RADIUS_KM, findMatches } from "../../utils/rideMatching";
+import { NOTIFICATION_TYPES } from "../../utils/notifications";
+import { notifyRideParticipants, queueNotification } from "../../services/push";
+import { SEAT_OPTIONS, getInitialSeats, resizeSeats } from "../../utils/seats";
+import { nextCalendarSequence } from "../../utils/ical";
+import { refreshCalendarFeed } from "../../services/calendar";
+import {
+  EMPTY_RIDE_FORM,
+  getRideForm,
+  validateRideForm,
+} from "../../utils/rideForm";
+import {
+  TRANSPORT_MODE_LABELS,
+  toStoredPreferences,
+} from "../../utils/ridePreferences";
+import {
+  PARTNER_PREFERENCE_LABELS,
+  getPartnerPreference,
+} from "../../utils/partnerPreference";
 
-export default function PostRide({ onPosted }) {
+const PREFERENCE_FLAGS = [
+  { key: "luggage", label: "I'm bringing luggage" },
+  { key: "quiet", label: "I'd like a quiet ride" },
+  { key: "accessible", label: "I need an accessible vehicle" },
+];
+
+// Posts a new ride, or edits `ride` in place when one is given
+export default function PostRide({ ride: editing, onPosted }) {
   const { user } = useAuth();
-  const [from, setFrom] = useState("");
-  const [to, setTo] = useState("");
-  const [date, setDate] = useState("");
-  const [time, setTime] = useState("");
+  const { profiles, rides } = useData();
+  const { locations, resolveLocation, locateLocation } = useLocations();
+  const [initial] = useState(() =>
+    editing ? getRideForm(editing) : EMPTY_RIDE_FORM
+  );
+  const [from, setFrom] = useState(initial.from);
+  const [to, setTo] = useState(initial.to);
+  const [date, setDate] = useState(initial.date);
+  const [time, setTime] = useState(initial.time);
+  const [repeat, setRepeat] = useState(initial.repeat);
+  const [recurrence, setRecurrence] = useState(initial.recurrence);
+  const [seatsTotal, setSeatsTotal] = useState(initial.seatsTotal);
+  const [companions, setCompanions] = useState(initial.companions);
+  const [preferences, setPreferences] = useState(initial.preferences);
+  const [partnerPreference, setPartnerPreference] = useState(
+    initial.partnerPreference
+  );
   const [error, setError] = useState("");
 
+  // New rides start from the partner preference on my profile
+  useEffect(() => {
+    if (editing) return;
+    profiles
+      .get(user.id)
+      .then((profile) => setPartnerPreference(getPartnerPreference(profile)))
+      .catch((err) => console.error("Error fetching profile:", err));
+  }, [editing, user, profiles]);
+
   const handlePost = async (e) => {
     e.preventDefault();
-    if (!from || !to || !date || !time) {
-      setError("All fields required");
-      return;
-    }
-
-    // Validate if the selected date and time is in the future
-    const selectedDateTime = new Date(`${date}T${time}`);
-    if (selectedDateTime < new Date()) {
-      setError("Please select a future date and time");
+    const { error: formError, time: datetime } = validateRideForm(
+      {
+        from,
+        to,
+        date,
+        time,
+        repeat,
+        recurrence,
+        seatsTotal,
+        companions,
+      },
+      new Date(),
+      { editing }
+    );
+    if (formError) {
+      setError(formError);
       return;
     }
 
-    // Combine date and time for database
-    const datetime = selectedDateTime.toISOString();
     // Get user gender from profile
-    const { data: profile, error: profileError } = await supabase
-      .from("profiles")
-      .select("gender")
-      .eq("user_id", user.id)
-      .single();
-
-    if (profileError) {
+    let profile;
+    try {
+      profile = await profiles.get(user.id);
+    } catch (err) {
+      console.error("Error fetching profile:", err);
       setError("Error fetching profile. Please try again.");
       return;
     }
@@ -43,15 +97,88 @@ export default function PostRide({ onPosted }) {
       return;
     }
 
-    const { error } = await supabase.from("rides").insert({
-      user_id: user.id,
-      from,
-      to,
-      time: datetime,
-      gender: profile.gender,
+    if (editing) {
+      await saveChanges(datetime, profile.name);
+      return;
+    }
+
+    let ride;
+    try {
+      ride = await rides.create({
+        user_id: user.id,
+        from,
+        to,
+        time: datetime,
+        gender: profile.gender,
+        partner_preference: partnerPreference,
+        recurrence: repeat ? recurrence : null,
+        seats_total: seatsTotal,
+        companions,
+        seats_available: getInitialSeats(seatsTotal, companions),
+        preferences: toStoredPreferences(preferences),
+        status: RIDE_STATUS.OPEN,
+      });
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    notifyMatchingRiders(ride, profile.name);
+    refreshCalendarFeed(user.id);
+    onPosted();
+  };
+
+  // Update the ride in place so requests and conversations stay attached,
+  // then let everyone involved know what changed
+  const saveChanges = async (datetime, posterName) => {
+    let ride;
+    try {
+      ride = await rides.update(
+        editing.id,
+        {
+          from,
+          to,
+          time: datetime,
+          recurrence: repeat ? recurrence : null,
+          ...resizeSeats(editing, seatsTotal, companions),
+          partner_preference: partnerPreference,
+          preferences: toStoredPreferences(preferences),
+          ...nextCalendarSequence(editing),
+        },
+        { ownerId: user.id }
+      );
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    notifyRideParticipants(NOTIFICATION_TYPES.RIDE_UPDATED, ride, {
+      name: posterName,
     });
-    if (error) setError(error.message);
-    else onPosted();
+    refreshCalendarFeed(user.id);
+    onPosted();
+  };
+
+  // Let riders whose rides match this one know, once per rider. Runs in
+  // the background so posting isn't held up.
+  const notifyMatchingRiders = async (ride, posterName) => {
+    let candidates;
+    try {
+      candidates = await rides.listCandidates(ride, user.id);
+    } catch (err) {
+      console.error("Error finding riders to notify:", err);
+      return;
+    }
+
+    const matches = findMatches(
+      getMatchableOccurrences([ride]),
+      getMatchableOccurrences(candidates),
+      { resolveLocation, locateLocation, radiusKm: DEFAULT_RADIUS_KM }
+    );
+    const riders = [...new Set(matches.map((match) => match.user_id))];
+    riders.forEach((riderId) =>
+      queueNotification(NOTIFICATION_TYPES.NEW_MATCH, riderId, ride, {
+        name: posterName,
+      })
+    );
   };
 
   return (
@@ -61,9 +188,13 @@ export default function PostRide({ onPosted }) {
         className="w-full max-w-md bg-white rounded-xl shadow-lg p-8 space-y-6"
       >
         <div className="text-center">
-          <h2 className="text-3xl font-bold text-gray-900">Post a Ride</h2>
+          <h2 className="text-3xl font-bold text-gray-900">
+            {editing ? "Edit Ride" : "Post a Ride"}
+          </h2>
           <p className="mt-2 text-sm text-gray-600">
-            Share your journey with others
+            {editing
+              ? "Riders who joined or messaged you will be told"
+              : "Share your journey with others"}
           </p>
         </div>
 
@@ -83,9 +214,11 @@ export default function PostRide({ onPosted }) {
               required
             >
               <option value="">Select pickup location</option>
-              <option value="Campus">Campus</option>
-              <option value="Kuril">Kuril</option>
-              <option value="Future Park">Future Park</option>
+              {locations.map((location) => (
+                <option key={location.id} value={location.name}>
+                  {location.name}
+                </option>
+              ))}
             </select>
           </div>
 
@@ -104,9 +237,11 @@ export default function PostRide({ onPosted }) {
               required
             >
               <option value="">Select drop location</option>
-              <option value="Campus">Campus</option>
-              <option value="Kuril">Kuril</option>
-              <option value="Future Park">Future Park</option>
+              {locations.map((location) => (
+                <option key={location.id} value={location.name}>
+                  {location.name}
+                </option>
+              ))}
             </select>
           </div>
 
@@ -144,6 +279,147 @@ export default function PostRide({ onPosted }) {
               required
             />
           </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label
+                htmlFor="seats"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Total Seats
+              </label>
+              <select
+                id="seats"
+                value={seatsTotal}
+                onChange={(e) => {
+                  const value = Number(e.target.value);
+                  setSeatsTotal(value);
+                  setCompanions(Math.min(companions, value - 2));
+                }}
+                className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              >
+                {SEAT_OPTIONS.map((seats) => (
+                  <option key={seats} value={seats}>
+                    {seats}, including you
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label
+                htmlFor="companions"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Already With You
+              </label>
+              <select
+                id="companions"
+                value={companions}
+                onChange={(e) => setCompanions(Number(e.target.value))}
+                className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              >
+                {Array.from({ length: seatsTotal - 1 }, (_, count) => (
+                  <option key={count} value={count}>
+                    {count === 0 ? "Just me" : `${count} more`}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="-mt-2 text-xs text-gray-500">
+            {getInitialSeats(seatsTotal, companions)} seat
+            {getInitialSeats(seatsTotal, companions) === 1 ? "" : "s"} open to
+            partners
+          </p>
+
+          <div>
+            <label
+              htmlFor="partnerPreference"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Ride With
+            </label>
+            <select
+              id="partnerPreference"
+              value={partnerPreference}
+              onChange={(e) => setPartnerPreference(e.target.value)}
+              className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            >
+              {Object.entries(PARTNER_PREFERENCE_LABELS).map(
+                ([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                )
+              )}
+            </select>
+          </div>
+
+          <div>
+            <label
+              htmlFor="transport"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Transport
+            </label>
+            <select
+              id="transport"
+              value={preferences.transport}
+              onChange={(e) =>
+                setPreferences({ ...preferences, transport: e.target.value })
+              }
+              className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            >
+              <option value="">Any</option>
+              {Object.entries(TRANSPORT_MODE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <fieldset className="space-y-2">
+            <legend className="block text-sm font-medium text-gray-700 mb-1">
+              Preferences (optional)
+            </legend>
+            {PREFERENCE_FLAGS.map(({ key, label }) => (
+              <label
+                key={key}
+                className="flex items-center text-sm text-gray-700"
+              >
+                <input
+                  type="checkbox"
+                  checked={preferences[key]}
+                  onChange={(e) =>
+                    setPreferences({ ...preferences, [key]: e.target.checked })
+                  }
+                  className="h-4 w-4 mr-2 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                {label}
+              </label>
+            ))}
+          </fieldset>
+
+          <div>
+            <label className="flex items-center text-sm font-medium text-gray-700">
+              <input
+                type="checkbox"
+                checked={repeat}
+                onChange={(e) => setRepeat(e.target.checked)}
+                className="h-4 w-4 mr-2 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+              />
+              Repeat this ride (daily commute)
+            </label>
+          </div>
+
+          {repeat && (
+            <RecurrenceFields
+              value={recurrence}
+              onChange={setRecurrence}
+              minDate={date || new Date().toISOString().split("T")[0]}
+            />
+          )}
         </div>
 
         {error && (
@@ -173,7 +449,7 @@ export default function PostRide({ onPosted }) {
           type="submit"
           className="w-full flex justify-center py-3 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors duration-200"
         >
-          Post Ride
+          {editing ? "Save Changes" : "Post Ride"}
         </button>
       </form>
     </div>
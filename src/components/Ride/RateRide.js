@@ -0,0 +1,134 @@
+import React, { useState } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { useData } from "../../contexts/DataContext";
+import {
+  MAX_SCORE,
+  RATING_TAG_LABELS,
+  validateRating,
+} from "../../utils/ratings";
+
+const SCORES = Array.from({ length: MAX_SCORE }, (_, i) => i + 1);
+
+function PartnerRating({ ride, partner, onRated }) {
+  const { user } = useAuth();
+  const backend = useData();
+  const [score, setScore] = useState(0);
+  const [tags, setTags] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const toggleTag = (tag) =>
+    setTags((current) =>
+      current.includes(tag)
+        ? current.filter((t) => t !== tag)
+        : [...current, tag]
+    );
+
+  const handleSubmit = async () => {
+    const validationError = validateRating({ score, tags });
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSaving(true);
+    let rating;
+    try {
+      rating = await backend.ratings.create({
+        ride_id: ride.id,
+        rater_id: user.id,
+        ratee_id: partner.user_id,
+        score,
+        tags,
+      });
+    } catch (err) {
+      console.error("Error saving rating:", err);
+      setError("Could not save your rating. Please try again.");
+      return;
+    } finally {
+      setSaving(false);
+    }
+    onRated(rating);
+  };
+
+  return (
+    <li className="py-3 space-y-2">
+      <p className="text-sm font-medium text-gray-900">
+        {partner.name || "Your partner"}
+      </p>
+      <div className="flex space-x-1">
+        {SCORES.map((value) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setScore(value)}
+            aria-label={`${value} out of ${MAX_SCORE}`}
+            className={`text-2xl leading-none ${
+              value <= score ? "text-yellow-400" : "text-gray-300"
+            } hover:text-yellow-500`}
+          >
+            ★
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(RATING_TAG_LABELS).map(([tag, label]) => (
+          <button
+            key={tag}
+            type="button"
+            onClick={() => toggleTag(tag)}
+            className={`px-2 py-1 text-xs font-medium rounded-full border ${
+              tags.includes(tag)
+                ? "bg-blue-100 text-blue-800 border-blue-200"
+                : "bg-white text-gray-600 border-gray-300"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {error && <p className="text-sm text-red-700">{error}</p>}
+      <button
+        type="button"
+        onClick={handleSubmit}
+        disabled={saving || score === 0}
+        className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+      >
+        Submit rating
+      </button>
+    </li>
+  );
+}
+
+// Rate the other people on a completed ride. `partners` are
+// `{ user_id, name }`; `ratings` are the ones I have already left.
+export default function RateRide({ ride, partners, ratings, onRated }) {
+  const ratedIds = new Set(ratings.map((rating) => rating.ratee_id));
+  const pending = partners.filter((partner) => !ratedIds.has(partner.user_id));
+
+  if (partners.length === 0) return null;
+
+  return (
+    <div className="rounded-md border border-gray-200 px-3 py-2">
+      <h3 className="text-sm font-medium text-gray-700">
+        How did the ride go?
+      </h3>
+      {pending.length === 0 ? (
+        <p className="mt-1 text-sm text-gray-500">
+          Thanks, you've rated everyone on this ride.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {pending.map((partner) => (
+            <PartnerRating
+              key={partner.user_id}
+              ride={ride}
+              partner={partner}
+              onRated={onRated}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
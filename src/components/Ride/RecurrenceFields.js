@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import { WEEKDAYS } from "../../utils/recurrence";
+
+const INPUT_CLASS_NAME =
+  "appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 sm:text-sm";
+
+// Weekday picker, end date and skipped dates for a recurring ride. Used by
+// PostRide when creating a series and by MyPosts when editing one.
+export default function RecurrenceFields({ value, onChange, minDate }) {
+  const [skipDate, setSkipDate] = useState("");
+
+  const toggleWeekday = (weekday) => {
+    const weekdays = value.weekdays.includes(weekday)
+      ? value.weekdays.filter((d) => d !== weekday)
+      : [...value.weekdays, weekday].sort();
+    onChange({ ...value, weekdays });
+  };
+
+  const addSkipDate = () => {
+    if (!skipDate || value.skip_dates.includes(skipDate)) return;
+    onChange({
+      ...value,
+      skip_dates: [...value.skip_dates, skipDate].sort(),
+    });
+    setSkipDate("");
+  };
+
+  const removeSkipDate = (date) =>
+    onChange({
+      ...value,
+      skip_dates: value.skip_dates.filter((d) => d !== date),
+    });
+
+  return (
+    <div className="space-y-4 rounded-md border border-gray-200 p-4">
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-2">
+          Repeat on
+        </span>
+        <div className="flex flex-wrap gap-2">
+          {WEEKDAYS.map(({ value: weekday, label }) => (
+            <button
+              key={weekday}
+              type="button"
+              onClick={() => toggleWeekday(weekday)}
+              aria-pressed={value.weekdays.includes(weekday)}
+              className={`px-3 py-1 rounded-full text-sm font-medium border transition-colors duration-200 ${
+                value.weekdays.includes(weekday)
+                  ? "bg-blue-600 border-blue-600 text-white"
+                  : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label
+          htmlFor="until"
+          className="block text-sm font-medium text-gray-700 mb-1"
+        >
+          Repeat until
+        </label>
+        <input
+          id="until"
+          type="date"
+          value={value.until}
+          min={minDate}
+          onChange={(e) => onChange({ ...value, until: e.target.value })}
+          className={INPUT_CLASS_NAME}
+        />
+      </div>
+
+      <div>
+        <label
+          htmlFor="skipDate"
+          className="block text-sm font-medium text-gray-700 mb-1"
+        >
+          Skip dates
+        </label>
+        <div className="flex space-x-2">
+          <input
+            id="skipDate"
+            type="date"
+            value={skipDate}
+            min={minDate}
+            max={value.until || undefined}
+            onChange={(e) => setSkipDate(e.target.value)}
+            className={INPUT_CLASS_NAME}
+          />
+          <button
+            type="button"
+            onClick={addSkipDate}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Add
+          </button>
+        </div>
+        {value.skip_dates.length > 0 && (
+          <div className="mt-2 flex flex-wrap gap-2">
+            {value.skip_dates.map((date) => (
+              <span
+                key={date}
+                className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-gray-100 text-gray-700"
+              >
+                {date}
+                <button
+                  type="button"
+                  onClick={() => removeSkipDate(date)}
+                  className="ml-1 text-gray-400 hover:text-gray-600"
+                  aria-label={`Stop skipping ${date}`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import React from "react";
+import { describeReputation } from "../../utils/ratings";
+
+// Average rating from past ride partners, or "New" before the first one
+export default function ReputationBadge({ reputation }) {
+  return (
+    <span
+      className="inline-flex items-center text-xs font-medium text-gray-600"
+      title={
+        reputation?.count
+          ? `Rated ${reputation.average} out of 5 by ${reputation.count} ${
+              reputation.count === 1 ? "partner" : "partners"
+            }`
+          : "No ratings yet"
+      }
+    >
+      <svg
+        className="w-3.5 h-3.5 mr-0.5 text-yellow-400"
+        fill="currentColor"
+        viewBox="0 0 20 20"
+      >
+        <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+      </svg>
+      {describeReputation(reputation)}
+    </span>
+  );
+}
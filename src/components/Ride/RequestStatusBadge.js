@@ -0,0 +1,34 @@
+import React from "react";
+import { REQUEST_STATUS } from "../../utils/rideRequests";
+
+const BADGES = {
+  [REQUEST_STATUS.PENDING]: {
+    label: "Pending",
+    className: "bg-yellow-100 text-yellow-800",
+  },
+  [REQUEST_STATUS.ACCEPTED]: {
+    label: "Accepted",
+    className: "bg-green-100 text-green-800",
+  },
+  [REQUEST_STATUS.DECLINED]: {
+    label: "Declined",
+    className: "bg-red-100 text-red-800",
+  },
+  [REQUEST_STATUS.CANCELLED]: {
+    label: "Cancelled",
+    className: "bg-gray-100 text-gray-800",
+  },
+};
+
+export default function RequestStatusBadge({ status }) {
+  const badge = BADGES[status];
+  if (!badge) return null;
+
+  return (
+    <span
+      className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${badge.className}`}
+    >
+      {badge.label}
+    </span>
+  );
+}
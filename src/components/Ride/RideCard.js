@@ -0,0 +1,260 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import RequestStatusBadge from "./RequestStatusBadge";
+import ReputationBadge from "./ReputationBadge";
+import ReportButton from "../Report/ReportButton";
+import BlockButton from "../Report/BlockButton";
+import { describeRecurrence, getSeriesId } from "../../utils/recurrence";
+import { countConfirmedRiders, describeSeats } from "../../utils/seats";
+import { estimateFares } from "../../utils/fares";
+import FareEstimate from "./FareEstimate";
+import RidePreferenceBadges from "./RidePreferenceBadges";
+import {
+  REQUEST_STATUS,
+  canCancelRequest,
+  isActiveRequest,
+} from "../../utils/rideRequests";
+import { isRideOpen } from "../../utils/rideStatus";
+import { getRidePath } from "../../utils/rideLinks";
+
+// `highlighted` marks a ride that just arrived through the live feed.
+// `request` is my latest join request for the ride; the join actions are
+// hidden when their handlers are not passed (e.g. while offline).
+// `reputation` summarizes the poster's ratings (see utils/ratings).
+// `fares` is the tariff table the per-person fare is estimated from.
+export default function RideCard({
+  ride,
+  highlighted = false,
+  request,
+  reputation,
+  onRequestJoin,
+  onCancelRequest,
+  onAddToCalendar,
+  onBlockUser,
+  fares,
+  resolveLocation,
+}) {
+  const hasActiveRequest = isActiveRequest(request);
+  // The share if I join, unless I'm already one of the riders
+  const riders =
+    countConfirmedRiders(ride) +
+    (request?.status === REQUEST_STATUS.ACCEPTED ? 0 : 1);
+
+  return (
+    <div
+      className={`bg-white shadow-sm hover:shadow-md transition-shadow duration-200 rounded-lg p-4 sm:p-6 border ${
+        highlighted ? "border-blue-400 ring-2 ring-blue-200" : "border-gray-100"
+      }`}
+    >
+      <div className="flex items-center mb-4">
+        <div className="relative w-12 h-12">
+          {ride.profiles?.avatar_url ? (
+            <img
+              src={ride.profiles.avatar_url}
+              alt={ride.profiles.name}
+              className="w-full h-full rounded-full object-cover"
+            />
+          ) : (
+            <div className="w-full h-full bg-blue-100 rounded-full flex items-center justify-center">
+              <span className="text-blue-600 text-lg font-semibold">
+                {ride.profiles?.name?.charAt(0).toUpperCase()}
+              </span>
+            </div>
+          )}
+          <div className="absolute -bottom-1 -right-1 w-5 h-5 bg-green-100 border-2 border-white rounded-full flex items-center justify-center">
+            <span className="text-xs text-green-800">
+              {ride.profiles?.gender?.charAt(0).toUpperCase()}
+            </span>
+          </div>
+        </div>
+        <div className="ml-3 flex-grow">
+          <div className="flex items-center space-x-2">
+            <h3 className="font-semibold text-gray-900">
+              {ride.profiles?.name}
+            </h3>
+            <ReputationBadge reputation={reputation} />
+            {highlighted && (
+              <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-blue-100 text-blue-800">
+                New
+              </span>
+            )}
+            {hasActiveRequest && <RequestStatusBadge status={request.status} />}
+          </div>
+          <div className="flex items-center space-x-2">
+            <svg
+              className="w-4 h-4 text-gray-400"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth="2"
+                d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
+              />
+            </svg>
+            <p className="text-sm text-gray-500">
+              {new Date(ride.time).toLocaleString("en-US", {
+                weekday: "short",
+                month: "short",
+                day: "numeric",
+                hour: "numeric",
+                minute: "2-digit",
+                hour12: true,
+              })}
+            </p>
+          </div>
+          {ride.recurrence && (
+            <p className="text-xs text-gray-400">
+              {describeRecurrence(ride.recurrence)}
+            </p>
+          )}
+        </div>
+      </div>
+      <RidePreferenceBadges ride={ride} className="mb-4" />
+      {ride.match && (
+        <div className="mb-4 rounded-md bg-blue-50 px-3 py-2">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-semibold text-blue-700">
+              {ride.match.score}% match
+            </span>
+          </div>
+          <ul className="mt-1 space-y-0.5">
+            {ride.match.reasons.map((reason) => (
+              <li key={reason} className="text-xs text-blue-600">
+                {reason}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <div className="space-y-3 mb-4">
+        <div className="flex items-center text-gray-700">
+          <svg
+            className="w-5 h-5 mr-2 text-blue-500"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth="2"
+              d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"
+            />
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth="2"
+              d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"
+            />
+          </svg>
+          <div>
+            <div className="font-medium">{ride.from}</div>
+            <div className="flex items-center text-gray-500">
+              <svg
+                className="w-4 h-4 mx-2"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth="2"
+                  d="M19 14l-7 7m0 0l-7-7m7 7V3"
+                />
+              </svg>
+            </div>
+            <div className="font-medium">{ride.to}</div>
+          </div>
+        </div>
+        <div className="flex items-center text-sm text-gray-500">
+          <svg
+            className="w-5 h-5 mr-2 text-blue-500"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth="2"
+              d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z"
+            />
+          </svg>
+          {describeSeats(ride)}
+        </div>
+        <FareEstimate
+          estimates={estimateFares(fares, ride, riders, resolveLocation)}
+          riders={riders}
+        />
+      </div>
+      {!hasActiveRequest && isRideOpen(ride) && onRequestJoin && (
+        <button
+          onClick={() => onRequestJoin(ride)}
+          className="w-full mb-3 inline-flex items-center justify-center border border-blue-500 text-blue-600 hover:bg-blue-50 py-2 px-4 rounded-md text-sm font-medium transition-colors duration-200"
+        >
+          Request to join
+        </button>
+      )}
+      {canCancelRequest(request) && onCancelRequest && (
+        <button
+          onClick={() => onCancelRequest(request)}
+          className="w-full mb-3 inline-flex items-center justify-center border border-gray-300 text-gray-700 hover:bg-gray-50 py-2 px-4 rounded-md text-sm font-medium transition-colors duration-200"
+        >
+          {request.status === REQUEST_STATUS.ACCEPTED
+            ? "Leave ride"
+            : "Cancel request"}
+        </button>
+      )}
+      <Link
+        to={`/chat/${getSeriesId(ride)}/${ride.user_id}`}
+        className="w-full inline-flex items-center justify-center bg-blue-500 hover:bg-blue-600 active:bg-blue-700 text-white py-3 px-4 rounded-md text-sm font-medium transition-colors duration-200 touch-action-manipulation"
+      >
+        <svg
+          className="w-5 h-5 mr-2"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth="2"
+            d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z"
+          />
+        </svg>
+        Message
+      </Link>
+      <div className="mt-2 flex justify-center space-x-4 text-sm font-medium">
+        <Link
+          to={getRidePath(ride)}
+          className="text-blue-600 hover:text-blue-500"
+        >
+          View details
+        </Link>
+        {onAddToCalendar && (
+          <button
+            onClick={() => onAddToCalendar(ride)}
+            className="text-blue-600 hover:text-blue-500"
+          >
+            Add to calendar
+          </button>
+        )}
+        <ReportButton
+          reportedUserId={ride.user_id}
+          rideId={getSeriesId(ride)}
+        />
+        {onBlockUser && (
+          <BlockButton
+            userId={ride.user_id}
+            name={ride.profiles?.name}
+            onBlock={onBlockUser}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,416 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { queueNotification } from "../../services/push";
+import { downloadRideCalendar } from "../../services/calendar";
+import { useAuth } from "../../contexts/AuthContext";
+import { useData } from "../../contexts/DataContext";
+import { useLocations } from "../../hooks/useLocations";
+import { useDocumentMetadata } from "../../hooks/useDocumentMetadata";
+import { useBlockedUsers } from "../../hooks/useBlockedUsers";
+import RequestStatusBadge from "./RequestStatusBadge";
+import RideStatusBadge from "./RideStatusBadge";
+import ReputationBadge from "./ReputationBadge";
+import RateRide from "./RateRide";
+import RidePreferenceBadges from "./RidePreferenceBadges";
+import ReportButton from "../Report/ReportButton";
+import BlockButton from "../Report/BlockButton";
+import TripSafety from "./TripSafety";
+import { describeRecurrence, isRecurring } from "../../utils/recurrence";
+import { describeSeats } from "../../utils/seats";
+import {
+  REQUEST_STATUS,
+  canCancelRequest,
+  canRequestToJoin,
+  countPendingRequests,
+  indexRequestsByRide,
+} from "../../utils/rideRequests";
+import {
+  RIDE_STATUS,
+  getEffectiveStatus,
+  getMatchableOccurrences,
+  getUpcomingOccurrences,
+  isEditable,
+} from "../../utils/rideStatus";
+import { DEFAULT_RADIUS_KM, findMatches } from "../../utils/rideMatching";
+import { NOTIFICATION_TYPES } from "../../utils/notifications";
+import { getRideMetadata, getRideUrl } from "../../utils/rideLinks";
+import {
+  canRateRide,
+  getRatingPartners,
+  summarizeRatings,
+} from "../../utils/ratings";
+import { isBlocked } from "../../utils/blocks";
+
+// Departures listed for a recurring ride
+const UPCOMING_LIMIT = 5;
+
+const formatTime = (time) =>
+  new Date(time).toLocaleString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+
+// One ride on its own page, so it can be shared and linked to
+export default function RideDetail() {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const backend = useData();
+  const { resolveLocation, locateLocation } = useLocations();
+  const { blockedIds, block } = useBlockedUsers();
+  const [ride, setRide] = useState(null);
+  const [myRides, setMyRides] = useState([]);
+  const [myName, setMyName] = useState("");
+  const [requests, setRequests] = useState([]);
+  const [posterRatings, setPosterRatings] = useState([]);
+  const [myRatings, setMyRatings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const isOwner = ride?.user_id === user.id;
+
+  const fetchRide = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await backend.rides.get(id);
+      setRide(data);
+      if (!data) return;
+
+      // The owner sees every request; anyone else only their own
+      const [
+        rideRequests,
+        myRideList,
+        profile,
+        posterRatingsResult,
+        myRatingsResult,
+      ] = await Promise.all([
+        data.user_id === user.id
+          ? backend.rideRequests.listForRides([id])
+          : backend.rideRequests
+              .listByRequester(user.id)
+              .then((list) => list.filter((r) => r.ride_id === id)),
+        backend.rides.listByUser(user.id),
+        backend.profiles.get(user.id).catch(() => null),
+        // Ratings are extra; the page works without them
+        backend.ratings.listForRatees([data.user_id]).catch(() => []),
+        backend.ratings.listByRater(user.id, { rideId: id }).catch(() => []),
+      ]);
+      setRequests(rideRequests);
+      setMyRides(myRideList);
+      setMyName(profile?.name || "");
+      setPosterRatings(posterRatingsResult);
+      setMyRatings(myRatingsResult);
+    } catch (err) {
+      setError("Failed to load this ride. Please try again.");
+      console.error("Error:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [id, user, backend]);
+
+  useEffect(() => {
+    fetchRide();
+  }, [fetchRide]);
+
+  useDocumentMetadata(
+    ride ? { ...getRideMetadata(ride), url: getRideUrl(ride) } : null
+  );
+
+  const myRequest = isOwner ? undefined : indexRequestsByRide(requests)[id];
+  const pendingCount = isOwner ? countPendingRequests(requests)[id] || 0 : 0;
+
+  // The people I ride with: the poster and everyone they accepted
+  const partners = useMemo(() => {
+    if (!ride) return [];
+    return getRatingPartners(ride, requests, user.id).map((partnerId) => ({
+      user_id: partnerId,
+      name:
+        partnerId === ride.user_id
+          ? ride.profiles?.name
+          : requests.find((r) => r.requester_id === partnerId)?.profiles?.name,
+    }));
+  }, [ride, requests, user.id]);
+
+  // Rated once the ride is over
+  const ratingPartners =
+    ride && canRateRide(ride, new Date(), requests) ? partners : [];
+
+  const upcoming = useMemo(
+    () => (ride ? getUpcomingOccurrences([ride]).slice(0, UPCOMING_LIMIT) : []),
+    [ride]
+  );
+
+  // My best matching ride, if any of them line up with this one
+  const match = useMemo(() => {
+    if (!ride || isOwner) return null;
+    const [best] = findMatches(
+      getMatchableOccurrences(myRides),
+      getUpcomingOccurrences([ride]),
+      { resolveLocation, locateLocation, radiusKm: DEFAULT_RADIUS_KM }
+    );
+    return best?.match || null;
+  }, [ride, isOwner, myRides, resolveLocation, locateLocation]);
+
+  const handleRequestJoin = async () => {
+    let request;
+    try {
+      request = await backend.rideRequests.create({
+        ride_id: ride.id,
+        requester_id: user.id,
+        status: REQUEST_STATUS.PENDING,
+      });
+    } catch (error) {
+      console.error("Error requesting to join:", error);
+      setError("Could not send your request. Please try again.");
+      return;
+    }
+    setRequests((current) => [...current, request]);
+    queueNotification(NOTIFICATION_TYPES.JOIN_REQUEST, ride.user_id, ride, {
+      name: myName,
+    });
+  };
+
+  const handleCancelRequest = async () => {
+    // Leaving a ride I was accepted on hands my seat back on the server
+    try {
+      const updated = await backend.rideRequests.cancel(myRequest.id);
+      if (updated) setRide((current) => ({ ...current, ...updated }));
+    } catch (error) {
+      console.error("Error cancelling join request:", error);
+      setError("Could not cancel your request. Please try again.");
+      return;
+    }
+    setRequests((current) =>
+      current.map((r) =>
+        r.id === myRequest.id ? { ...r, status: REQUEST_STATUS.CANCELLED } : r
+      )
+    );
+  };
+
+  const handleShare = async () => {
+    const url = getRideUrl(ride);
+    const { title, description } = getRideMetadata(ride);
+    try {
+      if (navigator.share) {
+        await navigator.share({ title, text: description, url });
+      } else {
+        await navigator.clipboard.writeText(url);
+        setCopied(true);
+      }
+    } catch (err) {
+      // Closing the share sheet rejects too; nothing to report
+      console.error("Error sharing ride:", err);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-500"></div>
+      </div>
+    );
+  }
+
+  // Someone I blocked; the database hides them too once the list reloads
+  if (!ride || isBlocked(blockedIds, ride.user_id)) {
+    return (
+      <div className="max-w-md mx-auto mt-12 text-center space-y-4">
+        <p className="text-gray-600">
+          {error || "This ride doesn't exist or isn't visible to you."}
+        </p>
+        <Link
+          to="/find"
+          className="text-sm font-medium text-blue-600 hover:text-blue-500"
+        >
+          Find rides
+        </Link>
+      </div>
+    );
+  }
+
+  const status = getEffectiveStatus(ride);
+
+  return (
+    <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-8">
+      <div className="bg-white shadow-sm rounded-lg border border-gray-100 p-4 sm:p-6 space-y-6">
+        <div className="flex items-start justify-between">
+          <div>
+            <h2 className="text-xl sm:text-2xl font-bold text-gray-900">
+              {ride.from} → {ride.to}
+            </h2>
+            <p className="mt-1 text-sm text-gray-500">
+              {isRecurring(ride) ? "Starts " : ""}
+              {formatTime(ride.time)}
+            </p>
+            {isRecurring(ride) && (
+              <p className="text-xs text-gray-400">
+                {describeRecurrence(ride.recurrence)}
+              </p>
+            )}
+            <RidePreferenceBadges ride={ride} className="mt-2" />
+          </div>
+          <div className="flex flex-col items-end space-y-1">
+            <RideStatusBadge status={status} />
+            {status === RIDE_STATUS.OPEN && (
+              <span className="text-xs text-gray-500">
+                {describeSeats(ride)}
+              </span>
+            )}
+          </div>
+        </div>
+
+        <div className="flex items-center">
+          <div className="w-12 h-12">
+            {ride.profiles?.avatar_url ? (
+              <img
+                src={ride.profiles.avatar_url}
+                alt={ride.profiles.name}
+                className="w-full h-full rounded-full object-cover"
+              />
+            ) : (
+              <div className="w-full h-full bg-blue-100 rounded-full flex items-center justify-center">
+                <span className="text-blue-600 text-lg font-semibold">
+                  {ride.profiles?.name?.charAt(0).toUpperCase()}
+                </span>
+              </div>
+            )}
+          </div>
+          <div className="ml-3">
+            <p className="font-semibold text-gray-900">
+              {isOwner ? "You" : ride.profiles?.name}
+            </p>
+            <div className="flex items-center space-x-2">
+              <ReputationBadge reputation={summarizeRatings(posterRatings)} />
+              <span className="text-sm text-gray-500">Posted this ride</span>
+              <ReportButton reportedUserId={ride.user_id} rideId={ride.id} />
+              <BlockButton
+                userId={ride.user_id}
+                name={ride.profiles?.name}
+                onBlock={block}
+              />
+            </div>
+          </div>
+        </div>
+
+        {isRecurring(ride) && upcoming.length > 0 && (
+          <div>
+            <h3 className="text-sm font-medium text-gray-700">
+              Next departures
+            </h3>
+            <ul className="mt-1 space-y-0.5">
+              {upcoming.map((occurrence) => (
+                <li key={occurrence.id} className="text-sm text-gray-500">
+                  {formatTime(occurrence.time)}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {isOwner ? (
+          <div className="rounded-md bg-gray-50 px-3 py-2 text-sm text-gray-700">
+            {pendingCount > 0
+              ? `${pendingCount} pending ${
+                  pendingCount === 1 ? "request" : "requests"
+                } to join.`
+              : "No pending requests to join."}{" "}
+            <Link
+              to={`/myposts?ride=${encodeURIComponent(ride.id)}`}
+              className="font-medium text-blue-600 hover:text-blue-500"
+            >
+              Manage in My Posts
+            </Link>
+          </div>
+        ) : (
+          <div className="rounded-md bg-blue-50 px-3 py-2 space-y-1">
+            <div className="flex items-center space-x-2">
+              <span className="text-sm font-semibold text-blue-700">
+                {match
+                  ? `${match.score}% match with your ride ${match.myRide.from} → ${match.myRide.to}`
+                  : "Doesn't line up with any of your open rides"}
+              </span>
+              {myRequest && <RequestStatusBadge status={myRequest.status} />}
+            </div>
+            {match?.reasons.map((reason) => (
+              <p key={reason} className="text-xs text-blue-600">
+                {reason}
+              </p>
+            ))}
+          </div>
+        )}
+
+        {partners.length > 0 && (
+          <TripSafety
+            ride={ride}
+            riderName={myName}
+            partners={partners.map((partner) => partner.name || "Someone")}
+          />
+        )}
+
+        <RateRide
+          ride={ride}
+          partners={ratingPartners}
+          ratings={myRatings}
+          onRated={(rating) => setMyRatings((current) => [...current, rating])}
+        />
+
+        {error && <p className="text-sm text-red-700">{error}</p>}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {status === RIDE_STATUS.OPEN &&
+            canRequestToJoin(ride, myRequest, user.id) && (
+              <button
+                onClick={handleRequestJoin}
+                className="inline-flex items-center justify-center border border-blue-500 text-blue-600 hover:bg-blue-50 py-2 px-4 rounded-md text-sm font-medium transition-colors duration-200"
+              >
+                Request to join
+              </button>
+            )}
+          {canCancelRequest(myRequest) && (
+            <button
+              onClick={handleCancelRequest}
+              className="inline-flex items-center justify-center border border-gray-300 text-gray-700 hover:bg-gray-50 py-2 px-4 rounded-md text-sm font-medium transition-colors duration-200"
+            >
+              {myRequest.status === REQUEST_STATUS.ACCEPTED
+                ? "Leave ride"
+                : "Cancel request"}
+            </button>
+          )}
+          {!isOwner && (
+            <Link
+              to={`/chat/${ride.id}/${ride.user_id}`}
+              className="inline-flex items-center justify-center bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-md text-sm font-medium transition-colors duration-200"
+            >
+              Message
+            </Link>
+          )}
+          {isOwner && isEditable(ride) && (
+            <Link
+              to={`/edit/${ride.id}`}
+              className="inline-flex items-center justify-center border border-gray-300 text-gray-700 hover:bg-gray-50 py-2 px-4 rounded-md text-sm font-medium transition-colors duration-200"
+            >
+              Edit ride
+            </Link>
+          )}
+          <button
+            onClick={() => downloadRideCalendar(ride)}
+            className="inline-flex items-center justify-center border border-gray-300 text-gray-700 hover:bg-gray-50 py-2 px-4 rounded-md text-sm font-medium transition-colors duration-200"
+          >
+            Add to calendar
+          </button>
+          <button
+            onClick={handleShare}
+            className="inline-flex items-center justify-center border border-gray-300 text-gray-700 hover:bg-gray-50 py-2 px-4 rounded-md text-sm font-medium transition-colors duration-200"
+          >
+            {copied ? "Link copied" : "Share"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
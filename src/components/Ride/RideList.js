@@ -1,39 +1,100 @@
-import React, { useEffect, useState } from "react";
-import { supabase } from "../../services/supabaseClient";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { queueNotification } from "../../services/push";
+import { CACHE_COLLECTIONS, offlineCache } from "../../services/offlineCache";
+import {
+  downloadRideCalendar,
+  refreshCalendarFeed,
+} from "../../services/calendar";
 import { useAuth } from "../../contexts/AuthContext";
+import { useData } from "../../contexts/DataContext";
+import RideCard from "./RideCard";
+import { EMPTY_BROWSE_FILTERS, filterRides } from "../../utils/rideFilters";
+import { useLocations } from "../../hooks/useLocations";
+import { useRideChanges } from "../../hooks/useRideChanges";
+import { useBlockedUsers } from "../../hooks/useBlockedUsers";
+import { useFares } from "../../hooks/useFares";
+import { applyRideChange, removeRide } from "../../utils/rideChanges";
+import {
+  REQUEST_STATUS,
+  indexRequestsByRide,
+  isRideVisibleTo,
+} from "../../utils/rideRequests";
+import { getSeriesId } from "../../utils/recurrence";
+import {
+  getMatchableOccurrences,
+  getUpcomingOccurrences,
+} from "../../utils/rideStatus";
+import { NOTIFICATION_TYPES } from "../../utils/notifications";
+import { indexReputation } from "../../utils/ratings";
+import { hideBlockedRides } from "../../utils/blocks";
+import { canSeeRide } from "../../utils/partnerPreference";
+import {
+  DEFAULT_PREFERENCE_MODE,
+  PREFERENCE_MODES,
+} from "../../utils/ridePreferences";
+import {
+  DEFAULT_MATCH_WINDOW,
+  DEFAULT_RADIUS_KM,
+  MATCH_WINDOW_OPTIONS,
+  RADIUS_OPTIONS,
+  findMatches,
+} from "../../utils/rideMatching";
 
-// Local Storage keys
-const CACHE_KEYS = {
-  RIDES: "cached_rides",
-  LAST_FETCH: "last_fetch_time",
-  PROFILE: "cached_profile",
-};
-
-// Cache expiration time (15 minutes)
-const CACHE_EXPIRATION = 15 * 60 * 1000;
-
-const isTimeWithinRange = (time1, time2, rangeInMinutes = 30) => {
-  const t1 = new Date(time1);
-  const t2 = new Date(time2);
-  const diffInMinutes = Math.abs(t1 - t2) / (1000 * 60);
-  return diffInMinutes <= rangeInMinutes;
-};
-
-const isSameDay = (date1, date2) => {
-  const d1 = new Date(date1);
-  const d2 = new Date(date2);
-  return (
-    d1.getFullYear() === d2.getFullYear() &&
-    d1.getMonth() === d2.getMonth() &&
-    d1.getDate() === d2.getDate()
-  );
-};
+const SELECT_CLASS_NAME =
+  "px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 sm:text-sm";
+
+// Helper function to generate consistent class names for the mode toggle
+const getModeClassName = (mode, modeName) =>
+  `px-4 py-2 text-sm font-medium rounded-md transition-colors duration-200 ${
+    mode === modeName
+      ? "bg-blue-600 text-white"
+      : "text-gray-600 hover:bg-gray-100"
+  }`;
+
+// How long a ride that arrived in realtime stays highlighted
+const NEW_RIDE_HIGHLIGHT_MS = 30 * 1000;
+
+// My matching settings are kept in the offline cache as
+//   { windowMinutes, radiusKm, preferenceMode }
+// and anything unrecognised falls back to the default
+const readMatchSettings = (stored) => ({
+  windowMinutes: MATCH_WINDOW_OPTIONS.includes(stored?.windowMinutes)
+    ? stored.windowMinutes
+    : DEFAULT_MATCH_WINDOW,
+  radiusKm: RADIUS_OPTIONS.includes(stored?.radiusKm)
+    ? stored.radiusKm
+    : DEFAULT_RADIUS_KM,
+  preferenceMode: Object.values(PREFERENCE_MODES).includes(
+    stored?.preferenceMode
+  )
+    ? stored.preferenceMode
+    : DEFAULT_PREFERENCE_MODE,
+});
 
 export default function RideList() {
   const { user } = useAuth();
+  const backend = useData();
+  const { locations, resolveLocation, locateLocation } = useLocations();
+  const { blockedIds, block } = useBlockedUsers();
+  const { fares } = useFares();
   const [rides, setRides] = useState([]);
+  const [myRides, setMyRides] = useState([]);
   const [loading, setLoading] = useState(true);
   const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [matchWindow, setMatchWindow] = useState(DEFAULT_MATCH_WINDOW);
+  const [matchRadius, setMatchRadius] = useState(DEFAULT_RADIUS_KM);
+  const [preferenceMode, setPreferenceMode] = useState(DEFAULT_PREFERENCE_MODE);
+  const [sortBy, setSortBy] = useState("best");
+  const [mode, setMode] = useState("matches");
+  const [browseFilters, setBrowseFilters] = useState(EMPTY_BROWSE_FILTERS);
+  const [profile, setProfile] = useState(null);
+  const [newRideIds, setNewRideIds] = useState(() => new Set());
+  const [requests, setRequests] = useState([]);
+  const [reputations, setReputations] = useState({});
+  // Set when arriving from a push notification about a ride
+  const [searchParams] = useSearchParams();
+  const linkedRideId = searchParams.get("ride");
 
   // Add online/offline event listeners
   useEffect(() => {
@@ -49,141 +110,300 @@ export default function RideList() {
     };
   }, []);
 
-  // Function to check if cache is valid
-  const isCacheValid = () => {
-    const lastFetchTime = localStorage.getItem(CACHE_KEYS.LAST_FETCH);
-    return (
-      lastFetchTime && Date.now() - Number(lastFetchTime) < CACHE_EXPIRATION
-    );
-  };
-
-  // Function to get cached data
-  const getCachedData = () => {
-    try {
-      const cachedRides = JSON.parse(localStorage.getItem(CACHE_KEYS.RIDES));
-      const cachedProfile = JSON.parse(
-        localStorage.getItem(CACHE_KEYS.PROFILE)
-      );
-      return { rides: cachedRides, profile: cachedProfile };
-    } catch (error) {
-      console.error("Error reading from cache:", error);
-      return { rides: null, profile: null };
-    }
-  };
-
-  // Function to set cache data
-  const setCacheData = (rides, profile) => {
-    try {
-      localStorage.setItem(CACHE_KEYS.RIDES, JSON.stringify(rides));
-      localStorage.setItem(CACHE_KEYS.PROFILE, JSON.stringify(profile));
-      localStorage.setItem(CACHE_KEYS.LAST_FETCH, Date.now().toString());
-    } catch (error) {
-      console.error("Error setting cache:", error);
-    }
-  };
-
   useEffect(() => {
-    async function fetchData() {
+    if (!user) return;
+    let active = true;
+    offlineCache
+      .read(user.id, CACHE_COLLECTIONS.MATCH_SETTINGS)
+      .then((cached) => {
+        if (!active || !cached) return;
+        const settings = readMatchSettings(cached.value);
+        setMatchWindow(settings.windowMinutes);
+        setMatchRadius(settings.radiusKm);
+        setPreferenceMode(settings.preferenceMode);
+      });
+    return () => {
+      active = false;
+    };
+  }, [user]);
+
+  const fetchData = useCallback(
+    async ({ skipCache = false } = {}) => {
       try {
         setLoading(true);
 
-        // Check cache first
-        if (isCacheValid()) {
-          const { rides: cachedRides, profile: cachedProfile } =
-            getCachedData();
-          if (cachedRides && cachedProfile) {
-            setRides(cachedRides);
-            setLoading(false);
-            return;
-          }
+        // Show my cached copies straight away, then refetch unless they
+        // are all still fresh
+        const cached = await Promise.all(
+          [
+            CACHE_COLLECTIONS.PROFILE,
+            CACHE_COLLECTIONS.RIDES,
+            CACHE_COLLECTIONS.MY_RIDES,
+          ].map((collection) => offlineCache.read(user.id, collection))
+        );
+        if (cached.every(Boolean)) {
+          const [cachedProfile, cachedRides, cachedMyRides] = cached;
+          setProfile(cachedProfile.value);
+          setRides(cachedRides.value);
+          setMyRides(cachedMyRides.value);
+          setLoading(false);
+          if (!skipCache && !cached.some((entry) => entry.stale)) return;
         }
 
         // Get my profile
-        const { data: profile, error: profileError } = await supabase
-          .from("profiles")
-          .select("*")
-          .eq("user_id", user.id)
-          .single();
-
-        if (profileError || !profile) {
-          console.error("Error fetching profile:", profileError);
+        const profile = await backend.profiles.get(user.id);
+        if (!profile) {
+          console.error("No profile found for", user.id);
           return;
         }
+        setProfile(profile);
+        offlineCache.write(user.id, CACHE_COLLECTIONS.PROFILE, profile);
 
         // Only fetch rides if we have a profile with gender
         if (profile.gender) {
-          const { data: myRides } = await supabase
-            .from("rides")
-            .select("time, from, to")
-            .eq("user_id", user.id);
-
-          const { data: rides, error: ridesError } = await supabase
-            .from("rides")
-            .select(
-              `
-              *,
-              profiles (
-                name,
-                whatsapp,
-                email,
-                avatar_url,
-                gender
-              )
-            `
-            )
-            .eq("gender", profile.gender)
-            .neq("user_id", user.id);
-
-          if (ridesError) {
-            console.error("Error fetching rides:", ridesError);
-            return;
-          }
-
-          // Process and filter rides based on matching criteria
-          const matchedRides = (rides || []).filter((ride) => {
-            // Check if there's a matching ride posted by the user
-            return (myRides || []).some((myRide) => {
-              // Check if routes match
-              const routeMatches =
-                myRide.from.toLowerCase() === ride.from.toLowerCase() &&
-                myRide.to.toLowerCase() === ride.to.toLowerCase();
-
-              // Check if it's the same day and within ±30 minutes
-              const sameDay = isSameDay(myRide.time, ride.time);
-              const timeMatches = isTimeWithinRange(myRide.time, ride.time);
-
-              return routeMatches && sameDay && timeMatches;
-            });
-          });
-
-          // Sort matches by time proximity
-          const sortedRides = matchedRides.sort(
-            (a, b) =>
-              Math.abs(new Date(a.time) - new Date()) -
-              Math.abs(new Date(b.time) - new Date())
-          );
-
-          // Update cache
-          setCacheData(sortedRides, profile);
-          setRides(sortedRides || []);
+          const [myRides, rides] = await Promise.all([
+            backend.rides.listByUser(user.id),
+            backend.rides.listForBrowsing(profile),
+          ]);
+
+          // Matching runs on render so the window can change without refetching
+          setRides(rides);
+          setMyRides(myRides);
+          offlineCache.write(user.id, CACHE_COLLECTIONS.RIDES, rides);
+          offlineCache.write(user.id, CACHE_COLLECTIONS.MY_RIDES, myRides);
         }
       } catch (error) {
+        // Whatever was cached stays on screen
         console.error("Error in fetchData:", error);
-
-        // If online fetch fails, try to use cached data as fallback
-        const { rides: cachedRides } = getCachedData();
-        if (cachedRides) {
-          setRides(cachedRides);
-        }
       } finally {
         setLoading(false);
       }
-    }
+    },
+    [user, backend]
+  );
 
+  useEffect(() => {
     if (user) {
       fetchData();
     }
-  }, [user]);
+  }, [user, fetchData]);
+
+  // My join requests aren't cached; they change as owners respond
+  const fetchRequests = useCallback(async () => {
+    try {
+      setRequests(await backend.rideRequests.listByRequester(user.id));
+    } catch (error) {
+      console.error("Error fetching join requests:", error);
+      return;
+    }
+    // Rides I was accepted on may have changed since the feed was built;
+    // it is only uploaded again if they did
+    refreshCalendarFeed(user.id);
+  }, [user, backend]);
+
+  useEffect(() => {
+    if (user && isOnline) {
+      fetchRequests();
+    }
+  }, [user, isOnline, fetchRequests]);
+
+  // Reputation of everyone with a ride in the list. Keyed on the sorted ids
+  // so live updates to rides don't refetch it.
+  const posterIds = useMemo(
+    () => [...new Set(rides.map((ride) => ride.user_id))].sort().join(","),
+    [rides]
+  );
+
+  useEffect(() => {
+    if (!isOnline || !posterIds) return;
+    backend.ratings
+      .listForRatees(posterIds.split(","))
+      .then((ratings) => setReputations(indexReputation(ratings)))
+      .catch((error) => console.error("Error fetching ratings:", error));
+  }, [posterIds, isOnline, backend]);
+
+  const requestsByRide = useMemo(
+    () => indexRequestsByRide(requests),
+    [requests]
+  );
+
+  const handleRequestJoin = async (ride) => {
+    let request;
+    try {
+      request = await backend.rideRequests.create({
+        ride_id: getSeriesId(ride),
+        requester_id: user.id,
+        status: REQUEST_STATUS.PENDING,
+      });
+    } catch (error) {
+      console.error("Error requesting to join:", error);
+      return;
+    }
+    setRequests((current) => [...current, request]);
+    queueNotification(
+      NOTIFICATION_TYPES.JOIN_REQUEST,
+      ride.user_id,
+      { ...ride, id: getSeriesId(ride) },
+      { name: profile?.name }
+    );
+  };
+
+  const handleCancelRequest = async (request) => {
+    // Leaving a ride I was accepted on hands my seat back on the server
+    try {
+      await backend.rideRequests.cancel(request.id);
+    } catch (error) {
+      console.error("Error cancelling join request:", error);
+      return;
+    }
+    setRequests((current) =>
+      current.map((r) =>
+        r.id === request.id ? { ...r, status: REQUEST_STATUS.CANCELLED } : r
+      )
+    );
+  };
+
+  // Keep the offline cache in step with realtime updates
+  useEffect(() => {
+    if (loading) return;
+    offlineCache.update(user.id, CACHE_COLLECTIONS.RIDES, rides);
+    offlineCache.update(user.id, CACHE_COLLECTIONS.MY_RIDES, myRides);
+  }, [user, rides, myRides, loading]);
+
+  const highlightRide = (id) => {
+    setNewRideIds((ids) => new Set(ids).add(id));
+    setTimeout(() => {
+      setNewRideIds((ids) => {
+        const next = new Set(ids);
+        next.delete(id);
+        return next;
+      });
+    }, NEW_RIDE_HIGHLIGHT_MS);
+  };
+
+  const handleRideChange = async (payload) => {
+    const { eventType, new: row } = payload;
+
+    if (eventType === "DELETE") {
+      setRides((current) => applyRideChange(current, payload));
+      setMyRides((current) => applyRideChange(current, payload));
+      return;
+    }
+
+    if (row.user_id === user.id) {
+      setMyRides((current) => applyRideChange(current, payload));
+      return;
+    }
+
+    if (!canSeeRide(profile, row)) {
+      setRides((current) => removeRide(current, row.id));
+      return;
+    }
+
+    // Realtime rows don't include the poster's profile, so load the full ride
+    let ride;
+    try {
+      ride = await backend.rides.get(row.id);
+    } catch (error) {
+      console.error("Error fetching updated ride:", error);
+      return;
+    }
+    if (!ride) return;
+
+    setRides((current) => applyRideChange(current, { eventType, new: ride }));
+    // Edits to rides already listed aren't news; only point out new rides
+    // that make it into the list I'm looking at
+    if (eventType === "INSERT" && isListed(ride)) highlightRide(ride.id);
+  };
+
+  useRideChanges(`rides-find-${user?.id}`, handleRideChange, Boolean(user));
+
+  // Every future occurrence of a recurring ride is matched on its own.
+  // Only my open rides look for partners; matched rides are only shown to
+  // the rider who was accepted.
+  const myOccurrences = useMemo(
+    () => getMatchableOccurrences(myRides),
+    [myRides]
+  );
+  const occurrences = useMemo(
+    () =>
+      getUpcomingOccurrences(
+        hideBlockedRides(rides, blockedIds).filter((ride) =>
+          isRideVisibleTo(ride, requestsByRide[ride.id])
+        )
+      ),
+    [rides, requestsByRide, blockedIds]
+  );
+
+  const matchOptions = useMemo(
+    () => ({
+      windowMinutes: matchWindow,
+      resolveLocation,
+      locateLocation,
+      radiusKm: matchRadius,
+      preferenceMode,
+      sortBy,
+    }),
+    [
+      matchWindow,
+      resolveLocation,
+      locateLocation,
+      matchRadius,
+      preferenceMode,
+      sortBy,
+    ]
+  );
+
+  const matches = useMemo(
+    () => findMatches(myOccurrences, occurrences, matchOptions),
+    [myOccurrences, occurrences, matchOptions]
+  );
+
+  const browseRides = useMemo(
+    () => filterRides(occurrences, browseFilters, new Date(), resolveLocation),
+    [occurrences, browseFilters, resolveLocation]
+  );
+
+  const visibleRides = mode === "browse" ? browseRides : matches;
+
+  // Whether a ride passes the current mode's filters
+  const isListed = (ride) => {
+    const candidates = getUpcomingOccurrences(
+      hideBlockedRides([ride], blockedIds)
+    );
+    return mode === "browse"
+      ? filterRides(candidates, browseFilters, new Date(), resolveLocation)
+          .length > 0
+      : findMatches(myOccurrences, candidates, matchOptions).length > 0;
+  };
+
+  const updateBrowseFilter = (name) => (e) =>
+    setBrowseFilters({ ...browseFilters, [name]: e.target.value });
+
+  const saveMatchSettings = (changes) =>
+    offlineCache.write(user.id, CACHE_COLLECTIONS.MATCH_SETTINGS, {
+      windowMinutes: matchWindow,
+      radiusKm: matchRadius,
+      preferenceMode,
+      ...changes,
+    });
+
+  const handleMatchWindowChange = (e) => {
+    const value = Number(e.target.value);
+    setMatchWindow(value);
+    saveMatchSettings({ windowMinutes: value });
+  };
+
+  const handleMatchRadiusChange = (e) => {
+    const value = Number(e.target.value);
+    setMatchRadius(value);
+    saveMatchSettings({ radiusKm: value });
+  };
+
+  const handlePreferenceModeChange = (e) => {
+    setPreferenceMode(e.target.value);
+    saveMatchSettings({ preferenceMode: e.target.value });
+  };
 
   return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-8">
@@ -218,17 +438,11 @@ export default function RideList() {
           <button
             onClick={() => {
               if (isOnline) {
-                // If online, clear cache and reload data
-                localStorage.removeItem(CACHE_KEYS.LAST_FETCH);
-                localStorage.removeItem(CACHE_KEYS.RIDES);
-                localStorage.removeItem(CACHE_KEYS.PROFILE);
-                window.location.reload();
+                // If online, bypass the cache and fetch fresh data
+                fetchData({ skipCache: true });
               } else {
                 // If offline, show cached data
-                const { rides: cachedRides } = getCachedData();
-                if (cachedRides) {
-                  setRides(cachedRides);
-                }
+                fetchData();
               }
             }}
             className="p-2 text-gray-500 hover:text-gray-700 rounded-full hover:bg-gray-100 transition-colors duration-200"
@@ -251,11 +465,149 @@ export default function RideList() {
           </button>
         </div>
       </div>
+      <div className="inline-flex mb-4 p-1 bg-white rounded-lg shadow-sm border border-gray-100">
+        <button
+          onClick={() => setMode("matches")}
+          className={getModeClassName(mode, "matches")}
+        >
+          My Matches
+        </button>
+        <button
+          onClick={() => setMode("browse")}
+          className={getModeClassName(mode, "browse")}
+        >
+          Browse
+        </button>
+      </div>
+      {mode === "matches" ? (
+        <div className="flex flex-wrap items-center gap-3 mb-6">
+          <label
+            htmlFor="matchWindow"
+            className="flex items-center text-sm text-gray-600"
+          >
+            <span className="mr-2">Departure within</span>
+            <select
+              id="matchWindow"
+              value={matchWindow}
+              onChange={handleMatchWindowChange}
+              className={SELECT_CLASS_NAME}
+            >
+              {MATCH_WINDOW_OPTIONS.map((minutes) => (
+                <option key={minutes} value={minutes}>
+                  ±{minutes} min
+                </option>
+              ))}
+            </select>
+          </label>
+          <label
+            htmlFor="matchRadius"
+            className="flex items-center text-sm text-gray-600"
+          >
+            <span className="mr-2">Pickup/drop within</span>
+            <select
+              id="matchRadius"
+              value={matchRadius}
+              onChange={handleMatchRadiusChange}
+              className={SELECT_CLASS_NAME}
+            >
+              {RADIUS_OPTIONS.map((km) => (
+                <option key={km} value={km}>
+                  {km === 0
+                    ? "Exact place"
+                    : km < 1
+                    ? `${km * 1000} m`
+                    : `${km} km`}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label
+            htmlFor="preferenceMode"
+            className="flex items-center text-sm text-gray-600"
+          >
+            <span className="mr-2">Ride preferences</span>
+            <select
+              id="preferenceMode"
+              value={preferenceMode}
+              onChange={handlePreferenceModeChange}
+              className={SELECT_CLASS_NAME}
+            >
+              <option value={PREFERENCE_MODES.SOFT}>Rank by them</option>
+              <option value={PREFERENCE_MODES.HARD}>Must match</option>
+            </select>
+          </label>
+          <label
+            htmlFor="sortBy"
+            className="flex items-center text-sm text-gray-600"
+          >
+            <span className="mr-2">Sort by</span>
+            <select
+              id="sortBy"
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className={SELECT_CLASS_NAME}
+            >
+              <option value="best">Best match</option>
+              <option value="time">Departure time</option>
+            </select>
+          </label>
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 mb-6">
+          <select
+            aria-label="Pickup location"
+            value={browseFilters.from}
+            onChange={updateBrowseFilter("from")}
+            className={SELECT_CLASS_NAME}
+          >
+            <option value="">Any pickup</option>
+            {locations.map((location) => (
+              <option key={location.id} value={location.name}>
+                {location.name}
+              </option>
+            ))}
+          </select>
+          <select
+            aria-label="Drop location"
+            value={browseFilters.to}
+            onChange={updateBrowseFilter("to")}
+            className={SELECT_CLASS_NAME}
+          >
+            <option value="">Any drop</option>
+            {locations.map((location) => (
+              <option key={location.id} value={location.name}>
+                {location.name}
+              </option>
+            ))}
+          </select>
+          <input
+            type="date"
+            aria-label="Departure date"
+            value={browseFilters.date}
+            onChange={updateBrowseFilter("date")}
+            className={SELECT_CLASS_NAME}
+          />
+          <input
+            type="time"
+            aria-label="Earliest departure time"
+            value={browseFilters.timeFrom}
+            onChange={updateBrowseFilter("timeFrom")}
+            className={SELECT_CLASS_NAME}
+          />
+          <input
+            type="time"
+            aria-label="Latest departure time"
+            value={browseFilters.timeTo}
+            onChange={updateBrowseFilter("timeTo")}
+            className={SELECT_CLASS_NAME}
+          />
+        </div>
+      )}
       {loading ? (
         <div className="flex items-center justify-center py-12">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
         </div>
-      ) : rides.length === 0 ? (
+      ) : visibleRides.length === 0 ? (
         <div className="bg-gray-50 rounded-lg p-8 text-center">
           {!isOnline ? (
             <>
@@ -297,156 +649,37 @@ export default function RideList() {
                 />
               </svg>
               <h3 className="mt-4 text-lg font-medium text-gray-900">
-                No matches found
+                {mode === "browse" ? "No rides found" : "No matches found"}
               </h3>
               <p className="mt-2 text-gray-500">
-                We couldn't find any ride partners matching your criteria at the
-                moment. Try posting a ride to find matches!
+                {mode === "browse"
+                  ? "No upcoming rides fit these filters. Try clearing some of them."
+                  : myRides.length === 0
+                  ? "Post a ride to get matched, or switch to Browse to see every upcoming ride."
+                  : "We couldn't find any ride partners matching your criteria at the moment. Try widening the departure window or browsing all rides!"}
               </p>
             </>
           )}
         </div>
       ) : null}
       <div className="grid gap-4 sm:grid-cols-2">
-        {rides.map((ride) => (
-          <div
+        {visibleRides.map((ride) => (
+          <RideCard
             key={ride.id}
-            className="bg-white shadow-sm hover:shadow-md transition-shadow duration-200 rounded-lg p-4 sm:p-6 border border-gray-100"
-          >
-            <div className="flex items-center mb-4">
-              <div className="relative w-12 h-12">
-                {ride.profiles?.avatar_url ? (
-                  <img
-                    src={ride.profiles.avatar_url}
-                    alt={ride.profiles.name}
-                    className="w-full h-full rounded-full object-cover"
-                  />
-                ) : (
-                  <div className="w-full h-full bg-blue-100 rounded-full flex items-center justify-center">
-                    <span className="text-blue-600 text-lg font-semibold">
-                      {ride.profiles?.name?.charAt(0).toUpperCase()}
-                    </span>
-                  </div>
-                )}
-                <div className="absolute -bottom-1 -right-1 w-5 h-5 bg-green-100 border-2 border-white rounded-full flex items-center justify-center">
-                  <span className="text-xs text-green-800">
-                    {ride.profiles?.gender?.charAt(0).toUpperCase()}
-                  </span>
-                </div>
-              </div>
-              <div className="ml-3 flex-grow">
-                <h3 className="font-semibold text-gray-900">
-                  {ride.profiles?.name}
-                </h3>
-                <div className="flex items-center space-x-2">
-                  <svg
-                    className="w-4 h-4 text-gray-400"
-                    fill="none"
-                    stroke="currentColor"
-                    viewBox="0 0 24 24"
-                  >
-                    <path
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      strokeWidth="2"
-                      d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
-                    />
-                  </svg>
-                  <p className="text-sm text-gray-500">
-                    {new Date(ride.time).toLocaleString("en-US", {
-                      weekday: "short",
-                      month: "short",
-                      day: "numeric",
-                      hour: "numeric",
-                      minute: "2-digit",
-                      hour12: true,
-                    })}
-                  </p>
-                </div>
-              </div>
-            </div>
-            <div className="space-y-3 mb-4">
-              <div className="flex items-center text-gray-700">
-                <svg
-                  className="w-5 h-5 mr-2 text-blue-500"
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
-                >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth="2"
-                    d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"
-                  />
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth="2"
-                    d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"
-                  />
-                </svg>
-                <div>
-                  <div className="font-medium">{ride.from}</div>
-                  <div className="flex items-center text-gray-500">
-                    <svg
-                      className="w-4 h-4 mx-2"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth="2"
-                        d="M19 14l-7 7m0 0l-7-7m7 7V3"
-                      />
-                    </svg>
-                  </div>
-                  <div className="font-medium">{ride.to}</div>
-                </div>
-              </div>
-            </div>
-            <div className="flex space-x-3">
-              <a
-                href={`https://wa.me/${ride.profiles?.whatsapp?.replace(
-                  /\D/g,
-                  ""
-                )}`}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="flex-1 inline-flex items-center justify-center bg-green-500 hover:bg-green-600 active:bg-green-700 text-white py-3 px-4 rounded-md text-sm font-medium transition-colors duration-200 touch-action-manipulation"
-              >
-                <svg
-                  className="w-5 h-5 mr-2"
-                  fill="currentColor"
-                  viewBox="0 0 24 24"
-                >
-                  <path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z" />
-                </svg>
-                <span className="sm:inline">WhatsApp</span>
-              </a>
-              <a
-                href={`mailto:${ride.profiles?.email}`}
-                className="flex-1 inline-flex items-center justify-center bg-blue-500 hover:bg-blue-600 active:bg-blue-700 text-white py-3 px-4 rounded-md text-sm font-medium transition-colors duration-200 touch-action-manipulation"
-              >
-                <svg
-                  className="w-5 h-5 mr-2"
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
-                >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth="2"
-                    d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z"
-                  />
-                </svg>
-                <span className="sm:inline">Email</span>
-              </a>
-            </div>
-          </div>
+            ride={ride}
+            highlighted={
+              newRideIds.has(getSeriesId(ride)) ||
+              String(getSeriesId(ride)) === linkedRideId
+            }
+            request={requestsByRide[getSeriesId(ride)]}
+            reputation={reputations[ride.user_id]}
+            onRequestJoin={isOnline ? handleRequestJoin : undefined}
+            onCancelRequest={isOnline ? handleCancelRequest : undefined}
+            onAddToCalendar={downloadRideCalendar}
+            onBlockUser={isOnline ? block : undefined}
+            fares={fares}
+            resolveLocation={resolveLocation}
+          />
         ))}
       </div>
     </div>
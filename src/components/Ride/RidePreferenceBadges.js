@@ -0,0 +1,26 @@
+import React from "react";
+import { describePreferences } from "../../utils/ridePreferences";
+import { isOpenToAnyone } from "../../utils/partnerPreference";
+
+// Transport mode, partner preference and other preferences the poster set
+// on a ride
+export default function RidePreferenceBadges({ ride, className = "" }) {
+  const labels = [
+    ...(isOpenToAnyone(ride) ? ["Any gender"] : []),
+    ...describePreferences(ride),
+  ];
+  if (labels.length === 0) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {labels.map((label) => (
+        <span
+          key={label}
+          className="px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-700"
+        >
+          {label}
+        </span>
+      ))}
+    </div>
+  );
+}
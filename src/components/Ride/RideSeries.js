@@ -0,0 +1,153 @@
+import React, { useState } from "react";
+import RecurrenceFields from "./RecurrenceFields";
+import {
+  describeRecurrence,
+  expandRide,
+  rescheduleOccurrence,
+  skipOccurrence,
+  validateRecurrence,
+} from "../../utils/recurrence";
+import { toLocalDateString, toLocalTimeString } from "../../utils/dates";
+
+// Upcoming occurrences of a recurring ride with per-occurrence and
+// whole-series editing. Saving goes through `onUpdate(recurrence)`.
+export default function RideSeries({ ride, onUpdate }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(ride.recurrence);
+  const [rescheduling, setRescheduling] = useState(null);
+  const [newTime, setNewTime] = useState("");
+  const [error, setError] = useState("");
+
+  const occurrences = expandRide(ride);
+
+  const saveSeries = async () => {
+    const validationError = validateRecurrence(
+      draft,
+      toLocalDateString(ride.time)
+    );
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    setError("");
+    await onUpdate(draft);
+    setEditing(false);
+  };
+
+  const saveOccurrenceTime = async (date) => {
+    if (!newTime) return;
+    await onUpdate(rescheduleOccurrence(ride.recurrence, date, newTime));
+    setRescheduling(null);
+  };
+
+  return (
+    <div className="mt-3 ml-9 space-y-3">
+      <div className="flex items-center space-x-3">
+        <span className="text-sm text-gray-600">
+          {describeRecurrence(ride.recurrence)}
+        </span>
+        <button
+          onClick={() => {
+            setDraft(ride.recurrence);
+            setEditing(!editing);
+          }}
+          className="text-sm font-medium text-blue-600 hover:text-blue-800"
+        >
+          {editing ? "Close" : "Edit schedule"}
+        </button>
+      </div>
+
+      {editing && (
+        <div className="space-y-3">
+          <RecurrenceFields
+            value={draft}
+            onChange={setDraft}
+            minDate={toLocalDateString(ride.time)}
+          />
+          {error && <p className="text-sm text-red-700">{error}</p>}
+          <button
+            onClick={saveSeries}
+            className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            Save schedule
+          </button>
+        </div>
+      )}
+
+      {occurrences.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No departures in the next two weeks.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100 rounded-md border border-gray-100">
+          {occurrences.map((occurrence) => (
+            <li
+              key={occurrence.id}
+              className="flex items-center justify-between px-3 py-2"
+            >
+              <span className="text-sm text-gray-700">
+                {new Date(occurrence.time).toLocaleString("en-US", {
+                  weekday: "short",
+                  month: "short",
+                  day: "numeric",
+                  hour: "2-digit",
+                  minute: "2-digit",
+                  hour12: true,
+                })}
+              </span>
+              {rescheduling === occurrence.occurrence_date ? (
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="time"
+                    value={newTime}
+                    onChange={(e) => setNewTime(e.target.value)}
+                    className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                  />
+                  <button
+                    onClick={() =>
+                      saveOccurrenceTime(occurrence.occurrence_date)
+                    }
+                    className="text-sm font-medium text-blue-600 hover:text-blue-800"
+                  >
+                    Save
+                  </button>
+                  <button
+                    onClick={() => setRescheduling(null)}
+                    className="text-sm font-medium text-gray-500 hover:text-gray-700"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <div className="flex items-center space-x-3">
+                  <button
+                    onClick={() => {
+                      setNewTime(toLocalTimeString(occurrence.time));
+                      setRescheduling(occurrence.occurrence_date);
+                    }}
+                    className="text-sm font-medium text-blue-600 hover:text-blue-800"
+                  >
+                    Change time
+                  </button>
+                  <button
+                    onClick={() =>
+                      onUpdate(
+                        skipOccurrence(
+                          ride.recurrence,
+                          occurrence.occurrence_date
+                        )
+                      )
+                    }
+                    className="text-sm font-medium text-red-600 hover:text-red-800"
+                  >
+                    Skip
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
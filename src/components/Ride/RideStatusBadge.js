@@ -0,0 +1,35 @@
+import React from "react";
+import { RIDE_STATUS } from "../../utils/rideStatus";
+
+const BADGES = {
+  [RIDE_STATUS.OPEN]: { label: "Open", className: "bg-blue-100 text-blue-800" },
+  [RIDE_STATUS.MATCHED]: {
+    label: "Matched",
+    className: "bg-green-100 text-green-800",
+  },
+  [RIDE_STATUS.COMPLETED]: {
+    label: "Completed",
+    className: "bg-gray-100 text-gray-800",
+  },
+  [RIDE_STATUS.CANCELLED]: {
+    label: "Cancelled",
+    className: "bg-red-100 text-red-800",
+  },
+  [RIDE_STATUS.EXPIRED]: {
+    label: "Expired",
+    className: "bg-yellow-100 text-yellow-800",
+  },
+};
+
+export default function RideStatusBadge({ status }) {
+  const badge = BADGES[status];
+  if (!badge) return null;
+
+  return (
+    <span
+      className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${badge.className}`}
+    >
+      {badge.label}
+    </span>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import { getSharedTrip } from "../../services/tripShare";
+import {
+  TRIP_STATUS,
+  TRIP_STATUS_LABELS,
+  getAlertTime,
+  getTripStatus,
+} from "../../utils/tripShare";
+
+// Re-check the trip this often while the page is open
+const REFRESH_MS = 60 * 1000;
+
+const formatTime = (time) =>
+  new Date(time).toLocaleString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+
+const STATUS_STYLES = {
+  [TRIP_STATUS.UPCOMING]: "bg-gray-100 text-gray-700",
+  [TRIP_STATUS.ON_THE_WAY]: "bg-blue-100 text-blue-700",
+  [TRIP_STATUS.ARRIVED]: "bg-green-100 text-green-700",
+  [TRIP_STATUS.OVERDUE]: "bg-red-100 text-red-700",
+  [TRIP_STATUS.EXPIRED]: "bg-gray-100 text-gray-500",
+};
+
+// What a trusted contact sees when they open a trip link. No sign-in needed;
+// the token in the link is the only key.
+export default function SharedTrip() {
+  const { token } = useParams();
+  const [trip, setTrip] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function load() {
+      try {
+        setTrip(await getSharedTrip(token));
+        setError(null);
+      } catch (err) {
+        setError("Failed to load this trip. Please try again.");
+        console.error("Error:", err);
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+    const interval = setInterval(load, REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [token]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-500"></div>
+      </div>
+    );
+  }
+
+  if (!trip) {
+    return (
+      <div className="max-w-md mx-auto mt-12 text-center">
+        <p className="text-gray-600">
+          {error || "This trip link has expired or doesn't exist."}
+        </p>
+      </div>
+    );
+  }
+
+  const status = getTripStatus(trip);
+  const name = trip.rider_name || "Your contact";
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-4 sm:py-8">
+      <div className="bg-white shadow-sm rounded-lg border border-gray-100 p-4 sm:p-6 space-y-4">
+        <div className="flex items-start justify-between">
+          <div>
+            <p className="text-sm text-gray-500">{name} shared a trip</p>
+            <h2 className="text-xl font-bold text-gray-900">
+              {trip.ride_from} → {trip.ride_to}
+            </h2>
+            <p className="mt-1 text-sm text-gray-500">
+              Leaves {formatTime(trip.departure_time)}
+            </p>
+          </div>
+          <span
+            className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[status]}`}
+          >
+            {TRIP_STATUS_LABELS[status]}
+          </span>
+        </div>
+
+        <div>
+          <h3 className="text-sm font-medium text-gray-700">Riding with</h3>
+          <p className="text-sm text-gray-600">
+            {trip.partners?.length ? trip.partners.join(", ") : "Nobody yet"}
+          </p>
+        </div>
+
+        {status === TRIP_STATUS.ARRIVED && (
+          <p className="rounded-md bg-green-50 px-3 py-2 text-sm text-green-700">
+            {name} checked in at {formatTime(trip.checked_in_at)}.
+          </p>
+        )}
+        {status === TRIP_STATUS.OVERDUE && (
+          <p className="rounded-md bg-red-50 px-3 py-2 text-sm text-red-700">
+            {name} was expected by {formatTime(trip.check_in_due_at)} and hasn't
+            checked in. Try calling them.
+          </p>
+        )}
+        {[TRIP_STATUS.UPCOMING, TRIP_STATUS.ON_THE_WAY].includes(status) && (
+          <p className="text-sm text-gray-500">
+            {name} will check in on arrival. If they haven't by{" "}
+            {formatTime(getAlertTime(trip))}, you'll be alerted.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,241 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../../contexts/AuthContext";
+import {
+  checkInTrip,
+  createTripShare,
+  getMyTripShare,
+  getTrustedContacts,
+} from "../../services/tripShare";
+import {
+  DEFAULT_GRACE_MINUTES,
+  GRACE_OPTIONS,
+  TRIP_STATUS,
+  TRIP_STATUS_LABELS,
+  describeTripShare,
+  getAlertTime,
+  getContactLinks,
+  getTripDeparture,
+  getTripStatus,
+  getTripUrl,
+  isShareActive,
+} from "../../utils/tripShare";
+
+const formatTime = (time) =>
+  new Date(time).toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+
+// Share a matched ride with trusted contacts and check in on arrival
+export default function TripSafety({ ride, riderName, partners }) {
+  const { user } = useAuth();
+  const [contacts, setContacts] = useState([]);
+  const [share, setShare] = useState(null);
+  const [graceMinutes, setGraceMinutes] = useState(DEFAULT_GRACE_MINUTES);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const [myContacts, myShare] = await Promise.all([
+          getTrustedContacts(user.id),
+          getMyTripShare(user.id, ride.id),
+        ]);
+        setContacts(myContacts);
+        setShare(myShare);
+      } catch (err) {
+        console.error("Error loading trip sharing:", err);
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+  }, [user, ride.id]);
+
+  const departure = getTripDeparture(ride);
+  const activeShare = share && isShareActive(share) ? share : null;
+  // Keep the check-in on screen until the link expires
+  const arrived =
+    share?.checked_in_at && new Date() < new Date(share.expires_at);
+
+  if (loading || (!activeShare && !arrived && !departure)) return null;
+
+  const handleCreate = async () => {
+    try {
+      setBusy(true);
+      setError("");
+      setCopied(false);
+      setShare(
+        await createTripShare(ride, {
+          userId: user.id,
+          riderName,
+          partners,
+          departure,
+          graceMinutes,
+        })
+      );
+    } catch (err) {
+      console.error("Error creating trip share:", err);
+      setError("Could not create a link. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCheckIn = async () => {
+    try {
+      setBusy(true);
+      setError("");
+      setShare(await checkInTrip(activeShare.id));
+    } catch (err) {
+      console.error("Error checking in:", err);
+      setError("Could not check you in. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const url = activeShare ? getTripUrl(activeShare.token) : "";
+  const message = activeShare ? describeTripShare(activeShare, url) : "";
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(message);
+      setCopied(true);
+    } catch (err) {
+      console.error("Error copying trip link:", err);
+    }
+  };
+
+  const status = activeShare ? getTripStatus(activeShare) : null;
+
+  return (
+    <div className="rounded-md border border-gray-200 px-3 py-3 space-y-3">
+      <div>
+        <h3 className="text-sm font-medium text-gray-700">Trip safety</h3>
+        <p className="text-xs text-gray-500">
+          Let someone you trust follow this trip. If you don't tap "I've
+          arrived" in time, they're alerted.
+        </p>
+      </div>
+
+      {arrived ? (
+        <p className="text-sm text-gray-700">
+          You checked in at {formatTime(share.checked_in_at)}. Your contacts
+          won't be alerted.
+        </p>
+      ) : !activeShare ? (
+        <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+          <label className="text-sm text-gray-700">
+            Alert my contacts if I haven't checked in{" "}
+            <select
+              value={graceMinutes}
+              onChange={(e) => setGraceMinutes(Number(e.target.value))}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            >
+              {GRACE_OPTIONS.map((minutes) => (
+                <option key={minutes} value={minutes}>
+                  {minutes} min
+                </option>
+              ))}
+            </select>{" "}
+            after arrival
+          </label>
+          <button
+            onClick={handleCreate}
+            disabled={busy}
+            className="inline-flex items-center justify-center border border-blue-500 text-blue-600 hover:bg-blue-50 py-1.5 px-3 rounded-md text-sm font-medium transition-colors duration-200 disabled:opacity-50"
+          >
+            Create share link
+          </button>
+        </div>
+      ) : (
+        <>
+          <p className="text-sm text-gray-700">
+            {TRIP_STATUS_LABELS[status]}. Contacts are alerted at{" "}
+            {formatTime(getAlertTime(activeShare))} unless you check in.
+          </p>
+
+          {contacts.length === 0 ? (
+            <p className="text-xs text-gray-500">
+              <Link
+                to="/profile"
+                className="font-medium text-blue-600 hover:text-blue-500"
+              >
+                Add trusted contacts
+              </Link>{" "}
+              to send them the link, or copy it below.
+            </p>
+          ) : (
+            <ul className="space-y-1">
+              {contacts.map((contact) => {
+                const links = getContactLinks(contact, message);
+                return (
+                  <li
+                    key={contact.id}
+                    className="flex items-center justify-between text-sm"
+                  >
+                    <span className="text-gray-900">{contact.name}</span>
+                    <span className="space-x-3">
+                      {links.whatsapp && (
+                        <a
+                          href={links.whatsapp}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="font-medium text-green-600 hover:text-green-500"
+                        >
+                          WhatsApp
+                        </a>
+                      )}
+                      {links.sms && (
+                        <a
+                          href={links.sms}
+                          className="font-medium text-blue-600 hover:text-blue-500"
+                        >
+                          SMS
+                        </a>
+                      )}
+                      {links.email && (
+                        <a
+                          href={links.email}
+                          className="font-medium text-blue-600 hover:text-blue-500"
+                        >
+                          Email
+                        </a>
+                      )}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <button
+              onClick={handleCopy}
+              className="inline-flex items-center justify-center border border-gray-300 text-gray-700 hover:bg-gray-50 py-2 px-4 rounded-md text-sm font-medium transition-colors duration-200"
+            >
+              {copied ? "Link copied" : "Copy link"}
+            </button>
+            {status !== TRIP_STATUS.UPCOMING && (
+              <button
+                onClick={handleCheckIn}
+                disabled={busy}
+                className="inline-flex items-center justify-center bg-green-500 hover:bg-green-600 text-white py-2 px-4 rounded-md text-sm font-medium transition-colors duration-200 disabled:opacity-50"
+              >
+                I've arrived
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 /* eslint-disable no-unused-vars */
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import { supabase } from '../services/supabaseClient';
+import { offlineCache } from '../services/offlineCache';
 
 const AuthContext = createContext();
 
@@ -9,7 +10,9 @@ export function AuthProvider({ children }) {
 
   useEffect(() => {
     const session = supabase.auth.getSession().then(({ data }) => setUser(data.session?.user || null));
-    const { data: listener } = supabase.auth.onAuthStateChange((_event, session) => {
+    const { data: listener } = supabase.auth.onAuthStateChange((event, session) => {
+      // Also covers expired sessions and signing out in another tab
+      if (event === 'SIGNED_OUT') offlineCache.clear();
       setUser(session?.user || null);
     });
     return () => listener.subscription.unsubscribe();
@@ -0,0 +1,137 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import { supabase } from "../services/supabaseClient";
+import { createSupabaseChatTransport } from "../services/chatTransport";
+import { useAuth } from "./AuthContext";
+import {
+  MESSAGE_KIND,
+  countUnread,
+  getThreadMessages,
+  groupThreads,
+  isUnread,
+  mergeMessages,
+  validateMessage,
+} from "../utils/chat";
+
+const ChatContext = createContext();
+
+const defaultTransport = createSupabaseChatTransport(supabase);
+
+/**
+ * Keeps the signed-in user's messages in sync through a chat transport
+ * (see services/chatTransport). Pass `transport` to run against a local
+ * stand-in instead of Supabase.
+ */
+export function ChatProvider({ transport = defaultTransport, children }) {
+  const { user } = useAuth();
+  const [messages, setMessages] = useState([]);
+  const userId = user?.id;
+
+  useEffect(() => {
+    if (!userId) {
+      setMessages([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    transport
+      .fetchMessages(userId)
+      .then((data) => {
+        if (!cancelled) setMessages((current) => mergeMessages(current, data));
+      })
+      .catch((error) => console.error("Error fetching messages:", error));
+
+    const unsubscribe = transport.subscribe(userId, (message) =>
+      setMessages((current) => mergeMessages(current, [message]))
+    );
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [transport, userId]);
+
+  const send = useCallback(
+    async (rideId, recipientId, body, kind = MESSAGE_KIND.TEXT) => {
+      const saved = await transport.sendMessage({
+        ride_id: rideId,
+        sender_id: userId,
+        recipient_id: recipientId,
+        body,
+        kind,
+      });
+      setMessages((current) => mergeMessages(current, [saved]));
+      return saved;
+    },
+    [transport, userId]
+  );
+
+  const sendMessage = useCallback(
+    async (rideId, recipientId, body) => {
+      const validationError = validateMessage(body);
+      if (validationError) throw new Error(validationError);
+      return send(rideId, recipientId, body.trim());
+    },
+    [send]
+  );
+
+  const shareContact = useCallback(
+    (rideId, recipientId) =>
+      send(
+        rideId,
+        recipientId,
+        "Happy to share contact details",
+        MESSAGE_KIND.CONTACT_OPT_IN
+      ),
+    [send]
+  );
+
+  const markThreadRead = useCallback(
+    async (rideId, otherUserId) => {
+      const unread = getThreadMessages(
+        messages,
+        rideId,
+        userId,
+        otherUserId
+      ).filter((message) => isUnread(message, userId));
+      if (!unread.length) return;
+
+      const readAt = new Date().toISOString();
+      await transport.markRead(
+        unread.map((message) => message.id),
+        readAt
+      );
+      setMessages((current) =>
+        mergeMessages(
+          current,
+          unread.map((message) => ({ id: message.id, read_at: readAt }))
+        )
+      );
+    },
+    [messages, transport, userId]
+  );
+
+  const value = useMemo(
+    () => ({
+      messages,
+      threads: groupThreads(messages, userId),
+      unreadCount: countUnread(messages, userId),
+      sendMessage,
+      shareContact,
+      markThreadRead,
+    }),
+    [messages, userId, sendMessage, shareContact, markThreadRead]
+  );
+
+  return <ChatContext.Provider value={value}>{children}</ChatContext.Provider>;
+}
+
+export function useChat() {
+  return useContext(ChatContext);
+}
@@ -0,0 +1,24 @@
+import React, { createContext, useContext } from "react";
+import { supabase } from "../services/supabaseClient";
+import { createSupabaseBackend } from "../services/dataBackend";
+
+const DataContext = createContext();
+
+const defaultBackend = createSupabaseBackend(supabase);
+
+/**
+ * Hands components the data backend (see services/dataBackend). Pass
+ * `backend` to run against services/memoryBackend instead of Supabase.
+ */
+export function DataProvider({ backend = defaultBackend, children }) {
+  return (
+    <DataContext.Provider value={backend}>{children}</DataContext.Provider>
+  );
+}
+
+/**
+ * @returns {import("../services/dataBackend").DataBackend}
+ */
+export function useData() {
+  return useContext(DataContext);
+}
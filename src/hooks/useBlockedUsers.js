@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { supabase } from "../services/supabaseClient";
+import { useAuth } from "../contexts/AuthContext";
+import { indexBlockedIds } from "../utils/blocks";
+
+/**
+ * The signed-in rider's personal block list, newest first, with helpers to
+ * block and unblock. Only my own blocks are readable, never who blocked me.
+ */
+export function useBlockedUsers() {
+  const { user } = useAuth();
+  const [blocks, setBlocks] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      setLoading(true);
+      const { data, error } = await supabase
+        .from("user_blocks")
+        .select("blocked_id, created_at, profiles:blocked_id(name, avatar_url)")
+        .eq("blocker_id", user.id)
+        .order("created_at", { ascending: false });
+
+      if (error) throw error;
+      setBlocks(data || []);
+    } catch (error) {
+      console.error("Error fetching blocked users:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (user) refresh();
+  }, [user, refresh]);
+
+  const block = useCallback(
+    async (userId) => {
+      const { data, error } = await supabase
+        .from("user_blocks")
+        .insert({ blocker_id: user.id, blocked_id: userId })
+        .select("blocked_id, created_at, profiles:blocked_id(name, avatar_url)")
+        .single();
+
+      if (error) {
+        console.error("Error blocking user:", error);
+        return false;
+      }
+      setBlocks((current) => [data, ...current]);
+      return true;
+    },
+    [user]
+  );
+
+  const unblock = useCallback(
+    async (userId) => {
+      const { error } = await supabase
+        .from("user_blocks")
+        .delete()
+        .eq("blocker_id", user.id)
+        .eq("blocked_id", userId);
+
+      if (error) {
+        console.error("Error unblocking user:", error);
+        return false;
+      }
+      setBlocks((current) => current.filter((b) => b.blocked_id !== userId));
+      return true;
+    },
+    [user]
+  );
+
+  const blockedIds = useMemo(() => indexBlockedIds(blocks), [blocks]);
+
+  return { blocks, blockedIds, loading, refresh, block, unblock };
+}
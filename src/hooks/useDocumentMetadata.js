@@ -0,0 +1,46 @@
+import { useEffect } from "react";
+
+// Open Graph properties kept in sync with the page
+const OG_PROPERTIES = ["og:title", "og:description", "og:url"];
+
+const getMetaTag = (property) => {
+  let tag = document.head.querySelector(`meta[property="${property}"]`);
+  if (!tag) {
+    tag = document.createElement("meta");
+    tag.setAttribute("property", property);
+    document.head.appendChild(tag);
+  }
+  return tag;
+};
+
+/**
+ * Set the document title and Open Graph tags while a page is shown, and put
+ * the previous values back when it goes away. Crawlers that run scripts
+ * (and the browser's own share sheet) pick these up; pass null while the
+ * page is still loading.
+ * @param {{ title: string, description: string, url?: string }|null} metadata
+ */
+export function useDocumentMetadata(metadata) {
+  const { title, description, url } = metadata || {};
+
+  useEffect(() => {
+    if (!title) return undefined;
+
+    const previousTitle = document.title;
+    const tags = OG_PROPERTIES.map(getMetaTag);
+    const previous = tags.map((tag) => tag.getAttribute("content"));
+    const values = [title, description, url || window.location.href];
+
+    document.title = title;
+    tags.forEach((tag, i) => tag.setAttribute("content", values[i] || ""));
+
+    return () => {
+      document.title = previousTitle;
+      tags.forEach((tag, i) =>
+        previous[i] === null
+          ? tag.remove()
+          : tag.setAttribute("content", previous[i])
+      );
+    };
+  }, [title, description, url]);
+}
@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useState } from "react";
+import { useData } from "../contexts/DataContext";
+import { DEFAULT_FARES } from "../utils/fares";
+
+// Last tariff table we loaded, so estimates still show offline
+const CACHE_KEY = "cached_fares";
+
+const getCachedFares = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY)) || DEFAULT_FARES;
+  } catch (error) {
+    console.error("Error reading fares from cache:", error);
+    return DEFAULT_FARES;
+  }
+};
+
+/**
+ * The admin-managed tariff table used for fare estimates. Falls back to
+ * the last table loaded, then to the seeded defaults.
+ */
+export function useFares() {
+  const backend = useData();
+  const [fares, setFares] = useState(getCachedFares);
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await backend.fares.list();
+      if (data.length) {
+        setFares(data);
+        localStorage.setItem(CACHE_KEY, JSON.stringify(data));
+      }
+    } catch (error) {
+      console.error("Error fetching fares:", error);
+    }
+  }, [backend]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { fares, refresh };
+}
@@ -0,0 +1,62 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useData } from "../contexts/DataContext";
+import {
+  DEFAULT_LOCATIONS,
+  createLocationLocator,
+  createLocationResolver,
+} from "../utils/locations";
+
+// Last catalog we loaded, so pickers still work offline
+const CACHE_KEY = "cached_locations";
+
+const getCachedLocations = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY)) || DEFAULT_LOCATIONS;
+  } catch (error) {
+    console.error("Error reading locations from cache:", error);
+    return DEFAULT_LOCATIONS;
+  }
+};
+
+/**
+ * Active pickup/drop locations from the admin-managed catalog, plus a
+ * resolver that maps aliases to canonical names and a locator returning
+ * coordinates, both for matching. The last catalog is cached so matching
+ * by distance keeps working offline.
+ */
+export function useLocations() {
+  const backend = useData();
+  const [locations, setLocations] = useState(getCachedLocations);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await backend.locations.list();
+      if (data.length) {
+        setLocations(data);
+        localStorage.setItem(CACHE_KEY, JSON.stringify(data));
+      }
+    } catch (error) {
+      console.error("Error fetching locations:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [backend]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const resolveLocation = useMemo(
+    () => createLocationResolver(locations),
+    [locations]
+  );
+
+  const locateLocation = useMemo(
+    () => createLocationLocator(locations),
+    [locations]
+  );
+
+  return { locations, loading, refresh, resolveLocation, locateLocation };
+}
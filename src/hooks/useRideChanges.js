@@ -0,0 +1,33 @@
+import { useEffect, useRef } from "react";
+import { supabase } from "../services/supabaseClient";
+
+/**
+ * Subscribe to inserts, updates and deletes on the `rides` table for as
+ * long as the component is mounted. `onChange` receives the raw realtime
+ * payload; pass it to applyRideChange (utils/rideChanges) to merge it.
+ * @param {string} channelName unique per subscriber
+ * @param {(payload: object) => void} onChange
+ * @param {boolean} [enabled]
+ */
+export function useRideChanges(channelName, onChange, enabled = true) {
+  // Keep the latest handler without resubscribing on every render
+  const handlerRef = useRef(onChange);
+  handlerRef.current = onChange;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const channel = supabase
+      .channel(channelName)
+      .on(
+        "postgres_changes",
+        { event: "*", schema: "public", table: "rides" },
+        (payload) => handlerRef.current(payload)
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [channelName, enabled]);
+}
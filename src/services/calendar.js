@@ -0,0 +1,161 @@
+import { supabase } from "./supabaseClient";
+import {
+  buildCalendar,
+  buildRideCalendar,
+  getCalendarFileName,
+  getCalendarFingerprint,
+} from "../utils/ical";
+import { getRideUrl } from "../utils/rideLinks";
+import { REQUEST_STATUS } from "../utils/rideRequests";
+
+// Subscribed calendar feeds are published as `<calendar_token>.ics` files
+// in this public bucket. The token is the only secret in the URL, so
+// resetting it cuts off every calendar that subscribed before.
+const FEED_BUCKET = "calendars";
+
+// How long calendar apps and the CDN may cache a feed, in seconds
+const FEED_CACHE_SECONDS = "300";
+
+/**
+ * Save a single ride (or occurrence) as an .ics file.
+ */
+export function downloadRideCalendar(ride) {
+  const text = buildRideCalendar(ride, { getUrl: getRideUrl });
+  const url = URL.createObjectURL(
+    new Blob([text], { type: "text/calendar;charset=utf-8" })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = getCalendarFileName(ride);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+const getFeedPath = (token) => `${token}.ics`;
+
+const getFeedUrl = (token) =>
+  supabase.storage.from(FEED_BUCKET).getPublicUrl(getFeedPath(token)).data
+    .publicUrl;
+
+// Everything the feed covers: the user's own rides, cancelled ones
+// included so calendars drop them, and rides they were accepted on
+const fetchFeedRides = async (userId) => {
+  const [own, accepted] = await Promise.all([
+    supabase.from("rides").select("*, profiles(name)").eq("user_id", userId),
+    supabase
+      .from("ride_requests")
+      .select("ride_id")
+      .eq("requester_id", userId)
+      .eq("status", REQUEST_STATUS.ACCEPTED),
+  ]);
+  if (own.error) throw own.error;
+  if (accepted.error) throw accepted.error;
+
+  const acceptedIds = accepted.data.map((request) => request.ride_id);
+  if (acceptedIds.length === 0) return own.data;
+
+  const joined = await supabase
+    .from("rides")
+    .select("*, profiles(name)")
+    .in("id", acceptedIds);
+  if (joined.error) throw joined.error;
+  return [...own.data, ...joined.data];
+};
+
+// Uploads the feed unless it would match `published`, the fingerprint of
+// the copy already in the bucket
+const publishFeed = async (userId, token, published = null) => {
+  const rides = await fetchFeedRides(userId);
+  const text = buildCalendar(rides, {
+    name: "My rides",
+    getUrl: (ride) => getRideUrl(ride),
+  });
+  const fingerprint = getCalendarFingerprint(text);
+  if (fingerprint === published) return;
+  const { error } = await supabase.storage
+    .from(FEED_BUCKET)
+    .upload(getFeedPath(token), new Blob([text]), {
+      contentType: "text/calendar;charset=utf-8",
+      cacheControl: FEED_CACHE_SECONDS,
+      upsert: true,
+    });
+  if (error) throw error;
+  await saveFeed(userId, { calendar_feed_hash: fingerprint });
+};
+
+const getFeed = async (userId) => {
+  const { data, error } = await supabase
+    .from("profiles")
+    .select("calendar_token, calendar_feed_hash")
+    .eq("user_id", userId)
+    .single();
+  if (error) throw error;
+  return data;
+};
+
+const getFeedToken = async (userId) =>
+  (await getFeed(userId))?.calendar_token || null;
+
+const saveFeed = async (userId, changes) => {
+  const { error } = await supabase
+    .from("profiles")
+    .update(changes)
+    .eq("user_id", userId);
+  if (error) throw error;
+};
+
+/**
+ * The user's feed URL, or null if they haven't turned the feed on.
+ */
+export async function getCalendarFeedUrl(userId) {
+  const token = await getFeedToken(userId);
+  return token ? getFeedUrl(token) : null;
+}
+
+/**
+ * Turn the feed on, or replace its URL with a new one when `reset` is set.
+ * @returns {Promise<string>} the URL to subscribe to
+ */
+export async function enableCalendarFeed(userId, { reset = false } = {}) {
+  const previous = await getFeedToken(userId);
+  if (previous && !reset) return getFeedUrl(previous);
+
+  const token = crypto.randomUUID();
+  await saveFeed(userId, { calendar_token: token });
+  await publishFeed(userId, token);
+  if (previous) {
+    await supabase.storage.from(FEED_BUCKET).remove([getFeedPath(previous)]);
+  }
+  return getFeedUrl(token);
+}
+
+/**
+ * Turn the feed off and delete the published file.
+ */
+export async function disableCalendarFeed(userId) {
+  const token = await getFeedToken(userId);
+  if (!token) return;
+  await saveFeed(userId, { calendar_token: null, calendar_feed_hash: null });
+  const { error } = await supabase.storage
+    .from(FEED_BUCKET)
+    .remove([getFeedPath(token)]);
+  if (error) throw error;
+}
+
+/**
+ * Republish the feed if the user's rides have changed since it was last
+ * published. Does nothing when the feed is off; failures are logged and
+ * never block the change itself.
+ */
+export async function refreshCalendarFeed(userId) {
+  try {
+    const feed = await getFeed(userId);
+    if (feed?.calendar_token) {
+      await publishFeed(userId, feed.calendar_token, feed.calendar_feed_hash);
+    }
+  } catch (error) {
+    console.error("Error refreshing calendar feed:", error);
+  }
+}
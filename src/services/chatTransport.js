@@ -0,0 +1,119 @@
+// Transports move chat messages between riders. The app talks to Supabase;
+// tests (and local development without a backend) use the in-memory one,
+// which behaves the same way including realtime delivery.
+
+/**
+ * @typedef {object} ChatTransport
+ * @property {(userId: string) => Promise<object[]>} fetchMessages
+ *   every message sent to or by the user
+ * @property {(message: object) => Promise<object>} sendMessage
+ *   stores `{ ride_id, sender_id, recipient_id, body, kind }`
+ * @property {(ids: string[], readAt: string) => Promise<void>} markRead
+ * @property {(userId: string, onMessage: (message: object) => void) => () => void} subscribe
+ *   delivers messages sent to the user; returns an unsubscribe function
+ */
+
+/**
+ * @param {import("@supabase/supabase-js").SupabaseClient} client
+ * @returns {ChatTransport}
+ */
+export const createSupabaseChatTransport = (client) => ({
+  async fetchMessages(userId) {
+    const { data, error } = await client
+      .from("messages")
+      .select("*")
+      .or(`sender_id.eq.${userId},recipient_id.eq.${userId}`)
+      .order("created_at", { ascending: true });
+    if (error) throw error;
+    return data || [];
+  },
+
+  async sendMessage(message) {
+    const { data, error } = await client
+      .from("messages")
+      .insert(message)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  },
+
+  async markRead(ids, readAt) {
+    if (!ids.length) return;
+    const { error } = await client
+      .from("messages")
+      .update({ read_at: readAt })
+      .in("id", ids);
+    if (error) throw error;
+  },
+
+  subscribe(userId, onMessage) {
+    const channel = client
+      .channel(`messages-${userId}`)
+      .on(
+        "postgres_changes",
+        {
+          event: "INSERT",
+          schema: "public",
+          table: "messages",
+          filter: `recipient_id=eq.${userId}`,
+        },
+        (payload) => onMessage(payload.new)
+      )
+      .subscribe();
+    return () => {
+      client.removeChannel(channel);
+    };
+  },
+});
+
+/**
+ * A local stand-in for the realtime backend.
+ * @param {{ messages?: object[], now?: () => Date }} [options]
+ * @returns {ChatTransport & { messages: object[] }}
+ */
+export const createMemoryChatTransport = ({
+  messages = [],
+  now = () => new Date(),
+} = {}) => {
+  const store = [...messages];
+  const listeners = new Map();
+  let nextId = store.length + 1;
+
+  return {
+    messages: store,
+
+    async fetchMessages(userId) {
+      return store
+        .filter((m) => m.sender_id === userId || m.recipient_id === userId)
+        .map((m) => ({ ...m }));
+    },
+
+    async sendMessage(message) {
+      const saved = {
+        ...message,
+        id: `local-${nextId++}`,
+        created_at: now().toISOString(),
+        read_at: null,
+      };
+      store.push(saved);
+      (listeners.get(saved.recipient_id) || []).forEach((listener) =>
+        listener({ ...saved })
+      );
+      return { ...saved };
+    },
+
+    async markRead(ids, readAt) {
+      store.forEach((m) => {
+        if (ids.includes(m.id)) m.read_at = readAt;
+      });
+    },
+
+    subscribe(userId, onMessage) {
+      const userListeners = listeners.get(userId) || new Set();
+      userListeners.add(onMessage);
+      listeners.set(userId, userListeners);
+      return () => userListeners.delete(onMessage);
+    },
+  };
+};
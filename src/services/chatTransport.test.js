@@ -0,0 +1,67 @@
+import { createMemoryChatTransport } from "./chatTransport";
+import { MESSAGE_KIND, canRevealContact } from "../utils/chat";
+
+const send = (transport, overrides) =>
+  transport.sendMessage({
+    ride_id: "r1",
+    sender_id: "ayesha",
+    recipient_id: "nusrat",
+    body: "Hi",
+    kind: MESSAGE_KIND.TEXT,
+    ...overrides,
+  });
+
+describe("createMemoryChatTransport", () => {
+  test("delivers messages to the recipient in realtime", async () => {
+    const transport = createMemoryChatTransport();
+    const received = [];
+    const unsubscribe = transport.subscribe("nusrat", (m) => received.push(m));
+    const others = [];
+    transport.subscribe("tania", (m) => others.push(m));
+
+    const saved = await send(transport);
+    expect(saved.id).toBeTruthy();
+    expect(saved.read_at).toBeNull();
+    expect(received).toEqual([saved]);
+    expect(others).toEqual([]);
+
+    unsubscribe();
+    await send(transport, { body: "Still there?" });
+    expect(received).toHaveLength(1);
+  });
+
+  test("fetches messages sent to or by a user", async () => {
+    const transport = createMemoryChatTransport();
+    await send(transport);
+    await send(transport, { sender_id: "tania", recipient_id: "rima" });
+
+    const messages = await transport.fetchMessages("ayesha");
+    expect(messages.map((m) => m.body)).toEqual(["Hi"]);
+  });
+
+  test("marks messages read", async () => {
+    const now = () => new Date("2025-01-01T08:00:00Z");
+    const transport = createMemoryChatTransport({ now });
+    const saved = await send(transport);
+
+    await transport.markRead([saved.id], "2025-01-01T08:01:00Z");
+    const [message] = await transport.fetchMessages("nusrat");
+    expect(message.created_at).toBe("2025-01-01T08:00:00.000Z");
+    expect(message.read_at).toBe("2025-01-01T08:01:00Z");
+  });
+
+  test("reveals contact details only after both sides opt in", async () => {
+    const transport = createMemoryChatTransport();
+    await send(transport, { kind: MESSAGE_KIND.CONTACT_OPT_IN });
+    let messages = await transport.fetchMessages("ayesha");
+    expect(canRevealContact(messages, "ayesha", "nusrat")).toBe(false);
+
+    await send(transport, {
+      sender_id: "nusrat",
+      recipient_id: "ayesha",
+      kind: MESSAGE_KIND.CONTACT_OPT_IN,
+    });
+    messages = await transport.fetchMessages("ayesha");
+    expect(canRevealContact(messages, "ayesha", "nusrat")).toBe(true);
+  });
+});
@@ -0,0 +1,83 @@
+// Alerts a rider's trusted contacts when they haven't checked in after a
+// shared trip (see utils/tripShare). Run on a schedule by
+// scripts/send-alerts.mjs with a service-role client, since it reads every
+// rider's shares and contacts.
+
+import { runQuery } from "./errors";
+import {
+  describeCheckInAlert,
+  getTripUrl,
+  isAlertDue,
+} from "../utils/tripShare";
+
+const CONTACT_FIELDS = "id, name, phone, email";
+
+/**
+ * Shares whose rider is overdue and whose contacts haven't been alerted.
+ * Grace periods differ per share, so the query only narrows it down to
+ * trips past their expected arrival and the rest is checked here.
+ * @param {import("@supabase/supabase-js").SupabaseClient} client
+ * @param {Date} [now]
+ */
+export async function findOverdueShares(client, now = new Date()) {
+  const data = await runQuery(
+    client
+      .from("trip_shares")
+      .select("*")
+      .is("checked_in_at", null)
+      .is("alerted_at", null)
+      .lte("check_in_due_at", now.toISOString())
+      .gt("expires_at", now.toISOString())
+  );
+  return (data || []).filter((share) => isAlertDue(share, now));
+}
+
+/**
+ * Message each overdue rider's trusted contacts, then set `alerted_at` so
+ * they are only alerted once. When every message for a share fails it is
+ * left for the next run.
+ * @param {object} options
+ * @param {import("@supabase/supabase-js").SupabaseClient} options.client
+ * @param {(contact: object, text: string) => Promise<void>} options.deliver
+ *   sends one message to a contact
+ * @param {string} options.origin the app's address, for the trip link
+ * @param {Date} [options.now]
+ * @returns {Promise<number>} how many shares were alerted
+ */
+export async function sendCheckInAlerts({
+  client,
+  deliver,
+  origin,
+  now = new Date(),
+}) {
+  const shares = await findOverdueShares(client, now);
+  let alerted = 0;
+
+  for (const share of shares) {
+    const contacts =
+      (await runQuery(
+        client
+          .from("trusted_contacts")
+          .select(CONTACT_FIELDS)
+          .eq("user_id", share.user_id)
+      )) || [];
+    const text = describeCheckInAlert(share, getTripUrl(share.token, origin));
+    const results = await Promise.allSettled(
+      contacts.map((contact) => deliver(contact, text))
+    );
+    const failed = results.filter((result) => result.status === "rejected");
+    failed.forEach((result) =>
+      console.error(`Error alerting contacts for ${share.id}:`, result.reason)
+    );
+    if (contacts.length > 0 && failed.length === contacts.length) continue;
+
+    await runQuery(
+      client
+        .from("trip_shares")
+        .update({ alerted_at: now.toISOString() })
+        .eq("id", share.id)
+    );
+    alerted += 1;
+  }
+  return alerted;
+}
@@ -0,0 +1,86 @@
+import { findOverdueShares, sendCheckInAlerts } from "./checkInAlerts";
+import { createMemoryClient } from "./memoryClient";
+
+const at = (hour, minute = 0) =>
+  new Date(2025, 0, 6, hour, minute).toISOString();
+
+// Left at 17:00, expected by 17:30, alert after 15 minutes' grace
+const share = (overrides) => ({
+  id: "s1",
+  token: "t1",
+  user_id: "nadia",
+  ride_from: "Campus",
+  ride_to: "Kuril",
+  rider_name: "Nadia",
+  partners: ["Rumana"],
+  departure_time: at(17),
+  check_in_due_at: at(17, 30),
+  grace_minutes: 15,
+  expires_at: at(23),
+  checked_in_at: null,
+  alerted_at: null,
+  ...overrides,
+});
+
+const contacts = [
+  { id: "c1", user_id: "nadia", name: "Amma", phone: "+8801700000000" },
+  { id: "c2", user_id: "nadia", name: "Sara", email: "sara@example.com" },
+  { id: "c3", user_id: "rumana", name: "Abba", phone: "+8801800000000" },
+];
+
+const now = new Date(2025, 0, 6, 17, 50);
+
+describe("findOverdueShares", () => {
+  test("finds riders past their grace period who haven't checked in", async () => {
+    const client = createMemoryClient({
+      trip_shares: [
+        share(),
+        share({ id: "arrived", checked_in_at: at(17, 25) }),
+        share({ id: "alerted", alerted_at: at(17, 46) }),
+        share({ id: "grace", grace_minutes: 30 }),
+        share({ id: "later", check_in_due_at: at(18) }),
+        share({ id: "expired", expires_at: at(17, 45) }),
+      ],
+    });
+
+    const overdue = await findOverdueShares(client, now);
+    expect(overdue.map((s) => s.id)).toEqual(["s1"]);
+  });
+});
+
+describe("sendCheckInAlerts", () => {
+  test("messages the rider's contacts once", async () => {
+    const client = createMemoryClient({
+      trip_shares: [share()],
+      trusted_contacts: contacts.map((c) => ({ ...c })),
+    });
+    const deliver = jest.fn().mockResolvedValue();
+
+    const options = { client, deliver, origin: "https://example.com", now };
+    expect(await sendCheckInAlerts(options)).toBe(1);
+    expect(deliver.mock.calls.map(([contact]) => contact.name)).toEqual([
+      "Amma",
+      "Sara",
+    ]);
+    expect(deliver.mock.calls[0][1]).toContain("https://example.com/trip/t1");
+    expect(client.tables.trip_shares[0].alerted_at).toBe(now.toISOString());
+
+    expect(await sendCheckInAlerts(options)).toBe(0);
+    expect(deliver).toHaveBeenCalledTimes(2);
+  });
+
+  test("retries next run when every message fails", async () => {
+    const client = createMemoryClient({
+      trip_shares: [share()],
+      trusted_contacts: contacts.map((c) => ({ ...c })),
+    });
+    const deliver = jest.fn().mockRejectedValue(new Error("SMS down"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(await sendCheckInAlerts({ client, deliver, origin: "", now })).toBe(
+      0
+    );
+    expect(client.tables.trip_shares[0].alerted_at).toBeNull();
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,29 @@
+import { supabase } from "./supabaseClient";
+
+/**
+ * A partner's contact details for a ride, as far as their visibility
+ * setting allows. The database function checks the match was accepted and
+ * logs the view; it returns nothing when either check fails.
+ * @returns {Promise<{ whatsapp: string|null, email: string|null }|null>}
+ */
+export async function revealContact(rideId, otherUserId) {
+  const { data, error } = await supabase
+    .rpc("reveal_contact", { ride_id: rideId, owner_id: otherUserId })
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Who has viewed my contact details, newest first.
+ */
+export async function getContactViews(userId, limit = 20) {
+  const { data, error } = await supabase
+    .from("contact_views")
+    .select("created_at, ride_id, viewer:viewer_id(name)")
+    .eq("owner_id", userId)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data || [];
+}
@@ -0,0 +1,480 @@
+// The data layer components use instead of building Supabase queries. It
+// covers profiles, rides and their join requests, ratings, reports, the
+// location and fare catalogs, the admin audit log and avatar storage;
+// every method resolves to plain rows and throws a DataError
+// (services/errors) on failure. The app talks to Supabase; tests use the
+// in-memory backend (services/memoryBackend), which behaves the same way.
+// Components get the backend from DataProvider. Chat, blocks, trip shares,
+// contacts, push subscriptions and calendar feeds have service modules
+// and hooks of their own and are not covered yet.
+
+import { runQuery as run } from "./errors";
+import { getPartnerFilter } from "../utils/partnerPreference";
+
+/**
+ * @typedef {object} Profile
+ * @property {string} user_id
+ * @property {string} name
+ * @property {string} gender
+ * @property {string} partner_preference
+ * @property {string|null} avatar_url
+ * @property {string} [role] "admin" for admins
+ * @property {string} [status] "active" or "blocked"
+ *
+ * @typedef {object} Ride
+ * @property {string} id
+ * @property {string} user_id
+ * @property {string} from
+ * @property {string} to
+ * @property {string} time ISO departure
+ * @property {string} gender
+ * @property {string} partner_preference
+ * @property {object|null} recurrence
+ * @property {string|null} status
+ * @property {object|null} preferences
+ * @property {{ name: string, avatar_url: string|null, gender: string }} [profiles]
+ *   the poster, on rides loaded for display
+ *
+ * @typedef {object} RideRequest
+ * @property {string} id
+ * @property {string} ride_id
+ * @property {string} requester_id
+ * @property {string} status
+ * @property {string} created_at
+ * @property {{ name: string }} [profiles] the requester, for ride owners
+ *
+ * @typedef {object} Rating
+ * @property {string} ride_id
+ * @property {string} rater_id
+ * @property {string} ratee_id
+ * @property {number} score
+ * @property {string[]} tags
+ *
+ * @typedef {object} Report
+ * @property {string} id
+ * @property {string} reporter_id
+ * @property {string} reported_user_id
+ * @property {string|null} ride_id
+ * @property {string} reason
+ * @property {string} details
+ * @property {string} status
+ * @property {string} created_at
+ *
+ * @typedef {object} AuditLog
+ * @property {string} id
+ * @property {string} user_id the admin
+ * @property {string|null} target_user_id
+ * @property {string} action
+ * @property {string} details
+ * @property {string} created_at
+ *
+ * @typedef {{ since?: string, until?: string }} DateRange
+ *   created_at bounds for admin listings
+ *
+ * @typedef {object} DataBackend
+ * @property {object} profiles
+ * @property {(userId: string) => Promise<Profile|null>} profiles.get
+ * @property {(profile: Profile) => Promise<Profile>} profiles.save
+ *   creates or replaces the profile for `profile.user_id`
+ * @property {(userId: string, changes: object) => Promise<Profile>} profiles.update
+ * @property {(userId: string) => Promise<void>} profiles.remove
+ * @property {(range?: DateRange) => Promise<Profile[]>} profiles.list
+ *   everyone, newest first, with `rides: [{ count }]`
+ * @property {(userIds: string[]) => Promise<Profile[]>} profiles.listByIds
+ *   other riders' names and avatars only
+ * @property {object} rides
+ * @property {(id: string) => Promise<Ride|null>} rides.get with the poster
+ * @property {(userId: string) => Promise<Ride[]>} rides.listByUser
+ *   newest first
+ * @property {(ids: string[]) => Promise<Ride[]>} rides.listByIds
+ * @property {(profile: Profile) => Promise<Ride[]>} rides.listForBrowsing
+ *   other riders' open and matched rides the profile may see, with posters
+ * @property {(viewer: { gender: string, partner_preference: string }, userId: string) => Promise<Ride[]>} rides.listCandidates
+ *   other riders' rides the viewer could be matched with
+ * @property {(range?: DateRange) => Promise<Ride[]>} rides.listAll
+ *   every ride, newest first, with the poster's contact details
+ * @property {(ride: object) => Promise<Ride>} rides.create
+ * @property {(id: string, changes: object, options?: { ownerId?: string }) => Promise<Ride>} rides.update
+ *   `ownerId` makes the update fail unless the ride is theirs
+ * @property {(id: string) => Promise<void>} rides.remove
+ * @property {object} rideRequests
+ * @property {(rideIds: string[]) => Promise<RideRequest[]>} rideRequests.listForRides
+ *   with the requester's name
+ * @property {(userId: string) => Promise<RideRequest[]>} rideRequests.listByRequester
+ * @property {(request: object) => Promise<RideRequest>} rideRequests.create
+ * @property {(id: string, status: string) => Promise<void>} rideRequests.updateStatus
+ * @property {(id: string) => Promise<Ride>} rideRequests.accept
+ *   accepts a pending request and takes a seat; fails with CONFLICT when
+ *   the ride is full or no longer open
+ * @property {(id: string) => Promise<Ride|null>} rideRequests.cancel
+ *   the requester withdraws or leaves; an accepted request's seat is handed
+ *   back and the updated ride returned
+ * @property {object} ratings
+ * @property {(userIds: string[]) => Promise<Rating[]>} ratings.listForRatees
+ *   scores and tags only, for reputations
+ * @property {(userId: string, options?: { rideId?: string }) => Promise<Rating[]>} ratings.listByRater
+ * @property {() => Promise<Rating[]>} ratings.listAll
+ *   scores and tags only, for the admin dashboard
+ * @property {(rating: object) => Promise<Rating>} ratings.create
+ * @property {object} reports
+ * @property {() => Promise<Report[]>} reports.listAll
+ *   newest first, with `reporter`, `reported` and the ride
+ * @property {(report: object) => Promise<void>} reports.create
+ * @property {(id: string, status: string) => Promise<void>} reports.updateStatus
+ * @property {object} locations
+ * @property {(options?: { includeHidden?: boolean }) => Promise<object[]>} locations.list
+ *   by name; hidden locations only for admins
+ * @property {(location: object) => Promise<object>} locations.create
+ * @property {(id: string, changes: object) => Promise<object>} locations.update
+ * @property {(id: string) => Promise<void>} locations.remove
+ * @property {object} fares
+ * @property {() => Promise<object[]>} fares.list
+ * @property {(fare: object) => Promise<object>} fares.create
+ * @property {(id: string, changes: object) => Promise<object>} fares.update
+ * @property {(id: string) => Promise<void>} fares.remove
+ * @property {object} auditLogs
+ * @property {(options?: DateRange & { limit?: number }) => Promise<AuditLog[]>} auditLogs.list
+ *   newest first, with both users' names and emails
+ * @property {(entry: object) => Promise<void>} auditLogs.add
+ * @property {object} storage
+ * @property {(userId: string, file: File) => Promise<string>} storage.uploadAvatar
+ *   resolves to the image's public URL
+ */
+
+// Contact details are left out; riders talk through in-app chat first
+const POSTER_FIELDS = "profiles(name, avatar_url, gender)";
+
+// What any rider may see of another
+const PUBLIC_PROFILE_FIELDS = "user_id, name, avatar_url";
+
+// Enough of a ride to match against
+const MATCH_FIELDS =
+  "id, user_id, time, from, to, gender, partner_preference, recurrence, status, preferences";
+
+const REQUEST_FIELDS = "id, ride_id, requester_id, status, created_at";
+
+const RATING_FIELDS = "ride_id, ratee_id, score, tags";
+
+const REPORT_FIELDS =
+  "*, reporter:reporter_id(name, email), reported:reported_user_id(name, email, status), rides(from, to, time)";
+
+const AUDIT_LOG_FIELDS =
+  "*, profiles:user_id(name, email), target_profiles:target_user_id(name, email)";
+
+const AVATAR_BUCKET = "avatars";
+
+const inRange = (query, { since, until } = {}) => {
+  let ranged = query;
+  if (since) ranged = ranged.gte("created_at", since);
+  if (until) ranged = ranged.lte("created_at", until);
+  return ranged;
+};
+
+/**
+ * @param {import("@supabase/supabase-js").SupabaseClient} client
+ * @returns {DataBackend}
+ */
+export const createSupabaseBackend = (client) => ({
+  profiles: {
+    get: (userId) =>
+      run(
+        client.from("profiles").select("*").eq("user_id", userId).maybeSingle()
+      ),
+
+    save: (profile) =>
+      run(
+        client
+          .from("profiles")
+          .upsert(profile, { onConflict: "user_id", ignoreDuplicates: false })
+          .select()
+          .single()
+      ),
+
+    update: (userId, changes) =>
+      run(
+        client
+          .from("profiles")
+          .update(changes)
+          .eq("user_id", userId)
+          .select()
+          .single()
+      ),
+
+    async remove(userId) {
+      await run(client.from("profiles").delete().eq("user_id", userId));
+    },
+
+    async list(range) {
+      const data = await run(
+        inRange(
+          client
+            .from("profiles")
+            .select("*, rides(count)")
+            .order("created_at", { ascending: false }),
+          range
+        )
+      );
+      return data || [];
+    },
+
+    async listByIds(userIds) {
+      if (!userIds.length) return [];
+      const data = await run(
+        client
+          .from("profiles")
+          .select(PUBLIC_PROFILE_FIELDS)
+          .in("user_id", userIds)
+      );
+      return data || [];
+    },
+  },
+
+  rides: {
+    get: (id) =>
+      run(
+        client
+          .from("rides")
+          .select(`*, ${POSTER_FIELDS}`)
+          .eq("id", id)
+          .maybeSingle()
+      ),
+
+    async listByUser(userId) {
+      const data = await run(
+        client
+          .from("rides")
+          .select("*")
+          .eq("user_id", userId)
+          .order("created_at", { ascending: false })
+      );
+      return data || [];
+    },
+
+    async listByIds(ids) {
+      if (!ids.length) return [];
+      const data = await run(client.from("rides").select("*").in("id", ids));
+      return data || [];
+    },
+
+    async listForBrowsing(profile) {
+      const data = await run(
+        client
+          .from("rides")
+          .select(`*, ${POSTER_FIELDS}`)
+          .or(getPartnerFilter(profile))
+          .neq("user_id", profile.user_id)
+          .or("status.is.null,status.in.(open,matched)")
+      );
+      return data || [];
+    },
+
+    async listCandidates(viewer, userId) {
+      const data = await run(
+        client
+          .from("rides")
+          .select(MATCH_FIELDS)
+          .or(getPartnerFilter(viewer))
+          .neq("user_id", userId)
+      );
+      return data || [];
+    },
+
+    async listAll(range) {
+      const data = await run(
+        inRange(
+          client
+            .from("rides")
+            .select("*, profiles(name, email, gender, phone)")
+            .order("created_at", { ascending: false }),
+          range
+        )
+      );
+      return data || [];
+    },
+
+    create: (ride) => run(client.from("rides").insert(ride).select().single()),
+
+    update(id, changes, { ownerId } = {}) {
+      let query = client.from("rides").update(changes).eq("id", id);
+      if (ownerId) query = query.eq("user_id", ownerId);
+      return run(query.select().single());
+    },
+
+    async remove(id) {
+      await run(client.from("rides").delete().eq("id", id));
+    },
+  },
+
+  rideRequests: {
+    async listForRides(rideIds) {
+      if (!rideIds.length) return [];
+      const data = await run(
+        client
+          .from("ride_requests")
+          .select(`${REQUEST_FIELDS}, profiles(name)`)
+          .in("ride_id", rideIds)
+      );
+      return data || [];
+    },
+
+    async listByRequester(userId) {
+      const data = await run(
+        client
+          .from("ride_requests")
+          .select(REQUEST_FIELDS)
+          .eq("requester_id", userId)
+      );
+      return data || [];
+    },
+
+    create: (request) =>
+      run(
+        client
+          .from("ride_requests")
+          .insert(request)
+          .select(REQUEST_FIELDS)
+          .single()
+      ),
+
+    async updateStatus(id, status) {
+      await run(client.from("ride_requests").update({ status }).eq("id", id));
+    },
+
+    // Seats change in the same transaction as the request, in database
+    // functions (see README "Seats")
+    accept: (id) => run(client.rpc("accept_ride_request", { request_id: id })),
+
+    cancel: (id) => run(client.rpc("leave_ride", { request_id: id })),
+  },
+
+  ratings: {
+    async listForRatees(userIds) {
+      if (!userIds.length) return [];
+      const data = await run(
+        client
+          .from("ratings")
+          .select("ratee_id, score, tags")
+          .in("ratee_id", userIds)
+      );
+      return data || [];
+    },
+
+    async listByRater(userId, { rideId } = {}) {
+      let query = client
+        .from("ratings")
+        .select(RATING_FIELDS)
+        .eq("rater_id", userId);
+      if (rideId) query = query.eq("ride_id", rideId);
+      const data = await run(query);
+      return data || [];
+    },
+
+    async listAll() {
+      const data = await run(
+        client.from("ratings").select("ratee_id, score, tags")
+      );
+      return data || [];
+    },
+
+    create: (rating) =>
+      run(client.from("ratings").insert(rating).select().single()),
+  },
+
+  reports: {
+    async listAll() {
+      const data = await run(
+        client
+          .from("reports")
+          .select(REPORT_FIELDS)
+          .order("created_at", { ascending: false })
+      );
+      return data || [];
+    },
+
+    async create(report) {
+      await run(client.from("reports").insert(report));
+    },
+
+    async updateStatus(id, status) {
+      await run(
+        client
+          .from("reports")
+          .update({ status, updated_at: new Date().toISOString() })
+          .eq("id", id)
+      );
+    },
+  },
+
+  locations: {
+    async list({ includeHidden = false } = {}) {
+      let query = client.from("locations").select("*");
+      if (!includeHidden) query = query.eq("active", true);
+      const data = await run(query.order("name", { ascending: true }));
+      return data || [];
+    },
+
+    create: (location) =>
+      run(client.from("locations").insert(location).select().single()),
+
+    update: (id, changes) =>
+      run(
+        client.from("locations").update(changes).eq("id", id).select().single()
+      ),
+
+    async remove(id) {
+      await run(client.from("locations").delete().eq("id", id));
+    },
+  },
+
+  fares: {
+    async list() {
+      const data = await run(
+        client.from("fares").select("*").order("from", { ascending: true })
+      );
+      return data || [];
+    },
+
+    create: (fare) => run(client.from("fares").insert(fare).select().single()),
+
+    update: (id, changes) =>
+      run(client.from("fares").update(changes).eq("id", id).select().single()),
+
+    async remove(id) {
+      await run(client.from("fares").delete().eq("id", id));
+    },
+  },
+
+  auditLogs: {
+    async list({ limit = 100, ...range } = {}) {
+      const data = await run(
+        inRange(
+          client
+            .from("audit_logs")
+            .select(AUDIT_LOG_FIELDS)
+            .order("created_at", { ascending: false }),
+          range
+        ).limit(limit)
+      );
+      return data || [];
+    },
+
+    async add(entry) {
+      await run(client.from("audit_logs").insert(entry));
+    },
+  },
+
+  storage: {
+    async uploadAvatar(userId, file) {
+      const fileExt = file.name.split(".").pop();
+      const fileName = `${userId}-${Date.now()}.${fileExt}`;
+      await run(
+        client.storage.from(AVATAR_BUCKET).upload(fileName, file, {
+          upsert: true,
+          contentType: file.type,
+        })
+      );
+      return client.storage.from(AVATAR_BUCKET).getPublicUrl(fileName).data
+        .publicUrl;
+    },
+  },
+});
@@ -0,0 +1,97 @@
+// Errors thrown by the data layer (services/dataBackend). Whatever the
+// backend, callers get a DataError with one of the codes below, so they can
+// tell "not found" from "not allowed" without knowing Postgres error codes.
+
+export const DATA_ERROR_CODES = {
+  NOT_FOUND: "not_found",
+  CONFLICT: "conflict",
+  FORBIDDEN: "forbidden",
+  INVALID: "invalid",
+  NETWORK: "network",
+  UNKNOWN: "unknown",
+};
+
+// Postgres and PostgREST codes we map; anything else is UNKNOWN
+const POSTGRES_CODES = {
+  PGRST116: DATA_ERROR_CODES.NOT_FOUND,
+  23505: DATA_ERROR_CODES.CONFLICT,
+  42501: DATA_ERROR_CODES.FORBIDDEN,
+  "22P02": DATA_ERROR_CODES.INVALID,
+  23502: DATA_ERROR_CODES.INVALID,
+  23503: DATA_ERROR_CODES.INVALID,
+  23514: DATA_ERROR_CODES.INVALID,
+  // Raised by our database functions when a row's state rules a change out,
+  // e.g. accepting onto a full ride
+  P0001: DATA_ERROR_CODES.CONFLICT,
+};
+
+export class DataError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ code?: string, cause?: unknown }} [options]
+   */
+  constructor(message, { code = DATA_ERROR_CODES.UNKNOWN, cause } = {}) {
+    super(message);
+    this.name = "DataError";
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Wrap an error from Supabase (or anything else) in a DataError. DataErrors
+ * pass through unchanged.
+ * @returns {DataError}
+ */
+export const toDataError = (error) => {
+  if (error instanceof DataError) return error;
+  const message = error?.message || "Something went wrong";
+  if (error?.code && POSTGRES_CODES[error.code]) {
+    return new DataError(message, {
+      code: POSTGRES_CODES[error.code],
+      cause: error,
+    });
+  }
+  // supabase-js reports a failed fetch as a TypeError with no code
+  if (error instanceof TypeError || /failed to fetch/i.test(message)) {
+    return new DataError(message, {
+      code: DATA_ERROR_CODES.NETWORK,
+      cause: error,
+    });
+  }
+  const status = Number(error?.statusCode || error?.status);
+  if (status === 401 || status === 403) {
+    return new DataError(message, {
+      code: DATA_ERROR_CODES.FORBIDDEN,
+      cause: error,
+    });
+  }
+  if (status === 404) {
+    return new DataError(message, {
+      code: DATA_ERROR_CODES.NOT_FOUND,
+      cause: error,
+    });
+  }
+  return new DataError(message, { cause: error });
+};
+
+/**
+ * Await a Supabase query and unwrap its data, turning any failure into a
+ * DataError.
+ */
+export const runQuery = async (query) => {
+  let result;
+  try {
+    result = await query;
+  } catch (error) {
+    throw toDataError(error);
+  }
+  if (result.error) throw toDataError(result.error);
+  return result.data;
+};
+
+export const isNotFound = (error) =>
+  error instanceof DataError && error.code === DATA_ERROR_CODES.NOT_FOUND;
+
+export const isConflict = (error) =>
+  error instanceof DataError && error.code === DATA_ERROR_CODES.CONFLICT;
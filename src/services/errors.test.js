@@ -0,0 +1,57 @@
+import {
+  DATA_ERROR_CODES,
+  DataError,
+  isNotFound,
+  runQuery,
+  toDataError,
+} from "./errors";
+
+describe("toDataError", () => {
+  test("maps Postgres and PostgREST codes", () => {
+    const missing = { code: "PGRST116", message: "0 rows" };
+    const error = toDataError(missing);
+    expect(error).toBeInstanceOf(DataError);
+    expect(error.code).toBe(DATA_ERROR_CODES.NOT_FOUND);
+    expect(error.message).toBe("0 rows");
+    expect(error.cause).toBe(missing);
+    expect(isNotFound(error)).toBe(true);
+
+    expect(toDataError({ code: "23505" }).code).toBe(DATA_ERROR_CODES.CONFLICT);
+    expect(toDataError({ code: "P0001" }).code).toBe(DATA_ERROR_CODES.CONFLICT);
+    expect(toDataError({ code: "42501" }).code).toBe(
+      DATA_ERROR_CODES.FORBIDDEN
+    );
+  });
+
+  test("recognises network and storage failures", () => {
+    expect(toDataError(new TypeError("Failed to fetch")).code).toBe(
+      DATA_ERROR_CODES.NETWORK
+    );
+    expect(toDataError({ statusCode: "403", message: "Denied" }).code).toBe(
+      DATA_ERROR_CODES.FORBIDDEN
+    );
+  });
+
+  test("passes DataErrors through and defaults the rest", () => {
+    const error = new DataError("Nope", { code: DATA_ERROR_CODES.INVALID });
+    expect(toDataError(error)).toBe(error);
+    expect(toDataError({ code: "XX000", message: "Boom" }).code).toBe(
+      DATA_ERROR_CODES.UNKNOWN
+    );
+    expect(toDataError(null).message).toBe("Something went wrong");
+  });
+});
+
+describe("runQuery", () => {
+  test("unwraps data and turns query errors into DataErrors", async () => {
+    expect(await runQuery(Promise.resolve({ data: [1], error: null }))).toEqual(
+      [1]
+    );
+    await expect(
+      runQuery(Promise.resolve({ data: null, error: { code: "42501" } }))
+    ).rejects.toMatchObject({ code: DATA_ERROR_CODES.FORBIDDEN });
+    await expect(
+      runQuery(Promise.reject(new TypeError("Failed to fetch")))
+    ).rejects.toMatchObject({ code: DATA_ERROR_CODES.NETWORK });
+  });
+});
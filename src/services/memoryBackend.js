@@ -0,0 +1,404 @@
+// A local stand-in for the Supabase data backend (services/dataBackend),
+// for tests and for running the app without a backend. It keeps the same
+// rules the database queries apply: who may see whose rides, which rides
+// are listed, owner-only updates and DataErrors for missing rows.
+
+import { DATA_ERROR_CODES, DataError } from "./errors";
+import { canSeeRide } from "../utils/partnerPreference";
+import { RIDE_STATUS } from "../utils/rideStatus";
+import { REQUEST_STATUS } from "../utils/rideRequests";
+import { hasFreeSeat, releaseSeat, takeSeat } from "../utils/seats";
+
+const BROWSABLE_STATUSES = [RIDE_STATUS.OPEN, RIDE_STATUS.MATCHED];
+
+const pick = (row, fields) =>
+  row
+    ? Object.fromEntries(fields.map((field) => [field, row[field] ?? null]))
+    : null;
+
+const newestFirst = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+
+const inRange =
+  ({ since, until } = {}) =>
+  (row) =>
+    (!since || row.created_at >= since) && (!until || row.created_at <= until);
+
+const notFound = (what) =>
+  new DataError(`${what} not found`, { code: DATA_ERROR_CODES.NOT_FOUND });
+
+const conflict = (message) =>
+  new DataError(message, { code: DATA_ERROR_CODES.CONFLICT });
+
+/**
+ * @param {{ profiles?: object[], rides?: object[], rideRequests?: object[],
+ *   ratings?: object[], reports?: object[], locations?: object[],
+ *   fares?: object[], auditLogs?: object[], now?: () => Date }} [options]
+ *   starting rows
+ * @returns {import("./dataBackend").DataBackend & {
+ *   tables: Object<string, object[]>, files: Object<string, File> }}
+ */
+export const createMemoryBackend = ({
+  profiles = [],
+  rides = [],
+  rideRequests = [],
+  ratings = [],
+  reports = [],
+  locations = [],
+  fares = [],
+  auditLogs = [],
+  now = () => new Date(),
+} = {}) => {
+  const copy = (rows) => rows.map((row) => ({ ...row }));
+  const tables = {
+    profiles: copy(profiles),
+    rides: copy(rides),
+    rideRequests: copy(rideRequests),
+    ratings: copy(ratings),
+    reports: copy(reports),
+    locations: copy(locations),
+    fares: copy(fares),
+    auditLogs: copy(auditLogs),
+  };
+  const files = {};
+  let nextId = 1;
+
+  const insert = (table, row) => {
+    const saved = {
+      id: `local-${nextId++}`,
+      created_at: now().toISOString(),
+      ...row,
+    };
+    tables[table].push(saved);
+    return saved;
+  };
+
+  const findProfile = (userId) =>
+    tables.profiles.find((profile) => profile.user_id === userId);
+
+  const withPoster = (ride, fields) => ({
+    ...ride,
+    profiles: pick(findProfile(ride.user_id), fields),
+  });
+
+  const posterFields = ["name", "avatar_url", "gender"];
+
+  const updateRow = (table, id, changes, what) => {
+    const row = tables[table].find((r) => r.id === id);
+    if (!row) throw notFound(what);
+    Object.assign(row, changes);
+    return { ...row };
+  };
+
+  const removeRow = (table, id) => {
+    tables[table] = tables[table].filter((row) => row.id !== id);
+  };
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  return {
+    tables,
+    files,
+
+    profiles: {
+      async get(userId) {
+        const profile = findProfile(userId);
+        return profile ? { ...profile } : null;
+      },
+
+      async save(profile) {
+        const existing = findProfile(profile.user_id);
+        if (existing) {
+          Object.assign(existing, profile);
+          return { ...existing };
+        }
+        return { ...insert("profiles", profile) };
+      },
+
+      async update(userId, changes) {
+        const profile = findProfile(userId);
+        if (!profile) throw notFound("Profile");
+        Object.assign(profile, changes);
+        return { ...profile };
+      },
+
+      async remove(userId) {
+        tables.profiles = tables.profiles.filter((p) => p.user_id !== userId);
+      },
+
+      async list(range) {
+        return tables.profiles
+          .filter(inRange(range))
+          .sort(newestFirst)
+          .map((profile) => ({
+            ...profile,
+            rides: [
+              {
+                count: tables.rides.filter((r) => r.user_id === profile.user_id)
+                  .length,
+              },
+            ],
+          }));
+      },
+
+      async listByIds(userIds) {
+        return tables.profiles
+          .filter((profile) => userIds.includes(profile.user_id))
+          .map((profile) => pick(profile, ["user_id", "name", "avatar_url"]));
+      },
+    },
+
+    rides: {
+      async get(id) {
+        const ride = tables.rides.find((r) => r.id === id);
+        return ride ? withPoster(ride, posterFields) : null;
+      },
+
+      async listByUser(userId) {
+        return tables.rides
+          .filter((ride) => ride.user_id === userId)
+          .sort(newestFirst)
+          .map((ride) => ({ ...ride }));
+      },
+
+      async listByIds(ids) {
+        return tables.rides
+          .filter((ride) => ids.includes(ride.id))
+          .map((ride) => ({ ...ride }));
+      },
+
+      async listForBrowsing(profile) {
+        return tables.rides
+          .filter(
+            (ride) =>
+              ride.user_id !== profile.user_id &&
+              canSeeRide(profile, ride) &&
+              (!ride.status || BROWSABLE_STATUSES.includes(ride.status))
+          )
+          .map((ride) => withPoster(ride, posterFields));
+      },
+
+      async listCandidates(viewer, userId) {
+        return tables.rides
+          .filter((ride) => ride.user_id !== userId && canSeeRide(viewer, ride))
+          .map((ride) => ({ ...ride }));
+      },
+
+      async listAll(range) {
+        return tables.rides
+          .filter(inRange(range))
+          .sort(newestFirst)
+          .map((ride) =>
+            withPoster(ride, ["name", "email", "gender", "phone"])
+          );
+      },
+
+      async create(ride) {
+        return { ...insert("rides", ride) };
+      },
+
+      async update(id, changes, { ownerId } = {}) {
+        const ride = tables.rides.find(
+          (r) => r.id === id && (!ownerId || r.user_id === ownerId)
+        );
+        if (!ride) throw notFound("Ride");
+        Object.assign(ride, changes);
+        return { ...ride };
+      },
+
+      async remove(id) {
+        tables.rides = tables.rides.filter((ride) => ride.id !== id);
+      },
+    },
+
+    rideRequests: {
+      async listForRides(rideIds) {
+        return tables.rideRequests
+          .filter((request) => rideIds.includes(request.ride_id))
+          .map((request) => ({
+            ...request,
+            profiles: pick(findProfile(request.requester_id), ["name"]),
+          }));
+      },
+
+      async listByRequester(userId) {
+        return tables.rideRequests
+          .filter((request) => request.requester_id === userId)
+          .map((request) => ({ ...request }));
+      },
+
+      async create(request) {
+        return { ...insert("rideRequests", request) };
+      },
+
+      async updateStatus(id, status) {
+        const request = tables.rideRequests.find((r) => r.id === id);
+        if (!request) throw notFound("Join request");
+        request.status = status;
+      },
+
+      async accept(id) {
+        const request = tables.rideRequests.find((r) => r.id === id);
+        if (!request) throw notFound("Join request");
+        if (request.status !== REQUEST_STATUS.PENDING) {
+          throw conflict("Join request is no longer pending");
+        }
+        const ride = tables.rides.find((r) => r.id === request.ride_id);
+        if (!hasFreeSeat(ride)) throw conflict("No seats left");
+        Object.assign(ride, takeSeat(ride));
+        request.status = REQUEST_STATUS.ACCEPTED;
+        return { ...ride };
+      },
+
+      async cancel(id) {
+        const request = tables.rideRequests.find((r) => r.id === id);
+        if (!request) throw notFound("Join request");
+        const { status } = request;
+        if (
+          status !== REQUEST_STATUS.PENDING &&
+          status !== REQUEST_STATUS.ACCEPTED
+        ) {
+          throw conflict("Join request can't be cancelled");
+        }
+        request.status = REQUEST_STATUS.CANCELLED;
+        const ride = tables.rides.find((r) => r.id === request.ride_id);
+        const seats =
+          status === REQUEST_STATUS.ACCEPTED && ride && releaseSeat(ride);
+        if (!seats) return null;
+        Object.assign(ride, seats);
+        return { ...ride };
+      },
+    },
+
+    ratings: {
+      async listForRatees(userIds) {
+        return tables.ratings
+          .filter((rating) => userIds.includes(rating.ratee_id))
+          .map((rating) => pick(rating, ["ratee_id", "score", "tags"]));
+      },
+
+      async listByRater(userId, { rideId } = {}) {
+        return tables.ratings
+          .filter(
+            (rating) =>
+              rating.rater_id === userId &&
+              (!rideId || rating.ride_id === rideId)
+          )
+          .map((rating) =>
+            pick(rating, ["ride_id", "ratee_id", "score", "tags"])
+          );
+      },
+
+      async listAll() {
+        return tables.ratings.map((rating) =>
+          pick(rating, ["ratee_id", "score", "tags"])
+        );
+      },
+
+      async create(rating) {
+        return { ...insert("ratings", rating) };
+      },
+    },
+
+    reports: {
+      async listAll() {
+        return [...tables.reports].sort(newestFirst).map((report) => {
+          const ride = tables.rides.find((r) => r.id === report.ride_id);
+          return {
+            ...report,
+            reporter: pick(findProfile(report.reporter_id), ["name", "email"]),
+            reported: pick(findProfile(report.reported_user_id), [
+              "name",
+              "email",
+              "status",
+            ]),
+            rides: pick(ride, ["from", "to", "time"]),
+          };
+        });
+      },
+
+      async create(report) {
+        insert("reports", report);
+      },
+
+      async updateStatus(id, status) {
+        updateRow(
+          "reports",
+          id,
+          { status, updated_at: now().toISOString() },
+          "Report"
+        );
+      },
+    },
+
+    locations: {
+      async list({ includeHidden = false } = {}) {
+        return tables.locations
+          .filter((location) => includeHidden || location.active)
+          .sort(byName)
+          .map((location) => ({ ...location }));
+      },
+
+      async create(location) {
+        return { ...insert("locations", location) };
+      },
+
+      async update(id, changes) {
+        return updateRow("locations", id, changes, "Location");
+      },
+
+      async remove(id) {
+        removeRow("locations", id);
+      },
+    },
+
+    fares: {
+      async list() {
+        return [...tables.fares]
+          .sort((a, b) => a.from.localeCompare(b.from))
+          .map((fare) => ({ ...fare }));
+      },
+
+      async create(fare) {
+        return { ...insert("fares", fare) };
+      },
+
+      async update(id, changes) {
+        return updateRow("fares", id, changes, "Fare");
+      },
+
+      async remove(id) {
+        removeRow("fares", id);
+      },
+    },
+
+    auditLogs: {
+      async list({ limit = 100, ...range } = {}) {
+        return tables.auditLogs
+          .filter(inRange(range))
+          .sort(newestFirst)
+          .slice(0, limit)
+          .map((log) => ({
+            ...log,
+            profiles: pick(findProfile(log.user_id), ["name", "email"]),
+            target_profiles: pick(findProfile(log.target_user_id), [
+              "name",
+              "email",
+            ]),
+          }));
+      },
+
+      async add(entry) {
+        insert("auditLogs", entry);
+      },
+    },
+
+    storage: {
+      async uploadAvatar(userId, file) {
+        const fileExt = file.name.split(".").pop();
+        const fileName = `${userId}-${now().getTime()}.${fileExt}`;
+        files[fileName] = file;
+        return `memory://avatars/${fileName}`;
+      },
+    },
+  };
+};
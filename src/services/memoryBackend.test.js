@@ -0,0 +1,238 @@
+import { createMemoryBackend } from "./memoryBackend";
+import { DATA_ERROR_CODES } from "./errors";
+
+const profiles = [
+  { user_id: "ayesha", name: "Ayesha", gender: "female", avatar_url: null },
+  {
+    user_id: "nusrat",
+    name: "Nusrat",
+    gender: "female",
+    partner_preference: "anyone",
+    avatar_url: null,
+  },
+  {
+    user_id: "rafi",
+    name: "Rafi",
+    gender: "male",
+    partner_preference: "anyone",
+    avatar_url: null,
+  },
+];
+
+const ride = (overrides) => ({
+  from: "Campus",
+  to: "Kuril",
+  time: "2025-01-06T08:30:00.000Z",
+  status: "open",
+  ...overrides,
+});
+
+const rides = [
+  ride({ id: "mine", user_id: "ayesha", gender: "female" }),
+  ride({ id: "same-gender", user_id: "nusrat", gender: "female" }),
+  ride({
+    id: "open-to-all",
+    user_id: "rafi",
+    gender: "male",
+    partner_preference: "anyone",
+  }),
+  ride({
+    id: "done",
+    user_id: "nusrat",
+    gender: "female",
+    status: "completed",
+  }),
+];
+
+describe("createMemoryBackend", () => {
+  test("lists rides a rider may browse, with the poster", async () => {
+    const backend = createMemoryBackend({ profiles, rides });
+
+    const ayesha = await backend.profiles.get("ayesha");
+    const listed = await backend.rides.listForBrowsing(ayesha);
+    expect(listed.map((r) => r.id)).toEqual(["same-gender"]);
+    expect(listed[0].profiles).toEqual({
+      name: "Nusrat",
+      avatar_url: null,
+      gender: "female",
+    });
+
+    const nusrat = await backend.profiles.get("nusrat");
+    const candidates = await backend.rides.listCandidates(nusrat, "nusrat");
+    expect(candidates.map((r) => r.id)).toEqual(["mine", "open-to-all"]);
+  });
+
+  test("creates and updates rides, only for their owner", async () => {
+    const now = () => new Date("2025-01-01T08:00:00Z");
+    const backend = createMemoryBackend({ profiles, now });
+
+    const created = await backend.rides.create(
+      ride({ user_id: "ayesha", gender: "female" })
+    );
+    expect(created.id).toBeTruthy();
+    expect(created.created_at).toBe("2025-01-01T08:00:00.000Z");
+
+    const updated = await backend.rides.update(
+      created.id,
+      { to: "Future Park" },
+      { ownerId: "ayesha" }
+    );
+    expect(updated.to).toBe("Future Park");
+
+    await expect(
+      backend.rides.update(created.id, { to: "Kuril" }, { ownerId: "rafi" })
+    ).rejects.toMatchObject({ code: DATA_ERROR_CODES.NOT_FOUND });
+
+    await backend.rides.remove(created.id);
+    expect(await backend.rides.get(created.id)).toBeNull();
+  });
+
+  test("saves profiles and tracks join requests", async () => {
+    const backend = createMemoryBackend({ profiles, rides });
+
+    await backend.profiles.save({ user_id: "ayesha", name: "Ayesha K" });
+    expect((await backend.profiles.get("ayesha")).name).toBe("Ayesha K");
+    expect(await backend.profiles.get("nobody")).toBeNull();
+    expect(await backend.profiles.listByIds(["rafi", "nobody"])).toEqual([
+      { user_id: "rafi", name: "Rafi", avatar_url: null },
+    ]);
+    expect(
+      (await backend.rides.listByIds(["mine", "done"])).map((r) => r.id)
+    ).toEqual(["mine", "done"]);
+
+    const request = await backend.rideRequests.create({
+      ride_id: "mine",
+      requester_id: "nusrat",
+      status: "pending",
+    });
+    await backend.rideRequests.updateStatus(request.id, "accepted");
+
+    const [forOwner] = await backend.rideRequests.listForRides(["mine"]);
+    expect(forOwner).toMatchObject({
+      status: "accepted",
+      profiles: { name: "Nusrat" },
+    });
+    expect(await backend.rideRequests.listByRequester("nusrat")).toHaveLength(
+      1
+    );
+  });
+
+  test("takes a seat per accepted request and hands it back", async () => {
+    const backend = createMemoryBackend({
+      profiles,
+      rides: [ride({ id: "car", user_id: "ayesha", seats_total: 3 })],
+      rideRequests: [
+        { id: "r1", ride_id: "car", requester_id: "nusrat", status: "pending" },
+        { id: "r2", ride_id: "car", requester_id: "rafi", status: "pending" },
+      ],
+    });
+    backend.tables.rides[0].seats_available = 1;
+
+    expect(await backend.rideRequests.accept("r1")).toMatchObject({
+      seats_available: 0,
+      status: "matched",
+    });
+    await expect(backend.rideRequests.accept("r2")).rejects.toMatchObject({
+      code: DATA_ERROR_CODES.CONFLICT,
+    });
+    expect(backend.tables.rideRequests[1].status).toBe("pending");
+
+    expect(await backend.rideRequests.cancel("r1")).toMatchObject({
+      seats_available: 1,
+      status: "open",
+    });
+    expect(backend.tables.rideRequests[0].status).toBe("cancelled");
+    expect(await backend.rideRequests.cancel("r2")).toBeNull();
+    await expect(backend.rideRequests.cancel("r2")).rejects.toMatchObject({
+      code: DATA_ERROR_CODES.CONFLICT,
+    });
+  });
+
+  test("keeps ratings, reports and the catalogs", async () => {
+    const backend = createMemoryBackend({
+      profiles,
+      rides,
+      ratings: [
+        { ride_id: "mine", rater_id: "nusrat", ratee_id: "ayesha", score: 5 },
+        { ride_id: "done", rater_id: "ayesha", ratee_id: "nusrat", score: 4 },
+      ],
+      locations: [
+        { id: "l1", name: "Kuril", active: true },
+        { id: "l2", name: "Campus", active: false },
+      ],
+    });
+
+    expect(await backend.ratings.listForRatees(["ayesha"])).toEqual([
+      { ratee_id: "ayesha", score: 5, tags: null },
+    ]);
+    expect(
+      await backend.ratings.listByRater("ayesha", { rideId: "mine" })
+    ).toEqual([]);
+
+    await backend.reports.create({
+      reporter_id: "ayesha",
+      reported_user_id: "rafi",
+      ride_id: "open-to-all",
+      status: "open",
+    });
+    const [report] = await backend.reports.listAll();
+    expect(report).toMatchObject({
+      reporter: { name: "Ayesha" },
+      reported: { name: "Rafi" },
+      rides: { from: "Campus", to: "Kuril" },
+    });
+    await backend.reports.updateStatus(report.id, "resolved");
+    expect(backend.tables.reports[0].status).toBe("resolved");
+
+    expect((await backend.locations.list()).map((l) => l.name)).toEqual([
+      "Kuril",
+    ]);
+    await backend.locations.update("l2", { active: true });
+    expect(
+      (await backend.locations.list({ includeHidden: true })).map((l) => l.name)
+    ).toEqual(["Campus", "Kuril"]);
+
+    const fare = await backend.fares.create({ from: "Campus", amount: 120 });
+    await backend.fares.update(fare.id, { amount: 150 });
+    expect(await backend.fares.list()).toEqual([
+      expect.objectContaining({ amount: 150 }),
+    ]);
+    await backend.fares.remove(fare.id);
+    expect(await backend.fares.list()).toEqual([]);
+  });
+
+  test("keeps the newest audit log entries within a date range", async () => {
+    const backend = createMemoryBackend({ profiles });
+    await backend.auditLogs.add({
+      user_id: "ayesha",
+      target_user_id: "rafi",
+      action: "block_user",
+      created_at: "2025-01-02T00:00:00Z",
+    });
+    await backend.auditLogs.add({
+      user_id: "ayesha",
+      action: "add_location",
+      created_at: "2025-01-05T00:00:00Z",
+    });
+
+    const logs = await backend.auditLogs.list();
+    expect(logs.map((log) => log.action)).toEqual([
+      "add_location",
+      "block_user",
+    ]);
+    expect(logs[1].target_profiles.name).toBe("Rafi");
+
+    const recent = await backend.auditLogs.list({
+      since: "2025-01-03T00:00:00Z",
+    });
+    expect(recent).toHaveLength(1);
+  });
+
+  test("counts each user's rides for the admin list", async () => {
+    const backend = createMemoryBackend({ profiles, rides });
+    const users = await backend.profiles.list();
+    expect(users.find((u) => u.user_id === "nusrat").rides).toEqual([
+      { count: 2 },
+    ]);
+  });
+});
@@ -0,0 +1,125 @@
+// A small in-memory stand-in for the Supabase client's query builder, for
+// testing the scheduled jobs that take a client (services/checkInAlerts,
+// services/notificationJobs). It supports the filters those jobs use,
+// including `or` with PostgREST's "column.op.value" syntax; selects return
+// whole rows.
+
+const FILTERS = {
+  eq: (value, expected) => value === expected,
+  neq: (value, expected) => value !== expected,
+  is: (value, expected) => (value ?? null) === expected,
+  in: (value, list) => list.includes(value),
+  lt: (value, bound) => value < bound,
+  lte: (value, bound) => value <= bound,
+  gt: (value, bound) => value > bound,
+  gte: (value, bound) => value >= bound,
+};
+
+// "status.is.null" or "status.in.(open,matched)" as a [op, column, value]
+// filter
+const parseCondition = (condition) => {
+  const [column, op, ...rest] = condition.split(".");
+  const raw = rest.join(".");
+  if (op === "in") return [op, column, raw.slice(1, -1).split(",")];
+  return [op, column, raw === "null" ? null : raw];
+};
+
+// Split on the commas between conditions, not those inside in.(...)
+const parseOr = (conditions) =>
+  conditions.match(/[^,(]+(\([^)]*\))?/g).map(parseCondition);
+
+/**
+ * @param {Object<string, object[]>} [tables] starting rows by table name
+ * @returns {{ from: (table: string) => object,
+ *   tables: Object<string, object[]> }}
+ */
+export const createMemoryClient = (tables = {}) => {
+  let nextId = 1;
+
+  const from = (table) => {
+    tables[table] = tables[table] || [];
+    const filters = [];
+    const alternatives = [];
+    let action = { type: "select" };
+    let single = null;
+    let limit = Infinity;
+
+    const test =
+      (row) =>
+      ([op, column, value]) =>
+        FILTERS[op](row[column], value);
+    const matches = (row) =>
+      filters.every(test(row)) &&
+      alternatives.every((conditions) => conditions.some(test(row)));
+
+    const execute = () => {
+      let rows;
+      if (action.type === "insert") {
+        rows = action.rows.map((row) => ({ id: `row-${nextId++}`, ...row }));
+        tables[table].push(...rows);
+      } else if (action.type === "update") {
+        rows = tables[table].filter(matches);
+        rows.forEach((row) => Object.assign(row, action.changes));
+      } else if (action.type === "delete") {
+        rows = tables[table].filter(matches);
+        tables[table] = tables[table].filter((row) => !matches(row));
+      } else {
+        rows = tables[table].filter(matches).slice(0, limit);
+      }
+      const data = rows.map((row) => ({ ...row }));
+      if (!single) return { data, error: null };
+      if (data.length === 1) return { data: data[0], error: null };
+      if (data.length === 0 && single === "maybe") {
+        return { data: null, error: null };
+      }
+      return {
+        data: null,
+        error: { code: "PGRST116", message: `${data.length} rows` },
+      };
+    };
+
+    const builder = {
+      select: () => builder,
+      insert(rows) {
+        action = { type: "insert", rows: [].concat(rows) };
+        return builder;
+      },
+      update(changes) {
+        action = { type: "update", changes };
+        return builder;
+      },
+      delete() {
+        action = { type: "delete" };
+        return builder;
+      },
+      or(conditions) {
+        alternatives.push(parseOr(conditions));
+        return builder;
+      },
+      order: () => builder,
+      limit(count) {
+        limit = count;
+        return builder;
+      },
+      single() {
+        single = "one";
+        return builder;
+      },
+      maybeSingle() {
+        single = "maybe";
+        return builder;
+      },
+      then: (resolve, reject) =>
+        Promise.resolve().then(execute).then(resolve, reject),
+    };
+    Object.keys(FILTERS).forEach((op) => {
+      builder[op] = (column, value) => {
+        filters.push([op, column, value]);
+        return builder;
+      };
+    });
+    return builder;
+  };
+
+  return { from, tables };
+};
@@ -0,0 +1,181 @@
+// Server-side half of push notifications (see utils/notifications): queues
+// ride reminders and delivers everything queued in `notifications` to the
+// rider's devices. Run on a schedule by scripts/send-alerts.mjs with a
+// service-role client, since it reads every rider's rows.
+
+import { runQuery } from "./errors";
+import {
+  NOTIFICATION_TYPES,
+  REMINDER_MINUTES,
+  buildNotification,
+  getDueReminders,
+  shouldNotify,
+} from "../utils/notifications";
+import { REQUEST_STATUS } from "../utils/rideRequests";
+import { RIDE_STATUS } from "../utils/rideStatus";
+
+// Notifications delivered per run; the rest wait for the next one
+const DELIVERY_BATCH = 200;
+
+// Push services answer these once a subscription is gone for good
+const GONE_STATUSES = [404, 410];
+
+/**
+ * Queue a reminder for every rider with a departure in the next
+ * REMINDER_MINUTES who wants reminders and hasn't been sent one yet.
+ * @param {object} options
+ * @param {import("@supabase/supabase-js").SupabaseClient} options.client
+ * @param {Date} [options.now]
+ * @returns {Promise<number>} reminders queued
+ */
+export async function queueRideReminders({ client, now = new Date() }) {
+  const rides =
+    (await runQuery(
+      client
+        .from("rides")
+        .select("*")
+        // Rides without a status are open
+        .or(
+          `status.is.null,status.in.(${RIDE_STATUS.OPEN},${RIDE_STATUS.MATCHED})`
+        )
+    )) || [];
+  if (!rides.length) return 0;
+
+  const requests =
+    (await runQuery(
+      client
+        .from("ride_requests")
+        .select("ride_id, requester_id, status")
+        .eq("status", REQUEST_STATUS.ACCEPTED)
+        .in(
+          "ride_id",
+          rides.map((ride) => ride.id)
+        )
+    )) || [];
+  const due = getDueReminders(rides, requests, now);
+  if (!due.length) return 0;
+
+  // Departures of a series are days apart, so a reminder queued within the
+  // window is for this departure
+  const windowStart = new Date(now.getTime() - REMINDER_MINUTES * 60 * 1000);
+  const [profiles, queued] = await Promise.all([
+    runQuery(
+      client
+        .from("profiles")
+        .select("user_id, notification_preferences")
+        .in("user_id", [...new Set(due.map(({ userId }) => userId))])
+    ),
+    runQuery(
+      client
+        .from("notifications")
+        .select("user_id, ride_id")
+        .eq("type", NOTIFICATION_TYPES.RIDE_REMINDER)
+        .gte("created_at", windowStart.toISOString())
+    ),
+  ]);
+  const preferences = Object.fromEntries(
+    (profiles || []).map((profile) => [
+      profile.user_id,
+      profile.notification_preferences,
+    ])
+  );
+  const sent = new Set(
+    (queued || []).map(({ user_id, ride_id }) => `${user_id}:${ride_id}`)
+  );
+
+  const rows = due
+    .filter(
+      ({ userId, ride }) =>
+        !sent.has(`${userId}:${ride.id}`) &&
+        shouldNotify(preferences[userId], NOTIFICATION_TYPES.RIDE_REMINDER)
+    )
+    .map(({ userId, ride }) => ({
+      user_id: userId,
+      type: NOTIFICATION_TYPES.RIDE_REMINDER,
+      ride_id: ride.id,
+      payload: buildNotification(NOTIFICATION_TYPES.RIDE_REMINDER, ride),
+      created_at: now.toISOString(),
+    }));
+  if (rows.length) await runQuery(client.from("notifications").insert(rows));
+  return rows.length;
+}
+
+/**
+ * Push queued notifications to each recipient's subscribed devices and set
+ * `sent_at`. Subscriptions the push service reports gone are removed. A
+ * notification whose every push failed for another reason is retried on
+ * the next run.
+ * @param {object} options
+ * @param {import("@supabase/supabase-js").SupabaseClient} options.client
+ * @param {(subscription: object, payload: object) => Promise<void>} options.push
+ *   sends one payload to one `push_subscriptions` row; rejects with the
+ *   push service's `statusCode`
+ * @param {Date} [options.now]
+ * @returns {Promise<number>} notifications sent
+ */
+export async function deliverNotifications({ client, push, now = new Date() }) {
+  const queued =
+    (await runQuery(
+      client
+        .from("notifications")
+        .select("*")
+        .is("sent_at", null)
+        .order("created_at", { ascending: true })
+        .limit(DELIVERY_BATCH)
+    )) || [];
+  if (!queued.length) return 0;
+
+  const subscriptions =
+    (await runQuery(
+      client
+        .from("push_subscriptions")
+        .select("*")
+        .in("user_id", [...new Set(queued.map((n) => n.user_id))])
+    )) || [];
+  const gone = new Set();
+  let sent = 0;
+
+  for (const notification of queued) {
+    const devices = subscriptions.filter(
+      (subscription) =>
+        subscription.user_id === notification.user_id &&
+        !gone.has(subscription.endpoint)
+    );
+    const results = await Promise.allSettled(
+      devices.map((subscription) => push(subscription, notification.payload))
+    );
+
+    let failed = 0;
+    results.forEach((result, index) => {
+      if (result.status === "fulfilled") return;
+      if (GONE_STATUSES.includes(result.reason?.statusCode)) {
+        gone.add(devices[index].endpoint);
+      } else {
+        failed += 1;
+        console.error(
+          `Error pushing notification ${notification.id}:`,
+          result.reason
+        );
+      }
+    });
+    if (devices.length > 0 && failed === devices.length) continue;
+
+    await runQuery(
+      client
+        .from("notifications")
+        .update({ sent_at: now.toISOString() })
+        .eq("id", notification.id)
+    );
+    sent += 1;
+  }
+
+  if (gone.size) {
+    await runQuery(
+      client
+        .from("push_subscriptions")
+        .delete()
+        .in("endpoint", [...gone])
+    );
+  }
+  return sent;
+}
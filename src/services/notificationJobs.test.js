@@ -0,0 +1,115 @@
+import { deliverNotifications, queueRideReminders } from "./notificationJobs";
+import { createMemoryClient } from "./memoryClient";
+
+// Monday 6 January 2025, 07:45 local time
+const now = new Date(2025, 0, 6, 7, 45);
+const at = (hour, minute = 0) =>
+  new Date(2025, 0, 6, hour, minute).toISOString();
+
+const ride = (overrides) => ({
+  id: "r1",
+  user_id: "owner",
+  from: "Campus",
+  to: "Kuril",
+  time: at(8, 30),
+  status: "matched",
+  ...overrides,
+});
+
+describe("queueRideReminders", () => {
+  const setup = () =>
+    createMemoryClient({
+      rides: [
+        ride(),
+        ride({ id: "r2", user_id: "later", time: at(10), status: "open" }),
+        ride({ id: "r3", user_id: "gone", status: "cancelled" }),
+        ride({ id: "r4", user_id: "legacy", status: null }),
+      ],
+      ride_requests: [
+        { ride_id: "r1", requester_id: "partner", status: "accepted" },
+        { ride_id: "r1", requester_id: "hopeful", status: "pending" },
+      ],
+      profiles: [
+        { user_id: "owner", notification_preferences: null },
+        {
+          user_id: "partner",
+          notification_preferences: { ride_reminder: false },
+        },
+        { user_id: "legacy", notification_preferences: null },
+      ],
+      notifications: [],
+    });
+
+  test("queues reminders for riders who want them, once", async () => {
+    const client = setup();
+
+    expect(await queueRideReminders({ client, now })).toBe(2);
+    expect(client.tables.notifications).toEqual([
+      expect.objectContaining({
+        user_id: "owner",
+        type: "ride_reminder",
+        ride_id: "r1",
+        payload: expect.objectContaining({ url: "/ride/r1" }),
+      }),
+      // Rides posted before statuses existed count as open
+      expect.objectContaining({ user_id: "legacy", ride_id: "r4" }),
+    ]);
+
+    const later = new Date(2025, 0, 6, 7, 50);
+    expect(await queueRideReminders({ client, now: later })).toBe(0);
+  });
+});
+
+describe("deliverNotifications", () => {
+  const payload = { title: "Ride reminder", body: "Soon", url: "/ride/r1" };
+
+  const setup = () =>
+    createMemoryClient({
+      notifications: [
+        { id: "n1", user_id: "owner", payload, sent_at: null },
+        { id: "n2", user_id: "partner", payload, sent_at: null },
+        { id: "n3", user_id: "owner", payload, sent_at: at(7) },
+      ],
+      push_subscriptions: [
+        { user_id: "owner", endpoint: "phone" },
+        { user_id: "owner", endpoint: "old-laptop" },
+        { user_id: "partner", endpoint: "tablet" },
+      ],
+    });
+
+  test("pushes to every device and drops gone subscriptions", async () => {
+    const client = setup();
+    const push = jest.fn(async (subscription) => {
+      if (subscription.endpoint === "old-laptop") {
+        throw Object.assign(new Error("Gone"), { statusCode: 410 });
+      }
+    });
+
+    expect(await deliverNotifications({ client, push, now })).toBe(2);
+    expect(push.mock.calls.map(([s]) => s.endpoint)).toEqual([
+      "phone",
+      "old-laptop",
+      "tablet",
+    ]);
+    expect(push).toHaveBeenCalledWith(expect.anything(), payload);
+    expect(client.tables.notifications.map((n) => n.sent_at)).toEqual([
+      now.toISOString(),
+      now.toISOString(),
+      at(7),
+    ]);
+    expect(client.tables.push_subscriptions.map((s) => s.endpoint)).toEqual([
+      "phone",
+      "tablet",
+    ]);
+  });
+
+  test("retries when the push service is down", async () => {
+    const client = setup();
+    const push = jest.fn().mockRejectedValue(new Error("Timeout"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(await deliverNotifications({ client, push, now })).toBe(0);
+    expect(client.tables.notifications[0].sent_at).toBeNull();
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,196 @@
+// Offline copies of the signed-in rider's data, so pages have something to
+// show straight away and without a connection. Entries live in IndexedDB as
+//   { key: "<userId>:<collection>", userId, collection, value, savedAt }
+// so one rider never reads another's copy, and everything is wiped on
+// sign-out. Pages show whatever is cached, stale or not, and refetch when
+// it is older than its collection's MAX_AGE (stale-while-revalidate).
+
+export const CACHE_COLLECTIONS = {
+  PROFILE: "profile",
+  RIDES: "rides",
+  MY_RIDES: "my_rides",
+  MY_RIDE_REQUESTS: "my_ride_requests",
+  CANDIDATES: "candidates",
+  // Find Rides matching settings; never refetched, so age doesn't matter
+  MATCH_SETTINGS: "match_settings",
+};
+
+const MINUTE = 60 * 1000;
+
+// How long each collection counts as fresh
+export const MAX_AGE = {
+  [CACHE_COLLECTIONS.PROFILE]: 60 * MINUTE,
+  [CACHE_COLLECTIONS.RIDES]: 15 * MINUTE,
+  [CACHE_COLLECTIONS.MY_RIDES]: 5 * MINUTE,
+  [CACHE_COLLECTIONS.MY_RIDE_REQUESTS]: 5 * MINUTE,
+  [CACHE_COLLECTIONS.CANDIDATES]: 15 * MINUTE,
+};
+
+const DEFAULT_MAX_AGE = 15 * MINUTE;
+
+// Written by older versions under fixed keys shared by every rider
+const LEGACY_KEYS = [
+  "cached_rides",
+  "cached_my_rides",
+  "cached_profile",
+  "last_fetch_time",
+  "match_window_minutes",
+  "match_radius_km",
+  "match_preference_mode",
+];
+
+const DB_NAME = "ride-partner";
+const DB_VERSION = 1;
+const STORE_NAME = "cache";
+
+/**
+ * @typedef {object} CacheStore
+ * @property {(key: string) => Promise<object|undefined>} get
+ * @property {(entry: object) => Promise<void>} put
+ * @property {() => Promise<void>} clear
+ */
+
+const toPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * @param {IDBFactory} factory usually `window.indexedDB`
+ * @returns {CacheStore}
+ */
+export const createIndexedDBStore = (factory) => {
+  let opening = null;
+  const open = () => {
+    if (!opening) {
+      const request = factory.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () =>
+        request.result.createObjectStore(STORE_NAME, { keyPath: "key" });
+      opening = toPromise(request);
+    }
+    return opening;
+  };
+
+  const withStore = async (mode, action) => {
+    const db = await open();
+    return toPromise(
+      action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+    );
+  };
+
+  return {
+    get: (key) => withStore("readonly", (store) => store.get(key)),
+    async put(entry) {
+      await withStore("readwrite", (store) => store.put(entry));
+    },
+    async clear() {
+      await withStore("readwrite", (store) => store.clear());
+    },
+  };
+};
+
+/**
+ * For tests and browsers without IndexedDB.
+ * @returns {CacheStore & { entries: Map<string, object> }}
+ */
+export const createMemoryStore = () => {
+  const entries = new Map();
+  return {
+    entries,
+    async get(key) {
+      return entries.get(key);
+    },
+    async put(entry) {
+      entries.set(entry.key, entry);
+    },
+    async clear() {
+      entries.clear();
+    },
+  };
+};
+
+const getKey = (userId, collection) => `${userId}:${collection}`;
+
+/**
+ * @param {CacheStore} store
+ * @param {{ now?: () => number, storage?: Storage }} [options] `storage`
+ *   is where legacy keys are cleared from
+ */
+export const createOfflineCache = (
+  store,
+  { now = () => Date.now(), storage = window.localStorage } = {}
+) => {
+  const read = async (userId, collection) => {
+    if (!userId) return null;
+    try {
+      const entry = await store.get(getKey(userId, collection));
+      if (!entry) return null;
+      const maxAge = MAX_AGE[collection] ?? DEFAULT_MAX_AGE;
+      return { value: entry.value, stale: now() - entry.savedAt >= maxAge };
+    } catch (error) {
+      console.error(`Error reading cached ${collection}:`, error);
+      return null;
+    }
+  };
+
+  const save = async (userId, collection, value, savedAt) => {
+    if (!userId || value === null || value === undefined) return;
+    try {
+      await store.put({
+        key: getKey(userId, collection),
+        userId,
+        collection,
+        value,
+        savedAt,
+      });
+    } catch (error) {
+      console.error(`Error caching ${collection}:`, error);
+    }
+  };
+
+  return {
+    /**
+     * The cached copy and whether it is past its collection's max age.
+     * @returns {Promise<{ value: any, stale: boolean }|null>}
+     */
+    read,
+
+    /**
+     * Cache a freshly fetched copy.
+     */
+    write: (userId, collection, value) =>
+      save(userId, collection, value, now()),
+
+    /**
+     * Replace the cached copy after a local or realtime change, keeping its
+     * age so it is still refetched on time. Does nothing until a fetched
+     * copy has been written.
+     */
+    async update(userId, collection, value) {
+      if (!userId) return;
+      const entry = await store
+        .get(getKey(userId, collection))
+        .catch(() => null);
+      if (entry) await save(userId, collection, value, entry.savedAt);
+    },
+
+    /**
+     * Forget every rider's copies, including the old localStorage ones.
+     */
+    async clear() {
+      LEGACY_KEYS.forEach((key) => storage?.removeItem(key));
+      try {
+        await store.clear();
+      } catch (error) {
+        console.error("Error clearing the offline cache:", error);
+      }
+    },
+  };
+};
+
+export const offlineCache = createOfflineCache(
+  typeof indexedDB === "undefined"
+    ? createMemoryStore()
+    : createIndexedDBStore(indexedDB)
+);
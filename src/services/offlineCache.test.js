@@ -0,0 +1,87 @@
+import {
+  CACHE_COLLECTIONS,
+  MAX_AGE,
+  createMemoryStore,
+  createOfflineCache,
+} from "./offlineCache";
+
+const setup = () => {
+  let time = Date.parse("2025-01-06T08:00:00Z");
+  const store = createMemoryStore();
+  const storage = { removeItem: jest.fn() };
+  const cache = createOfflineCache(store, { now: () => time, storage });
+  const advance = (ms) => {
+    time += ms;
+  };
+  return { cache, store, storage, advance };
+};
+
+describe("createOfflineCache", () => {
+  test("keeps each rider's copies apart", async () => {
+    const { cache } = setup();
+    await cache.write("ayesha", CACHE_COLLECTIONS.MY_RIDES, [{ id: "a" }]);
+
+    expect(await cache.read("ayesha", CACHE_COLLECTIONS.MY_RIDES)).toEqual({
+      value: [{ id: "a" }],
+      stale: false,
+    });
+    expect(await cache.read("rafi", CACHE_COLLECTIONS.MY_RIDES)).toBeNull();
+    expect(await cache.read(null, CACHE_COLLECTIONS.MY_RIDES)).toBeNull();
+  });
+
+  test("goes stale after its collection's max age", async () => {
+    const { cache, advance } = setup();
+    await cache.write("ayesha", CACHE_COLLECTIONS.PROFILE, { name: "Ayesha" });
+    await cache.write("ayesha", CACHE_COLLECTIONS.MY_RIDES, []);
+
+    advance(MAX_AGE[CACHE_COLLECTIONS.MY_RIDES]);
+    expect((await cache.read("ayesha", CACHE_COLLECTIONS.MY_RIDES)).stale).toBe(
+      true
+    );
+    expect((await cache.read("ayesha", CACHE_COLLECTIONS.PROFILE)).stale).toBe(
+      false
+    );
+  });
+
+  test("updates keep the age and skip missing copies", async () => {
+    const { cache, advance } = setup();
+    await cache.write("ayesha", CACHE_COLLECTIONS.RIDES, [{ id: "a" }]);
+    advance(MAX_AGE[CACHE_COLLECTIONS.RIDES]);
+
+    await cache.update("ayesha", CACHE_COLLECTIONS.RIDES, [{ id: "b" }]);
+    expect(await cache.read("ayesha", CACHE_COLLECTIONS.RIDES)).toEqual({
+      value: [{ id: "b" }],
+      stale: true,
+    });
+
+    await cache.update("ayesha", CACHE_COLLECTIONS.CANDIDATES, []);
+    expect(await cache.read("ayesha", CACHE_COLLECTIONS.CANDIDATES)).toBeNull();
+  });
+
+  test("clears every copy and the old localStorage keys", async () => {
+    const { cache, store, storage } = setup();
+    await cache.write("ayesha", CACHE_COLLECTIONS.PROFILE, { name: "Ayesha" });
+    await cache.write("rafi", CACHE_COLLECTIONS.PROFILE, { name: "Rafi" });
+
+    await cache.clear();
+    expect(store.entries.size).toBe(0);
+    expect(storage.removeItem).toHaveBeenCalledWith("cached_rides");
+    expect(storage.removeItem).toHaveBeenCalledWith("last_fetch_time");
+    expect(storage.removeItem).toHaveBeenCalledWith("match_radius_km");
+  });
+
+  test("falls back to a fetch when the store fails", async () => {
+    const store = {
+      get: () => Promise.reject(new Error("blocked")),
+      put: () => Promise.reject(new Error("blocked")),
+      clear: () => Promise.reject(new Error("blocked")),
+    };
+    const cache = createOfflineCache(store, { storage: null });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await cache.write("ayesha", CACHE_COLLECTIONS.PROFILE, {});
+    expect(await cache.read("ayesha", CACHE_COLLECTIONS.PROFILE)).toBeNull();
+    await expect(cache.clear()).resolves.toBeUndefined();
+    console.error.mockRestore();
+  });
+});
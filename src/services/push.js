@@ -0,0 +1,159 @@
+import { supabase } from "./supabaseClient";
+import {
+  buildNotification,
+  normalizePreferences,
+  shouldNotify,
+} from "../utils/notifications";
+import { REQUEST_STATUS } from "../utils/rideRequests";
+
+// Public half of the VAPID key pair used by the push sender
+const VAPID_PUBLIC_KEY = process.env.REACT_APP_VAPID_PUBLIC_KEY;
+
+export const isPushSupported = () =>
+  "serviceWorker" in navigator &&
+  "PushManager" in window &&
+  "Notification" in window &&
+  Boolean(VAPID_PUBLIC_KEY);
+
+// PushManager wants the key as bytes, not the URL-safe base64 we store
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = "=".repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, "+").replace(/_/g, "/");
+  const raw = window.atob(base64);
+  return Uint8Array.from([...raw].map((char) => char.charCodeAt(0)));
+};
+
+/**
+ * The push subscription for this browser, or null.
+ */
+export async function getPushSubscription() {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+}
+
+/**
+ * Ask for permission, subscribe this browser and store the subscription so
+ * the sender can reach it.
+ */
+export async function subscribeToPush(userId) {
+  if (!isPushSupported()) {
+    throw new Error("Push notifications are not supported in this browser");
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") {
+    throw new Error("Notifications are blocked for this site");
+  }
+
+  const registration = await navigator.serviceWorker.ready;
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY),
+    }));
+
+  const { keys } = subscription.toJSON();
+  const { error } = await supabase.from("push_subscriptions").upsert(
+    {
+      user_id: userId,
+      endpoint: subscription.endpoint,
+      p256dh: keys.p256dh,
+      auth: keys.auth,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "endpoint" }
+  );
+  if (error) throw error;
+  return subscription;
+}
+
+/**
+ * Stop pushes to this browser.
+ */
+export async function unsubscribeFromPush() {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  const { error } = await supabase
+    .from("push_subscriptions")
+    .delete()
+    .eq("endpoint", subscription.endpoint);
+  if (error) throw error;
+  await subscription.unsubscribe();
+}
+
+/**
+ * Queue a notification for another rider, unless they turned that kind
+ * off. Failures are logged and never block the action that caused them.
+ * @param {string} type one of NOTIFICATION_TYPES
+ * @param {string} recipientId
+ * @param {object} ride
+ * @param {{ name?: string }} [actor]
+ */
+export async function queueNotification(type, recipientId, ride, actor) {
+  try {
+    const { data: profile, error: profileError } = await supabase
+      .from("profiles")
+      .select("notification_preferences")
+      .eq("user_id", recipientId)
+      .single();
+    if (profileError) throw profileError;
+
+    const preferences = normalizePreferences(profile?.notification_preferences);
+    if (!shouldNotify(preferences, type)) return;
+
+    const { error } = await supabase.from("notifications").insert({
+      user_id: recipientId,
+      type,
+      ride_id: ride.id,
+      payload: buildNotification(type, ride, actor),
+    });
+    if (error) throw error;
+  } catch (error) {
+    console.error("Error queueing notification:", error);
+  }
+}
+
+/**
+ * Tell everyone involved with a ride about an event on it: riders with a
+ * pending or accepted join request, and anyone who has messaged about it.
+ * @param {string} type one of NOTIFICATION_TYPES
+ * @param {object} ride the stored ride (series) row
+ * @param {{ name?: string }} [actor]
+ */
+export async function notifyRideParticipants(type, ride, actor) {
+  try {
+    const [requests, messages] = await Promise.all([
+      supabase
+        .from("ride_requests")
+        .select("requester_id")
+        .eq("ride_id", ride.id)
+        .in("status", [REQUEST_STATUS.PENDING, REQUEST_STATUS.ACCEPTED]),
+      supabase
+        .from("messages")
+        .select("sender_id, recipient_id")
+        .eq("ride_id", ride.id),
+    ]);
+    if (requests.error) throw requests.error;
+    if (messages.error) throw messages.error;
+
+    const recipients = new Set([
+      ...requests.data.map((request) => request.requester_id),
+      ...messages.data.flatMap((message) => [
+        message.sender_id,
+        message.recipient_id,
+      ]),
+    ]);
+    recipients.delete(ride.user_id);
+
+    await Promise.all(
+      [...recipients].map((recipientId) =>
+        queueNotification(type, recipientId, ride, actor)
+      )
+    );
+  } catch (error) {
+    console.error("Error notifying ride participants:", error);
+  }
+}
@@ -0,0 +1,98 @@
+import { supabase } from "./supabaseClient";
+import { buildTripShare } from "../utils/tripShare";
+
+const CONTACT_FIELDS = "id, name, phone, email";
+
+/**
+ * My trusted contacts, oldest first.
+ */
+export async function getTrustedContacts(userId) {
+  const { data, error } = await supabase
+    .from("trusted_contacts")
+    .select(CONTACT_FIELDS)
+    .eq("user_id", userId)
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function addTrustedContact(userId, contact) {
+  const { data, error } = await supabase
+    .from("trusted_contacts")
+    .insert({
+      user_id: userId,
+      name: contact.name.trim(),
+      phone: contact.phone?.trim() || null,
+      email: contact.email?.trim() || null,
+    })
+    .select(CONTACT_FIELDS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function removeTrustedContact(contactId) {
+  const { error } = await supabase
+    .from("trusted_contacts")
+    .delete()
+    .eq("id", contactId);
+  if (error) throw error;
+}
+
+/**
+ * The rider's latest share for a ride, if any.
+ */
+export async function getMyTripShare(userId, rideId) {
+  const { data, error } = await supabase
+    .from("trip_shares")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("ride_id", rideId)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Make a new share link for one departure of a ride. The token is the only
+ * secret in the link.
+ * @param {object} ride
+ * @param {object} details see utils/tripShare buildTripShare
+ */
+export async function createTripShare(ride, details) {
+  const { data, error } = await supabase
+    .from("trip_shares")
+    .insert(buildTripShare(ride, { ...details, token: crypto.randomUUID() }))
+    .select("*")
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * "I've arrived": stops the alert for this trip.
+ */
+export async function checkInTrip(shareId) {
+  const { data, error } = await supabase
+    .from("trip_shares")
+    .update({ checked_in_at: new Date().toISOString() })
+    .eq("id", shareId)
+    .select("*")
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * A shared trip by its link token, for anyone holding the link. The
+ * database function returns nothing once the link has expired.
+ */
+export async function getSharedTrip(token) {
+  const { data, error } = await supabase
+    .rpc("get_trip_share", { share_token: token })
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
@@ -0,0 +1,16 @@
+// Personal block lists, stored in `user_blocks` as { blocker_id, blocked_id }.
+// Row level security only lets riders read their own blocks and hides rides
+// across a block in both directions (see README), so the blocked rider never
+// finds out. The client also drops rides from people I block so the change
+// shows up right away, including in cached and realtime rides.
+
+export const indexBlockedIds = (blocks) =>
+  new Set((blocks || []).map((block) => block.blocked_id));
+
+export const isBlocked = (blockedIds, userId) =>
+  Boolean(userId) && blockedIds.has(userId);
+
+export const hideBlockedRides = (rides, blockedIds) =>
+  blockedIds.size === 0
+    ? rides
+    : rides.filter((ride) => !isBlocked(blockedIds, ride.user_id));
@@ -0,0 +1,28 @@
+import { hideBlockedRides, indexBlockedIds, isBlocked } from "./blocks";
+
+describe("blocks", () => {
+  const blockedIds = indexBlockedIds([
+    { blocker_id: "me", blocked_id: "u2" },
+    { blocker_id: "me", blocked_id: "u3" },
+  ]);
+
+  test("indexes who I blocked", () => {
+    expect(isBlocked(blockedIds, "u2")).toBe(true);
+    expect(isBlocked(blockedIds, "u4")).toBe(false);
+    expect(isBlocked(blockedIds, undefined)).toBe(false);
+  });
+
+  test("hides rides posted by blocked users", () => {
+    const rides = [
+      { id: 1, user_id: "u1" },
+      { id: 2, user_id: "u2" },
+      { id: 3, user_id: "u3" },
+    ];
+    expect(hideBlockedRides(rides, blockedIds).map((r) => r.id)).toEqual([1]);
+  });
+
+  test("keeps the same list when nobody is blocked", () => {
+    const rides = [{ id: 1, user_id: "u1" }];
+    expect(hideBlockedRides(rides, indexBlockedIds([]))).toBe(rides);
+  });
+});
@@ -0,0 +1,102 @@
+// Conversations between two riders about one ride, stored in the
+// `messages` table:
+//   { id, ride_id, sender_id, recipient_id, body, kind, created_at, read_at }
+// A thread is every message on a ride between the same two people.
+// `kind` is "text" for normal messages or "contact_opt_in" when a rider
+// agrees to share contact details; they are only shown once both have
+// (see utils/contactPrivacy).
+
+export const MESSAGE_KIND = {
+  TEXT: "text",
+  CONTACT_OPT_IN: "contact_opt_in",
+};
+
+export const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * Stable key for the thread between two users on a ride, whichever of them
+ * is asking.
+ */
+export const getThreadKey = (rideId, userId, otherUserId) =>
+  [rideId, ...[userId, otherUserId].sort()].join(":");
+
+const byCreatedAt = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+/**
+ * Merge new messages into a list, replacing ones with the same id (e.g. when
+ * they are marked read) and keeping the list in send order.
+ */
+export const mergeMessages = (messages, incoming) => {
+  const byId = new Map((messages || []).map((m) => [m.id, m]));
+  (incoming || []).forEach((message) =>
+    byId.set(message.id, { ...byId.get(message.id), ...message })
+  );
+  return [...byId.values()].sort(byCreatedAt);
+};
+
+export const isUnread = (message, userId) =>
+  message.recipient_id === userId && !message.read_at;
+
+export const countUnread = (messages, userId) =>
+  (messages || []).filter((message) => isUnread(message, userId)).length;
+
+/**
+ * Messages in one thread, oldest first.
+ */
+export const getThreadMessages = (messages, rideId, userId, otherUserId) => {
+  const key = getThreadKey(rideId, userId, otherUserId);
+  return (messages || [])
+    .filter((m) => getThreadKey(m.ride_id, m.sender_id, m.recipient_id) === key)
+    .sort(byCreatedAt);
+};
+
+/**
+ * Group a user's messages into threads, most recent activity first.
+ * @returns {{ key: string, rideId: string, otherUserId: string,
+ *   lastMessage: object, unread: number }[]}
+ */
+export const groupThreads = (messages, userId) => {
+  const threads = new Map();
+  [...(messages || [])].sort(byCreatedAt).forEach((message) => {
+    const otherUserId =
+      message.sender_id === userId ? message.recipient_id : message.sender_id;
+    const key = getThreadKey(message.ride_id, userId, otherUserId);
+    const thread = threads.get(key) || {
+      key,
+      rideId: message.ride_id,
+      otherUserId,
+      unread: 0,
+    };
+    thread.lastMessage = message;
+    if (isUnread(message, userId)) thread.unread += 1;
+    threads.set(key, thread);
+  });
+  return [...threads.values()].sort((a, b) =>
+    byCreatedAt(b.lastMessage, a.lastMessage)
+  );
+};
+
+export const hasSharedContact = (threadMessages, userId) =>
+  (threadMessages || []).some(
+    (m) => m.kind === MESSAGE_KIND.CONTACT_OPT_IN && m.sender_id === userId
+  );
+
+/**
+ * WhatsApp details may only be shown once both riders have opted in.
+ */
+export const canRevealContact = (threadMessages, userId, otherUserId) =>
+  hasSharedContact(threadMessages, userId) &&
+  hasSharedContact(threadMessages, otherUserId);
+
+/**
+ * Check a message before sending it.
+ * @returns {string} an error message, or "" when valid
+ */
+export const validateMessage = (body) => {
+  const text = (body || "").trim();
+  if (!text) return "Message cannot be empty";
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return `Messages can be at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  return "";
+};
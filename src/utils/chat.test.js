@@ -0,0 +1,123 @@
+import {
+  MESSAGE_KIND,
+  canRevealContact,
+  countUnread,
+  getThreadKey,
+  getThreadMessages,
+  groupThreads,
+  mergeMessages,
+  validateMessage,
+} from "./chat";
+
+const message = (overrides) => ({
+  id: "m1",
+  ride_id: "r1",
+  sender_id: "ayesha",
+  recipient_id: "nusrat",
+  body: "Hi",
+  kind: MESSAGE_KIND.TEXT,
+  created_at: "2025-01-01T08:00:00Z",
+  read_at: null,
+  ...overrides,
+});
+
+describe("getThreadKey", () => {
+  test("is the same from both sides", () => {
+    expect(getThreadKey("r1", "ayesha", "nusrat")).toBe(
+      getThreadKey("r1", "nusrat", "ayesha")
+    );
+    expect(getThreadKey("r1", "ayesha", "nusrat")).not.toBe(
+      getThreadKey("r2", "ayesha", "nusrat")
+    );
+  });
+});
+
+describe("mergeMessages", () => {
+  test("adds new messages in send order without duplicates", () => {
+    const merged = mergeMessages(
+      [message({ id: "m2", created_at: "2025-01-01T09:00:00Z" })],
+      [message(), message({ id: "m2", created_at: "2025-01-01T09:00:00Z" })]
+    );
+    expect(merged.map((m) => m.id)).toEqual(["m1", "m2"]);
+  });
+
+  test("applies partial updates such as read receipts", () => {
+    const [merged] = mergeMessages(
+      [message()],
+      [{ id: "m1", read_at: "2025-01-01T10:00:00Z" }]
+    );
+    expect(merged.body).toBe("Hi");
+    expect(merged.read_at).toBe("2025-01-01T10:00:00Z");
+  });
+});
+
+describe("threads", () => {
+  const messages = [
+    message(),
+    message({
+      id: "m2",
+      sender_id: "nusrat",
+      recipient_id: "ayesha",
+      created_at: "2025-01-01T08:05:00Z",
+    }),
+    message({
+      id: "m3",
+      ride_id: "r2",
+      sender_id: "tania",
+      created_at: "2025-01-01T07:00:00Z",
+      recipient_id: "nusrat",
+    }),
+  ];
+
+  test("groups messages per ride and partner, latest first", () => {
+    const threads = groupThreads(messages, "nusrat");
+    expect(threads.map((t) => [t.rideId, t.otherUserId])).toEqual([
+      ["r1", "ayesha"],
+      ["r2", "tania"],
+    ]);
+    expect(threads[0].lastMessage.id).toBe("m2");
+    expect(threads[0].unread).toBe(1);
+  });
+
+  test("picks out one thread", () => {
+    expect(
+      getThreadMessages(messages, "r1", "ayesha", "nusrat").map((m) => m.id)
+    ).toEqual(["m1", "m2"]);
+  });
+
+  test("counts unread messages addressed to the user", () => {
+    expect(countUnread(messages, "nusrat")).toBe(2);
+    expect(countUnread(messages, "ayesha")).toBe(1);
+  });
+});
+
+describe("canRevealContact", () => {
+  const optIn = (sender, recipient) =>
+    message({
+      id: `opt-${sender}`,
+      kind: MESSAGE_KIND.CONTACT_OPT_IN,
+      sender_id: sender,
+      recipient_id: recipient,
+    });
+
+  test("requires both riders to opt in", () => {
+    expect(
+      canRevealContact([optIn("ayesha", "nusrat")], "ayesha", "nusrat")
+    ).toBe(false);
+    expect(
+      canRevealContact(
+        [optIn("ayesha", "nusrat"), optIn("nusrat", "ayesha")],
+        "ayesha",
+        "nusrat"
+      )
+    ).toBe(true);
+  });
+});
+
+describe("validateMessage", () => {
+  test("rejects empty and overly long messages", () => {
+    expect(validateMessage("  ")).toBe("Message cannot be empty");
+    expect(validateMessage("a".repeat(1001))).toMatch(/at most 1000/);
+    expect(validateMessage("See you at the gate")).toBe("");
+  });
+});
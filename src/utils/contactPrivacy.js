@@ -0,0 +1,48 @@
+// Contact details (WhatsApp and email) are never part of ride or profile
+// listings. They are handed out one person at a time by the
+// `reveal_contact` database function, which checks that the two riders
+// accepted each other on the ride, applies the owner's
+// `profiles.contact_visibility` and records the view in `contact_views`:
+//   { owner_id, viewer_id, ride_id, created_at }
+
+import { REQUEST_STATUS } from "./rideRequests";
+
+export const CONTACT_VISIBILITY = {
+  ALL: "whatsapp_and_email",
+  EMAIL: "email_only",
+  NONE: "chat_only",
+};
+
+export const CONTACT_VISIBILITY_LABELS = {
+  [CONTACT_VISIBILITY.ALL]: "WhatsApp and email",
+  [CONTACT_VISIBILITY.EMAIL]: "Email only",
+  [CONTACT_VISIBILITY.NONE]: "Nothing, keep it in chat",
+};
+
+export const DEFAULT_CONTACT_VISIBILITY = CONTACT_VISIBILITY.ALL;
+
+export const getContactVisibility = (profile) =>
+  CONTACT_VISIBILITY_LABELS[profile?.contact_visibility]
+    ? profile.contact_visibility
+    : DEFAULT_CONTACT_VISIBILITY;
+
+/**
+ * Whether two riders accepted each other on a ride: one posted it and the
+ * other's join request was accepted.
+ * @param {object} ride needs `user_id`
+ * @param {object[]} requests join requests for the ride
+ */
+export const isMatchAccepted = (ride, requests, userId, otherUserId) => {
+  if (!ride || userId === otherUserId) return false;
+  const requesterId =
+    ride.user_id === userId
+      ? otherUserId
+      : ride.user_id === otherUserId
+      ? userId
+      : null;
+  return (requests || []).some(
+    (request) =>
+      request.requester_id === requesterId &&
+      request.status === REQUEST_STATUS.ACCEPTED
+  );
+};
@@ -0,0 +1,29 @@
+import { getContactVisibility, isMatchAccepted } from "./contactPrivacy";
+
+describe("getContactVisibility", () => {
+  test("defaults unknown settings to sharing both", () => {
+    expect(getContactVisibility({})).toBe("whatsapp_and_email");
+    expect(getContactVisibility({ contact_visibility: "email_only" })).toBe(
+      "email_only"
+    );
+  });
+});
+
+describe("isMatchAccepted", () => {
+  const ride = { id: 1, user_id: "owner" };
+  const requests = [
+    { requester_id: "partner", status: "accepted" },
+    { requester_id: "waiting", status: "pending" },
+  ];
+
+  test("is true for the owner and an accepted partner, either way round", () => {
+    expect(isMatchAccepted(ride, requests, "owner", "partner")).toBe(true);
+    expect(isMatchAccepted(ride, requests, "partner", "owner")).toBe(true);
+  });
+
+  test("is false for pending requests and riders who aren't the owner", () => {
+    expect(isMatchAccepted(ride, requests, "owner", "waiting")).toBe(false);
+    expect(isMatchAccepted(ride, requests, "partner", "waiting")).toBe(false);
+    expect(isMatchAccepted(null, requests, "owner", "partner")).toBe(false);
+  });
+});
@@ -0,0 +1,46 @@
+// Local calendar helpers. Dates are "YYYY-MM-DD" and times "HH:MM" strings,
+// the same formats <input type="date"> and <input type="time"> produce, and
+// are always interpreted in the viewer's local timezone.
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const parseDate = (date) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const formatDate = (d) =>
+  `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+/**
+ * Local calendar date of a timestamp as "YYYY-MM-DD".
+ */
+export const toLocalDateString = (time) => formatDate(new Date(time));
+
+/**
+ * Local time of day of a timestamp as "HH:MM".
+ */
+export const toLocalTimeString = (time) => {
+  const d = new Date(time);
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+/**
+ * Shift a "YYYY-MM-DD" date by whole calendar days.
+ */
+export const addDays = (date, days) => {
+  const d = parseDate(date);
+  d.setDate(d.getDate() + days);
+  return formatDate(d);
+};
+
+/**
+ * Day of the week of a "YYYY-MM-DD" date, 0 (Sunday) to 6 (Saturday).
+ */
+export const getWeekday = (date) => parseDate(date).getDay();
+
+/**
+ * Combine a local date and time into an ISO timestamp for the database.
+ */
+export const toISODateTime = (date, time) =>
+  new Date(`${date}T${time}`).toISOString();
@@ -0,0 +1,145 @@
+// Fare estimates for sharing a ride. Admins manage the tariff table in the
+// `fares` table:
+//   { id, transport, from, to, amount }
+// `amount` is the full fare in taka for the whole vehicle between two
+// catalog locations, in either direction. Riders split it evenly.
+
+import { normalizeLocation } from "./rideMatching";
+import {
+  TRANSPORT_MODES,
+  TRANSPORT_MODE_LABELS,
+  getPreferences,
+} from "./ridePreferences";
+
+// Buses charge each passenger, so only shared vehicles have a tariff
+export const TRANSPORT_TYPES = {
+  CNG: TRANSPORT_MODES.CNG,
+  RIDE_HAILING: TRANSPORT_MODES.RIDE_HAILING,
+};
+
+export const TRANSPORT_LABELS = {
+  [TRANSPORT_TYPES.CNG]: TRANSPORT_MODE_LABELS[TRANSPORT_MODES.CNG],
+  [TRANSPORT_TYPES.RIDE_HAILING]:
+    TRANSPORT_MODE_LABELS[TRANSPORT_MODES.RIDE_HAILING],
+};
+
+// Used until the tariff table has loaded, or when it cannot be reached
+export const DEFAULT_FARES = [
+  {
+    id: "cng-campus-kuril",
+    transport: "cng",
+    from: "Campus",
+    to: "Kuril",
+    amount: 150,
+  },
+  {
+    id: "cng-campus-future-park",
+    transport: "cng",
+    from: "Campus",
+    to: "Future Park",
+    amount: 200,
+  },
+  {
+    id: "cng-kuril-future-park",
+    transport: "cng",
+    from: "Kuril",
+    to: "Future Park",
+    amount: 100,
+  },
+  {
+    id: "ride-hailing-campus-kuril",
+    transport: "ride_hailing",
+    from: "Campus",
+    to: "Kuril",
+    amount: 280,
+  },
+  {
+    id: "ride-hailing-campus-future-park",
+    transport: "ride_hailing",
+    from: "Campus",
+    to: "Future Park",
+    amount: 350,
+  },
+  {
+    id: "ride-hailing-kuril-future-park",
+    transport: "ride_hailing",
+    from: "Kuril",
+    to: "Future Park",
+    amount: 220,
+  },
+];
+
+export const formatTaka = (amount) => `৳${amount}`;
+
+/**
+ * The tariff for a transport type between two places, either way
+ * round. Names are compared through `resolveLocation` so aliases count.
+ * @returns {object|undefined}
+ */
+export const findFare = (
+  fares,
+  transport,
+  from,
+  to,
+  resolveLocation = normalizeLocation
+) => {
+  const a = resolveLocation(from);
+  const b = resolveLocation(to);
+  return (fares || []).find((fare) => {
+    if (fare.transport !== transport) return false;
+    const fareFrom = resolveLocation(fare.from);
+    const fareTo = resolveLocation(fare.to);
+    return (fareFrom === a && fareTo === b) || (fareFrom === b && fareTo === a);
+  });
+};
+
+/**
+ * Each rider's share of a fare, rounded up to the next taka.
+ */
+export const splitFare = (amount, riders) =>
+  Math.ceil(Number(amount) / Math.max(1, riders));
+
+/**
+ * Estimates for every transport type with a tariff on the ride's route, or
+ * just the ride's own transport mode when it has one.
+ * @param {number} riders people splitting the fare
+ * @returns {{ transport: string, total: number, perPerson: number }[]}
+ */
+export const estimateFares = (fares, ride, riders, resolveLocation) => {
+  const { transport: mode } = getPreferences(ride);
+  return Object.values(TRANSPORT_TYPES)
+    .filter((transport) => !mode || transport === mode)
+    .map((transport) =>
+      findFare(fares, transport, ride.from, ride.to, resolveLocation)
+    )
+    .filter(Boolean)
+    .map((fare) => ({
+      transport: fare.transport,
+      total: Number(fare.amount),
+      perPerson: splitFare(fare.amount, riders),
+    }));
+};
+
+/**
+ * Check a tariff before saving it.
+ * @returns {string} an error message, or "" when valid
+ */
+export const validateFare = (fare, existing = [], resolveLocation) => {
+  if (!TRANSPORT_LABELS[fare.transport]) return "Pick a transport type";
+  if (!fare.from || !fare.to) return "Pick both locations";
+  const resolve = resolveLocation || normalizeLocation;
+  if (resolve(fare.from) === resolve(fare.to)) {
+    return "Pick two different locations";
+  }
+  const amount = Number(fare.amount);
+  if (fare.amount === "" || !(amount > 0)) return "Enter a fare above zero";
+  const duplicate = findFare(
+    existing.filter((other) => other.id !== fare.id),
+    fare.transport,
+    fare.from,
+    fare.to,
+    resolve
+  );
+  if (duplicate) return "There is already a fare for this route";
+  return "";
+};
@@ -0,0 +1,100 @@
+import {
+  DEFAULT_FARES,
+  estimateFares,
+  findFare,
+  splitFare,
+  validateFare,
+} from "./fares";
+import { createLocationResolver, DEFAULT_LOCATIONS } from "./locations";
+
+const resolveLocation = createLocationResolver(DEFAULT_LOCATIONS);
+
+describe("findFare", () => {
+  test("matches a route in either direction and through aliases", () => {
+    expect(findFare(DEFAULT_FARES, "cng", "Campus", "Kuril").amount).toBe(150);
+    expect(findFare(DEFAULT_FARES, "cng", "kuril", "campus").amount).toBe(150);
+    expect(
+      findFare(DEFAULT_FARES, "cng", "JFP", "AIUB", resolveLocation).amount
+    ).toBe(200);
+  });
+
+  test("finds nothing for unknown routes", () => {
+    expect(findFare(DEFAULT_FARES, "cng", "Campus", "Gulshan")).toBeUndefined();
+    expect(findFare(DEFAULT_FARES, "bus", "Campus", "Kuril")).toBeUndefined();
+  });
+});
+
+describe("splitFare", () => {
+  test("rounds each share up to the next taka", () => {
+    expect(splitFare(150, 3)).toBe(50);
+    expect(splitFare(200, 3)).toBe(67);
+    expect(splitFare(200, 0)).toBe(200);
+  });
+});
+
+describe("estimateFares", () => {
+  test("estimates every transport type on the route", () => {
+    expect(
+      estimateFares(DEFAULT_FARES, { from: "Campus", to: "Kuril" }, 2)
+    ).toEqual([
+      { transport: "cng", total: 150, perPerson: 75 },
+      { transport: "ride_hailing", total: 280, perPerson: 140 },
+    ]);
+  });
+
+  test("only estimates the ride's own transport mode", () => {
+    const ride = { from: "Campus", to: "Kuril" };
+    expect(
+      estimateFares(
+        DEFAULT_FARES,
+        { ...ride, preferences: { transport: "ride_hailing" } },
+        4
+      )
+    ).toEqual([{ transport: "ride_hailing", total: 280, perPerson: 70 }]);
+    expect(
+      estimateFares(
+        DEFAULT_FARES,
+        { ...ride, preferences: { transport: "bus" } },
+        2
+      )
+    ).toEqual([]);
+  });
+
+  test("is empty when no tariff covers the route", () => {
+    expect(
+      estimateFares(DEFAULT_FARES, { from: "Campus", to: "Gulshan" }, 2)
+    ).toEqual([]);
+  });
+});
+
+describe("validateFare", () => {
+  const fare = { transport: "cng", from: "Kuril", to: "Gulshan", amount: 90 };
+
+  test("accepts a new route", () => {
+    expect(validateFare(fare, DEFAULT_FARES)).toBe("");
+  });
+
+  test("rejects incomplete or invalid fares", () => {
+    expect(validateFare({ ...fare, transport: "" })).toBe(
+      "Pick a transport type"
+    );
+    expect(validateFare({ ...fare, to: "" })).toBe("Pick both locations");
+    expect(validateFare({ ...fare, to: "kuril" })).toBe(
+      "Pick two different locations"
+    );
+    expect(validateFare({ ...fare, amount: "" })).toBe(
+      "Enter a fare above zero"
+    );
+    expect(validateFare({ ...fare, amount: -5 })).toBe(
+      "Enter a fare above zero"
+    );
+  });
+
+  test("rejects a second fare for the same route", () => {
+    expect(
+      validateFare({ ...fare, from: "Future Park", to: "Kuril" }, DEFAULT_FARES)
+    ).toBe("There is already a fare for this route");
+    const existing = DEFAULT_FARES[0];
+    expect(validateFare({ ...existing, amount: 160 }, DEFAULT_FARES)).toBe("");
+  });
+});
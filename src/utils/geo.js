@@ -0,0 +1,65 @@
+// Small, dependency free distance helpers for matching nearby pickup and
+// drop points. Points are { latitude, longitude } in decimal degrees.
+// Everything runs in the browser so matching keeps working offline.
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export const hasCoordinates = (point) =>
+  point?.latitude != null &&
+  point?.longitude != null &&
+  Number.isFinite(Number(point.latitude)) &&
+  Number.isFinite(Number(point.longitude));
+
+/**
+ * Great-circle distance between two points in kilometres (haversine).
+ */
+export const distanceKm = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) *
+      Math.cos(toRadians(b.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Project onto a flat plane centred on `origin`. Accurate enough for the
+// few kilometres a city ride covers.
+const toPlane = (point, origin) => ({
+  x:
+    toRadians(point.longitude - origin.longitude) *
+    Math.cos(toRadians(origin.latitude)) *
+    EARTH_RADIUS_KM,
+  y: toRadians(point.latitude - origin.latitude) * EARTH_RADIUS_KM,
+});
+
+/**
+ * Distance from a point to the straight line between `start` and `end`,
+ * and how far along that line (0 at start, 1 at end) the closest spot is.
+ * @returns {{ distance: number, fraction: number }}
+ */
+export const distanceToSegmentKm = (point, start, end) => {
+  const p = toPlane(point, start);
+  const e = toPlane(end, start);
+  const lengthSquared = e.x * e.x + e.y * e.y;
+  const fraction =
+    lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, (p.x * e.x + p.y * e.y) / lengthSquared));
+  const dx = p.x - fraction * e.x;
+  const dy = p.y - fraction * e.y;
+  return { distance: Math.sqrt(dx * dx + dy * dy), fraction };
+};
+
+/**
+ * Whether `point` lies within `radiusKm` of the trip from `start` to `end`,
+ * strictly between the two ends (the ends themselves are handled by a
+ * plain distance check).
+ */
+export const isAlongRoute = (point, start, end, radiusKm) => {
+  const { distance, fraction } = distanceToSegmentKm(point, start, end);
+  return distance <= radiusKm && fraction > 0 && fraction < 1;
+};
@@ -0,0 +1,76 @@
+import {
+  distanceKm,
+  distanceToSegmentKm,
+  hasCoordinates,
+  isAlongRoute,
+} from "./geo";
+
+const point = (latitude, longitude) => ({ latitude, longitude });
+
+describe("hasCoordinates", () => {
+  test("requires both numbers", () => {
+    expect(hasCoordinates(point(23.8, 90.4))).toBe(true);
+    expect(hasCoordinates(point(null, 90.4))).toBe(false);
+    expect(hasCoordinates({ latitude: 23.8 })).toBe(false);
+    expect(hasCoordinates(null)).toBe(false);
+  });
+});
+
+describe("distanceKm", () => {
+  test("is zero for the same point", () => {
+    expect(distanceKm(point(23.8, 90.4), point(23.8, 90.4))).toBe(0);
+  });
+
+  test("measures one degree of latitude as about 111 km", () => {
+    expect(distanceKm(point(23, 90), point(24, 90))).toBeCloseTo(111.2, 0);
+  });
+
+  test("is symmetric", () => {
+    const a = point(23.82, 90.42);
+    const b = point(23.81, 90.43);
+    expect(distanceKm(a, b)).toBeCloseTo(distanceKm(b, a), 10);
+  });
+});
+
+describe("distanceToSegmentKm", () => {
+  const start = point(23.8, 90.4);
+  const end = point(23.8, 90.44);
+
+  test("finds the perpendicular distance and position", () => {
+    const { distance, fraction } = distanceToSegmentKm(
+      point(23.801, 90.42),
+      start,
+      end
+    );
+    expect(distance).toBeCloseTo(0.111, 2);
+    expect(fraction).toBeCloseTo(0.5, 2);
+  });
+
+  test("clamps to the ends of the segment", () => {
+    const { distance, fraction } = distanceToSegmentKm(
+      point(23.8, 90.38),
+      start,
+      end
+    );
+    expect(fraction).toBe(0);
+    expect(distance).toBeCloseTo(distanceKm(point(23.8, 90.38), start), 2);
+  });
+
+  test("handles a zero length segment", () => {
+    expect(distanceToSegmentKm(end, start, start).fraction).toBe(0);
+  });
+});
+
+describe("isAlongRoute", () => {
+  const start = point(23.8, 90.4);
+  const end = point(23.8, 90.44);
+
+  test("accepts points near the middle of the trip", () => {
+    expect(isAlongRoute(point(23.802, 90.42), start, end, 0.5)).toBe(true);
+  });
+
+  test("rejects points too far from the route or beyond its ends", () => {
+    expect(isAlongRoute(point(23.82, 90.42), start, end, 0.5)).toBe(false);
+    expect(isAlongRoute(point(23.8, 90.45), start, end, 0.5)).toBe(false);
+  });
+});
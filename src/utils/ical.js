@@ -0,0 +1,242 @@
+// iCalendar (RFC 5545) export of rides. The same event UID is used for a
+// ride everywhere it is exported, so calendars replace an event instead of
+// duplicating it:
+//   - `rides.calendar_sequence` is bumped whenever the owner changes a
+//     ride's time, route or schedule, and becomes the event's SEQUENCE
+//   - cancelled rides stay in exports with STATUS:CANCELLED; a single
+//     cancelled ride is downloaded with METHOD:CANCEL
+// A recurring ride is one event with an RRULE, EXDATEs for skipped days
+// and a RECURRENCE-ID event per rescheduled day.
+
+import { isRecurring } from "./recurrence";
+import { toISODateTime, toLocalTimeString } from "./dates";
+import { RIDE_STATUS, getStoredStatus } from "./rideStatus";
+
+export const CALENDAR_PRODID = "-//Find Your Ride Partner//Rides//EN";
+const UID_DOMAIN = "find-your-ride-partner";
+
+// Rides have no arrival time; block out this long in the calendar
+export const RIDE_EVENT_MINUTES = 30;
+
+export const CALENDAR_METHOD = {
+  PUBLISH: "PUBLISH",
+  CANCEL: "CANCEL",
+};
+
+const BYDAY = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * A timestamp in iCalendar UTC form, e.g. "20250106T083000Z".
+ */
+export const formatICalDate = (time) => {
+  const d = new Date(time);
+  return (
+    `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(
+      d.getUTCSeconds()
+    )}Z`
+  );
+};
+
+/**
+ * Escape a TEXT value.
+ */
+export const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+};
+
+/**
+ * Fold a content line at 75 octets, continuing with CRLF + space, without
+ * splitting a multi-byte character.
+ */
+export const foldLine = (line) => {
+  const chunks = [""];
+  let octets = 0;
+  for (const char of line) {
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 1 ? 75 : 74;
+    if (octets + utf8Length(char) > limit) {
+      chunks.push("");
+      octets = 0;
+    }
+    chunks[chunks.length - 1] += char;
+    octets += utf8Length(char);
+  }
+  return chunks.join("\r\n ");
+};
+
+/**
+ * The event UID for a ride or a single occurrence of one.
+ */
+export const getEventUid = (ride) =>
+  `ride-${String(ride.id).replace(/@/g, "-")}@${UID_DOMAIN}`;
+
+/**
+ * The update that makes calendars pick up a change to a ride.
+ */
+export const nextCalendarSequence = (ride) => ({
+  calendar_sequence: (ride.calendar_sequence || 0) + 1,
+});
+
+const addMinutes = (time, minutes) =>
+  new Date(new Date(time).getTime() + minutes * 60 * 1000);
+
+// Days the UTC date is ahead of the local one at `time`: -1, 0 or 1
+const getUtcDayShift = (time) => {
+  const d = new Date(time);
+  return ((d.getUTCDay() - d.getDay() + 10) % 7) - 3;
+};
+
+// DTSTART is written in UTC, so BYDAY has to name UTC weekdays too: a
+// Monday 05:00 departure in Dhaka (UTC+6) repeats on Sundays in UTC
+const getRecurrenceRule = ({ time, recurrence: { weekdays, until } }) => {
+  const shift = getUtcDayShift(time);
+  const parts = [
+    "FREQ=WEEKLY",
+    `BYDAY=${weekdays.map((day) => BYDAY[(day + shift + 7) % 7]).join(",")}`,
+  ];
+  if (until) {
+    // Inclusive of a departure on the last day
+    parts.push(`UNTIL=${formatICalDate(toISODateTime(until, "23:59"))}`);
+  }
+  return `RRULE:${parts.join(";")}`;
+};
+
+const eventLines = (ride, { start, now, url, recurrenceId }) => {
+  const route = `${ride.from} → ${ride.to}`;
+  const name = ride.profiles?.name;
+  return [
+    "BEGIN:VEVENT",
+    `UID:${getEventUid(ride)}`,
+    `DTSTAMP:${formatICalDate(now)}`,
+    ...(recurrenceId ? [`RECURRENCE-ID:${formatICalDate(recurrenceId)}`] : []),
+    `DTSTART:${formatICalDate(start)}`,
+    `DTEND:${formatICalDate(addMinutes(start, RIDE_EVENT_MINUTES))}`,
+    `SEQUENCE:${ride.calendar_sequence || 0}`,
+    `SUMMARY:${escapeText(`Ride: ${route}`)}`,
+    `LOCATION:${escapeText(ride.from)}`,
+    `DESCRIPTION:${escapeText(
+      name ? `Shared ride with ${name}, ${route}` : `Shared ride ${route}`
+    )}`,
+    `STATUS:${
+      getStoredStatus(ride) === RIDE_STATUS.CANCELLED
+        ? "CANCELLED"
+        : "CONFIRMED"
+    }`,
+    ...(url ? [`URL:${url}`] : []),
+  ];
+};
+
+/**
+ * The VEVENT lines for a ride: one event for a one-off ride or a single
+ * occurrence, or a repeating event plus its rescheduled days for a series.
+ * @param {object} ride
+ * @param {{ now?: Date, url?: string }} [options]
+ * @returns {string[]}
+ */
+export const buildRideEvents = (ride, { now = new Date(), url } = {}) => {
+  const options = { start: ride.time, now, url };
+  // Occurrences of a series are exported on their own
+  if (!isRecurring(ride) || ride.series_id) {
+    return [...eventLines(ride, options), "END:VEVENT"];
+  }
+
+  const { skip_dates: skipDates = [], overrides = {} } = ride.recurrence;
+  const defaultTime = toLocalTimeString(ride.time);
+  const master = [
+    ...eventLines(ride, options),
+    getRecurrenceRule(ride),
+    ...skipDates.map(
+      (date) => `EXDATE:${formatICalDate(toISODateTime(date, defaultTime))}`
+    ),
+    "END:VEVENT",
+  ];
+  const moved = Object.entries(overrides).flatMap(([date, time]) => [
+    ...eventLines(ride, {
+      ...options,
+      start: toISODateTime(date, time),
+      recurrenceId: toISODateTime(date, defaultTime),
+    }),
+    "END:VEVENT",
+  ]);
+  return [...master, ...moved];
+};
+
+/**
+ * A complete calendar file for a list of rides.
+ * @param {object[]} rides
+ * @param {{ method?: string, name?: string, now?: Date,
+ *   getUrl?: (ride: object) => string }} [options]
+ *   `method` is left out for subscribed feeds
+ * @returns {string}
+ */
+export const buildCalendar = (rides, options = {}) => {
+  const { method, name, now = new Date(), getUrl } = options;
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${CALENDAR_PRODID}`,
+    "CALSCALE:GREGORIAN",
+    ...(method ? [`METHOD:${method}`] : []),
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...(rides || []).flatMap((ride) =>
+      buildRideEvents(ride, { now, url: getUrl?.(ride) })
+    ),
+    "END:VCALENDAR",
+  ];
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+/**
+ * A short hash of a calendar's content, for telling whether a published
+ * copy is out of date. DTSTAMP lines are left out since they only record
+ * when the calendar was built.
+ * @param {string} text output of buildCalendar
+ * @returns {string} 8 hex digits
+ */
+export const getCalendarFingerprint = (text) => {
+  const content = text
+    .split("\r\n")
+    .filter((line) => !line.startsWith("DTSTAMP:"))
+    .join("\r\n");
+  // 32-bit FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < content.length; i += 1) {
+    hash = Math.imul(hash ^ content.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+};
+
+/**
+ * A one-ride download. Cancelled rides are sent as a cancellation so
+ * calendars that imported the ride remove it.
+ */
+export const buildRideCalendar = (ride, options = {}) =>
+  buildCalendar([ride], {
+    ...options,
+    method:
+      getStoredStatus(ride) === RIDE_STATUS.CANCELLED
+        ? CALENDAR_METHOD.CANCEL
+        : CALENDAR_METHOD.PUBLISH,
+  });
+
+/**
+ * File name for a ride download, e.g. "ride-campus-to-kuril.ics".
+ */
+export const getCalendarFileName = (ride) =>
+  `ride-${`${ride.from}-to-${ride.to}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")}.ics`;
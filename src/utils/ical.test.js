@@ -0,0 +1,204 @@
+import {
+  buildCalendar,
+  buildRideCalendar,
+  buildRideEvents,
+  escapeText,
+  foldLine,
+  formatICalDate,
+  getCalendarFileName,
+  getCalendarFingerprint,
+  getEventUid,
+  nextCalendarSequence,
+} from "./ical";
+
+const now = new Date(Date.UTC(2025, 0, 6, 3, 0));
+const at = (day, hour, minute = 0) =>
+  new Date(2025, 0, day, hour, minute).toISOString();
+
+const ride = (overrides) => ({
+  id: "r1",
+  user_id: "u1",
+  from: "Campus",
+  to: "Kuril",
+  time: at(6, 17),
+  ...overrides,
+});
+
+const lines = (events) => events.join("\n");
+
+describe("formatting", () => {
+  test("writes UTC timestamps", () => {
+    expect(formatICalDate("2025-01-06T08:30:05Z")).toBe("20250106T083005Z");
+  });
+
+  test("escapes text values", () => {
+    expect(escapeText("Gate 1, Block A; north\\south\nexit")).toBe(
+      "Gate 1\\, Block A\\; north\\\\south\\nexit"
+    );
+  });
+
+  test("folds long lines without splitting characters", () => {
+    const folded = foldLine(`SUMMARY:${"→".repeat(40)}`);
+    const [first, second] = folded.split("\r\n");
+    expect(first).toBe(`SUMMARY:${"→".repeat(22)}`);
+    expect(second).toBe(` ${"→".repeat(18)}`);
+    expect(foldLine("SHORT:line")).toBe("SHORT:line");
+  });
+});
+
+describe("getEventUid", () => {
+  test("gives occurrences their own id", () => {
+    expect(getEventUid(ride())).toBe("ride-r1@find-your-ride-partner");
+    expect(getEventUid(ride({ id: "r1@2025-01-08" }))).toBe(
+      "ride-r1-2025-01-08@find-your-ride-partner"
+    );
+  });
+});
+
+describe("buildRideEvents", () => {
+  test("describes a one-off ride", () => {
+    const text = lines(
+      buildRideEvents(ride({ calendar_sequence: 2 }), { now })
+    );
+    expect(text).toContain(`DTSTART:${formatICalDate(at(6, 17))}`);
+    expect(text).toContain(`DTEND:${formatICalDate(at(6, 17, 30))}`);
+    expect(text).toContain("SEQUENCE:2");
+    expect(text).toContain("STATUS:CONFIRMED");
+    expect(text).not.toContain("RRULE");
+  });
+
+  test("marks cancelled rides", () => {
+    expect(
+      lines(buildRideEvents(ride({ status: "cancelled" }), { now }))
+    ).toContain("STATUS:CANCELLED");
+  });
+
+  test("repeats a series with skipped and moved days", () => {
+    const events = buildRideEvents(
+      ride({
+        time: at(6, 8),
+        recurrence: {
+          weekdays: [1, 3],
+          until: "2025-01-31",
+          skip_dates: ["2025-01-08"],
+          overrides: { "2025-01-13": "09:30" },
+        },
+      }),
+      { now }
+    );
+    const text = lines(events);
+    expect(text).toContain(
+      `RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=${formatICalDate(at(31, 23, 59))}`
+    );
+    expect(text).toContain(`EXDATE:${formatICalDate(at(8, 8))}`);
+    expect(text).toContain(`RECURRENCE-ID:${formatICalDate(at(13, 8))}`);
+    expect(text).toContain(`DTSTART:${formatICalDate(at(13, 9, 30))}`);
+    expect(events.filter((line) => line === "BEGIN:VEVENT")).toHaveLength(2);
+  });
+
+  // Tests run in Dhaka time (scripts/testTimezone.js)
+  describe("east of UTC", () => {
+    test("runs in Dhaka time", () => {
+      expect(new Date(at(6, 5)).getTimezoneOffset()).toBe(-360);
+    });
+
+    test("names the UTC weekdays of early departures", () => {
+      // Mondays and Wednesdays at 05:00 in Dhaka are 23:00 UTC the day before
+      const text = lines(
+        buildRideEvents(
+          ride({
+            time: at(6, 5),
+            recurrence: {
+              weekdays: [1, 3],
+              until: "2025-01-31",
+              skip_dates: ["2025-01-08"],
+              overrides: { "2025-01-13": "05:30" },
+            },
+          }),
+          { now }
+        )
+      );
+      expect(text).toContain("DTSTART:20250105T230000Z");
+      expect(text).toContain("BYDAY=SU,TU;UNTIL=20250131T175900Z");
+      expect(text).toContain("EXDATE:20250107T230000Z");
+      expect(text).toContain("RECURRENCE-ID:20250112T230000Z");
+      expect(text).toContain("DTSTART:20250112T233000Z");
+    });
+
+    test("keeps local weekdays when the UTC date matches", () => {
+      const text = lines(
+        buildRideEvents(
+          ride({
+            time: at(6, 8),
+            recurrence: { weekdays: [1, 3], until: "2025-01-31" },
+          }),
+          { now }
+        )
+      );
+      expect(text).toContain("DTSTART:20250106T020000Z");
+      expect(text).toContain("BYDAY=MO,WE;");
+    });
+  });
+
+  test("exports a single occurrence on its own", () => {
+    const text = lines(
+      buildRideEvents(
+        ride({
+          id: "r1@2025-01-08",
+          series_id: "r1",
+          time: at(8, 8),
+          recurrence: { weekdays: [1, 3], until: "2025-01-31" },
+        }),
+        { now }
+      )
+    );
+    expect(text).not.toContain("RRULE");
+    expect(text).toContain(`DTSTART:${formatICalDate(at(8, 8))}`);
+  });
+});
+
+describe("buildCalendar", () => {
+  test("wraps events with CRLF line endings", () => {
+    const text = buildCalendar([ride()], { now, name: "My rides" });
+    expect(text.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(text).toContain("X-WR-CALNAME:My rides\r\n");
+    expect(text).not.toContain("METHOD:");
+    expect(text.endsWith("END:VCALENDAR\r\n")).toBe(true);
+  });
+
+  test("sends cancelled rides as cancellations", () => {
+    expect(buildRideCalendar(ride(), { now })).toContain("METHOD:PUBLISH");
+    expect(buildRideCalendar(ride({ status: "cancelled" }), { now })).toContain(
+      "METHOD:CANCEL"
+    );
+  });
+
+  test("fingerprints the content but not the build time", () => {
+    const fingerprint = getCalendarFingerprint(
+      buildCalendar([ride()], { now })
+    );
+    const later = new Date(now.getTime() + 60 * 60 * 1000);
+    expect(fingerprint).toMatch(/^[0-9a-f]{8}$/);
+    expect(
+      getCalendarFingerprint(buildCalendar([ride()], { now: later }))
+    ).toBe(fingerprint);
+    expect(
+      getCalendarFingerprint(buildCalendar([ride({ to: "Banani" })], { now }))
+    ).not.toBe(fingerprint);
+  });
+});
+
+describe("helpers", () => {
+  test("bumps the sequence", () => {
+    expect(nextCalendarSequence(ride())).toEqual({ calendar_sequence: 1 });
+    expect(nextCalendarSequence(ride({ calendar_sequence: 4 }))).toEqual({
+      calendar_sequence: 5,
+    });
+  });
+
+  test("names the download after the route", () => {
+    expect(getCalendarFileName(ride({ to: "Kuril (Bus Stop)" }))).toBe(
+      "ride-campus-to-kuril-bus-stop.ics"
+    );
+  });
+});
@@ -0,0 +1,120 @@
+// Pickup and drop points. Admins manage the catalog in the `locations`
+// table:
+//   { id, name, aliases: string[], latitude, longitude, active }
+// `name` is the canonical spelling stored on rides; `aliases` are other
+// spellings people use for the same place ("AIUB", "University").
+
+import { normalizeLocation } from "./rideMatching";
+import { hasCoordinates } from "./geo";
+
+// Used until the catalog has loaded, or when it cannot be reached at all
+export const DEFAULT_LOCATIONS = [
+  { id: "campus", name: "Campus", aliases: ["AIUB"], active: true },
+  { id: "kuril", name: "Kuril", aliases: ["Kuril Bishwa Road"], active: true },
+  {
+    id: "future-park",
+    name: "Future Park",
+    aliases: ["Jamuna Future Park", "JFP"],
+    active: true,
+  },
+];
+
+/**
+ * Build a function mapping any known name or alias to the normalised
+ * canonical name. Unknown names are normalised and returned as they are.
+ * @param {object[]} locations
+ * @returns {(name: string) => string}
+ */
+export const createLocationResolver = (locations) => {
+  const lookup = new Map();
+  (locations || []).forEach((location) => {
+    const canonical = normalizeLocation(location.name);
+    [location.name, ...(location.aliases || [])].forEach((name) =>
+      lookup.set(normalizeLocation(name), canonical)
+    );
+  });
+  return (name) => {
+    const normalized = normalizeLocation(name);
+    return lookup.get(normalized) || normalized;
+  };
+};
+
+/**
+ * Find the catalog entry for a name or alias.
+ * @returns {object|undefined}
+ */
+export const findLocation = (locations, name) => {
+  const resolve = createLocationResolver(locations);
+  const target = resolve(name);
+  return (locations || []).find(
+    (location) => normalizeLocation(location.name) === target
+  );
+};
+
+/**
+ * Build a function returning the coordinates of a name or alias, or null
+ * when the location is unknown or has none.
+ * @param {object[]} locations
+ * @returns {(name: string) => ({ latitude: number, longitude: number }|null)}
+ */
+export const createLocationLocator = (locations) => {
+  const resolve = createLocationResolver(locations);
+  const points = new Map();
+  (locations || []).forEach((location) => {
+    if (hasCoordinates(location)) {
+      points.set(normalizeLocation(location.name), {
+        latitude: Number(location.latitude),
+        longitude: Number(location.longitude),
+      });
+    }
+  });
+  return (name) => points.get(resolve(name)) || null;
+};
+
+/**
+ * Split a comma separated alias field into a clean list.
+ */
+export const parseAliases = (value) => [
+  ...new Set(
+    (value || "")
+      .split(",")
+      .map((alias) => alias.trim())
+      .filter(Boolean)
+  ),
+];
+
+/**
+ * Check a location before an admin saves it.
+ * @param {{ name: string, latitude?: string|number, longitude?: string|number }} location
+ * @param {object[]} existing the current catalog
+ * @returns {string} an error message, or "" when valid
+ */
+export const validateLocation = (location, existing = []) => {
+  const name = (location.name || "").trim();
+  if (!name) return "Name is required";
+
+  const resolve = createLocationResolver(
+    existing.filter((other) => other.id !== location.id)
+  );
+  const clashes = [name, ...(location.aliases || [])].some((candidate) =>
+    existing.some(
+      (other) =>
+        other.id !== location.id &&
+        resolve(candidate) === normalizeLocation(other.name)
+    )
+  );
+  if (clashes) return "Name or alias is already used by another location";
+
+  const hasLatitude = location.latitude !== "" && location.latitude != null;
+  const hasLongitude = location.longitude !== "" && location.longitude != null;
+  if (hasLatitude !== hasLongitude) {
+    return "Enter both latitude and longitude, or neither";
+  }
+  if (hasLatitude) {
+    const latitude = Number(location.latitude);
+    const longitude = Number(location.longitude);
+    if (!(latitude >= -90 && latitude <= 90)) return "Invalid latitude";
+    if (!(longitude >= -180 && longitude <= 180)) return "Invalid longitude";
+  }
+  return "";
+};
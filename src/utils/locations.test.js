@@ -0,0 +1,101 @@
+import {
+  createLocationLocator,
+  createLocationResolver,
+  findLocation,
+  parseAliases,
+  validateLocation,
+} from "./locations";
+
+const catalog = [
+  { id: "1", name: "Campus", aliases: ["AIUB", "University"] },
+  { id: "2", name: "Future Park", aliases: ["Jamuna Future Park"] },
+  { id: "3", name: "Kuril", aliases: [] },
+];
+
+describe("createLocationResolver", () => {
+  const resolve = createLocationResolver(catalog);
+
+  test("maps names and aliases to the canonical name", () => {
+    expect(resolve("Campus")).toBe("campus");
+    expect(resolve(" aiub ")).toBe("campus");
+    expect(resolve("Jamuna  Future Park")).toBe("future park");
+  });
+
+  test("passes unknown names through normalised", () => {
+    expect(resolve(" Uttara ")).toBe("uttara");
+  });
+
+  test("works with an empty catalog", () => {
+    expect(createLocationResolver(undefined)("Kuril")).toBe("kuril");
+  });
+});
+
+describe("createLocationLocator", () => {
+  test("returns coordinates for names and aliases", () => {
+    const locate = createLocationLocator([
+      { name: "Campus", aliases: ["AIUB"], latitude: "23.8", longitude: 90.4 },
+      { name: "Kuril", aliases: [], latitude: null, longitude: null },
+    ]);
+    expect(locate("aiub")).toEqual({ latitude: 23.8, longitude: 90.4 });
+    expect(locate("Kuril")).toBeNull();
+    expect(locate("Uttara")).toBeNull();
+  });
+});
+
+describe("findLocation", () => {
+  test("finds the entry for an alias", () => {
+    expect(findLocation(catalog, "university").id).toBe("1");
+    expect(findLocation(catalog, "Uttara")).toBeUndefined();
+  });
+});
+
+describe("parseAliases", () => {
+  test("trims, drops blanks and duplicates", () => {
+    expect(parseAliases(" JFP, ,Jamuna,JFP ")).toEqual(["JFP", "Jamuna"]);
+    expect(parseAliases(undefined)).toEqual([]);
+  });
+});
+
+describe("validateLocation", () => {
+  test("accepts a new location", () => {
+    expect(
+      validateLocation(
+        { name: "Bashundhara", aliases: ["Bashundhara R/A"] },
+        catalog
+      )
+    ).toBe("");
+  });
+
+  test("requires a name", () => {
+    expect(validateLocation({ name: "  " }, catalog)).toMatch(/required/);
+  });
+
+  test("rejects names or aliases that clash with another location", () => {
+    expect(validateLocation({ name: "aiub" }, catalog)).toMatch(/already/);
+    expect(
+      validateLocation({ name: "Uttara", aliases: ["Kuril"] }, catalog)
+    ).toMatch(/already/);
+  });
+
+  test("allows a location to keep its own name when edited", () => {
+    expect(
+      validateLocation({ id: "1", name: "Campus", aliases: ["AIUB"] }, catalog)
+    ).toBe("");
+  });
+
+  test("checks coordinates", () => {
+    expect(
+      validateLocation({ name: "Uttara", latitude: "23.87", longitude: "" })
+    ).toMatch(/both/);
+    expect(
+      validateLocation({ name: "Uttara", latitude: "123", longitude: "90.4" })
+    ).toMatch(/latitude/);
+    expect(
+      validateLocation({
+        name: "Uttara",
+        latitude: "23.87",
+        longitude: "90.39",
+      })
+    ).toBe("");
+  });
+});
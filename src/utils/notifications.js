@@ -0,0 +1,131 @@
+// Push notifications. Each rider picks which kinds they want in
+// `profiles.notification_preferences`; events are queued in the
+// `notifications` table and delivered to every device the rider has
+// subscribed (`push_subscriptions`) by scripts/send-alerts.mjs, which also
+// queues ride reminders. The payload shape is shared with
+// public/service-worker.js:
+//   { title, body, url, tag }
+
+import { REQUEST_STATUS } from "./rideRequests";
+import { getUpcomingOccurrences } from "./rideStatus";
+
+export const NOTIFICATION_TYPES = {
+  NEW_MATCH: "new_match",
+  JOIN_REQUEST: "join_request",
+  RIDE_REMINDER: "ride_reminder",
+  RIDE_UPDATED: "ride_updated",
+};
+
+export const NOTIFICATION_LABELS = {
+  [NOTIFICATION_TYPES.NEW_MATCH]: "New matches for my rides",
+  [NOTIFICATION_TYPES.JOIN_REQUEST]: "Join requests on my rides",
+  [NOTIFICATION_TYPES.RIDE_REMINDER]: "Reminders before my rides",
+  [NOTIFICATION_TYPES.RIDE_UPDATED]: "Changes to rides I've joined",
+};
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  [NOTIFICATION_TYPES.NEW_MATCH]: true,
+  [NOTIFICATION_TYPES.JOIN_REQUEST]: true,
+  [NOTIFICATION_TYPES.RIDE_REMINDER]: true,
+  [NOTIFICATION_TYPES.RIDE_UPDATED]: true,
+};
+
+// Ride reminders go out this long before each departure
+export const REMINDER_MINUTES = 60;
+
+/**
+ * Fill in defaults for preferences saved before a type existed.
+ */
+export const normalizePreferences = (preferences) => ({
+  ...DEFAULT_NOTIFICATION_PREFERENCES,
+  ...(preferences || {}),
+});
+
+export const shouldNotify = (preferences, type) =>
+  Boolean(normalizePreferences(preferences)[type]);
+
+const formatRideTime = (time) =>
+  new Date(time).toLocaleString("en-US", {
+    weekday: "short",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+
+/**
+ * Where tapping a notification should take the rider: the ride's own page,
+ * except join requests, which open the owner's inbox in My Posts.
+ */
+export const getNotificationUrl = (type, rideId) => {
+  const id = encodeURIComponent(rideId);
+  return type === NOTIFICATION_TYPES.JOIN_REQUEST
+    ? `/myposts?ride=${id}`
+    : `/ride/${id}`;
+};
+
+/**
+ * Build the push payload for an event on a ride.
+ * @param {string} type one of NOTIFICATION_TYPES
+ * @param {{ id: string, from: string, to: string, time: string }} ride
+ * @param {{ name?: string }} [actor] the rider who triggered it
+ * @returns {{ title: string, body: string, url: string, tag: string }}
+ */
+export const buildNotification = (type, ride, actor = {}) => {
+  const route = `${ride.from} → ${ride.to}`;
+  const who = actor.name || "Someone";
+  const payload = {
+    [NOTIFICATION_TYPES.NEW_MATCH]: {
+      title: "New ride match",
+      body: `${who} is going ${route} around ${formatRideTime(ride.time)}`,
+    },
+    [NOTIFICATION_TYPES.JOIN_REQUEST]: {
+      title: "New join request",
+      body: `${who} wants to join your ride ${route}`,
+    },
+    [NOTIFICATION_TYPES.RIDE_REMINDER]: {
+      title: "Ride reminder",
+      body: `Your ride ${route} leaves at ${formatRideTime(ride.time)}`,
+    },
+    [NOTIFICATION_TYPES.RIDE_UPDATED]: {
+      title: "Ride updated",
+      body: `${who} changed their ride: ${route} at ${formatRideTime(
+        ride.time
+      )}`,
+    },
+  }[type];
+
+  if (!payload) throw new Error(`Unknown notification type: ${type}`);
+  return {
+    ...payload,
+    url: getNotificationUrl(type, ride.id),
+    tag: `${type}-${ride.id}`,
+  };
+};
+
+/**
+ * Reminders due at `now`: one for the poster and each accepted partner on
+ * every departure in the next REMINDER_MINUTES. Each `ride` is the
+ * departure, keyed by its series id so the reminder links to the ride.
+ * @param {object[]} rides stored (series) rows
+ * @param {object[]} requests join requests on those rides
+ * @returns {{ userId: string, ride: object }[]}
+ */
+export const getDueReminders = (rides, requests, now = new Date()) => {
+  const windowEnd = new Date(now.getTime() + REMINDER_MINUTES * 60 * 1000);
+  return getUpcomingOccurrences(rides, now)
+    .filter((occurrence) => new Date(occurrence.time) <= windowEnd)
+    .flatMap((occurrence) => {
+      const rideId = occurrence.series_id || occurrence.id;
+      const partners = (requests || [])
+        .filter(
+          (request) =>
+            request.ride_id === rideId &&
+            request.status === REQUEST_STATUS.ACCEPTED
+        )
+        .map((request) => request.requester_id);
+      return [...new Set([occurrence.user_id, ...partners])].map((userId) => ({
+        userId,
+        ride: { ...occurrence, id: rideId },
+      }));
+    });
+};
@@ -0,0 +1,123 @@
+import {
+  NOTIFICATION_TYPES,
+  buildNotification,
+  getDueReminders,
+  getNotificationUrl,
+  normalizePreferences,
+  shouldNotify,
+} from "./notifications";
+
+const ride = {
+  id: "r1",
+  from: "Campus",
+  to: "Kuril",
+  time: "2025-01-06T08:30:00",
+};
+
+describe("preferences", () => {
+  test("default to every notification", () => {
+    expect(normalizePreferences(null)).toEqual({
+      new_match: true,
+      join_request: true,
+      ride_reminder: true,
+      ride_updated: true,
+    });
+  });
+
+  test("respect what the rider turned off", () => {
+    const preferences = { join_request: false };
+    expect(shouldNotify(preferences, NOTIFICATION_TYPES.JOIN_REQUEST)).toBe(
+      false
+    );
+    expect(shouldNotify(preferences, NOTIFICATION_TYPES.NEW_MATCH)).toBe(true);
+  });
+});
+
+describe("getNotificationUrl", () => {
+  test("links to the ride, and join requests to my posts", () => {
+    expect(getNotificationUrl(NOTIFICATION_TYPES.NEW_MATCH, "r1")).toBe(
+      "/ride/r1"
+    );
+    expect(getNotificationUrl(NOTIFICATION_TYPES.RIDE_UPDATED, "r1")).toBe(
+      "/ride/r1"
+    );
+    expect(getNotificationUrl(NOTIFICATION_TYPES.JOIN_REQUEST, "r1")).toBe(
+      "/myposts?ride=r1"
+    );
+  });
+});
+
+describe("buildNotification", () => {
+  test("describes a join request", () => {
+    expect(
+      buildNotification(NOTIFICATION_TYPES.JOIN_REQUEST, ride, {
+        name: "Ayesha",
+      })
+    ).toEqual({
+      title: "New join request",
+      body: "Ayesha wants to join your ride Campus → Kuril",
+      url: "/myposts?ride=r1",
+      tag: "join_request-r1",
+    });
+  });
+
+  test("includes the departure time in reminders", () => {
+    expect(buildNotification(NOTIFICATION_TYPES.RIDE_REMINDER, ride).body).toBe(
+      "Your ride Campus → Kuril leaves at Mon 8:30 AM"
+    );
+  });
+
+  test("tells riders about changes to a ride", () => {
+    expect(
+      buildNotification(NOTIFICATION_TYPES.RIDE_UPDATED, ride, {
+        name: "Ayesha",
+      }).body
+    ).toBe("Ayesha changed their ride: Campus → Kuril at Mon 8:30 AM");
+  });
+
+  test("rejects unknown types", () => {
+    expect(() => buildNotification("party", ride)).toThrow(
+      "Unknown notification type: party"
+    );
+  });
+});
+
+describe("getDueReminders", () => {
+  // Monday 6 January 2025, 07:45 local time
+  const now = new Date(2025, 0, 6, 7, 45);
+  const at = (day, hour, minute = 0) =>
+    new Date(2025, 0, day, hour, minute).toISOString();
+
+  const rides = [
+    { ...ride, user_id: "owner", time: at(6, 8, 30), status: "matched" },
+    { ...ride, id: "r2", user_id: "later", time: at(6, 9), status: "open" },
+    {
+      ...ride,
+      id: "r3",
+      user_id: "commuter",
+      time: at(1, 8),
+      status: "open",
+      recurrence: { weekdays: [1], until: "2025-01-31" },
+    },
+  ];
+  const requests = [
+    { ride_id: "r1", requester_id: "partner", status: "accepted" },
+    { ride_id: "r1", requester_id: "hopeful", status: "pending" },
+  ];
+
+  test("reminds the poster and accepted partners of departures soon", () => {
+    const due = getDueReminders(rides, requests, now);
+    expect(due.map(({ userId, ride }) => [userId, ride.id])).toEqual([
+      ["owner", "r1"],
+      ["partner", "r1"],
+      ["commuter", "r3"],
+    ]);
+    expect(due[2].ride.time).toBe(at(6, 8));
+  });
+
+  test("skips departures that have left", () => {
+    expect(
+      getDueReminders(rides, requests, new Date(2025, 0, 6, 8, 45))
+    ).toEqual([expect.objectContaining({ userId: "later" })]);
+  });
+});
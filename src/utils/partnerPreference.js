@@ -0,0 +1,60 @@
+// Who a rider is willing to share with. Stored as `partner_preference` on
+// `profiles` (the default for new rides) and on each ride:
+//   "same_gender"  only riders of the same gender (the default)
+//   "anyone"       riders of any gender who also chose "anyone"
+// A mixed-gender match needs both rides to say "anyone", and rides marked
+// same-gender are never loaded by riders of another gender.
+
+export const PARTNER_PREFERENCES = {
+  SAME_GENDER: "same_gender",
+  ANYONE: "anyone",
+};
+
+export const PARTNER_PREFERENCE_LABELS = {
+  [PARTNER_PREFERENCES.SAME_GENDER]: "Same gender only",
+  [PARTNER_PREFERENCES.ANYONE]: "Anyone who also opted in",
+};
+
+export const DEFAULT_PARTNER_PREFERENCE = PARTNER_PREFERENCES.SAME_GENDER;
+
+/**
+ * The preference of a ride or profile, treating missing values as the
+ * same-gender default.
+ */
+export const getPartnerPreference = (record) =>
+  record?.partner_preference === PARTNER_PREFERENCES.ANYONE
+    ? PARTNER_PREFERENCES.ANYONE
+    : DEFAULT_PARTNER_PREFERENCE;
+
+export const isOpenToAnyone = (record) =>
+  getPartnerPreference(record) === PARTNER_PREFERENCES.ANYONE;
+
+/**
+ * Whether two rides may be matched: same gender, or both opted in.
+ */
+export const canRideTogether = (myRide, ride) => {
+  if (!myRide.gender || !ride.gender || myRide.gender === ride.gender) {
+    return true;
+  }
+  return isOpenToAnyone(myRide) && isOpenToAnyone(ride);
+};
+
+/**
+ * PostgREST `or` filter for the rides a rider may load: rides for their
+ * own gender, plus opted-in rides of any gender when they opted in too.
+ * @param {{ gender: string, partner_preference?: string }} rider a profile,
+ *   or a ride when looking for riders to notify
+ * @returns {string}
+ */
+export const getPartnerFilter = (rider) =>
+  isOpenToAnyone(rider)
+    ? `gender.eq.${rider.gender},partner_preference.eq.${PARTNER_PREFERENCES.ANYONE}`
+    : `gender.eq.${rider.gender}`;
+
+/**
+ * Whether a ride row may be shown to a rider, for rows arriving in
+ * realtime that skipped the query filter.
+ */
+export const canSeeRide = (rider, ride) =>
+  ride.gender === rider?.gender ||
+  (isOpenToAnyone(rider) && isOpenToAnyone(ride));
@@ -0,0 +1,51 @@
+import {
+  canRideTogether,
+  canSeeRide,
+  getPartnerFilter,
+  getPartnerPreference,
+} from "./partnerPreference";
+
+const ride = (gender, partner_preference) => ({ gender, partner_preference });
+
+describe("getPartnerPreference", () => {
+  test("defaults to same gender", () => {
+    expect(getPartnerPreference({})).toBe("same_gender");
+    expect(getPartnerPreference(null)).toBe("same_gender");
+    expect(getPartnerPreference({ partner_preference: "anyone" })).toBe(
+      "anyone"
+    );
+  });
+});
+
+describe("canRideTogether", () => {
+  test("always allows the same gender", () => {
+    expect(canRideTogether(ride("Female"), ride("Female", "anyone"))).toBe(
+      true
+    );
+  });
+
+  test("needs both sides to opt in across genders", () => {
+    expect(
+      canRideTogether(ride("Female", "anyone"), ride("Male", "anyone"))
+    ).toBe(true);
+    expect(canRideTogether(ride("Female", "anyone"), ride("Male"))).toBe(false);
+    expect(canRideTogether(ride("Female"), ride("Male", "anyone"))).toBe(false);
+  });
+});
+
+describe("visibility", () => {
+  test("only loads other genders for riders who opted in", () => {
+    expect(getPartnerFilter(ride("Female"))).toBe("gender.eq.Female");
+    expect(getPartnerFilter(ride("Female", "anyone"))).toBe(
+      "gender.eq.Female,partner_preference.eq.anyone"
+    );
+  });
+
+  test("never shows same-gender-only rides to another gender", () => {
+    const anyone = ride("Male", "anyone");
+    expect(canSeeRide(ride("Male"), ride("Male"))).toBe(true);
+    expect(canSeeRide(anyone, ride("Female"))).toBe(false);
+    expect(canSeeRide(anyone, ride("Female", "anyone"))).toBe(true);
+    expect(canSeeRide(ride("Male"), ride("Female", "anyone"))).toBe(false);
+  });
+});
@@ -0,0 +1,163 @@
+// Ratings riders leave each other after a completed ride, stored in
+// `ratings`:
+//   { ride_id, rater_id, ratee_id, score, tags, created_at }
+// One rating per rater, ratee and ride. A ride's owner rates each accepted
+// partner and each partner rates the owner. Reputation is the average
+// score plus how often each tag was given.
+
+import { REQUEST_STATUS } from "./rideRequests";
+import { RIDE_STATUS, getEffectiveStatus } from "./rideStatus";
+import { getSeatsTaken } from "./seats";
+
+export const MIN_SCORE = 1;
+export const MAX_SCORE = 5;
+
+export const RATING_TAGS = {
+  ON_TIME: "on_time",
+  FRIENDLY: "friendly",
+  NO_SHOW: "no_show",
+};
+
+export const RATING_TAG_LABELS = {
+  [RATING_TAGS.ON_TIME]: "On time",
+  [RATING_TAGS.FRIENDLY]: "Friendly",
+  [RATING_TAGS.NO_SHOW]: "No-show",
+};
+
+// No-show reports at which admins are alerted
+export const NO_SHOW_THRESHOLD = 2;
+
+/**
+ * Check a rating before saving it.
+ * @returns {string} an error message, or "" when valid
+ */
+export const validateRating = ({ score, tags = [] }) => {
+  if (!Number.isInteger(score) || score < MIN_SCORE || score > MAX_SCORE) {
+    return `Pick a rating from ${MIN_SCORE} to ${MAX_SCORE}`;
+  }
+  if (tags.some((tag) => !RATING_TAG_LABELS[tag])) return "Unknown tag";
+  if (
+    tags.includes(RATING_TAGS.NO_SHOW) &&
+    tags.includes(RATING_TAGS.ON_TIME)
+  ) {
+    return "A no-show can't also be on time";
+  }
+  return "";
+};
+
+/**
+ * Ratings can be left once the ride has been completed. A ride that left
+ * with free seats still counts when someone was accepted onto it: it only
+ * shows as expired because it never filled up.
+ * @param {object[]} [requests] join requests on the ride
+ */
+export const canRateRide = (ride, now = new Date(), requests = []) => {
+  const status = getEffectiveStatus(ride, now);
+  if (status === RIDE_STATUS.COMPLETED) return true;
+  return (
+    status === RIDE_STATUS.EXPIRED &&
+    (getSeatsTaken(ride) > 0 ||
+      requests.some(
+        (request) =>
+          request.ride_id === ride.id &&
+          request.status === REQUEST_STATUS.ACCEPTED
+      ))
+  );
+};
+
+/**
+ * Who `userId` should rate for a ride: every accepted partner when they
+ * posted it, or the poster when they joined it.
+ * @param {object} ride
+ * @param {object[]} requests join requests on the ride
+ * @param {string} userId
+ * @returns {string[]} user ids
+ */
+export const getRatingPartners = (ride, requests, userId) => {
+  const accepted = (requests || [])
+    .filter((request) => request.status === REQUEST_STATUS.ACCEPTED)
+    .map((request) => request.requester_id);
+  if (ride.user_id === userId) return [...new Set(accepted)];
+  return accepted.includes(userId) ? [ride.user_id] : [];
+};
+
+/**
+ * Average score, number of ratings and tag counts for one person.
+ * @returns {{ average: number|null, count: number,
+ *   tags: Object<string, number> }}
+ */
+export const summarizeRatings = (ratings) => {
+  const list = ratings || [];
+  const tags = {};
+  list.forEach((rating) =>
+    (rating.tags || []).forEach((tag) => {
+      tags[tag] = (tags[tag] || 0) + 1;
+    })
+  );
+  const total = list.reduce((sum, rating) => sum + rating.score, 0);
+  return {
+    average: list.length ? Math.round((total / list.length) * 10) / 10 : null,
+    count: list.length,
+    tags,
+  };
+};
+
+/**
+ * Reputation summaries keyed by the rated user's id.
+ */
+export const indexReputation = (ratings) => {
+  const byUser = {};
+  (ratings || []).forEach((rating) => {
+    (byUser[rating.ratee_id] = byUser[rating.ratee_id] || []).push(rating);
+  });
+  return Object.fromEntries(
+    Object.entries(byUser).map(([userId, list]) => [
+      userId,
+      summarizeRatings(list),
+    ])
+  );
+};
+
+export const countNoShows = (reputation) =>
+  reputation?.tags?.[RATING_TAGS.NO_SHOW] || 0;
+
+export const hasRepeatedNoShows = (reputation) =>
+  countNoShows(reputation) >= NO_SHOW_THRESHOLD;
+
+/**
+ * Short label such as "4.6 (12)", or "New" before the first rating.
+ */
+export const describeReputation = (reputation) =>
+  reputation?.count
+    ? `${reputation.average.toFixed(1)} (${reputation.count})`
+    : "New";
+
+/**
+ * Completed rides where `userId` still owes someone a rating.
+ * @param {object[]} rides rides the user posted or was accepted on
+ * @param {object[]} requests join requests on those rides
+ * @param {object[]} ratings ratings the user has already left
+ * @returns {{ ride: object, partnerIds: string[] }[]}
+ */
+export const getPendingRatings = (
+  rides,
+  requests,
+  ratings,
+  userId,
+  now = new Date()
+) => {
+  const rated = new Set(
+    (ratings || []).map((rating) => `${rating.ride_id}:${rating.ratee_id}`)
+  );
+  return (rides || [])
+    .filter((ride) => canRateRide(ride, now, requests || []))
+    .map((ride) => ({
+      ride,
+      partnerIds: getRatingPartners(
+        ride,
+        (requests || []).filter((request) => request.ride_id === ride.id),
+        userId
+      ).filter((partnerId) => !rated.has(`${ride.id}:${partnerId}`)),
+    }))
+    .filter(({ partnerIds }) => partnerIds.length > 0);
+};
@@ -0,0 +1,159 @@
+import {
+  canRateRide,
+  countNoShows,
+  describeReputation,
+  getPendingRatings,
+  getRatingPartners,
+  hasRepeatedNoShows,
+  indexReputation,
+  summarizeRatings,
+  validateRating,
+} from "./ratings";
+
+const now = new Date(2025, 0, 6, 9, 0);
+
+const ride = {
+  id: "r1",
+  user_id: "owner",
+  time: new Date(2025, 0, 6, 8, 0).toISOString(),
+  status: "matched",
+};
+
+const rating = (overrides) => ({
+  ride_id: "r1",
+  rater_id: "a",
+  ratee_id: "owner",
+  score: 5,
+  tags: [],
+  ...overrides,
+});
+
+describe("validateRating", () => {
+  test("accepts a score with known tags", () => {
+    expect(validateRating({ score: 4, tags: ["on_time", "friendly"] })).toBe(
+      ""
+    );
+  });
+
+  test("rejects scores out of range and unknown tags", () => {
+    expect(validateRating({ score: 0 })).toBe("Pick a rating from 1 to 5");
+    expect(validateRating({ score: 4.5 })).toBe("Pick a rating from 1 to 5");
+    expect(validateRating({ score: 3, tags: ["rude"] })).toBe("Unknown tag");
+  });
+
+  test("rejects contradictory tags", () => {
+    expect(validateRating({ score: 1, tags: ["no_show", "on_time"] })).toBe(
+      "A no-show can't also be on time"
+    );
+  });
+});
+
+describe("canRateRide", () => {
+  test("rides that left with free seats count once someone joined", () => {
+    const partlyFull = {
+      ...ride,
+      status: "open",
+      seats_total: 4,
+      seats_available: 1,
+    };
+    expect(canRateRide(partlyFull, now)).toBe(true);
+
+    const open = { ...ride, status: "open" };
+    const accepted = [{ ride_id: "r1", status: "accepted" }];
+    expect(canRateRide(open, now, accepted)).toBe(true);
+    expect(
+      canRateRide(open, now, [{ ride_id: "r2", status: "accepted" }])
+    ).toBe(false);
+    expect(
+      canRateRide({ ...partlyFull, status: "cancelled" }, now, accepted)
+    ).toBe(false);
+  });
+
+  test("only completed rides can be rated", () => {
+    expect(canRateRide(ride, now)).toBe(true);
+    expect(canRateRide({ ...ride, status: "open" }, now)).toBe(false);
+    expect(canRateRide({ ...ride, time: "2025-01-07T08:00:00" }, now)).toBe(
+      false
+    );
+  });
+});
+
+describe("getRatingPartners", () => {
+  const requests = [
+    { requester_id: "a", status: "accepted" },
+    { requester_id: "b", status: "declined" },
+    { requester_id: "c", status: "accepted" },
+  ];
+
+  test("the owner rates every accepted partner", () => {
+    expect(getRatingPartners(ride, requests, "owner")).toEqual(["a", "c"]);
+  });
+
+  test("a partner rates the owner", () => {
+    expect(getRatingPartners(ride, requests, "a")).toEqual(["owner"]);
+    expect(getRatingPartners(ride, requests, "b")).toEqual([]);
+  });
+});
+
+describe("reputation", () => {
+  const ratings = [
+    rating({ score: 5, tags: ["on_time"] }),
+    rating({ rater_id: "b", score: 4, tags: ["on_time", "friendly"] }),
+    rating({ rater_id: "c", score: 4 }),
+    rating({ ratee_id: "a", score: 1, tags: ["no_show"] }),
+    rating({ ratee_id: "a", rater_id: "d", score: 2, tags: ["no_show"] }),
+  ];
+
+  test("averages scores and counts tags", () => {
+    expect(summarizeRatings(ratings.slice(0, 3))).toEqual({
+      average: 4.3,
+      count: 3,
+      tags: { on_time: 2, friendly: 1 },
+    });
+    expect(summarizeRatings([])).toEqual({ average: null, count: 0, tags: {} });
+  });
+
+  test("indexes summaries by user and flags repeated no-shows", () => {
+    const index = indexReputation(ratings);
+    expect(index.owner.count).toBe(3);
+    expect(countNoShows(index.a)).toBe(2);
+    expect(hasRepeatedNoShows(index.a)).toBe(true);
+    expect(hasRepeatedNoShows(index.owner)).toBe(false);
+  });
+
+  test("describes reputation", () => {
+    expect(describeReputation({ average: 4, count: 2 })).toBe("4.0 (2)");
+    expect(describeReputation(undefined)).toBe("New");
+  });
+});
+
+describe("getPendingRatings", () => {
+  const requests = [
+    { ride_id: "r1", requester_id: "a", status: "accepted" },
+    { ride_id: "r1", requester_id: "c", status: "accepted" },
+  ];
+
+  test("lists partners still to rate on completed rides", () => {
+    const pending = getPendingRatings(
+      [ride, { ...ride, id: "r2", status: "open" }],
+      requests,
+      [rating({ rater_id: "owner", ratee_id: "a" })],
+      "owner",
+      now
+    );
+    expect(pending).toEqual([{ ride, partnerIds: ["c"] }]);
+  });
+
+  test("includes departed rides that never filled up", () => {
+    const partlyFull = { ...ride, status: "open" };
+    expect(getPendingRatings([partlyFull], requests, [], "owner", now)).toEqual(
+      [{ ride: partlyFull, partnerIds: ["a", "c"] }]
+    );
+  });
+
+  test("drops rides once everyone is rated", () => {
+    expect(getPendingRatings([ride], requests, [rating()], "a", now)).toEqual(
+      []
+    );
+  });
+});
@@ -0,0 +1,182 @@
+// Recurring ride posts. A recurring ride is a single row in `rides` with a
+// `recurrence` rule next to its usual fields:
+//
+//   recurrence: {
+//     weekdays: [1, 2, 3, 4, 5],       // 0 = Sunday ... 6 = Saturday
+//     until: "2025-06-30",             // last possible date, inclusive
+//     skip_dates: ["2025-04-14"],      // cancelled occurrences
+//     overrides: { "2025-04-15": "09:30" } // occurrences moved to a new time
+//   }
+//
+// `time` holds the first occurrence; its local time of day is the default
+// departure for every other occurrence. Occurrences are expanded on the fly
+// and never stored, so editing the rule updates the whole series at once.
+
+import {
+  addDays,
+  getWeekday,
+  toISODateTime,
+  toLocalDateString,
+  toLocalTimeString,
+} from "./dates";
+
+export const WEEKDAYS = [
+  { value: 0, label: "Sun" },
+  { value: 1, label: "Mon" },
+  { value: 2, label: "Tue" },
+  { value: 3, label: "Wed" },
+  { value: 4, label: "Thu" },
+  { value: 5, label: "Fri" },
+  { value: 6, label: "Sat" },
+];
+
+// How far ahead recurring rides are expanded for matching and browsing
+export const DEFAULT_EXPANSION_DAYS = 14;
+
+// Longest series a user can create in one go
+export const MAX_SERIES_DAYS = 180;
+
+export const EMPTY_RECURRENCE = {
+  weekdays: [],
+  until: "",
+  skip_dates: [],
+  overrides: {},
+};
+
+/**
+ * The series a ride or occurrence belongs to (its own id for one-off rides).
+ */
+export const getSeriesId = (ride) => ride.series_id || ride.id;
+
+export const isRecurring = (ride) =>
+  Boolean(ride?.recurrence?.weekdays?.length);
+
+/**
+ * Expand a ride into its occurrences between `from` and `from + days`.
+ * One-off rides are returned unchanged. Each occurrence keeps all ride
+ * fields and gets a unique `id`, the parent `series_id` and its
+ * `occurrence_date`.
+ * @param {object} ride
+ * @param {{ from?: Date|string, days?: number }} [range]
+ * @returns {object[]}
+ */
+export const expandRide = (ride, range = {}) => {
+  if (!isRecurring(ride)) return [ride];
+
+  const { from = new Date(), days = DEFAULT_EXPANSION_DAYS } = range;
+  const {
+    weekdays,
+    until,
+    skip_dates: skipDates = [],
+    overrides = {},
+  } = ride.recurrence;
+
+  const seriesStart = toLocalDateString(ride.time);
+  const defaultTime = toLocalTimeString(ride.time);
+  const rangeStart = toLocalDateString(from);
+  const rangeEnd = addDays(rangeStart, days);
+
+  let date = seriesStart > rangeStart ? seriesStart : rangeStart;
+  const lastDate = until && until < rangeEnd ? until : rangeEnd;
+  const occurrences = [];
+
+  while (date <= lastDate) {
+    if (weekdays.includes(getWeekday(date)) && !skipDates.includes(date)) {
+      occurrences.push({
+        ...ride,
+        id: `${ride.id}@${date}`,
+        series_id: ride.id,
+        occurrence_date: date,
+        time: toISODateTime(date, overrides[date] || defaultTime),
+      });
+    }
+    date = addDays(date, 1);
+  }
+
+  return occurrences;
+};
+
+/**
+ * Expand every ride in a list (see expandRide).
+ */
+export const expandRides = (rides, range) =>
+  (rides || []).flatMap((ride) => expandRide(ride, range));
+
+/**
+ * First date on or after `startDate` that the rule produces, or null.
+ * @param {string} startDate "YYYY-MM-DD"
+ * @param {object} recurrence
+ * @returns {string|null}
+ */
+export const getFirstOccurrenceDate = (startDate, recurrence) => {
+  const { weekdays = [], until, skip_dates: skipDates = [] } = recurrence;
+  const lastDate = until || addDays(startDate, MAX_SERIES_DAYS);
+  for (let date = startDate; date <= lastDate; date = addDays(date, 1)) {
+    if (weekdays.includes(getWeekday(date)) && !skipDates.includes(date)) {
+      return date;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check a rule before saving it.
+ * @param {object} recurrence
+ * @param {string} startDate "YYYY-MM-DD" of the first departure
+ * @returns {string} an error message, or "" when the rule is valid
+ */
+export const validateRecurrence = (recurrence, startDate) => {
+  if (!recurrence.weekdays?.length) return "Pick at least one weekday";
+  if (!recurrence.until) return "Pick the date the ride stops repeating";
+  if (recurrence.until < startDate) {
+    return "The repeat end date must be after the departure date";
+  }
+  if (recurrence.until > addDays(startDate, MAX_SERIES_DAYS)) {
+    return `Rides can repeat for at most ${MAX_SERIES_DAYS} days`;
+  }
+  if (!getFirstOccurrenceDate(startDate, recurrence)) {
+    return "This schedule has no departures";
+  }
+  return "";
+};
+
+/**
+ * Cancel a single occurrence of a series.
+ * @returns {object} a new recurrence rule
+ */
+export const skipOccurrence = (recurrence, date) => {
+  const overrides = { ...recurrence.overrides };
+  delete overrides[date];
+  return {
+    ...recurrence,
+    skip_dates: [...new Set([...(recurrence.skip_dates || []), date])].sort(),
+    overrides,
+  };
+};
+
+/**
+ * Move a single occurrence of a series to a different time of day.
+ * @returns {object} a new recurrence rule
+ */
+export const rescheduleOccurrence = (recurrence, date, time) => ({
+  ...recurrence,
+  overrides: { ...recurrence.overrides, [date]: time },
+});
+
+/**
+ * Short summary of a rule, e.g. "Every Mon, Wed, Fri until Jun 30".
+ */
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence?.weekdays?.length) return "";
+  const days = WEEKDAYS.filter(({ value }) =>
+    recurrence.weekdays.includes(value)
+  )
+    .map(({ label }) => label)
+    .join(", ");
+  if (!recurrence.until) return `Every ${days}`;
+  const until = new Date(`${recurrence.until}T00:00`).toLocaleDateString(
+    "en-US",
+    { month: "short", day: "numeric" }
+  );
+  return `Every ${days} until ${until}`;
+};
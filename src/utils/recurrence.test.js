@@ -0,0 +1,195 @@
+import {
+  describeRecurrence,
+  expandRide,
+  expandRides,
+  getFirstOccurrenceDate,
+  rescheduleOccurrence,
+  skipOccurrence,
+  validateRecurrence,
+} from "./recurrence";
+import { toLocalTimeString } from "./dates";
+
+// 2025-03-10 is a Monday. Times are local, like the PostRide form.
+const weekdayCommute = (recurrence = {}) => ({
+  id: "r1",
+  user_id: "u1",
+  from: "Campus",
+  to: "Kuril",
+  time: new Date("2025-03-10T08:00").toISOString(),
+  recurrence: {
+    weekdays: [1, 2, 3, 4, 5],
+    until: "2025-03-21",
+    skip_dates: [],
+    overrides: {},
+    ...recurrence,
+  },
+});
+
+const dates = (occurrences) => occurrences.map((o) => o.occurrence_date);
+
+describe("expandRide", () => {
+  test("returns one-off rides unchanged", () => {
+    const ride = { id: "single", time: "2025-03-10T02:00:00.000Z" };
+    expect(expandRide(ride)).toEqual([ride]);
+  });
+
+  test("expands weekdays within the range", () => {
+    const occurrences = expandRide(weekdayCommute(), {
+      from: "2025-03-10T00:00",
+      days: 7,
+    });
+    expect(dates(occurrences)).toEqual([
+      "2025-03-10",
+      "2025-03-11",
+      "2025-03-12",
+      "2025-03-13",
+      "2025-03-14",
+      "2025-03-17",
+    ]);
+  });
+
+  test("gives each occurrence its own id and keeps the series id", () => {
+    const [first] = expandRide(weekdayCommute(), {
+      from: "2025-03-10T00:00",
+      days: 1,
+    });
+    expect(first).toMatchObject({
+      id: "r1@2025-03-10",
+      series_id: "r1",
+      user_id: "u1",
+      from: "Campus",
+      to: "Kuril",
+    });
+    expect(toLocalTimeString(first.time)).toBe("08:00");
+  });
+
+  test("stops at the until date", () => {
+    const occurrences = expandRide(weekdayCommute({ until: "2025-03-12" }), {
+      from: "2025-03-10T00:00",
+      days: 30,
+    });
+    expect(dates(occurrences)).toEqual([
+      "2025-03-10",
+      "2025-03-11",
+      "2025-03-12",
+    ]);
+  });
+
+  test("never starts before the first departure", () => {
+    const occurrences = expandRide(weekdayCommute(), {
+      from: "2025-03-01T00:00",
+      days: 10,
+    });
+    expect(dates(occurrences)[0]).toBe("2025-03-10");
+  });
+
+  test("leaves out skipped dates and applies time overrides", () => {
+    const occurrences = expandRide(
+      weekdayCommute({
+        skip_dates: ["2025-03-11"],
+        overrides: { "2025-03-12": "09:30" },
+      }),
+      { from: "2025-03-10T00:00", days: 2 }
+    );
+    expect(dates(occurrences)).toEqual(["2025-03-10", "2025-03-12"]);
+    expect(toLocalTimeString(occurrences[1].time)).toBe("09:30");
+  });
+});
+
+describe("expandRides", () => {
+  test("mixes one-off and recurring rides", () => {
+    const single = { id: "single", time: "2025-03-10T02:00:00.000Z" };
+    const expanded = expandRides([single, weekdayCommute()], {
+      from: "2025-03-10T00:00",
+      days: 1,
+    });
+    expect(expanded.map((r) => r.id)).toEqual([
+      "single",
+      "r1@2025-03-10",
+      "r1@2025-03-11",
+    ]);
+  });
+
+  test("handles missing input", () => {
+    expect(expandRides(undefined)).toEqual([]);
+  });
+});
+
+describe("getFirstOccurrenceDate", () => {
+  test("finds the first matching weekday", () => {
+    // Saturday start, first weekday occurrence is Monday
+    expect(getFirstOccurrenceDate("2025-03-08", { weekdays: [1, 3] })).toBe(
+      "2025-03-10"
+    );
+  });
+
+  test("returns null when nothing falls before the end date", () => {
+    expect(
+      getFirstOccurrenceDate("2025-03-11", {
+        weekdays: [1],
+        until: "2025-03-16",
+      })
+    ).toBeNull();
+  });
+});
+
+describe("validateRecurrence", () => {
+  test("accepts a sensible rule", () => {
+    expect(validateRecurrence(weekdayCommute().recurrence, "2025-03-10")).toBe(
+      ""
+    );
+  });
+
+  test("requires weekdays and an end date", () => {
+    expect(
+      validateRecurrence({ weekdays: [], until: "2025-03-20" }, "2025-03-10")
+    ).toMatch(/weekday/);
+    expect(
+      validateRecurrence({ weekdays: [1], until: "" }, "2025-03-10")
+    ).toMatch(/end date|stops/);
+  });
+
+  test("rejects end dates before the start or too far ahead", () => {
+    expect(
+      validateRecurrence({ weekdays: [1], until: "2025-03-01" }, "2025-03-10")
+    ).toMatch(/after/);
+    expect(
+      validateRecurrence({ weekdays: [1], until: "2026-03-10" }, "2025-03-10")
+    ).toMatch(/at most/);
+  });
+});
+
+describe("editing a series", () => {
+  test("skipOccurrence adds the date once and drops its override", () => {
+    const rule = skipOccurrence(
+      skipOccurrence(
+        { weekdays: [1], skip_dates: [], overrides: { "2025-03-17": "09:00" } },
+        "2025-03-17"
+      ),
+      "2025-03-17"
+    );
+    expect(rule.skip_dates).toEqual(["2025-03-17"]);
+    expect(rule.overrides).toEqual({});
+  });
+
+  test("rescheduleOccurrence sets a single override", () => {
+    const rule = rescheduleOccurrence(
+      { weekdays: [1], overrides: {} },
+      "2025-03-17",
+      "07:15"
+    );
+    expect(rule.overrides).toEqual({ "2025-03-17": "07:15" });
+  });
+});
+
+describe("describeRecurrence", () => {
+  test("lists weekdays and the end date", () => {
+    expect(
+      describeRecurrence({ weekdays: [5, 1, 3], until: "2025-06-30" })
+    ).toBe("Every Mon, Wed, Fri until Jun 30");
+  });
+
+  test("is empty for one-off rides", () => {
+    expect(describeRecurrence(null)).toBe("");
+  });
+});
@@ -0,0 +1,81 @@
+// Reports riders file about another user or one of their rides, stored in
+// `reports`:
+//   { reporter_id, reported_user_id, ride_id, reason, details, status,
+//     created_at, updated_at }
+// Admins triage them from the Reports tab in AdminDashboard.
+
+export const REPORT_REASONS = {
+  HARASSMENT: "harassment",
+  FAKE_POST: "fake_post",
+  UNSAFE: "unsafe",
+  SPAM: "spam",
+  OTHER: "other",
+};
+
+export const REPORT_REASON_LABELS = {
+  [REPORT_REASONS.HARASSMENT]: "Harassment or abuse",
+  [REPORT_REASONS.FAKE_POST]: "Fake or misleading post",
+  [REPORT_REASONS.UNSAFE]: "Unsafe behaviour",
+  [REPORT_REASONS.SPAM]: "Spam or advertising",
+  [REPORT_REASONS.OTHER]: "Something else",
+};
+
+export const REPORT_STATUS = {
+  OPEN: "open",
+  INVESTIGATING: "investigating",
+  RESOLVED: "resolved",
+};
+
+export const REPORT_STATUS_LABELS = {
+  [REPORT_STATUS.OPEN]: "Open",
+  [REPORT_STATUS.INVESTIGATING]: "Investigating",
+  [REPORT_STATUS.RESOLVED]: "Resolved",
+};
+
+export const MAX_REPORT_DETAILS = 500;
+
+// Resolved reports can be reopened if the problem comes back
+const TRANSITIONS = {
+  [REPORT_STATUS.OPEN]: [REPORT_STATUS.INVESTIGATING, REPORT_STATUS.RESOLVED],
+  [REPORT_STATUS.INVESTIGATING]: [REPORT_STATUS.OPEN, REPORT_STATUS.RESOLVED],
+  [REPORT_STATUS.RESOLVED]: [REPORT_STATUS.OPEN],
+};
+
+export const canChangeReportStatus = (from, to) =>
+  (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Check a report before sending it.
+ * @returns {string} an error message, or "" when valid
+ */
+export const validateReport = ({ reason, details = "" }) => {
+  if (!REPORT_REASON_LABELS[reason]) return "Pick a reason";
+  if (reason === REPORT_REASONS.OTHER && !details.trim()) {
+    return "Tell us what happened";
+  }
+  if (details.length > MAX_REPORT_DETAILS) {
+    return `Keep details under ${MAX_REPORT_DETAILS} characters`;
+  }
+  return "";
+};
+
+export const countOpenReports = (reports) =>
+  (reports || []).filter((report) => report.status !== REPORT_STATUS.RESOLVED)
+    .length;
+
+const STATUS_ORDER = [
+  REPORT_STATUS.OPEN,
+  REPORT_STATUS.INVESTIGATING,
+  REPORT_STATUS.RESOLVED,
+];
+
+/**
+ * Moderation queue order: open, then investigating, then resolved; newest
+ * first within each.
+ */
+export const sortReports = (reports) =>
+  [...(reports || [])].sort(
+    (a, b) =>
+      STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) ||
+      new Date(b.created_at) - new Date(a.created_at)
+  );
@@ -0,0 +1,68 @@
+import {
+  canChangeReportStatus,
+  countOpenReports,
+  sortReports,
+  validateReport,
+} from "./reports";
+
+const report = (overrides) => ({
+  id: "p1",
+  status: "open",
+  created_at: "2025-01-01T08:00:00Z",
+  ...overrides,
+});
+
+describe("validateReport", () => {
+  test("needs a known reason", () => {
+    expect(validateReport({ reason: "harassment" })).toBe("");
+    expect(validateReport({ reason: "" })).toBe("Pick a reason");
+    expect(validateReport({ reason: "rude" })).toBe("Pick a reason");
+  });
+
+  test("needs details when the reason is something else", () => {
+    expect(validateReport({ reason: "other", details: "  " })).toBe(
+      "Tell us what happened"
+    );
+    expect(
+      validateReport({ reason: "other", details: "Asked for money" })
+    ).toBe("");
+  });
+
+  test("limits the length of details", () => {
+    expect(validateReport({ reason: "spam", details: "x".repeat(501) })).toBe(
+      "Keep details under 500 characters"
+    );
+  });
+});
+
+describe("canChangeReportStatus", () => {
+  test("follows the triage states", () => {
+    expect(canChangeReportStatus("open", "investigating")).toBe(true);
+    expect(canChangeReportStatus("investigating", "resolved")).toBe(true);
+    expect(canChangeReportStatus("resolved", "open")).toBe(true);
+    expect(canChangeReportStatus("resolved", "investigating")).toBe(false);
+    expect(canChangeReportStatus("open", "open")).toBe(false);
+  });
+});
+
+describe("queue", () => {
+  const reports = [
+    report({ id: "done", status: "resolved" }),
+    report({ id: "older" }),
+    report({ id: "looking", status: "investigating" }),
+    report({ id: "newer", created_at: "2025-01-02T08:00:00Z" }),
+  ];
+
+  test("counts reports still needing attention", () => {
+    expect(countOpenReports(reports)).toBe(3);
+  });
+
+  test("lists open reports first, newest first", () => {
+    expect(sortReports(reports).map((r) => r.id)).toEqual([
+      "newer",
+      "older",
+      "looking",
+      "done",
+    ]);
+  });
+});
@@ -0,0 +1,33 @@
+// Merge Supabase realtime events for the `rides` table into a list held in
+// component state. Payloads look like:
+//   { eventType: "INSERT" | "UPDATE" | "DELETE", new: row, old: { id } }
+// Realtime rows never include joined tables, so fields such as `profiles`
+// already on the list are kept when a row is updated.
+
+/**
+ * Apply one realtime change to a list of rides.
+ * @param {object[]} rides current list (not mutated)
+ * @param {{ eventType: string, new?: object, old?: object }} payload
+ * @returns {object[]} the updated list
+ */
+export const applyRideChange = (rides, payload) => {
+  const list = rides || [];
+  const { eventType, new: row, old } = payload;
+
+  if (eventType === "DELETE") {
+    return list.filter((ride) => ride.id !== old?.id);
+  }
+
+  if (!row?.id) return list;
+
+  const existing = list.find((ride) => ride.id === row.id);
+  if (!existing) return [...list, row];
+  return list.map((ride) => (ride.id === row.id ? { ...ride, ...row } : ride));
+};
+
+/**
+ * Remove a ride from a list, e.g. when an update means it no longer
+ * belongs there.
+ */
+export const removeRide = (rides, id) =>
+  (rides || []).filter((ride) => ride.id !== id);
@@ -0,0 +1,67 @@
+import { applyRideChange, removeRide } from "./rideChanges";
+
+const rides = [
+  { id: 1, from: "Campus", to: "Kuril", profiles: { name: "Ayesha" } },
+  { id: 2, from: "Kuril", to: "Campus", profiles: { name: "Nusrat" } },
+];
+
+describe("applyRideChange", () => {
+  test("appends inserted rides", () => {
+    const result = applyRideChange(rides, {
+      eventType: "INSERT",
+      new: { id: 3, from: "Campus", to: "Future Park" },
+    });
+    expect(result.map((r) => r.id)).toEqual([1, 2, 3]);
+    expect(rides).toHaveLength(2);
+  });
+
+  test("does not duplicate a ride that is already listed", () => {
+    const result = applyRideChange(rides, {
+      eventType: "INSERT",
+      new: { id: 1, from: "Campus", to: "Kuril" },
+    });
+    expect(result).toHaveLength(2);
+  });
+
+  test("merges updates and keeps joined fields", () => {
+    const [first] = applyRideChange(rides, {
+      eventType: "UPDATE",
+      new: { id: 1, from: "Campus", to: "Uttara" },
+    });
+    expect(first).toEqual({
+      id: 1,
+      from: "Campus",
+      to: "Uttara",
+      profiles: { name: "Ayesha" },
+    });
+  });
+
+  test("adds updated rides it has not seen yet", () => {
+    expect(
+      applyRideChange(rides, { eventType: "UPDATE", new: { id: 9 } })
+    ).toHaveLength(3);
+  });
+
+  test("removes deleted rides", () => {
+    expect(
+      applyRideChange(rides, { eventType: "DELETE", old: { id: 2 } }).map(
+        (r) => r.id
+      )
+    ).toEqual([1]);
+  });
+
+  test("ignores payloads without a row", () => {
+    expect(applyRideChange(rides, { eventType: "INSERT", new: {} })).toBe(
+      rides
+    );
+    expect(
+      applyRideChange(undefined, { eventType: "DELETE", old: {} })
+    ).toEqual([]);
+  });
+});
+
+describe("removeRide", () => {
+  test("drops the ride with the given id", () => {
+    expect(removeRide(rides, 1).map((r) => r.id)).toEqual([2]);
+  });
+});
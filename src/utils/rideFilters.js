@@ -0,0 +1,58 @@
+// Filters for the "Browse" mode of the Find Partner page. Dates and times
+// are compared in the viewer's local timezone, the same way the cards
+// display them.
+
+import { normalizeLocation } from "./rideMatching";
+import { toLocalDateString, toLocalTimeString } from "./dates";
+
+export const EMPTY_BROWSE_FILTERS = {
+  from: "",
+  to: "",
+  date: "",
+  timeFrom: "",
+  timeTo: "",
+};
+
+// "HH:MM" strings compare correctly as plain strings. A range whose end is
+// before its start (22:00 - 02:00) wraps around midnight.
+const isWithinTimeRange = (time, timeFrom, timeTo) => {
+  if (!timeFrom && !timeTo) return true;
+  if (!timeTo) return time >= timeFrom;
+  if (!timeFrom) return time <= timeTo;
+  if (timeFrom <= timeTo) return time >= timeFrom && time <= timeTo;
+  return time >= timeFrom || time <= timeTo;
+};
+
+/**
+ * Upcoming rides that pass every filter that is set, earliest first.
+ * @param {object[]} rides
+ * @param {typeof EMPTY_BROWSE_FILTERS} filters empty strings are ignored
+ * @param {Date} [now]
+ * @param {(name: string) => string} [resolveLocation] see utils/locations
+ * @returns {object[]}
+ */
+export const filterRides = (
+  rides,
+  filters = {},
+  now = new Date(),
+  resolveLocation = normalizeLocation
+) => {
+  const { from, to, date, timeFrom, timeTo } = {
+    ...EMPTY_BROWSE_FILTERS,
+    ...filters,
+  };
+
+  return (rides || [])
+    .filter((ride) => {
+      if (!(new Date(ride.time) >= now)) return false;
+      if (from && resolveLocation(ride.from) !== resolveLocation(from)) {
+        return false;
+      }
+      if (to && resolveLocation(ride.to) !== resolveLocation(to)) {
+        return false;
+      }
+      if (date && toLocalDateString(ride.time) !== date) return false;
+      return isWithinTimeRange(toLocalTimeString(ride.time), timeFrom, timeTo);
+    })
+    .sort((a, b) => new Date(a.time) - new Date(b.time));
+};
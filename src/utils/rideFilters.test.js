@@ -0,0 +1,97 @@
+import { filterRides } from "./rideFilters";
+import { createLocationResolver } from "./locations";
+
+// Rides are built from local times because the filters work on what the
+// user sees in their own timezone.
+const at = (date, time) => new Date(`${date}T${time}`).toISOString();
+
+const ride = (id, overrides = {}) => ({
+  id,
+  from: "Campus",
+  to: "Kuril",
+  time: at("2025-03-10", "08:00"),
+  ...overrides,
+});
+
+const now = new Date(`2025-03-10T07:00`);
+
+describe("filterRides", () => {
+  test("only keeps upcoming rides, earliest first", () => {
+    const rides = [
+      ride("later", { time: at("2025-03-11", "09:00") }),
+      ride("past", { time: at("2025-03-10", "06:00") }),
+      ride("soon"),
+    ];
+    expect(filterRides(rides, {}, now).map((r) => r.id)).toEqual([
+      "soon",
+      "later",
+    ]);
+  });
+
+  test("filters by pickup and drop ignoring case", () => {
+    const rides = [
+      ride("a"),
+      ride("b", { to: "Future Park" }),
+      ride("c", { from: "Kuril", to: "Campus" }),
+    ];
+    expect(
+      filterRides(rides, { from: "campus", to: "KURIL" }, now).map((r) => r.id)
+    ).toEqual(["a"]);
+    expect(filterRides(rides, { to: "Campus" }, now).map((r) => r.id)).toEqual([
+      "c",
+    ]);
+  });
+
+  test("treats aliases as the same place", () => {
+    const resolve = createLocationResolver([
+      { name: "Campus", aliases: ["AIUB"] },
+    ]);
+    const rides = [ride("a", { from: "AIUB" }), ride("b", { from: "Kuril" })];
+    expect(
+      filterRides(rides, { from: "Campus" }, now, resolve).map((r) => r.id)
+    ).toEqual(["a"]);
+  });
+
+  test("filters by local date", () => {
+    const rides = [
+      ride("today"),
+      ride("tomorrow", { time: at("2025-03-11", "08:00") }),
+    ];
+    expect(
+      filterRides(rides, { date: "2025-03-11" }, now).map((r) => r.id)
+    ).toEqual(["tomorrow"]);
+  });
+
+  test("filters by time range, inclusive", () => {
+    const rides = [
+      ride("eight"),
+      ride("nine", { time: at("2025-03-10", "09:00") }),
+      ride("ten", { time: at("2025-03-10", "10:00") }),
+    ];
+    const ids = (filters) => filterRides(rides, filters, now).map((r) => r.id);
+    expect(ids({ timeFrom: "08:30", timeTo: "10:00" })).toEqual([
+      "nine",
+      "ten",
+    ]);
+    expect(ids({ timeFrom: "09:00" })).toEqual(["nine", "ten"]);
+    expect(ids({ timeTo: "09:00" })).toEqual(["eight", "nine"]);
+  });
+
+  test("supports time ranges that wrap past midnight", () => {
+    const rides = [
+      ride("late", { time: at("2025-03-10", "23:30") }),
+      ride("early", { time: at("2025-03-11", "01:00") }),
+      ride("noon", { time: at("2025-03-11", "12:00") }),
+    ];
+    expect(
+      filterRides(rides, { timeFrom: "22:00", timeTo: "02:00" }, now).map(
+        (r) => r.id
+      )
+    ).toEqual(["late", "early"]);
+  });
+
+  test("handles missing input", () => {
+    expect(filterRides(undefined, {}, now)).toEqual([]);
+    expect(filterRides([ride("a", { time: "invalid" })], {}, now)).toEqual([]);
+  });
+});
@@ -0,0 +1,93 @@
+// Validation shared by posting a new ride and editing an existing one. The
+// form holds raw input values:
+//   { from, to, date, time, repeat, recurrence, seatsTotal, companions,
+//     partnerPreference, preferences }
+
+import {
+  EMPTY_RECURRENCE,
+  MAX_SERIES_DAYS,
+  expandRide,
+  getFirstOccurrenceDate,
+  isRecurring,
+  validateRecurrence,
+} from "./recurrence";
+import { toISODateTime, toLocalDateString, toLocalTimeString } from "./dates";
+import { DEFAULT_SEATS_TOTAL, validateSeats } from "./seats";
+import { EMPTY_PREFERENCES, getPreferences } from "./ridePreferences";
+import {
+  DEFAULT_PARTNER_PREFERENCE,
+  getPartnerPreference,
+} from "./partnerPreference";
+
+export const EMPTY_RIDE_FORM = {
+  from: "",
+  to: "",
+  date: "",
+  time: "",
+  repeat: false,
+  recurrence: EMPTY_RECURRENCE,
+  seatsTotal: DEFAULT_SEATS_TOTAL,
+  companions: 0,
+  partnerPreference: DEFAULT_PARTNER_PREFERENCE,
+  preferences: EMPTY_PREFERENCES,
+};
+
+/**
+ * Form values for editing a stored ride.
+ */
+export const getRideForm = (ride) => ({
+  from: ride.from || "",
+  to: ride.to || "",
+  date: ride.time ? toLocalDateString(ride.time) : "",
+  time: ride.time ? toLocalTimeString(ride.time) : "",
+  repeat: isRecurring(ride),
+  recurrence: ride.recurrence || EMPTY_RECURRENCE,
+  seatsTotal: ride.seats_total || DEFAULT_SEATS_TOTAL,
+  companions: ride.companions || 0,
+  partnerPreference: getPartnerPreference(ride),
+  preferences: getPreferences(ride),
+});
+
+/**
+ * Check the form and work out the departure time to store. A recurring
+ * ride starts at its first scheduled occurrence, which may be later than
+ * the picked date. A series being edited may have started already, so it
+ * only needs a departure still to come.
+ * @param {object} form
+ * @param {Date} [now]
+ * @param {{ editing?: object }} [options] `editing` is the stored ride
+ * @returns {{ error: string, time?: undefined } | { error: "", time: string }}
+ */
+export const validateRideForm = (
+  form,
+  now = new Date(),
+  { editing = null } = {}
+) => {
+  const { from, to, date, time, repeat, recurrence } = form;
+  if (!from || !to || !date || !time) return { error: "All fields required" };
+
+  const editingSeries = Boolean(editing) && repeat;
+  const futureError = { error: "Please select a future date and time" };
+  const selected = new Date(`${date}T${time}`);
+  if (!editingSeries && selected < now) return futureError;
+
+  const seatsError = validateSeats(form.seatsTotal, form.companions);
+  if (seatsError) return { error: seatsError };
+
+  if (!repeat) return { error: "", time: selected.toISOString() };
+
+  const recurrenceError = validateRecurrence(recurrence, date);
+  if (recurrenceError) return { error: recurrenceError };
+
+  const first = toISODateTime(getFirstOccurrenceDate(date, recurrence), time);
+  if (editingSeries) {
+    const upcoming = expandRide(
+      { time: first, recurrence },
+      { from: now, days: MAX_SERIES_DAYS }
+    ).some((occurrence) => new Date(occurrence.time) >= now);
+    if (!upcoming) return { error: "This schedule has no departures left" };
+  } else if (new Date(first) < now) {
+    return futureError;
+  }
+  return { error: "", time: first };
+};
@@ -0,0 +1,113 @@
+import { EMPTY_RIDE_FORM, getRideForm, validateRideForm } from "./rideForm";
+
+// Monday 6 January 2025, 09:00 local time
+const now = new Date(2025, 0, 6, 9, 0);
+
+const form = (overrides) => ({
+  ...EMPTY_RIDE_FORM,
+  from: "Campus",
+  to: "Kuril",
+  date: "2025-01-06",
+  time: "17:00",
+  ...overrides,
+});
+
+describe("getRideForm", () => {
+  test("fills the form from a stored ride", () => {
+    const ride = {
+      from: "Campus",
+      to: "Kuril",
+      time: new Date(2025, 0, 7, 8, 30).toISOString(),
+      seats_total: 4,
+      companions: 1,
+    };
+    expect(getRideForm(ride)).toEqual({
+      ...EMPTY_RIDE_FORM,
+      from: "Campus",
+      to: "Kuril",
+      date: "2025-01-07",
+      time: "08:30",
+      seatsTotal: 4,
+      companions: 1,
+    });
+  });
+});
+
+describe("validateRideForm", () => {
+  test("requires every field", () => {
+    expect(validateRideForm(form({ to: "" }), now).error).toBe(
+      "All fields required"
+    );
+  });
+
+  test("rejects departures in the past", () => {
+    expect(validateRideForm(form({ time: "08:00" }), now).error).toBe(
+      "Please select a future date and time"
+    );
+  });
+
+  test("checks the seats", () => {
+    expect(
+      validateRideForm(form({ seatsTotal: 2, companions: 1 }), now).error
+    ).toBe("Leave at least one seat for a partner");
+  });
+
+  test("returns the departure time of a one-off ride", () => {
+    expect(validateRideForm(form(), now)).toEqual({
+      error: "",
+      time: new Date(2025, 0, 6, 17, 0).toISOString(),
+    });
+  });
+
+  test("starts a series at its first scheduled day", () => {
+    const recurrence = { ...EMPTY_RIDE_FORM.recurrence };
+    expect(
+      validateRideForm(
+        form({
+          repeat: true,
+          recurrence: { ...recurrence, weekdays: [3], until: "2025-01-31" },
+        }),
+        now
+      )
+    ).toEqual({
+      error: "",
+      time: new Date(2025, 0, 8, 17, 0).toISOString(),
+    });
+  });
+
+  describe("editing a series that has started", () => {
+    // Mondays and Wednesdays since 30 December
+    const recurrence = {
+      ...EMPTY_RIDE_FORM.recurrence,
+      weekdays: [1, 3],
+      until: "2025-01-31",
+    };
+    const editing = { id: "r1", recurrence };
+    const started = form({ date: "2024-12-30", repeat: true, recurrence });
+
+    test("keeps the series start", () => {
+      expect(
+        validateRideForm({ ...started, seatsTotal: 4 }, now, { editing })
+      ).toEqual({
+        error: "",
+        time: new Date(2024, 11, 30, 17, 0).toISOString(),
+      });
+    });
+
+    test("needs a departure still to come", () => {
+      expect(
+        validateRideForm(
+          { ...started, recurrence: { ...recurrence, until: "2025-01-05" } },
+          now,
+          { editing }
+        ).error
+      ).toBe("This schedule has no departures left");
+    });
+
+    test("still checks new series", () => {
+      expect(validateRideForm(started, now).error).toBe(
+        "Please select a future date and time"
+      );
+    });
+  });
+});
@@ -0,0 +1,42 @@
+// Shareable links to a ride. Every ride, and every occurrence of a series,
+// links to its series' detail page at /ride/:id.
+
+import { describeRecurrence, getSeriesId, isRecurring } from "./recurrence";
+
+export const getRidePath = (ride) =>
+  `/ride/${encodeURIComponent(getSeriesId(ride))}`;
+
+/**
+ * Absolute link to a ride, for sharing outside the app.
+ */
+export const getRideUrl = (ride, origin = window.location.origin) =>
+  `${origin}${getRidePath(ride)}`;
+
+const formatDeparture = (time) =>
+  new Date(time).toLocaleString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+
+/**
+ * Page title and description for a ride, used for the document title and
+ * Open Graph tags. Only the route and schedule are included, never who
+ * posted it.
+ * @returns {{ title: string, description: string }}
+ */
+export const getRideMetadata = (ride) => {
+  const route = `${ride.from} → ${ride.to}`;
+  const when = isRecurring(ride)
+    ? `${describeRecurrence(ride.recurrence)}, from ${formatDeparture(
+        ride.time
+      )}`
+    : formatDeparture(ride.time);
+  return {
+    title: `Ride ${route}`,
+    description: `Shared ride ${route}, ${when}. Join on Ride Partner.`,
+  };
+};
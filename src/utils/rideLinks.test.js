@@ -0,0 +1,52 @@
+import { getRideMetadata, getRidePath, getRideUrl } from "./rideLinks";
+
+const ride = {
+  id: "r1",
+  from: "Campus",
+  to: "Kuril",
+  time: "2025-01-06T08:30:00",
+};
+
+describe("getRidePath", () => {
+  test("links occurrences to their series", () => {
+    expect(getRidePath(ride)).toBe("/ride/r1");
+    expect(getRidePath({ id: "r1@2025-01-08", series_id: "r1" })).toBe(
+      "/ride/r1"
+    );
+  });
+
+  test("builds absolute links for sharing", () => {
+    expect(getRideUrl(ride, "https://example.com")).toBe(
+      "https://example.com/ride/r1"
+    );
+  });
+});
+
+describe("getRideMetadata", () => {
+  test("describes a one-off ride", () => {
+    expect(getRideMetadata(ride)).toEqual({
+      title: "Ride Campus → Kuril",
+      description:
+        "Shared ride Campus → Kuril, Mon, Jan 6, 8:30 AM. Join on Ride Partner.",
+    });
+  });
+
+  test("describes the schedule of a series", () => {
+    expect(
+      getRideMetadata({
+        ...ride,
+        recurrence: { weekdays: [1, 3], until: "2025-01-31" },
+      }).description
+    ).toBe(
+      "Shared ride Campus → Kuril, Every Mon, Wed until Jan 31, from Mon, Jan 6, 8:30 AM. Join on Ride Partner."
+    );
+  });
+
+  test("leaves out who posted the ride", () => {
+    const { title, description } = getRideMetadata({
+      ...ride,
+      profiles: { name: "Ayesha" },
+    });
+    expect(`${title} ${description}`).not.toContain("Ayesha");
+  });
+});
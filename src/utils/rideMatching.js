@@ -0,0 +1,297 @@
+// Pure ride matching helpers shared by RideList, MyPosts and the admin
+// dashboard. Nothing in here touches Supabase or the DOM.
+//
+// A "ride" is any object shaped like a row from the `rides` table:
+//   { id, user_id, from, to, time, gender, partner_preference, preferences }
+// `time` is anything `new Date()` understands (ISO strings in practice).
+// Recurring rides are expanded into occurrences first (utils/recurrence),
+// so every occurrence is matched as its own candidate.
+//
+// A "match" is the candidate ride with a `match` field added:
+//   { ...ride, match: { score, timeDelta, reasons, myRide } }
+// where `score` is 0-100, `timeDelta` is whole minutes between the two
+// departures and `reasons` are short human readable strings.
+
+import { getSeriesId } from "./recurrence";
+import { distanceKm, hasCoordinates, isAlongRoute } from "./geo";
+import {
+  DEFAULT_PREFERENCE_MODE,
+  PREFERENCE_MODES,
+  comparePreferences,
+} from "./ridePreferences";
+import { canRideTogether } from "./partnerPreference";
+
+/**
+ * @typedef {object} MatchOptions
+ * @property {number} [windowMinutes] max minutes between departures
+ * @property {(name: string) => string} [resolveLocation] maps aliases to
+ *   one canonical name (see utils/locations); defaults to normalizeLocation
+ * @property {(name: string) => ({ latitude: number, longitude: number }|null)} [locateLocation]
+ *   coordinates of a pickup/drop point, when the catalog has them
+ * @property {number} [radiusKm] pickups/drops this close count as the same
+ *   place; 0 only matches identical names
+ * @property {"best"|"time"} [sortBy] order of findMatches results
+ * @property {"soft"|"hard"} [preferenceMode] whether clashing ride
+ *   preferences lower the score or rule the ride out (utils/ridePreferences)
+ */
+
+// Matching window choices (minutes either side of my departure)
+export const MATCH_WINDOW_OPTIONS = [15, 30, 45, 60, 90, 120];
+export const DEFAULT_MATCH_WINDOW = 30;
+
+// Radius choices (km) for treating nearby points as the same place
+export const RADIUS_OPTIONS = [0, 0.25, 0.5, 1, 2];
+export const DEFAULT_RADIUS_KM = 0.5;
+
+// Route score when one rider's stop lies on the other rider's way
+const ALONG_THE_WAY_SCORE = 0.8;
+
+// How much each factor contributes to the final match score
+const ROUTE_WEIGHT = 0.6;
+const TIME_WEIGHT = 0.4;
+
+// Points taken off for each clashing preference in soft mode
+const PREFERENCE_PENALTY = 10;
+
+/**
+ * Normalise a location name for comparison ("  kuril " -> "kuril").
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeLocation = (name) =>
+  (name || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Absolute minutes between two departure times. Works across midnight
+ * because it compares timestamps rather than calendar days.
+ * @returns {number} minutes, or NaN when either time is invalid
+ */
+export const getTimeDeltaMinutes = (time1, time2) =>
+  Math.abs(new Date(time1) - new Date(time2)) / (1000 * 60);
+
+const formatDistance = (km) =>
+  km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`;
+
+const noCoordinates = () => null;
+
+/**
+ * How much of the route two rides share. Points match when their names
+ * resolve to the same place or, with coordinates and a radius, when they
+ * are close enough. A trip whose stop lies on the other trip's way counts
+ * as a strong partial match.
+ * @param {object} myRide
+ * @param {object} ride
+ * @param {MatchOptions} [options]
+ * @returns {{ score: number, reason: string|null }} score between 0 and 1
+ */
+export const getRouteOverlap = (myRide, ride, options = {}) => {
+  const {
+    resolveLocation = normalizeLocation,
+    locateLocation = noCoordinates,
+    radiusKm = 0,
+  } = options;
+
+  const mine = {
+    from: locateLocation(myRide.from),
+    to: locateLocation(myRide.to),
+  };
+  const theirs = {
+    from: locateLocation(ride.from),
+    to: locateLocation(ride.to),
+  };
+
+  // Proximity needs coordinates for all four points, and both trips must be
+  // longer than the radius or every stop would look "nearby"
+  const useProximity =
+    radiusKm > 0 &&
+    [mine, theirs].every(
+      (trip) =>
+        hasCoordinates(trip.from) &&
+        hasCoordinates(trip.to) &&
+        distanceKm(trip.from, trip.to) > 2 * radiusKm
+    );
+
+  const comparePoints = (myName, theirName, myPoint, theirPoint) => {
+    if (resolveLocation(myName) === resolveLocation(theirName)) {
+      return { near: true, exact: true };
+    }
+    if (useProximity) {
+      const distance = distanceKm(myPoint, theirPoint);
+      if (distance <= radiusKm) return { near: true, exact: false, distance };
+    }
+    return { near: false };
+  };
+
+  const from = comparePoints(myRide.from, ride.from, mine.from, theirs.from);
+  const to = comparePoints(myRide.to, ride.to, mine.to, theirs.to);
+
+  if (from.near && to.near) {
+    return {
+      score: 1,
+      reason:
+        from.exact && to.exact
+          ? "Same pickup and drop"
+          : "Nearby pickup and drop",
+    };
+  }
+
+  if (useProximity) {
+    const onTheWay = (point, trip) =>
+      isAlongRoute(point, trip.from, trip.to, radiusKm);
+
+    if (from.near && onTheWay(mine.to, theirs)) {
+      return {
+        score: ALONG_THE_WAY_SCORE,
+        reason: "Your drop is on their way",
+      };
+    }
+    if (from.near && onTheWay(theirs.to, mine)) {
+      return {
+        score: ALONG_THE_WAY_SCORE,
+        reason: "Their drop is on your way",
+      };
+    }
+    if (to.near && onTheWay(mine.from, theirs)) {
+      return { score: ALONG_THE_WAY_SCORE, reason: "They pass your pickup" };
+    }
+    if (to.near && onTheWay(theirs.from, mine)) {
+      return { score: ALONG_THE_WAY_SCORE, reason: "You pass their pickup" };
+    }
+  }
+
+  if (from.near) {
+    return {
+      score: 0.5,
+      reason: from.exact
+        ? "Same pickup point"
+        : `Pickups ${formatDistance(from.distance)} apart`,
+    };
+  }
+  if (to.near) {
+    return {
+      score: 0.5,
+      reason: to.exact
+        ? "Same drop point"
+        : `Drops ${formatDistance(to.distance)} apart`,
+    };
+  }
+  return { score: 0, reason: null };
+};
+
+const describeTimeDelta = (myTime, rideTime) => {
+  const delta = Math.round(getTimeDeltaMinutes(myTime, rideTime));
+  if (delta === 0) return "Leaves at the same time as yours";
+  const direction = new Date(rideTime) > new Date(myTime) ? "after" : "before";
+  return `Leaves ${delta} min ${direction} yours`;
+};
+
+/**
+ * Score a candidate ride against one of my rides.
+ * @param {object} myRide
+ * @param {object} ride
+ * @param {MatchOptions} [options]
+ * @returns {{ score: number, timeDelta: number, reasons: string[], myRide: object }|null}
+ *   null when the rides cannot be shared
+ */
+export const scoreMatch = (myRide, ride, options = {}) => {
+  const {
+    windowMinutes = DEFAULT_MATCH_WINDOW,
+    preferenceMode = DEFAULT_PREFERENCE_MODE,
+  } = options;
+  if (!myRide || !ride) return null;
+
+  // Never match a user with themselves, or across genders unless both
+  // riders opted in (utils/partnerPreference)
+  if (myRide.user_id && myRide.user_id === ride.user_id) return null;
+  if (!canRideTogether(myRide, ride)) return null;
+
+  const delta = getTimeDeltaMinutes(myRide.time, ride.time);
+  if (!Number.isFinite(delta) || delta > windowMinutes) return null;
+
+  const route = getRouteOverlap(myRide, ride, options);
+  if (route.score === 0) return null;
+
+  const { agreements, conflicts } = comparePreferences(myRide, ride);
+  if (preferenceMode === PREFERENCE_MODES.HARD && conflicts.length > 0) {
+    return null;
+  }
+
+  const timeScore = windowMinutes > 0 ? 1 - delta / windowMinutes : 1;
+  const score = Math.round(
+    (ROUTE_WEIGHT * route.score + TIME_WEIGHT * timeScore) * 100
+  );
+  return {
+    score: Math.max(0, score - PREFERENCE_PENALTY * conflicts.length),
+    timeDelta: Math.round(delta),
+    reasons: [
+      route.reason,
+      describeTimeDelta(myRide.time, ride.time),
+      ...agreements,
+      ...conflicts,
+    ],
+    myRide,
+  };
+};
+
+const isBetterMatch = (match, currentBest) =>
+  !currentBest ||
+  match.score > currentBest.score ||
+  (match.score === currentBest.score &&
+    match.timeDelta < currentBest.timeDelta);
+
+/**
+ * Sort matches in place and return them.
+ * @param {object[]} matches output of findMatches
+ * @param {"best"|"time"} [sortBy] best score first, or earliest departure
+ */
+export const sortMatches = (matches, sortBy = "best") => {
+  if (sortBy === "time") {
+    return matches.sort((a, b) => new Date(a.time) - new Date(b.time));
+  }
+  return matches.sort(
+    (a, b) =>
+      b.match.score - a.match.score || a.match.timeDelta - b.match.timeDelta
+  );
+};
+
+/**
+ * Match candidate rides against all of my rides, keeping the best match per
+ * candidate. Candidates that match none of my rides are dropped.
+ * @param {object[]} myRides
+ * @param {object[]} rides candidates
+ * @param {MatchOptions} [options]
+ * @returns {object[]} matches, best first unless sortBy says otherwise
+ */
+export const findMatches = (myRides, rides, options = {}) => {
+  const matches = (rides || [])
+    .map((ride) => {
+      const best = (myRides || []).reduce((currentBest, myRide) => {
+        const match = scoreMatch(myRide, ride, options);
+        return match && isBetterMatch(match, currentBest) ? match : currentBest;
+      }, null);
+      return best ? { ...ride, match: best } : null;
+    })
+    .filter(Boolean);
+
+  return sortMatches(matches, options.sortBy);
+};
+
+/**
+ * Count how many candidates match each of the given rides. Occurrences of a
+ * recurring ride (see utils/recurrence) are added up under their series id.
+ * @param {object[]} rides rides to count matches for (need an `id`)
+ * @param {object[]} candidates
+ * @param {MatchOptions} [options]
+ * @returns {Object<string, number>} ride id -> number of matching candidates
+ */
+export const countMatchesByRide = (rides, candidates, options = {}) =>
+  (rides || []).reduce((counts, ride) => {
+    const seriesId = getSeriesId(ride);
+    counts[seriesId] =
+      (counts[seriesId] || 0) +
+      (candidates || []).filter(
+        (candidate) =>
+          candidate.id !== ride.id && scoreMatch(ride, candidate, options)
+      ).length;
+    return counts;
+  }, {});
@@ -0,0 +1,407 @@
+import {
+  DEFAULT_MATCH_WINDOW,
+  countMatchesByRide,
+  findMatches,
+  getRouteOverlap,
+  getTimeDeltaMinutes,
+  normalizeLocation,
+  scoreMatch,
+  sortMatches,
+} from "./rideMatching";
+
+// All times are UTC so the suite behaves the same in every timezone and
+// never crosses a daylight saving change.
+const ride = (overrides = {}) => ({
+  id: "ride",
+  user_id: "other",
+  from: "Campus",
+  to: "Kuril",
+  time: "2025-03-10T08:00:00.000Z",
+  gender: "Female",
+  ...overrides,
+});
+
+const myRide = (overrides = {}) =>
+  ride({ id: "mine", user_id: "me", ...overrides });
+
+describe("normalizeLocation", () => {
+  test("ignores case and surrounding whitespace", () => {
+    expect(normalizeLocation("  Future   PARK ")).toBe("future park");
+  });
+
+  test("treats missing names as empty", () => {
+    expect(normalizeLocation(undefined)).toBe("");
+    expect(normalizeLocation(null)).toBe("");
+  });
+});
+
+describe("getTimeDeltaMinutes", () => {
+  test("is symmetric", () => {
+    const a = "2025-03-10T08:00:00.000Z";
+    const b = "2025-03-10T08:35:00.000Z";
+    expect(getTimeDeltaMinutes(a, b)).toBe(35);
+    expect(getTimeDeltaMinutes(b, a)).toBe(35);
+  });
+
+  test("spans midnight", () => {
+    expect(
+      getTimeDeltaMinutes(
+        "2025-03-10T23:50:00.000Z",
+        "2025-03-11T00:10:00.000Z"
+      )
+    ).toBe(20);
+  });
+
+  test("returns NaN for invalid times", () => {
+    expect(getTimeDeltaMinutes("not a date", ride().time)).toBeNaN();
+  });
+});
+
+describe("getRouteOverlap", () => {
+  test("scores a full route match", () => {
+    expect(getRouteOverlap(myRide(), ride())).toEqual({
+      score: 1,
+      reason: "Same pickup and drop",
+    });
+  });
+
+  test("compares locations case-insensitively", () => {
+    expect(
+      getRouteOverlap(myRide(), ride({ from: "campus ", to: "KURIL" })).score
+    ).toBe(1);
+  });
+
+  test("uses the location resolver for aliases", () => {
+    const resolve = (name) =>
+      normalizeLocation(name) === "aiub" ? "campus" : normalizeLocation(name);
+    expect(
+      getRouteOverlap(myRide(), ride({ from: "AIUB" }), {
+        resolveLocation: resolve,
+      }).score
+    ).toBe(1);
+  });
+
+  test("scores a shared pickup or drop as partial", () => {
+    expect(getRouteOverlap(myRide(), ride({ to: "Future Park" }))).toEqual({
+      score: 0.5,
+      reason: "Same pickup point",
+    });
+    expect(getRouteOverlap(myRide(), ride({ from: "Future Park" }))).toEqual({
+      score: 0.5,
+      reason: "Same drop point",
+    });
+  });
+
+  test("scores unrelated routes as zero", () => {
+    expect(
+      getRouteOverlap(myRide(), ride({ from: "Kuril", to: "Future Park" }))
+        .score
+    ).toBe(0);
+  });
+});
+
+describe("getRouteOverlap with coordinates", () => {
+  // Points on one east-west street, roughly 1 km per 0.01 degree
+  const points = {
+    West: { latitude: 23.8, longitude: 90.4 },
+    "West Gate": { latitude: 23.8, longitude: 90.402 },
+    Middle: { latitude: 23.8, longitude: 90.42 },
+    East: { latitude: 23.8, longitude: 90.44 },
+    "East Gate": { latitude: 23.8, longitude: 90.4415 },
+  };
+  const options = {
+    locateLocation: (name) => points[name] || null,
+    radiusKm: 0.5,
+  };
+  const trip = (from, to) => ride({ from, to });
+
+  test("treats nearby pickups and drops as the same route", () => {
+    expect(
+      getRouteOverlap(
+        trip("West", "East"),
+        trip("West Gate", "East Gate"),
+        options
+      )
+    ).toEqual({ score: 1, reason: "Nearby pickup and drop" });
+  });
+
+  test("needs a radius to use coordinates", () => {
+    expect(
+      getRouteOverlap(trip("West", "East"), trip("West Gate", "East Gate"), {
+        ...options,
+        radiusKm: 0,
+      }).score
+    ).toBe(0);
+  });
+
+  test("matches a drop along the other rider's way", () => {
+    expect(
+      getRouteOverlap(trip("West", "Middle"), trip("West", "East"), options)
+    ).toEqual({ score: 0.8, reason: "Your drop is on their way" });
+    expect(
+      getRouteOverlap(
+        trip("West", "East"),
+        trip("West Gate", "Middle"),
+        options
+      )
+    ).toEqual({ score: 0.8, reason: "Their drop is on your way" });
+  });
+
+  test("matches a pickup along the other rider's way", () => {
+    expect(
+      getRouteOverlap(trip("Middle", "East"), trip("West", "East"), options)
+    ).toEqual({ score: 0.8, reason: "They pass your pickup" });
+    expect(
+      getRouteOverlap(
+        trip("West", "East"),
+        trip("Middle", "East Gate"),
+        options
+      )
+    ).toEqual({ score: 0.8, reason: "You pass their pickup" });
+  });
+
+  test("does not match trips going the opposite way", () => {
+    expect(
+      getRouteOverlap(trip("West", "East"), trip("East", "West"), options).score
+    ).toBe(0);
+  });
+
+  test("reports how far apart partial matches are", () => {
+    const north = { latitude: 23.9, longitude: 90.4 };
+    expect(
+      getRouteOverlap(trip("West", "East"), trip("West Gate", "North"), {
+        ...options,
+        locateLocation: (name) => (name === "North" ? north : points[name]),
+      })
+    ).toEqual({ score: 0.5, reason: "Pickups 203 m apart" });
+  });
+
+  test("ignores proximity for trips shorter than the radius", () => {
+    expect(
+      getRouteOverlap(trip("West", "West Gate"), trip("West Gate", "West"), {
+        ...options,
+        radiusKm: 1,
+      }).score
+    ).toBe(0);
+  });
+
+  test("falls back to names when coordinates are missing", () => {
+    expect(
+      getRouteOverlap(
+        trip("West", "Unknown"),
+        trip("West Gate", "Unknown"),
+        options
+      )
+    ).toEqual({ score: 0.5, reason: "Same drop point" });
+  });
+});
+
+describe("scoreMatch", () => {
+  test("gives an identical ride a perfect score", () => {
+    const match = scoreMatch(myRide(), ride());
+    expect(match.score).toBe(100);
+    expect(match.timeDelta).toBe(0);
+    expect(match.reasons).toEqual([
+      "Same pickup and drop",
+      "Leaves at the same time as yours",
+    ]);
+  });
+
+  test("uses the default window when none is given", () => {
+    const edge = ride({ time: "2025-03-10T08:30:00.000Z" });
+    const outside = ride({ time: "2025-03-10T08:31:00.000Z" });
+    expect(DEFAULT_MATCH_WINDOW).toBe(30);
+    expect(scoreMatch(myRide(), edge)).not.toBeNull();
+    expect(scoreMatch(myRide(), outside)).toBeNull();
+  });
+
+  test("accepts rides 35 minutes apart with a wider window", () => {
+    const later = ride({ time: "2025-03-10T08:35:00.000Z" });
+    expect(scoreMatch(myRide(), later, { windowMinutes: 30 })).toBeNull();
+
+    const match = scoreMatch(myRide(), later, { windowMinutes: 45 });
+    expect(match.timeDelta).toBe(35);
+    expect(match.reasons).toContain("Leaves 35 min after yours");
+  });
+
+  test("matches rides on either side of midnight", () => {
+    const lateNight = myRide({ time: "2025-03-10T23:50:00.000Z" });
+    const afterMidnight = ride({ time: "2025-03-11T00:10:00.000Z" });
+    const match = scoreMatch(lateNight, afterMidnight);
+    expect(match).not.toBeNull();
+    expect(match.timeDelta).toBe(20);
+
+    const reverse = scoreMatch(
+      myRide({ time: "2025-03-11T00:10:00.000Z" }),
+      ride({ time: "2025-03-10T23:50:00.000Z" })
+    );
+    expect(reverse.reasons).toContain("Leaves 20 min before yours");
+  });
+
+  test("ranks closer departures higher", () => {
+    const close = scoreMatch(myRide(), ride({ time: "2025-03-10T08:05:00Z" }));
+    const far = scoreMatch(myRide(), ride({ time: "2025-03-10T08:25:00Z" }));
+    expect(close.score).toBeGreaterThan(far.score);
+  });
+
+  test("ranks full routes above partial routes at the same time", () => {
+    const full = scoreMatch(myRide(), ride());
+    const partial = scoreMatch(myRide(), ride({ to: "Future Park" }));
+    expect(full.score).toBeGreaterThan(partial.score);
+  });
+
+  test("rejects my own rides", () => {
+    expect(scoreMatch(myRide(), myRide({ id: "other-mine" }))).toBeNull();
+  });
+
+  test("rejects rides posted for a different gender", () => {
+    expect(scoreMatch(myRide(), ride({ gender: "Male" }))).toBeNull();
+  });
+
+  test("matches across genders only when both rides opted in", () => {
+    const anyone = { partner_preference: "anyone" };
+    const male = ride({ gender: "Male", ...anyone });
+    expect(scoreMatch(myRide(), male)).toBeNull();
+    expect(scoreMatch(myRide(anyone), male).score).toBe(100);
+  });
+
+  test("rejects invalid times and missing rides", () => {
+    expect(scoreMatch(myRide(), ride({ time: "garbage" }))).toBeNull();
+    expect(scoreMatch(null, ride())).toBeNull();
+    expect(scoreMatch(myRide(), undefined)).toBeNull();
+  });
+
+  test("lowers the score for clashing preferences by default", () => {
+    const cng = myRide({ preferences: { transport: "cng", quiet: true } });
+    const match = scoreMatch(cng, ride({ preferences: { transport: "bus" } }));
+    expect(match.score).toBe(80);
+    expect(match.reasons).toEqual([
+      "Same pickup and drop",
+      "Leaves at the same time as yours",
+      "Going by Bus",
+      "Only one of you asked for a quiet ride",
+    ]);
+  });
+
+  test("drops clashing preferences in hard mode", () => {
+    const cng = myRide({ preferences: { transport: "cng" } });
+    const options = { preferenceMode: "hard" };
+    expect(
+      scoreMatch(cng, ride({ preferences: { transport: "bus" } }), options)
+    ).toBeNull();
+    expect(scoreMatch(cng, ride(), options).reasons).toHaveLength(2);
+    expect(
+      scoreMatch(cng, ride({ preferences: { transport: "cng" } }), options)
+        .reasons
+    ).toContain("Also going by CNG");
+  });
+});
+
+describe("findMatches", () => {
+  test("returns an empty list for empty or missing inputs", () => {
+    expect(findMatches([], [ride()])).toEqual([]);
+    expect(findMatches([myRide()], [])).toEqual([]);
+    expect(findMatches(null, undefined)).toEqual([]);
+  });
+
+  test("keeps the best of my rides for each candidate", () => {
+    const morning = myRide({ id: "morning" });
+    const closer = myRide({ id: "closer", time: "2025-03-10T08:10:00Z" });
+    const candidate = ride({ time: "2025-03-10T08:12:00Z" });
+
+    const [match] = findMatches([morning, closer], [candidate]);
+    expect(match.id).toBe("ride");
+    expect(match.match.myRide.id).toBe("closer");
+  });
+
+  test("drops candidates that match none of my rides", () => {
+    const matches = findMatches(
+      [myRide()],
+      [
+        ride({ id: "a" }),
+        ride({ id: "b", time: "2025-03-10T12:00:00Z" }),
+        ride({ id: "c", from: "Kuril", to: "Future Park" }),
+      ]
+    );
+    expect(matches.map((m) => m.id)).toEqual(["a"]);
+  });
+
+  test("orders by best match by default", () => {
+    const matches = findMatches(
+      [myRide()],
+      [
+        ride({ id: "partial", to: "Future Park" }),
+        ride({ id: "later", time: "2025-03-10T08:20:00Z" }),
+        ride({ id: "exact" }),
+      ]
+    );
+    expect(matches.map((m) => m.id)).toEqual(["exact", "later", "partial"]);
+  });
+
+  test("can order by departure time", () => {
+    const matches = findMatches(
+      [myRide()],
+      [
+        ride({ id: "later", time: "2025-03-10T08:20:00Z" }),
+        ride({ id: "earlier", time: "2025-03-10T07:50:00Z" }),
+      ],
+      { sortBy: "time" }
+    );
+    expect(matches.map((m) => m.id)).toEqual(["earlier", "later"]);
+  });
+
+  test("does not mutate the candidate rides", () => {
+    const candidate = ride();
+    findMatches([myRide()], [candidate]);
+    expect(candidate.match).toBeUndefined();
+  });
+});
+
+describe("sortMatches", () => {
+  test("breaks score ties by the smaller time difference", () => {
+    const sorted = sortMatches([
+      { id: "a", match: { score: 80, timeDelta: 10 } },
+      { id: "b", match: { score: 80, timeDelta: 5 } },
+      { id: "c", match: { score: 90, timeDelta: 20 } },
+    ]);
+    expect(sorted.map((m) => m.id)).toEqual(["c", "b", "a"]);
+  });
+});
+
+describe("countMatchesByRide", () => {
+  test("counts matching candidates per ride", () => {
+    const mine = [myRide({ id: "m1" }), myRide({ id: "m2", to: "Uttara" })];
+    const candidates = [
+      ride({ id: "a" }),
+      ride({ id: "b", time: "2025-03-10T08:15:00Z" }),
+      ride({ id: "c", from: "Kuril", to: "Uttara" }),
+    ];
+    expect(countMatchesByRide(mine, candidates)).toEqual({ m1: 2, m2: 3 });
+  });
+
+  test("never counts a ride as matching itself", () => {
+    const rides = [ride({ id: "a" }), ride({ id: "b", user_id: "third" })];
+    expect(countMatchesByRide(rides, rides)).toEqual({ a: 1, b: 1 });
+  });
+
+  test("adds up occurrences of a recurring ride under the series", () => {
+    const occurrences = [
+      myRide({ id: "m1@2025-03-10", series_id: "m1" }),
+      myRide({
+        id: "m1@2025-03-11",
+        series_id: "m1",
+        time: "2025-03-11T08:00:00.000Z",
+      }),
+    ];
+    const candidates = [
+      ride({ id: "a" }),
+      ride({ id: "b", time: "2025-03-11T08:10:00.000Z" }),
+    ];
+    expect(countMatchesByRide(occurrences, candidates)).toEqual({ m1: 2 });
+  });
+
+  test("handles missing inputs", () => {
+    expect(countMatchesByRide(undefined, [ride()])).toEqual({});
+    expect(countMatchesByRide([myRide()], null)).toEqual({ mine: 0 });
+  });
+});
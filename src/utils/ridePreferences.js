@@ -0,0 +1,126 @@
+// Optional preferences stored with a ride in the `rides.preferences` JSON
+// column:
+//   { transport, luggage, quiet, accessible }
+// `transport` is how the poster wants to travel (null for any); the flags
+// mean "I'm bringing luggage", "I'd like a quiet ride" and "I need an
+// accessible vehicle". Rides without preferences behave as before.
+
+export const TRANSPORT_MODES = {
+  CNG: "cng",
+  RIDE_HAILING: "ride_hailing",
+  BUS: "bus",
+};
+
+export const TRANSPORT_MODE_LABELS = {
+  [TRANSPORT_MODES.CNG]: "CNG",
+  [TRANSPORT_MODES.RIDE_HAILING]: "Ride-hailing",
+  [TRANSPORT_MODES.BUS]: "Bus",
+};
+
+export const EMPTY_PREFERENCES = {
+  transport: "",
+  luggage: false,
+  quiet: false,
+  accessible: false,
+};
+
+// Each flag as shown on cards, and the reasons given when matching
+const FLAGS = [
+  {
+    key: "luggage",
+    label: "Luggage",
+    agree: "Also bringing luggage",
+    conflict: "Only one of you is bringing luggage",
+  },
+  {
+    key: "quiet",
+    label: "Quiet ride",
+    agree: "Also wants a quiet ride",
+    conflict: "Only one of you asked for a quiet ride",
+  },
+  {
+    key: "accessible",
+    label: "Accessible vehicle",
+    agree: "Also needs an accessible vehicle",
+    conflict: "Only one of you needs an accessible vehicle",
+  },
+];
+
+// How preferences affect matching: "soft" lowers the score of rides that
+// disagree, "hard" drops them
+export const PREFERENCE_MODES = {
+  SOFT: "soft",
+  HARD: "hard",
+};
+export const DEFAULT_PREFERENCE_MODE = PREFERENCE_MODES.SOFT;
+
+/**
+ * A ride's preferences with every field filled in.
+ */
+export const getPreferences = (ride) => ({
+  ...EMPTY_PREFERENCES,
+  ...(ride?.preferences || {}),
+});
+
+/**
+ * The value to store on a ride: only the preferences that are set, or
+ * null when there are none.
+ */
+export const toStoredPreferences = (preferences) => {
+  const stored = {};
+  if (TRANSPORT_MODE_LABELS[preferences.transport]) {
+    stored.transport = preferences.transport;
+  }
+  FLAGS.forEach(({ key }) => {
+    if (preferences[key]) stored[key] = true;
+  });
+  return Object.keys(stored).length ? stored : null;
+};
+
+/**
+ * Short labels for the preferences set on a ride, for cards.
+ * @returns {string[]}
+ */
+export const describePreferences = (ride) => {
+  const preferences = getPreferences(ride);
+  const labels = [];
+  if (TRANSPORT_MODE_LABELS[preferences.transport]) {
+    labels.push(TRANSPORT_MODE_LABELS[preferences.transport]);
+  }
+  FLAGS.forEach(({ key, label }) => {
+    if (preferences[key]) labels.push(label);
+  });
+  return labels;
+};
+
+/**
+ * Where two rides' preferences agree and where they clash. A transport
+ * mode clashes only with a different mode; a flag clashes when just one
+ * side set it.
+ * @returns {{ agreements: string[], conflicts: string[] }}
+ */
+export const comparePreferences = (myRide, ride) => {
+  const mine = getPreferences(myRide);
+  const theirs = getPreferences(ride);
+  const agreements = [];
+  const conflicts = [];
+
+  if (mine.transport && theirs.transport) {
+    if (mine.transport === theirs.transport) {
+      agreements.push(
+        `Also going by ${TRANSPORT_MODE_LABELS[theirs.transport]}`
+      );
+    } else {
+      conflicts.push(
+        `Going by ${TRANSPORT_MODE_LABELS[theirs.transport] || "another way"}`
+      );
+    }
+  }
+
+  FLAGS.forEach(({ key, agree, conflict }) => {
+    if (mine[key] && theirs[key]) agreements.push(agree);
+    else if (mine[key] !== theirs[key]) conflicts.push(conflict);
+  });
+
+  return { agreements, conflicts };
+};
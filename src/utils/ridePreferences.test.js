@@ -0,0 +1,68 @@
+import {
+  EMPTY_PREFERENCES,
+  comparePreferences,
+  describePreferences,
+  getPreferences,
+  toStoredPreferences,
+} from "./ridePreferences";
+
+describe("stored preferences", () => {
+  test("keeps only what was set", () => {
+    expect(toStoredPreferences(EMPTY_PREFERENCES)).toBeNull();
+    expect(
+      toStoredPreferences({
+        ...EMPTY_PREFERENCES,
+        transport: "cng",
+        quiet: true,
+      })
+    ).toEqual({ transport: "cng", quiet: true });
+    expect(
+      toStoredPreferences({ ...EMPTY_PREFERENCES, transport: "boat" })
+    ).toBeNull();
+  });
+
+  test("fills in rides without preferences", () => {
+    expect(getPreferences({})).toEqual(EMPTY_PREFERENCES);
+    expect(getPreferences({ preferences: { luggage: true } }).luggage).toBe(
+      true
+    );
+  });
+
+  test("describes them for cards", () => {
+    expect(
+      describePreferences({
+        preferences: { transport: "ride_hailing", accessible: true },
+      })
+    ).toEqual(["Ride-hailing", "Accessible vehicle"]);
+    expect(describePreferences({ preferences: null })).toEqual([]);
+  });
+});
+
+describe("comparePreferences", () => {
+  test("agrees when both rides ask for the same thing", () => {
+    expect(
+      comparePreferences(
+        { preferences: { transport: "cng", luggage: true } },
+        { preferences: { transport: "cng", luggage: true } }
+      )
+    ).toEqual({
+      agreements: ["Also going by CNG", "Also bringing luggage"],
+      conflicts: [],
+    });
+  });
+
+  test("lets a ride without a transport mode go with any", () => {
+    expect(
+      comparePreferences({ preferences: { transport: "bus" } }, {})
+    ).toEqual({ agreements: [], conflicts: [] });
+  });
+
+  test("clashes on different modes and one-sided flags", () => {
+    expect(
+      comparePreferences(
+        { preferences: { transport: "bus" } },
+        { preferences: { transport: "cng", accessible: true } }
+      ).conflicts
+    ).toEqual(["Going by CNG", "Only one of you needs an accessible vehicle"]);
+  });
+});
@@ -0,0 +1,108 @@
+// Join requests between riders, stored in the `ride_requests` table:
+//   { id, ride_id, requester_id, status, created_at }
+// A rider asks to join someone else's ride and the owner accepts or
+// declines. Each acceptance takes a seat (see seats.js); once the last seat
+// goes the ride itself (`rides.status`) is marked matched so it stops being
+// offered to anyone else. Requests on a recurring ride are for the whole
+// series.
+
+import { isRideOpen } from "./rideStatus";
+import { hasFreeSeat } from "./seats";
+
+export const REQUEST_STATUS = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  CANCELLED: "cancelled",
+};
+
+// Allowed moves between request statuses
+const TRANSITIONS = {
+  [REQUEST_STATUS.PENDING]: [
+    REQUEST_STATUS.ACCEPTED,
+    REQUEST_STATUS.DECLINED,
+    REQUEST_STATUS.CANCELLED,
+  ],
+  [REQUEST_STATUS.ACCEPTED]: [REQUEST_STATUS.CANCELLED],
+  [REQUEST_STATUS.DECLINED]: [],
+  [REQUEST_STATUS.CANCELLED]: [],
+};
+
+export const canTransition = (from, to) =>
+  (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Whether the owner may move `request` to `status` on `ride`. Accepting
+ * needs the ride open with a seat left, so a full ride can't be
+ * over-accepted.
+ */
+export const canRespond = (ride, request, status) =>
+  canTransition(request.status, status) &&
+  (status !== REQUEST_STATUS.ACCEPTED || hasFreeSeat(ride));
+
+/**
+ * Whether the rider can still pull out: pending requests are withdrawn,
+ * accepted ones give their seat back (`leave_ride`, see README "Seats").
+ */
+export const canCancelRequest = (request) =>
+  Boolean(request) && canTransition(request.status, REQUEST_STATUS.CANCELLED);
+
+// Cancelled requests don't count, so the rider can ask again
+export const isActiveRequest = (request) =>
+  Boolean(request) && request.status !== REQUEST_STATUS.CANCELLED;
+
+/**
+ * Index requests by ride, keeping the most recent one for each ride.
+ * @param {object[]} requests
+ * @returns {Object<string, object>}
+ */
+export const indexRequestsByRide = (requests) =>
+  (requests || []).reduce((index, request) => {
+    const current = index[request.ride_id];
+    if (
+      !current ||
+      new Date(request.created_at) >= new Date(current.created_at)
+    ) {
+      index[request.ride_id] = request;
+    }
+    return index;
+  }, {});
+
+/**
+ * Whether `userId` may ask to join `ride`, given their latest request.
+ */
+export const canRequestToJoin = (ride, request, userId) =>
+  Boolean(ride) &&
+  ride.user_id !== userId &&
+  isRideOpen(ride) &&
+  !isActiveRequest(request);
+
+/**
+ * Whether a ride should still be listed for a rider: open rides, plus
+ * matched rides the rider was accepted on so they can see the outcome.
+ */
+export const isRideVisibleTo = (ride, request) =>
+  isRideOpen(ride) || request?.status === REQUEST_STATUS.ACCEPTED;
+
+/**
+ * Number of pending requests per ride id.
+ * @returns {Object<string, number>}
+ */
+export const countPendingRequests = (requests) =>
+  (requests || []).reduce((counts, request) => {
+    if (request.status === REQUEST_STATUS.PENDING) {
+      counts[request.ride_id] = (counts[request.ride_id] || 0) + 1;
+    }
+    return counts;
+  }, {});
+
+/**
+ * Order requests for the owner's inbox: pending first, then newest first.
+ */
+export const sortRequestsForInbox = (requests) =>
+  [...(requests || [])].sort((a, b) => {
+    const aPending = a.status === REQUEST_STATUS.PENDING ? 0 : 1;
+    const bPending = b.status === REQUEST_STATUS.PENDING ? 0 : 1;
+    if (aPending !== bPending) return aPending - bPending;
+    return new Date(b.created_at) - new Date(a.created_at);
+  });
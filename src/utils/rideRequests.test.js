@@ -0,0 +1,145 @@
+import {
+  REQUEST_STATUS,
+  canCancelRequest,
+  canRequestToJoin,
+  canRespond,
+  canTransition,
+  countPendingRequests,
+  indexRequestsByRide,
+  isRideVisibleTo,
+  sortRequestsForInbox,
+} from "./rideRequests";
+import { RIDE_STATUS } from "./rideStatus";
+
+const ride = { id: "r1", user_id: "owner", status: RIDE_STATUS.OPEN };
+
+const request = (overrides) => ({
+  id: "q1",
+  ride_id: "r1",
+  requester_id: "rider",
+  status: REQUEST_STATUS.PENDING,
+  created_at: "2025-01-01T08:00:00Z",
+  ...overrides,
+});
+
+describe("canTransition", () => {
+  test("lets the owner answer pending requests", () => {
+    expect(canTransition("pending", "accepted")).toBe(true);
+    expect(canTransition("pending", "declined")).toBe(true);
+  });
+
+  test("does not reopen answered requests", () => {
+    expect(canTransition("declined", "accepted")).toBe(false);
+    expect(canTransition("cancelled", "pending")).toBe(false);
+    expect(canTransition("unknown", "accepted")).toBe(false);
+  });
+});
+
+describe("canRespond", () => {
+  test("accepts only while the ride has a seat left", () => {
+    const open = { ...ride, seats_available: 1 };
+    expect(canRespond(open, request(), REQUEST_STATUS.ACCEPTED)).toBe(true);
+    expect(
+      canRespond({ ...open, seats_available: 0 }, request(), "accepted")
+    ).toBe(false);
+    expect(
+      canRespond(
+        { ...open, status: RIDE_STATUS.MATCHED },
+        request(),
+        "accepted"
+      )
+    ).toBe(false);
+  });
+
+  test("still lets a full ride's owner decline", () => {
+    const full = { ...ride, seats_available: 0, status: RIDE_STATUS.MATCHED };
+    expect(canRespond(full, request(), REQUEST_STATUS.DECLINED)).toBe(true);
+    expect(
+      canRespond(ride, request({ status: "declined" }), REQUEST_STATUS.ACCEPTED)
+    ).toBe(false);
+  });
+});
+
+describe("canCancelRequest", () => {
+  test("covers pending and accepted requests", () => {
+    expect(canCancelRequest(request())).toBe(true);
+    expect(canCancelRequest(request({ status: "accepted" }))).toBe(true);
+    expect(canCancelRequest(request({ status: "declined" }))).toBe(false);
+    expect(canCancelRequest(undefined)).toBe(false);
+  });
+});
+
+describe("indexRequestsByRide", () => {
+  test("keeps the latest request per ride", () => {
+    const index = indexRequestsByRide([
+      request({ id: "old", status: REQUEST_STATUS.CANCELLED }),
+      request({ id: "new", created_at: "2025-01-02T08:00:00Z" }),
+      request({ id: "other", ride_id: "r2" }),
+    ]);
+    expect(index.r1.id).toBe("new");
+    expect(index.r2.id).toBe("other");
+  });
+});
+
+describe("canRequestToJoin", () => {
+  test("allows a first request on someone else's open ride", () => {
+    expect(canRequestToJoin(ride, undefined, "rider")).toBe(true);
+  });
+
+  test("rejects own rides, matched rides and duplicate requests", () => {
+    expect(canRequestToJoin(ride, undefined, "owner")).toBe(false);
+    expect(
+      canRequestToJoin({ ...ride, status: RIDE_STATUS.MATCHED }, undefined)
+    ).toBe(false);
+    expect(canRequestToJoin(ride, request(), "rider")).toBe(false);
+  });
+
+  test("allows asking again after cancelling", () => {
+    expect(
+      canRequestToJoin(
+        ride,
+        request({ status: REQUEST_STATUS.CANCELLED }),
+        "rider"
+      )
+    ).toBe(true);
+  });
+});
+
+describe("isRideVisibleTo", () => {
+  const matched = { ...ride, status: RIDE_STATUS.MATCHED };
+
+  test("hides matched rides from other riders", () => {
+    expect(isRideVisibleTo(matched, undefined)).toBe(false);
+    expect(isRideVisibleTo(matched, request())).toBe(false);
+  });
+
+  test("keeps matched rides visible to the accepted rider", () => {
+    expect(
+      isRideVisibleTo(matched, request({ status: REQUEST_STATUS.ACCEPTED }))
+    ).toBe(true);
+  });
+});
+
+describe("countPendingRequests", () => {
+  test("counts only pending requests per ride", () => {
+    expect(
+      countPendingRequests([
+        request(),
+        request({ id: "q2" }),
+        request({ id: "q3", status: REQUEST_STATUS.DECLINED }),
+        request({ id: "q4", ride_id: "r2" }),
+      ])
+    ).toEqual({ r1: 2, r2: 1 });
+  });
+});
+
+describe("sortRequestsForInbox", () => {
+  test("lists pending requests first, newest first", () => {
+    const sorted = sortRequestsForInbox([
+      request({ id: "accepted", status: REQUEST_STATUS.ACCEPTED }),
+      request({ id: "older" }),
+      request({ id: "newer", created_at: "2025-01-03T08:00:00Z" }),
+    ]);
+    expect(sorted.map((r) => r.id)).toEqual(["newer", "older", "accepted"]);
+  });
+});
@@ -0,0 +1,136 @@
+// Lifecycle of a ride, stored in `rides.status`. A ride starts open,
+// becomes matched once its last seat is taken (and open again if a seat
+// frees up), and ends completed, cancelled or expired. Rides posted before
+// statuses existed have none and count as open.
+//
+// Expiry is never waited on: once a ride's last departure has passed it is
+// treated as expired (or completed, if it was matched) straight away, and
+// the stored status is brought in line when its owner next looks.
+
+import { expandRides, isRecurring } from "./recurrence";
+import {
+  addDays,
+  getWeekday,
+  toISODateTime,
+  toLocalDateString,
+  toLocalTimeString,
+} from "./dates";
+
+export const RIDE_STATUS = {
+  OPEN: "open",
+  MATCHED: "matched",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+  EXPIRED: "expired",
+};
+
+// Allowed moves between statuses. An expired ride can be reopened by
+// giving it a new departure time.
+const TRANSITIONS = {
+  [RIDE_STATUS.OPEN]: [
+    RIDE_STATUS.MATCHED,
+    RIDE_STATUS.CANCELLED,
+    RIDE_STATUS.EXPIRED,
+  ],
+  [RIDE_STATUS.MATCHED]: [
+    RIDE_STATUS.OPEN,
+    RIDE_STATUS.COMPLETED,
+    RIDE_STATUS.CANCELLED,
+  ],
+  [RIDE_STATUS.EXPIRED]: [RIDE_STATUS.OPEN],
+  [RIDE_STATUS.COMPLETED]: [],
+  [RIDE_STATUS.CANCELLED]: [],
+};
+
+export const canChangeStatus = (from, to) =>
+  (TRANSITIONS[from] || []).includes(to);
+
+export const getStoredStatus = (ride) => ride?.status || RIDE_STATUS.OPEN;
+
+// Only the stored status; see getEffectiveStatus for expiry
+export const isRideOpen = (ride) => getStoredStatus(ride) === RIDE_STATUS.OPEN;
+
+/**
+ * When the ride last leaves: its time for one-off rides, or the final
+ * occurrence of a series. Null for a series without an end date.
+ * @returns {Date|null}
+ */
+export const getLastDeparture = (ride) => {
+  if (!isRecurring(ride)) return ride?.time ? new Date(ride.time) : null;
+
+  const {
+    weekdays,
+    until,
+    skip_dates: skipDates = [],
+    overrides = {},
+  } = ride.recurrence;
+  if (!until) return null;
+
+  const firstDate = toLocalDateString(ride.time);
+  for (let date = until; date >= firstDate; date = addDays(date, -1)) {
+    if (weekdays.includes(getWeekday(date)) && !skipDates.includes(date)) {
+      return new Date(
+        toISODateTime(date, overrides[date] || toLocalTimeString(ride.time))
+      );
+    }
+  }
+  return new Date(ride.time);
+};
+
+/**
+ * The status a ride really has at `now`, taking departures that have
+ * passed into account.
+ */
+export const getEffectiveStatus = (ride, now = new Date()) => {
+  const status = getStoredStatus(ride);
+  const lastDeparture = getLastDeparture(ride);
+  const departed = lastDeparture !== null && lastDeparture <= now;
+
+  if (departed && status === RIDE_STATUS.OPEN) return RIDE_STATUS.EXPIRED;
+  if (departed && status === RIDE_STATUS.MATCHED) return RIDE_STATUS.COMPLETED;
+  return status;
+};
+
+/**
+ * Open or matched rides that still have a departure ahead.
+ */
+export const isUpcoming = (ride, now = new Date()) =>
+  [RIDE_STATUS.OPEN, RIDE_STATUS.MATCHED].includes(
+    getEffectiveStatus(ride, now)
+  );
+
+/**
+ * Whether the owner may still change a ride. Expired rides can be given a
+ * new time; completed and cancelled ones are history.
+ */
+export const isEditable = (ride, now = new Date()) =>
+  [RIDE_STATUS.OPEN, RIDE_STATUS.MATCHED, RIDE_STATUS.EXPIRED].includes(
+    getEffectiveStatus(ride, now)
+  );
+
+/**
+ * Future occurrences of upcoming rides.
+ */
+export const getUpcomingOccurrences = (rides, now = new Date()) =>
+  expandRides(
+    (rides || []).filter((ride) => isUpcoming(ride, now)),
+    { from: now }
+  ).filter((occurrence) => new Date(occurrence.time) > now);
+
+/**
+ * Future occurrences of open rides: the only ones offered for matching.
+ */
+export const getMatchableOccurrences = (rides, now = new Date()) =>
+  getUpcomingOccurrences(
+    (rides || []).filter((ride) => isRideOpen(ride)),
+    now
+  );
+
+/**
+ * Rides whose stored status is behind their effective one, as
+ * `{ id, status }` updates to save.
+ */
+export const getStatusUpdates = (rides, now = new Date()) =>
+  (rides || [])
+    .filter((ride) => getEffectiveStatus(ride, now) !== getStoredStatus(ride))
+    .map((ride) => ({ id: ride.id, status: getEffectiveStatus(ride, now) }));
@@ -0,0 +1,160 @@
+import {
+  RIDE_STATUS,
+  canChangeStatus,
+  getEffectiveStatus,
+  getLastDeparture,
+  getMatchableOccurrences,
+  getStatusUpdates,
+  getUpcomingOccurrences,
+  isEditable,
+  isRideOpen,
+  isUpcoming,
+} from "./rideStatus";
+
+// Monday 6 January 2025, 09:00 local time
+const now = new Date(2025, 0, 6, 9, 0);
+const at = (day, hour, minute = 0) =>
+  new Date(2025, 0, day, hour, minute).toISOString();
+
+const ride = (overrides) => ({
+  id: "r1",
+  user_id: "u1",
+  from: "Campus",
+  to: "Kuril",
+  time: at(6, 17),
+  ...overrides,
+});
+
+describe("canChangeStatus", () => {
+  test("follows the lifecycle", () => {
+    expect(canChangeStatus("open", "matched")).toBe(true);
+    expect(canChangeStatus("matched", "open")).toBe(true);
+    expect(canChangeStatus("matched", "completed")).toBe(true);
+    expect(canChangeStatus("expired", "open")).toBe(true);
+  });
+
+  test("keeps finished rides finished", () => {
+    expect(canChangeStatus("cancelled", "open")).toBe(false);
+    expect(canChangeStatus("completed", "matched")).toBe(false);
+    expect(canChangeStatus("open", "completed")).toBe(false);
+  });
+});
+
+describe("isRideOpen", () => {
+  test("treats rides without a status as open", () => {
+    expect(isRideOpen({ id: "r2" })).toBe(true);
+    expect(isRideOpen({ status: RIDE_STATUS.MATCHED })).toBe(false);
+  });
+});
+
+describe("getLastDeparture", () => {
+  test("is the departure time of a one-off ride", () => {
+    expect(getLastDeparture(ride())).toEqual(new Date(at(6, 17)));
+  });
+
+  test("is the final occurrence of a series", () => {
+    const series = ride({
+      time: at(6, 8, 30),
+      recurrence: {
+        weekdays: [1, 3],
+        until: "2025-01-19", // a Sunday
+        skip_dates: ["2025-01-15"],
+        overrides: { "2025-01-13": "10:00" },
+      },
+    });
+    expect(getLastDeparture(series)).toEqual(new Date(at(13, 10)));
+  });
+
+  test("is null for a series without an end", () => {
+    expect(
+      getLastDeparture(ride({ recurrence: { weekdays: [1], until: "" } }))
+    ).toBeNull();
+  });
+});
+
+describe("getEffectiveStatus", () => {
+  test("keeps future rides as stored", () => {
+    expect(getEffectiveStatus(ride(), now)).toBe("open");
+    expect(getEffectiveStatus(ride({ status: "matched" }), now)).toBe(
+      "matched"
+    );
+  });
+
+  test("expires open rides and completes matched ones once departed", () => {
+    const past = { time: at(6, 8) };
+    expect(getEffectiveStatus(ride(past), now)).toBe("expired");
+    expect(getEffectiveStatus(ride({ ...past, status: "matched" }), now)).toBe(
+      "completed"
+    );
+    expect(
+      getEffectiveStatus(ride({ ...past, status: "cancelled" }), now)
+    ).toBe("cancelled");
+  });
+
+  test("keeps a series open until its last occurrence", () => {
+    const series = ride({
+      time: at(1, 8),
+      recurrence: { weekdays: [1, 3], until: "2025-01-08" },
+    });
+    expect(getEffectiveStatus(series, now)).toBe("open");
+    expect(isUpcoming(series, now)).toBe(true);
+  });
+});
+
+describe("isEditable", () => {
+  test("allows editing until the ride is finished", () => {
+    const past = { time: at(6, 8) };
+    expect(isEditable(ride(), now)).toBe(true);
+    expect(isEditable(ride(past), now)).toBe(true);
+    expect(isEditable(ride({ ...past, status: "matched" }), now)).toBe(false);
+    expect(isEditable(ride({ status: "cancelled" }), now)).toBe(false);
+  });
+});
+
+describe("occurrences", () => {
+  const rides = [
+    ride({ id: "later" }),
+    ride({ id: "gone", time: at(6, 8) }),
+    ride({ id: "full", status: "matched", time: at(6, 18) }),
+    ride({ id: "off", status: "cancelled", time: at(6, 18) }),
+    ride({
+      id: "series",
+      time: at(1, 8),
+      recurrence: { weekdays: [1, 3], until: "2025-01-08" },
+    }),
+  ];
+
+  test("upcoming covers open and matched future departures", () => {
+    expect(getUpcomingOccurrences(rides, now).map((r) => r.id)).toEqual([
+      "later",
+      "full",
+      "series@2025-01-08",
+    ]);
+  });
+
+  test("only open rides are matchable", () => {
+    expect(getMatchableOccurrences(rides, now).map((r) => r.id)).toEqual([
+      "later",
+      "series@2025-01-08",
+    ]);
+  });
+});
+
+describe("getStatusUpdates", () => {
+  test("lists rides whose stored status has fallen behind", () => {
+    expect(
+      getStatusUpdates(
+        [
+          ride({ id: "a" }),
+          ride({ id: "b", time: at(5, 8) }),
+          ride({ id: "c", time: at(5, 8), status: "matched" }),
+          ride({ id: "d", time: at(5, 8), status: "expired" }),
+        ],
+        now
+      )
+    ).toEqual([
+      { id: "b", status: "expired" },
+      { id: "c", status: "completed" },
+    ]);
+  });
+});
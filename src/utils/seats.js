@@ -0,0 +1,136 @@
+// Seat capacity on a ride. Columns on `rides`:
+//   seats_total      people the vehicle takes, the poster included
+//   companions       people already travelling with the poster
+//   seats_available  seats still open to partners
+// Each accepted join request takes one seat; a ride with no seats left is
+// marked matched and disappears from new searches. An accepted partner who
+// pulls out hands their seat back and reopens the ride.
+
+import { RIDE_STATUS, isRideOpen } from "./rideStatus";
+
+// A CNG takes three passengers; cars and microbuses take more
+export const SEAT_OPTIONS = [2, 3, 4, 5, 6];
+export const DEFAULT_SEATS_TOTAL = 3;
+
+/**
+ * Seats open to partners when a ride is posted.
+ */
+export const getInitialSeats = (seatsTotal, companions = 0) =>
+  Math.max(0, Number(seatsTotal) - 1 - Number(companions));
+
+/**
+ * Check the seat fields before posting.
+ * @returns {string} an error message, or "" when valid
+ */
+export const validateSeats = (seatsTotal, companions = 0) => {
+  const total = Number(seatsTotal);
+  const others = Number(companions);
+  if (!Number.isInteger(total) || total < 2) {
+    return "A ride needs at least two seats";
+  }
+  if (!Number.isInteger(others) || others < 0) {
+    return "Invalid number of companions";
+  }
+  if (getInitialSeats(total, others) === 0) {
+    return "Leave at least one seat for a partner";
+  }
+  return "";
+};
+
+/**
+ * Seats still open on a ride. Rides posted before seats existed take a
+ * single partner.
+ */
+export const getSeatsAvailable = (ride) => {
+  if (!isRideOpen(ride)) return 0;
+  if (ride.seats_available == null) return 1;
+  return Math.max(0, Number(ride.seats_available));
+};
+
+/**
+ * The update to a ride when the owner accepts one more partner. The app
+ * accepts through `accept_ride_request`, which does the same in the
+ * database; services/memoryBackend uses this.
+ * @returns {{ seats_available: number, status: string }}
+ */
+export const takeSeat = (ride) => {
+  const seatsAvailable = Math.max(0, getSeatsAvailable(ride) - 1);
+  return {
+    seats_available: seatsAvailable,
+    status: seatsAvailable === 0 ? RIDE_STATUS.MATCHED : RIDE_STATUS.OPEN,
+  };
+};
+
+/**
+ * Whether the owner can accept one more partner.
+ */
+export const hasFreeSeat = (ride) =>
+  Boolean(ride) && getSeatsAvailable(ride) > 0;
+
+/**
+ * The update to a ride when an accepted partner pulls out. Only a ride
+ * that is still open or matched reopens; cancelled and finished rides are
+ * left alone. Mirrors `leave_ride` for services/memoryBackend.
+ * @returns {{ seats_available: number, status: string }|null}
+ */
+export const releaseSeat = (ride) => {
+  if (!isRideOpen(ride) && ride.status !== RIDE_STATUS.MATCHED) return null;
+  const seats =
+    ride.seats_total == null
+      ? 1
+      : getInitialSeats(ride.seats_total, ride.companions || 0);
+  return {
+    seats_available: Math.min(seats, Number(ride.seats_available ?? 0) + 1),
+    status: RIDE_STATUS.OPEN,
+  };
+};
+
+/**
+ * Partners accepted onto a ride so far.
+ */
+export const getSeatsTaken = (ride) => {
+  // Rides posted before seats existed had room for one partner
+  const seats =
+    ride.seats_total == null
+      ? 1
+      : getInitialSeats(ride.seats_total, ride.companions || 0);
+  const available = ride.seats_available ?? (isRideOpen(ride) ? 1 : 0);
+  return Math.max(0, seats - available);
+};
+
+/**
+ * Everyone confirmed on a ride: the poster, their companions and the
+ * partners accepted so far.
+ */
+export const countConfirmedRiders = (ride) =>
+  1 + Number(ride.companions || 0) + getSeatsTaken(ride);
+
+/**
+ * The seat fields to store when the owner edits a ride's capacity.
+ * Partners already accepted keep their seats; the ride closes or reopens
+ * to match what is left.
+ * @returns {{ seats_total: number, companions: number,
+ *   seats_available: number, status: string }}
+ */
+export const resizeSeats = (ride, seatsTotal, companions = 0) => {
+  const seatsTaken = getSeatsTaken(ride);
+  const seatsAvailable = Math.max(
+    0,
+    getInitialSeats(seatsTotal, companions) - seatsTaken
+  );
+  return {
+    seats_total: Number(seatsTotal),
+    companions: Number(companions),
+    seats_available: seatsAvailable,
+    status: seatsAvailable === 0 ? RIDE_STATUS.MATCHED : RIDE_STATUS.OPEN,
+  };
+};
+
+/**
+ * Short label such as "2 seats left" or "Full".
+ */
+export const describeSeats = (ride) => {
+  const seats = getSeatsAvailable(ride);
+  if (seats === 0) return "Full";
+  return `${seats} ${seats === 1 ? "seat" : "seats"} left`;
+};
@@ -0,0 +1,164 @@
+import {
+  countConfirmedRiders,
+  describeSeats,
+  getInitialSeats,
+  getSeatsAvailable,
+  hasFreeSeat,
+  releaseSeat,
+  resizeSeats,
+  takeSeat,
+  validateSeats,
+} from "./seats";
+
+describe("getInitialSeats", () => {
+  test("leaves room for the poster and their companions", () => {
+    expect(getInitialSeats(3)).toBe(2);
+    expect(getInitialSeats(3, 1)).toBe(1);
+    expect(getInitialSeats("4", "1")).toBe(2);
+    expect(getInitialSeats(2, 3)).toBe(0);
+  });
+});
+
+describe("validateSeats", () => {
+  test("accepts rides with a free seat", () => {
+    expect(validateSeats(3, 1)).toBe("");
+  });
+
+  test("rejects rides without room for a partner", () => {
+    expect(validateSeats(1)).toBe("A ride needs at least two seats");
+    expect(validateSeats(3, 2)).toBe("Leave at least one seat for a partner");
+    expect(validateSeats(3, -1)).toBe("Invalid number of companions");
+  });
+});
+
+describe("getSeatsAvailable", () => {
+  test("reads the stored count", () => {
+    expect(getSeatsAvailable({ seats_available: 2 })).toBe(2);
+  });
+
+  test("gives older rides a single seat", () => {
+    expect(getSeatsAvailable({ id: 1 })).toBe(1);
+  });
+
+  test("has no seats once the ride is matched", () => {
+    expect(getSeatsAvailable({ seats_available: 2, status: "matched" })).toBe(
+      0
+    );
+  });
+});
+
+describe("takeSeat", () => {
+  test("keeps the ride open while seats remain", () => {
+    expect(takeSeat({ seats_available: 2, status: "open" })).toEqual({
+      seats_available: 1,
+      status: "open",
+    });
+  });
+
+  test("marks the ride matched when the last seat goes", () => {
+    expect(takeSeat({ seats_available: 1 })).toEqual({
+      seats_available: 0,
+      status: "matched",
+    });
+    expect(takeSeat({ id: 1 })).toEqual({
+      seats_available: 0,
+      status: "matched",
+    });
+  });
+});
+
+describe("hasFreeSeat", () => {
+  test("needs an open ride with a seat left", () => {
+    expect(hasFreeSeat({ seats_available: 1, status: "open" })).toBe(true);
+    expect(hasFreeSeat({ seats_available: 0, status: "open" })).toBe(false);
+    expect(hasFreeSeat({ seats_available: 2, status: "matched" })).toBe(false);
+    expect(hasFreeSeat(undefined)).toBe(false);
+  });
+});
+
+describe("releaseSeat", () => {
+  test("reopens a full ride when a partner leaves", () => {
+    expect(
+      releaseSeat({ seats_total: 3, seats_available: 0, status: "matched" })
+    ).toEqual({ seats_available: 1, status: "open" });
+    expect(releaseSeat({ status: "matched" })).toEqual({
+      seats_available: 1,
+      status: "open",
+    });
+  });
+
+  test("never hands back more seats than the ride has", () => {
+    expect(
+      releaseSeat({ seats_total: 3, seats_available: 2, status: "open" })
+    ).toEqual({ seats_available: 2, status: "open" });
+  });
+
+  test("leaves cancelled and finished rides alone", () => {
+    expect(releaseSeat({ seats_available: 0, status: "cancelled" })).toBe(null);
+    expect(releaseSeat({ seats_available: 0, status: "completed" })).toBe(null);
+  });
+});
+
+describe("resizeSeats", () => {
+  // Four seats, poster alone, one partner already accepted
+  const ride = { seats_total: 4, companions: 0, seats_available: 2 };
+
+  test("keeps accepted partners when the ride grows", () => {
+    expect(resizeSeats(ride, 5, 0)).toEqual({
+      seats_total: 5,
+      companions: 0,
+      seats_available: 3,
+      status: "open",
+    });
+  });
+
+  test("closes the ride when no seats are left", () => {
+    expect(resizeSeats(ride, 3, 0)).toMatchObject({
+      seats_available: 1,
+      status: "open",
+    });
+    expect(resizeSeats(ride, 3, 1)).toMatchObject({
+      seats_available: 0,
+      status: "matched",
+    });
+  });
+
+  test("treats rides without seats as having one partner seat", () => {
+    expect(resizeSeats({ status: "matched" }, 4, 0)).toMatchObject({
+      seats_available: 2,
+      status: "open",
+    });
+  });
+});
+
+describe("countConfirmedRiders", () => {
+  test("counts the poster, companions and accepted partners", () => {
+    expect(
+      countConfirmedRiders({
+        seats_total: 4,
+        companions: 1,
+        seats_available: 2,
+      })
+    ).toBe(2);
+    expect(
+      countConfirmedRiders({
+        seats_total: 4,
+        companions: 1,
+        seats_available: 1,
+      })
+    ).toBe(3);
+  });
+
+  test("counts one partner on a matched legacy ride", () => {
+    expect(countConfirmedRiders({ status: "open" })).toBe(1);
+    expect(countConfirmedRiders({ status: "matched" })).toBe(2);
+  });
+});
+
+describe("describeSeats", () => {
+  test("labels remaining seats", () => {
+    expect(describeSeats({ seats_available: 2 })).toBe("2 seats left");
+    expect(describeSeats({ seats_available: 1 })).toBe("1 seat left");
+    expect(describeSeats({ seats_available: 0 })).toBe("Full");
+  });
+});
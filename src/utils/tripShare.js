@@ -0,0 +1,187 @@
+// Trip safety. Riders keep a few trusted contacts on their profile
+// (`trusted_contacts`: { id, user_id, name, phone, email }) and, on a ride
+// with an accepted partner, can send them a link to a `trip_shares` row:
+//   { token, user_id, ride_id, ride_from, ride_to, rider_name, partners,
+//     departure_time, check_in_due_at, grace_minutes, expires_at,
+//     checked_in_at, alerted_at }
+// The row is a snapshot taken when the link is made, so the public trip
+// page never needs to read rides or profiles. If the rider hasn't checked
+// in by `check_in_due_at` plus the grace period, a scheduled job
+// (services/checkInAlerts) alerts their contacts and sets `alerted_at`.
+
+import { RIDE_EVENT_MINUTES } from "./ical";
+import { getUpcomingOccurrences } from "./rideStatus";
+
+// Grace period choices (minutes after the expected arrival)
+export const GRACE_OPTIONS = [15, 30, 45, 60];
+export const DEFAULT_GRACE_MINUTES = 30;
+
+// Share links stop working this long after departure
+export const SHARE_HOURS = 6;
+
+export const TRIP_STATUS = {
+  UPCOMING: "upcoming",
+  ON_THE_WAY: "on_the_way",
+  ARRIVED: "arrived",
+  OVERDUE: "overdue",
+  EXPIRED: "expired",
+};
+
+export const TRIP_STATUS_LABELS = {
+  [TRIP_STATUS.UPCOMING]: "Not left yet",
+  [TRIP_STATUS.ON_THE_WAY]: "On the way",
+  [TRIP_STATUS.ARRIVED]: "Arrived safely",
+  [TRIP_STATUS.OVERDUE]: "Hasn't checked in",
+  [TRIP_STATUS.EXPIRED]: "Link expired",
+};
+
+const addMinutes = (time, minutes) =>
+  new Date(new Date(time).getTime() + minutes * 60 * 1000);
+
+export const getGraceMinutes = (value) =>
+  GRACE_OPTIONS.includes(Number(value)) ? Number(value) : DEFAULT_GRACE_MINUTES;
+
+export const getTripPath = (token) => `/trip/${encodeURIComponent(token)}`;
+
+/**
+ * Absolute link to a trip share, for sending to a trusted contact.
+ */
+export const getTripUrl = (token, origin = window.location.origin) =>
+  `${origin}${getTripPath(token)}`;
+
+/**
+ * The departure a new share would cover: the next one still ahead, so a
+ * recurring ride shares today's trip rather than the first in the series.
+ * @returns {string|null} ISO time, or null when nothing is coming up
+ */
+export const getTripDeparture = (ride, now = new Date()) =>
+  getUpcomingOccurrences([ride], now)[0]?.time || null;
+
+/**
+ * A `trip_shares` row for one departure of a ride.
+ * @param {object} ride needs `id`, `from` and `to`
+ * @param {object} details
+ * @param {string} details.userId the rider sharing their trip
+ * @param {string} details.riderName
+ * @param {string[]} details.partners names of the people they ride with
+ * @param {string} details.departure ISO time, see getTripDeparture
+ * @param {number} [details.graceMinutes]
+ * @param {string} details.token unguessable id for the link
+ */
+export const buildTripShare = (ride, details) => {
+  const { userId, riderName, partners, departure, graceMinutes, token } =
+    details;
+  return {
+    token,
+    user_id: userId,
+    ride_id: ride.id,
+    ride_from: ride.from,
+    ride_to: ride.to,
+    rider_name: riderName || "",
+    partners: partners || [],
+    departure_time: new Date(departure).toISOString(),
+    check_in_due_at: addMinutes(departure, RIDE_EVENT_MINUTES).toISOString(),
+    grace_minutes: getGraceMinutes(graceMinutes),
+    expires_at: addMinutes(departure, SHARE_HOURS * 60).toISOString(),
+  };
+};
+
+/**
+ * When contacts are alerted if the rider still hasn't checked in.
+ */
+export const getAlertTime = (share) =>
+  addMinutes(share.check_in_due_at, getGraceMinutes(share.grace_minutes));
+
+/**
+ * Where a shared trip stands. A check-in always wins; otherwise the trip
+ * is overdue once the grace period after the expected arrival has passed.
+ */
+export const getTripStatus = (share, now = new Date()) => {
+  if (share.checked_in_at) return TRIP_STATUS.ARRIVED;
+  if (now >= new Date(share.expires_at)) return TRIP_STATUS.EXPIRED;
+  if (now < new Date(share.departure_time)) return TRIP_STATUS.UPCOMING;
+  if (now < getAlertTime(share)) return TRIP_STATUS.ON_THE_WAY;
+  return TRIP_STATUS.OVERDUE;
+};
+
+/**
+ * Whether a share's contacts should be alerted now: overdue and not
+ * alerted yet. Expired shares are left alone.
+ */
+export const isAlertDue = (share, now = new Date()) =>
+  !share.alerted_at && getTripStatus(share, now) === TRIP_STATUS.OVERDUE;
+
+/**
+ * Shares the rider can still check in on.
+ */
+export const isShareActive = (share, now = new Date()) =>
+  [TRIP_STATUS.UPCOMING, TRIP_STATUS.ON_THE_WAY, TRIP_STATUS.OVERDUE].includes(
+    getTripStatus(share, now)
+  );
+
+/**
+ * Text sent to a trusted contact along with the link.
+ */
+export const describeTripShare = (share, url) => {
+  const departure = new Date(share.departure_time).toLocaleString("en-US", {
+    weekday: "short",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+  const partners = share.partners?.length
+    ? ` with ${share.partners.join(", ")}`
+    : "";
+  return `I'm riding ${share.ride_from} → ${share.ride_to}${partners}, leaving ${departure}. Follow my trip: ${url}`;
+};
+
+/**
+ * Text sent to a trusted contact when the rider hasn't checked in.
+ */
+export const describeCheckInAlert = (share, url) => {
+  const due = new Date(share.check_in_due_at).toLocaleString("en-US", {
+    weekday: "short",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+  const rider = share.rider_name || "Your contact";
+  return `${rider} hasn't checked in after their ride ${share.ride_from} → ${share.ride_to}. They expected to arrive by ${due}. Trip details: ${url}`;
+};
+
+/**
+ * Links that open a message to a contact with the text filled in.
+ * @returns {{ whatsapp: string|null, sms: string|null, email: string|null }}
+ */
+export const getContactLinks = (contact, text) => {
+  const digits = (contact.phone || "").replace(/\D/g, "");
+  const body = encodeURIComponent(text);
+  return {
+    whatsapp: digits ? `https://wa.me/${digits}?text=${body}` : null,
+    sms: digits ? `sms:${digits}?body=${body}` : null,
+    email: contact.email
+      ? `mailto:${contact.email}?subject=${encodeURIComponent(
+          "My ride"
+        )}&body=${body}`
+      : null,
+  };
+};
+
+/**
+ * Check a trusted contact before saving it.
+ * @returns {string} an error message, or "" when it's fine
+ */
+export const validateTrustedContact = (contact) => {
+  const name = (contact.name || "").trim();
+  const phone = (contact.phone || "").trim();
+  const email = (contact.email || "").trim();
+  if (!name) return "Add a name";
+  if (!phone && !email) return "Add a phone number or an email";
+  if (phone && phone.replace(/\D/g, "").length < 7) {
+    return "Enter a valid phone number";
+  }
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return "Enter a valid email";
+  }
+  return "";
+};
@@ -0,0 +1,166 @@
+import {
+  TRIP_STATUS,
+  buildTripShare,
+  describeCheckInAlert,
+  describeTripShare,
+  getContactLinks,
+  getGraceMinutes,
+  getTripDeparture,
+  getTripStatus,
+  getTripUrl,
+  isAlertDue,
+  validateTrustedContact,
+} from "./tripShare";
+
+// Monday 6 January 2025, 09:00 local time
+const now = new Date(2025, 0, 6, 9, 0);
+const at = (day, hour, minute = 0) =>
+  new Date(2025, 0, day, hour, minute).toISOString();
+
+const ride = {
+  id: "r1",
+  user_id: "u1",
+  from: "Campus",
+  to: "Kuril",
+  time: at(6, 17),
+  status: "matched",
+};
+
+const share = buildTripShare(ride, {
+  userId: "u1",
+  riderName: "Nadia",
+  partners: ["Rumana"],
+  departure: at(6, 17),
+  graceMinutes: 15,
+  token: "t1",
+});
+
+describe("buildTripShare", () => {
+  test("snapshots the ride and works out the check-in times", () => {
+    expect(share).toEqual({
+      token: "t1",
+      user_id: "u1",
+      ride_id: "r1",
+      ride_from: "Campus",
+      ride_to: "Kuril",
+      rider_name: "Nadia",
+      partners: ["Rumana"],
+      departure_time: at(6, 17),
+      check_in_due_at: at(6, 17, 30),
+      grace_minutes: 15,
+      expires_at: at(6, 23),
+    });
+  });
+
+  test("falls back to the default grace period", () => {
+    expect(getGraceMinutes("20")).toBe(30);
+    expect(getGraceMinutes("45")).toBe(45);
+  });
+
+  test("builds the public link", () => {
+    expect(getTripUrl("t1", "https://example.com")).toBe(
+      "https://example.com/trip/t1"
+    );
+  });
+});
+
+describe("getTripDeparture", () => {
+  test("uses the next departure of a series", () => {
+    const series = {
+      ...ride,
+      time: at(1, 8),
+      recurrence: { weekdays: [1, 3], until: "2025-01-08" },
+    };
+    expect(getTripDeparture(series, now)).toBe(at(8, 8));
+  });
+
+  test("is null once the ride has left", () => {
+    expect(getTripDeparture({ ...ride, time: at(6, 8) }, now)).toBeNull();
+  });
+});
+
+describe("getTripStatus", () => {
+  test("follows the trip until the grace period runs out", () => {
+    expect(getTripStatus(share, new Date(2025, 0, 6, 16))).toBe(
+      TRIP_STATUS.UPCOMING
+    );
+    expect(getTripStatus(share, new Date(2025, 0, 6, 17, 40))).toBe(
+      TRIP_STATUS.ON_THE_WAY
+    );
+    expect(getTripStatus(share, new Date(2025, 0, 6, 17, 45))).toBe(
+      TRIP_STATUS.OVERDUE
+    );
+    expect(getTripStatus(share, new Date(2025, 0, 6, 23))).toBe(
+      TRIP_STATUS.EXPIRED
+    );
+  });
+
+  test("a check-in settles it", () => {
+    expect(
+      getTripStatus(
+        { ...share, checked_in_at: at(6, 17, 20) },
+        new Date(2025, 0, 6, 18)
+      )
+    ).toBe(TRIP_STATUS.ARRIVED);
+  });
+});
+
+describe("isAlertDue", () => {
+  const overdue = new Date(2025, 0, 6, 17, 45);
+
+  test("alerts once the grace period has passed", () => {
+    expect(isAlertDue(share, new Date(2025, 0, 6, 17, 40))).toBe(false);
+    expect(isAlertDue(share, overdue)).toBe(true);
+  });
+
+  test("skips check-ins, earlier alerts and expired links", () => {
+    expect(
+      isAlertDue({ ...share, checked_in_at: at(6, 17, 20) }, overdue)
+    ).toBe(false);
+    expect(isAlertDue({ ...share, alerted_at: at(6, 17, 45) }, overdue)).toBe(
+      false
+    );
+    expect(isAlertDue(share, new Date(2025, 0, 6, 23))).toBe(false);
+  });
+});
+
+describe("contact messages", () => {
+  test("tells contacts when the rider is overdue", () => {
+    expect(describeCheckInAlert(share, "https://example.com/trip/t1")).toBe(
+      "Nadia hasn't checked in after their ride Campus → Kuril. They expected to arrive by Mon 5:30 PM. Trip details: https://example.com/trip/t1"
+    );
+  });
+
+  test("names the partners and includes the link", () => {
+    expect(describeTripShare(share, "https://example.com/trip/t1")).toBe(
+      "I'm riding Campus → Kuril with Rumana, leaving Mon 5:00 PM. Follow my trip: https://example.com/trip/t1"
+    );
+  });
+
+  test("links only the channels the contact has", () => {
+    const links = getContactLinks({ phone: "+880 1700-000000" }, "Hi there");
+    expect(links).toEqual({
+      whatsapp: "https://wa.me/8801700000000?text=Hi%20there",
+      sms: "sms:8801700000000?body=Hi%20there",
+      email: null,
+    });
+  });
+});
+
+describe("validateTrustedContact", () => {
+  test("needs a name and a way to reach them", () => {
+    expect(validateTrustedContact({ phone: "01700000000" })).toBe("Add a name");
+    expect(validateTrustedContact({ name: "Ammu" })).toBe(
+      "Add a phone number or an email"
+    );
+    expect(validateTrustedContact({ name: "Ammu", phone: "123" })).toBe(
+      "Enter a valid phone number"
+    );
+    expect(validateTrustedContact({ name: "Ammu", email: "ammu@" })).toBe(
+      "Enter a valid email"
+    );
+    expect(
+      validateTrustedContact({ name: "Ammu", email: "ammu@example.com" })
+    ).toBe("");
+  });
+});